@@ -1,6 +1,7 @@
 import { Client } from 'pg';
 import mysql from 'mysql2/promise';
 import { logger } from '../utils/logger.js';
+import { classifySQL, dialectForEngine } from '../utils/sql-classifier.js';
 
 export class DirectDatabaseClient {
   constructor(connectionInfo, options = {}) {
@@ -107,49 +108,47 @@ export class DirectDatabaseClient {
   }
 
   async validateDDL(sql) {
-    const upperSQL = sql.toUpperCase().trim();
-    
+    const classification = classifySQL(sql, { dialect: dialectForEngine(this.engine) });
+    if (!classification.complete || classification.statements.length !== 1) {
+      throw new Error('Exactly one complete SQL statement is required');
+    }
+    const [statement] = classification.statements;
+
     // 1. Operation type kontrolü
-    const operationType = this.extractOperationType(upperSQL);
+    const operationType = this.extractOperationType(statement);
     if (!this.options.allowedOperations.includes(operationType)) {
       throw new Error(`Operation not allowed: ${operationType}`);
     }
 
     // 2. Prefix kontrolü
     if (this.requiresPrefix(operationType)) {
-      const objectName = this.extractObjectName(sql, operationType);
-      if (!objectName.startsWith(this.options.prefix)) {
-        throw new Error(`Object name must start with prefix: ${this.options.prefix}`);
+      for (const objectName of this.extractObjectNames(statement)) {
+        if (!objectName.startsWith(this.options.prefix)) {
+          throw new Error(`Object name must start with prefix: ${this.options.prefix}`);
+        }
       }
     }
 
     // 3. Dangerous operations kontrolü
-    this.checkDangerousOperations(upperSQL);
+    this.checkDangerousOperations(statement);
 
     // 4. Table/view existence kontrolü for DROP operations
     if (operationType.startsWith('DROP_')) {
-      const objectName = this.extractObjectName(sql, operationType);
-      await this.validateDropOperation(objectName, operationType);
+      for (const objectName of this.extractObjectNames(statement)) {
+        await this.validateDropOperation(objectName, operationType);
+      }
     }
 
     return true;
   }
 
-  extractOperationType(sql) {
-    if (sql.startsWith('CREATE TABLE')) return 'CREATE_TABLE';
-    if (sql.startsWith('CREATE VIEW')) return 'CREATE_VIEW';
-    if (sql.startsWith('CREATE MATERIALIZED VIEW')) return 'CREATE_MATERIALIZED_VIEW';
-    if (sql.startsWith('CREATE INDEX') || sql.startsWith('CREATE UNIQUE INDEX')) return 'CREATE_INDEX';
-    if (sql.startsWith('DROP TABLE')) return 'DROP_TABLE';
-    if (sql.startsWith('DROP VIEW')) return 'DROP_VIEW';
-    if (sql.startsWith('DROP MATERIALIZED VIEW')) return 'DROP_MATERIALIZED_VIEW';
-    if (sql.startsWith('DROP INDEX')) return 'DROP_INDEX';
-    if (sql.startsWith('SELECT')) return 'SELECT';
-    if (sql.startsWith('INSERT')) return 'INSERT';
-    if (sql.startsWith('UPDATE')) return 'UPDATE';
-    if (sql.startsWith('DELETE')) return 'DELETE';
-    
-    throw new Error('Unsupported operation type');
+  /**
+   * Operation type from a classified statement: CREATE_TABLE, DROP_INDEX, SELECT, INSERT ...
+   */
+  extractOperationType(statement) {
+    if (statement.type === 'read') return 'SELECT';
+    if (statement.type === 'dml') return statement.operation.toUpperCase();
+    return statement.operation.replace(/ /g, '_');
   }
 
   requiresPrefix(operationType) {
@@ -165,66 +164,21 @@ export class DirectDatabaseClient {
     ].includes(operationType);
   }
 
-  extractObjectName(sql, operationType) {
-    // Basit regex ile object name çıkarma
-    let pattern;
-    
-    switch (operationType) {
-      case 'CREATE_TABLE':
-        pattern = /CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?([\w\.]+)/i;
-        break;
-      case 'CREATE_VIEW':
-        pattern = /CREATE\s+(?:OR\s+REPLACE\s+)?VIEW\s+([\w\.]+)/i;
-        break;
-      case 'CREATE_MATERIALIZED_VIEW':
-        pattern = /CREATE\s+MATERIALIZED\s+VIEW\s+([\w\.]+)/i;
-        break;
-      case 'CREATE_INDEX':
-        pattern = /CREATE\s+(?:UNIQUE\s+)?INDEX\s+(?:IF\s+NOT\s+EXISTS\s+)?([\w\.]+)/i;
-        break;
-      case 'DROP_TABLE':
-        pattern = /DROP\s+TABLE\s+(?:IF\s+EXISTS\s+)?([\w\.]+)/i;
-        break;
-      case 'DROP_VIEW':
-        pattern = /DROP\s+VIEW\s+(?:IF\s+EXISTS\s+)?([\w\.]+)/i;
-        break;
-      case 'DROP_MATERIALIZED_VIEW':
-        pattern = /DROP\s+MATERIALIZED\s+VIEW\s+(?:IF\s+EXISTS\s+)?([\w\.]+)/i;
-        break;
-      case 'DROP_INDEX':
-        pattern = /DROP\s+INDEX\s+(?:IF\s+EXISTS\s+)?([\w\.]+)/i;
-        break;
-      default:
-        throw new Error('Cannot extract object name for this operation');
-    }
-
-    const match = sql.match(pattern);
-    if (!match) {
+  /**
+   * Object names (without schema) a DDL statement creates or drops
+   * @throws {Error} If the statement names no object (e.g. CREATE INDEX ON t)
+   */
+  extractObjectNames(statement) {
+    if (statement.objects.length === 0) {
       throw new Error('Could not extract object name from SQL');
     }
-
-    // Schema.table formatından sadece table adını al
-    const fullName = match[1];
-    const parts = fullName.split('.');
-    return parts[parts.length - 1];
+    return statement.objects.map(object => object.name);
   }
 
-  checkDangerousOperations(sql) {
-    const dangerous = [
-      'DROP DATABASE',
-      'DROP SCHEMA',
-      'TRUNCATE',
-      'ALTER SYSTEM',
-      'CREATE USER',
-      'DROP USER',
-      'GRANT',
-      'REVOKE'
-    ];
-
-    for (const op of dangerous) {
-      if (sql.includes(op)) {
-        throw new Error(`Dangerous operation not allowed: ${op}`);
-      }
+  checkDangerousOperations(statement) {
+    // DROP DATABASE/SCHEMA, ALTER SYSTEM, CREATE/DROP USER, GRANT, REVOKE ... are admin statements
+    if (statement.type === 'admin' || statement.type === 'unknown' || statement.command === 'TRUNCATE TABLE') {
+      throw new Error(`Dangerous operation not allowed: ${statement.operation}`);
     }
   }
 
@@ -446,7 +400,11 @@ export class DirectDatabaseClient {
   }
 
   // Schema ve tablo keşfi metodları
-  async exploreSchemaTablesDetailed(schemaName, includeColumns = true, limit = null) {
+  /**
+   * @param {object} [hooks] - Optional { onProgress(done, total, message), isCancelled() }.
+   *   When cancelled, the tables explored so far are returned with `cancelled` and `total` set on the array.
+   */
+  async exploreSchemaTablesDetailed(schemaName, includeColumns = true, limit = null, hooks = {}) {
     if (this.engine === 'postgres') {
       const tableQuery = `
         SELECT 
@@ -467,6 +425,12 @@ export class DirectDatabaseClient {
       const result = [];
       
       for (const table of tables.rows) {
+        if (hooks.isCancelled?.()) {
+          result.cancelled = true;
+          result.total = tables.rows.length;
+          break;
+        }
+
         const tableInfo = {
           name: table.table_name,
           type: table.table_type,
@@ -537,6 +501,7 @@ export class DirectDatabaseClient {
         }
         
         result.push(tableInfo);
+        await hooks.onProgress?.(result.length, tables.rows.length, `Explored ${table.table_name}`);
       }
       
       return result;
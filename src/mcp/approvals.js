@@ -0,0 +1,254 @@
+/**
+ * Approvals - Two-phase confirmation for destructive tool calls
+ * With MCP_REQUIRE_APPROVAL=true, a call to a destructive tool (TOOL_METADATA `destructive: true`)
+ * does not run straight away:
+ *   - If the client supports elicitation, the user is asked to confirm in the client and the call
+ *     runs once they accept.
+ *   - Otherwise the call returns a preview of the affected objects and a single-use token. The call
+ *     runs when `change_confirm` receives that token from the same session before it expires.
+ * Dry runs are not gated: on tools with `dry_run` / `approved` flags only an executing call
+ * (dry_run: false, approved: true) needs approval.
+ * Approvals and rejections are written to the activity log.
+ * With several Metabase instances, each instance's router gets a forInstance() view: previews and
+ * the audit trail come from that instance, while tokens are shared so change_confirm works from any.
+ */
+import crypto from 'crypto';
+import { ElicitResultSchema } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, PermissionError } from '../utils/errors.js';
+import { structuredError } from '../utils/structured-response.js';
+import { NO_PROGRESS } from './progress.js';
+
+const DEFAULT_TTL_SECONDS = 300;
+
+/**
+ * Collect optional previews() maps from handlers: { toolName: (args) => { summary, objects } }
+ * @param {object} handlers - Same object passed to buildRouteMap()
+ * @returns {object}
+ */
+export function collectPreviews(handlers) {
+    const previews = {};
+    for (const handler of Object.values(handlers)) {
+        if (typeof handler?.previews !== 'function') continue;
+        for (const [toolName, fn] of Object.entries(handler.previews())) {
+            previews[toolName] = fn.bind(handler);
+        }
+    }
+    return previews;
+}
+
+/**
+ * ApprovalManager - Pending approvals (in memory, per server process)
+ */
+export class ApprovalManager {
+    /**
+     * @param {Array} toolDefinitions - From getToolDefinitions(); destructiveHint marks gated tools
+     * @param {object} [options]
+     * @param {boolean} [options.enabled] - Usually MCP_REQUIRE_APPROVAL
+     * @param {number} [options.ttlSeconds] - Token lifetime (MCP_APPROVAL_TTL_SECONDS)
+     */
+    constructor(toolDefinitions, options = {}) {
+        this.enabled = options.enabled === true;
+        this.ttlMs = (options.ttlSeconds || DEFAULT_TTL_SECONDS) * 1000;
+        this.pending = new Map(); // token -> { tool, args, route, preview, instance, activityLogger, sessionId, expiresAt }
+
+        // Destructive tools and the safety flags they accept
+        this.gated = new Map();
+        for (const tool of toolDefinitions) {
+            if (tool.annotations?.destructiveHint !== true) continue;
+            const properties = tool.inputSchema?.properties || {};
+            this.gated.set(tool.name, { dryRun: 'dry_run' in properties, approved: 'approved' in properties });
+        }
+    }
+
+    /**
+     * View of this manager for one Metabase instance's router (createToolHandler)
+     * @param {object} scope
+     * @param {string} [scope.instance] - Profile name, shown in the approval request
+     * @param {object} [scope.previews] - That instance's collectPreviews()
+     * @param {object} [scope.activityLogger] - That instance's ActivityLogger
+     * @returns {{requiresApproval: function, request: function}}
+     */
+    forInstance(scope) {
+        return {
+            requiresApproval: (toolName, args) => this.requiresApproval(toolName, args),
+            request: (toolName, args, route, extra, client) => this.request(toolName, args, route, extra, client, scope),
+        };
+    }
+
+    /**
+     * Whether this call must be approved before it runs
+     */
+    requiresApproval(toolName, args = {}) {
+        if (!this.enabled) return false;
+        const flags = this.gated.get(toolName);
+        if (!flags) return false;
+        if (flags.dryRun && args.dry_run !== false) return false;
+        if (flags.approved && args.approved !== true) return false;
+        return true;
+    }
+
+    /**
+     * Describe what the call would change. Uses the handler's preview when there is one,
+     * otherwise a dry run of the tool itself, otherwise the arguments.
+     * @returns {Promise<{summary: string, objects: Array<{type: string, id: *, name: string}>}>}
+     */
+    async preview(toolName, args, route, extra, previews = {}) {
+        try {
+            if (previews[toolName]) {
+                return await previews[toolName](args);
+            }
+            if (this.gated.get(toolName)?.dryRun) {
+                const dryRun = await route({ ...args, dry_run: true }, NO_PROGRESS, extra);
+                if (!dryRun?.isError && dryRun?.content?.[0]?.text) {
+                    return { summary: dryRun.content[0].text, objects: [] };
+                }
+            }
+        } catch (error) {
+            logger.warn(`Approval preview for ${toolName} failed: ${error.message}`);
+        }
+        return { summary: `${toolName} with ${JSON.stringify(args)}`, objects: [] };
+    }
+
+    /**
+     * Gate a destructive call: ask through elicitation, or return a preview and token
+     * @param {string} toolName
+     * @param {object} args - Validated arguments
+     * @param {function} route - The tool's route (args, progress, extra) => result
+     * @param {object} extra - RequestHandlerExtra
+     * @param {object} [client] - { elicitation: boolean } from the client's capabilities
+     * @param {object} [scope] - From forInstance()
+     */
+    async request(toolName, args, route, extra = {}, client = {}, scope = {}) {
+        this.prune();
+        const preview = await this.preview(toolName, args, route, extra, scope.previews);
+        const entry = {
+            token: crypto.randomBytes(12).toString('hex'),
+            tool: toolName,
+            args,
+            route,
+            preview,
+            instance: scope.instance || null,
+            activityLogger: scope.activityLogger || null,
+            sessionId: extra.sessionId,
+            expiresAt: Date.now() + this.ttlMs,
+        };
+        const target = entry.instance ? `${toolName} on ${entry.instance}` : toolName;
+
+        if (client.elicitation) {
+            let answer = null;
+            try {
+                answer = await extra.sendRequest({
+                    method: 'elicitation/create',
+                    params: {
+                        mode: 'form',
+                        message: `Allow ${target}?\n\n${formatPreview(preview)}`,
+                        requestedSchema: {
+                            type: 'object',
+                            properties: { approve: { type: 'boolean', title: `Run ${toolName}`, default: false } },
+                            required: ['approve'],
+                        },
+                    },
+                }, ElicitResultSchema, { timeout: this.ttlMs });
+            } catch (error) {
+                logger.warn(`Elicitation for ${toolName} failed, falling back to change_confirm: ${error.message}`);
+            }
+
+            if (answer) {
+                const approved = answer.action === 'accept' && answer.content?.approve === true;
+                return this.decide(entry, approved, 'elicitation', extra);
+            }
+        }
+
+        this.pending.set(entry.token, entry);
+        logger.info(`Approval requested for ${toolName} (token ${entry.token.slice(0, 6)}…)`);
+
+        const minutes = Math.round(this.ttlMs / 60000);
+        return {
+            content: [{
+                type: 'text',
+                text: `⏸️ **Approval required** - \`${toolName}\`${entry.instance ? ` on instance ${entry.instance}` : ''} is destructive and has not run yet.\n\n` +
+                    `${formatPreview(preview)}\n\n` +
+                    `To run it, call \`change_confirm\` with token \`${entry.token}\` ` +
+                    `(expires in ${minutes} min, this session only).\n` +
+                    `To cancel, call \`change_confirm\` with the token and \`approve: false\`.`,
+            }],
+            _meta: {
+                approval: {
+                    status: 'pending', token: entry.token, tool: toolName, expires_at: new Date(entry.expiresAt).toISOString(), preview,
+                    ...(entry.instance && { instance: entry.instance }),
+                },
+            },
+        };
+    }
+
+    /**
+     * Resolve a pending approval (change_confirm)
+     * @param {string} token
+     * @param {boolean} approve
+     * @param {object} extra - RequestHandlerExtra; the session must match the one that requested it
+     * @throws {NotFoundError} If the token is unknown, expired, used or from another session
+     */
+    async confirm(token, approve, extra = {}) {
+        const entry = this.pending.get(token);
+        if (!entry || entry.sessionId !== extra.sessionId) {
+            throw new NotFoundError('No pending change with this token (it may have been used already)', { code: 'approval_not_found' });
+        }
+        this.pending.delete(token);
+
+        if (entry.expiresAt < Date.now()) {
+            await this.record(entry, 'expired', 'change_confirm');
+            throw new NotFoundError(`The approval for ${entry.tool} expired; call the tool again for a new token`, { code: 'approval_expired' });
+        }
+
+        return this.decide(entry, approve, 'change_confirm', extra);
+    }
+
+    /**
+     * Run or reject an approval and record the decision
+     */
+    async decide(entry, approved, via, extra) {
+        await this.record(entry, approved ? 'approved' : 'rejected', via);
+
+        if (!approved) {
+            return structuredError(new PermissionError(`${entry.tool} was rejected and did not run`, { code: 'approval_rejected' }));
+        }
+
+        const result = await entry.route(entry.args, NO_PROGRESS, extra);
+        return {
+            ...result,
+            _meta: {
+                ...result?._meta,
+                approval: { status: 'approved', via, tool: entry.tool, arguments: entry.args, ...(entry.instance && { instance: entry.instance }) },
+            },
+        };
+    }
+
+    async record(entry, decision, via) {
+        logger.info(`Approval ${decision} for ${entry.tool}${entry.instance ? ` on ${entry.instance}` : ''} via ${via}`);
+        if (!entry.activityLogger) return;
+        try {
+            await entry.activityLogger.logApprovalDecision(entry.tool, entry.args, decision, via, entry.preview);
+        } catch (error) {
+            logger.warn(`Could not record approval decision: ${error.message}`);
+        }
+    }
+
+    /**
+     * Drop expired tokens
+     */
+    prune() {
+        const now = Date.now();
+        for (const [token, entry] of this.pending) {
+            if (entry.expiresAt < now) this.pending.delete(token);
+        }
+    }
+}
+
+function formatPreview(preview) {
+    let text = preview.summary;
+    if (preview.objects?.length > 0) {
+        text += '\n' + preview.objects.map(o => `- ${o.type} ${o.id}: ${o.name}${o.detail ? ` (${o.detail})` : ''}`).join('\n');
+    }
+    return text;
+}
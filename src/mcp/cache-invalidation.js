@@ -0,0 +1,153 @@
+/**
+ * Cache Invalidation - API cache entries each write tool makes stale
+ *
+ * Every tool in WRITE_TOOLS declares the CacheKeys it changes, as a function of its
+ * arguments. After a successful call (also one confirmed later through change_confirm)
+ * the router drops them, so a read after a write never comes from the cache.
+ * A target ending in `*` is a prefix: `dashboard:*` drops every cached dashboard.
+ * An empty list means the tool changes nothing this server caches.
+ */
+import { logger } from '../utils/logger.js';
+import { CacheKeys } from '../utils/cache.js';
+
+const prefix = (key) => `${key}*`;
+
+// Card names and collections show up in card lists, search and every dashboard that holds the card
+const CARD_LISTS = [prefix(CacheKeys.questions()), prefix(CacheKeys.dashboard('')), prefix(CacheKeys.search('card', ''))];
+const DASHBOARD_LISTS = [CacheKeys.dashboards(), prefix(CacheKeys.search('dashboard', ''))];
+const COLLECTION_LISTS = [CacheKeys.collections(), prefix(CacheKeys.search('collection', ''))];
+
+const card = (id) => [CacheKeys.question(id), ...CARD_LISTS];
+const dashboard = (id) => [CacheKeys.dashboard(id), ...DASHBOARD_LISTS];
+// Tables, schemas and fields Metabase knows for a database; fields are keyed by table only
+const databaseMetadata = (id) => [
+    CacheKeys.databases(), CacheKeys.database(id), prefix(`${CacheKeys.database(id)}:`), prefix(CacheKeys.table('')),
+];
+
+const NONE = () => [];
+
+/**
+ * Targets per write tool: (args) => string[]
+ */
+export const CACHE_INVALIDATIONS = {
+    // DDL changes the database, not Metabase's metadata (that waits for db_sync_schema);
+    // cached query results are dropped separately (utils/query-cache.js)
+    db_table_create: NONE,
+    db_view_create: NONE,
+    db_matview_create: NONE,
+    db_index_create: NONE,
+    db_ai_drop: NONE,
+    db_vacuum_analyze: NONE,
+    definition_tables_init: NONE,
+    activity_log_init: NONE,
+    activity_cleanup: NONE,
+
+    // Cards
+    mb_question_create: () => CARD_LISTS,
+    mb_question_create_parametric: () => CARD_LISTS,
+    mb_create_parametric_question: () => CARD_LISTS,
+    parametric_question_create: () => CARD_LISTS,
+    mb_card_copy: () => CARD_LISTS,
+    mb_card_clone: () => CARD_LISTS,
+    mb_card_update: (args) => card(args.card_id),
+    mb_card_archive: (args) => card(args.card_id),
+    mb_card_delete: (args) => card(args.card_id),
+
+    // Dashboards
+    mb_dashboard_create: () => DASHBOARD_LISTS,
+    mb_dashboard_update: (args) => dashboard(args.dashboard_id),
+    mb_dashboard_delete: (args) => dashboard(args.dashboard_id),
+    mb_dashboard_add_card: (args) => dashboard(args.dashboard_id),
+    mb_dashboard_update_layout: (args) => dashboard(args.dashboard_id),
+    mb_dashboard_card_update: (args) => dashboard(args.dashboard_id),
+    mb_dashboard_card_remove: (args) => dashboard(args.dashboard_id),
+    mb_dashboard_add_filter: (args) => dashboard(args.dashboard_id),
+    mb_dashboard_layout_optimize: (args) => dashboard(args.dashboard_id),
+    mb_link_dashboard_filter: (args) => dashboard(args.dashboard_id),
+    // These also create cards
+    mb_dashboard_add_card_sql: (args) => [...dashboard(args.dashboard_id), ...CARD_LISTS],
+    mb_dashboard_copy: (args) => [...DASHBOARD_LISTS, ...(args.deep_copy !== false ? CARD_LISTS : [])],
+    mb_dashboard_template_executive: () => [...DASHBOARD_LISTS, ...CARD_LISTS],
+    parametric_dashboard_create: () => [...DASHBOARD_LISTS, ...CARD_LISTS],
+
+    // Collections
+    mb_collection_create: () => COLLECTION_LISTS,
+    mb_collection_copy: () => [...COLLECTION_LISTS, ...DASHBOARD_LISTS, ...CARD_LISTS],
+    mb_collection_move: (args) => {
+        if (args.item_type === 'card') return card(args.item_id);
+        if (args.item_type === 'dashboard') return dashboard(args.item_id);
+        // A moved collection changes the path of everything in it
+        return [
+            CacheKeys.collection(args.item_id), ...COLLECTION_LISTS,
+            prefix(CacheKeys.dashboard('')), ...DASHBOARD_LISTS, ...CARD_LISTS,
+        ];
+    },
+    mb_collection_permissions_update: NONE,
+    mb_meta_auto_cleanup: () => [
+        prefix(CacheKeys.question('')), prefix(CacheKeys.collection('')),
+        ...COLLECTION_LISTS, prefix(CacheKeys.dashboard('')), ...DASHBOARD_LISTS, ...CARD_LISTS,
+    ],
+
+    // Metadata
+    db_sync_schema: (args) => databaseMetadata(args.database_id),
+    mb_table_metadata: (args) => [
+        CacheKeys.table(args.table_id), CacheKeys.tableFields(args.table_id),
+        // Table lists carry display names; the table's database is not in the arguments
+        prefix(CacheKeys.database('')),
+    ],
+    mb_field_metadata: () => [prefix(CacheKeys.table(''))],
+    mb_relationships_create: () => [prefix(CacheKeys.table(''))],
+    mb_metric_create: NONE,
+    mb_segment_create: NONE,
+    mb_cache_invalidate: NONE,
+    // Clears the API and query caches itself
+    cache_clear: NONE,
+
+    // Users, groups, actions, alerts and bookmarks are not cached
+    mb_user_create: NONE,
+    mb_user_update: NONE,
+    mb_user_disable: NONE,
+    mb_permission_group_create: NONE,
+    mb_permission_group_delete: NONE,
+    mb_permission_group_add_user: NONE,
+    mb_permission_group_remove_user: NONE,
+    mb_action_create: NONE,
+    mb_action_execute: NONE,
+    mb_alert_create: NONE,
+    mb_pulse_create: NONE,
+    mb_bookmark_create: NONE,
+    mb_bookmark_delete: NONE,
+
+    // Schedules and their snapshots live in the schedule store, not the API cache
+    schedule_create: NONE,
+    schedule_delete: NONE,
+};
+
+/**
+ * Cache targets a successful call to a tool makes stale
+ * @param {string} toolName
+ * @param {object} args
+ * @returns {string[]} Keys, and prefixes ending in `*`
+ */
+export function invalidationTargets(toolName, args) {
+    const declared = CACHE_INVALIDATIONS[toolName];
+    return declared ? [...new Set(declared(args || {}))] : [];
+}
+
+/**
+ * Drop the API cache entries a successful call made stale
+ * @param {CacheManager} cache
+ * @param {string} toolName
+ * @param {object} args
+ * @returns {Promise<number>} Entries cleared
+ */
+export async function invalidateApiCache(cache, toolName, args) {
+    let cleared = 0;
+    for (const target of invalidationTargets(toolName, args)) {
+        cleared += target.endsWith('*')
+            ? await cache.clearByPattern(target.slice(0, -1))
+            : await cache.clear(target);
+    }
+    if (cleared > 0) logger.debug(`Cache: ${cleared} entr${cleared === 1 ? 'y' : 'ies'} invalidated by ${toolName}`);
+    return cleared;
+}
@@ -0,0 +1,249 @@
+/**
+ * Argument Completion - Suggestions for MCP completion/complete
+ * Completes database, table, card, dashboard and collection arguments with fuzzy
+ * matching on names, narrowing dependent arguments by the ones already filled in.
+ *
+ * Works for prompt arguments (ref/prompt) and resource template variables (ref/resource).
+ * Completers are keyed by argument name, so a ref/prompt whose name is a tool name
+ * completes that tool's arguments as well.
+ *
+ * Databases, tables, schemas, cards, dashboards and collections the tool policy hides
+ * (ToolPolicy.checkObject) are never suggested.
+ */
+import { CacheKeys } from '../utils/cache.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_VALUES = 100; // MCP limit per response
+
+/**
+ * Resource template variables mapped to the argument they complete
+ */
+const TEMPLATE_ARGUMENTS = {
+    'metabase://database/{id}': { id: 'database_id' },
+    'metabase://database/{id}/table/{table_id}': { id: 'database_id', table_id: 'table_id' },
+    'metabase://card/{id}': { id: 'card_id' },
+    'metabase://dashboard/{id}': { id: 'dashboard_id' },
+};
+
+/**
+ * Fuzzy match score of `query` against `text` (higher is better, -1 for no match).
+ * Exact > prefix > word prefix > substring > in-order subsequence.
+ * @param {string} query
+ * @param {string} text
+ * @returns {number}
+ */
+export function fuzzyScore(query, text) {
+    const q = query.toLowerCase().trim();
+    const t = String(text || '').toLowerCase();
+    if (!q) return 0;
+    if (t === q) return 1000;
+    if (t.startsWith(q)) return 800 - t.length;
+    if (t.split(/[\s_\-.]+/).some(word => word.startsWith(q))) return 600 - t.length;
+
+    const index = t.indexOf(q);
+    if (index !== -1) return 400 - index;
+
+    // Subsequence: every query char appears in order; penalize gaps
+    let pos = 0;
+    let gaps = 0;
+    for (const ch of q) {
+        const next = t.indexOf(ch, pos);
+        if (next === -1) return -1;
+        gaps += next - pos;
+        pos = next + 1;
+    }
+    return Math.max(1, 200 - gaps);
+}
+
+/**
+ * Rank items against a partial value. IDs match by prefix, names fuzzily.
+ * @param {Array} items
+ * @param {string} value - Partial argument value
+ * @param {function} toValue - item -> completion value
+ * @param {function} toName - item -> display name used for matching
+ * @returns {string[]}
+ */
+function rank(items, value, toValue, toName) {
+    const scored = [];
+    for (const item of items) {
+        const completion = String(toValue(item));
+        const score = value && completion.startsWith(value)
+            ? 900
+            : fuzzyScore(value, toName(item));
+        if (score >= 0) scored.push({ completion, score });
+    }
+
+    scored.sort((a, b) => b.score - a.score);
+    return [...new Set(scored.map(s => s.completion))];
+}
+
+/**
+ * CompletionProvider - Resolves completion requests from Metabase metadata (cached)
+ */
+export class CompletionProvider {
+    /**
+     * @param {object} metabaseClient - MetabaseClient instance
+     * @param {object} cache - CacheManager instance
+     * @param {object} [toolPolicy] - ToolPolicy instance; null suggests everything
+     */
+    constructor(metabaseClient, cache, toolPolicy = null) {
+        this.metabaseClient = metabaseClient;
+        this.cache = cache;
+        this.toolPolicy = toolPolicy;
+
+        // Argument name -> (value, context) => Promise<string[]>
+        this.completers = {
+            database_id: (value) => this.completeDatabaseId(value),
+            schema_name: (value, context) => this.completeSchemaName(value, context),
+            table_name: (value, context) => this.completeTable(value, context, t => t.name),
+            table_id: (value, context) => this.completeTable(value, context, t => t.id),
+            card_id: (value, context) => this.completeSearch('card', value, context),
+            question_id: (value, context) => this.completeSearch('card', value, context),
+            dashboard_id: (value, context) => this.completeSearch('dashboard', value, context),
+            collection_id: (value, context) => this.completeSearch('collection', value, context),
+        };
+    }
+
+    /**
+     * Handle a completion/complete request
+     * @param {object} params - { ref, argument: { name, value }, context?: { arguments } }
+     * @returns {Promise<{ completion: { values: string[], total: number, hasMore: boolean } }>}
+     */
+    async complete(params) {
+        const { ref, argument } = params;
+        const context = this.resolveContext(ref, params.context?.arguments || {});
+        const argumentName = this.resolveArgumentName(ref, argument.name);
+        const completer = this.completers[argumentName];
+
+        let values = [];
+        if (completer) {
+            try {
+                values = await completer(argument.value || '', context);
+            } catch (error) {
+                logger.warn(`Completion for ${argumentName} failed: ${error.message}`);
+            }
+        }
+
+        return {
+            completion: {
+                values: values.slice(0, MAX_VALUES),
+                total: values.length,
+                hasMore: values.length > MAX_VALUES,
+            },
+        };
+    }
+
+    /**
+     * Map resource template variables ({id}, {table_id}) to argument names
+     */
+    resolveArgumentName(ref, name) {
+        if (ref?.type === 'ref/resource') {
+            return TEMPLATE_ARGUMENTS[ref.uri]?.[name] || name;
+        }
+        return name;
+    }
+
+    resolveContext(ref, args) {
+        if (ref?.type !== 'ref/resource') return args;
+
+        const context = {};
+        for (const [key, val] of Object.entries(args)) {
+            context[this.resolveArgumentName(ref, key)] = val;
+        }
+        return context;
+    }
+
+    async completeDatabaseId(value) {
+        const databases = await this.getDatabases();
+        return rank(databases, value, db => db.id, db => db.name);
+    }
+
+    async completeSchemaName(value, context) {
+        const tables = await this.getTables(context.database_id);
+        const schemas = [...new Set(tables
+            .filter(t => t.schema && this.visible({ database_id: t.db_id, schema_name: t.schema }))
+            .map(t => t.schema))];
+        return rank(schemas, value, s => s, s => s);
+    }
+
+    /**
+     * Tables narrowed by database_id and schema_name when present
+     */
+    async completeTable(value, context, toValue) {
+        const tables = (await this.getTables(context.database_id))
+            .filter(t => !context.schema_name || t.schema === context.schema_name)
+            .filter(t => this.visible({ database_id: t.db_id, schema_name: t.schema || undefined, table_name: t.name }));
+        return rank(tables, value, toValue, t => `${t.name} ${t.display_name || ''}`);
+    }
+
+    /**
+     * Cards, dashboards and collections via /api/search.
+     * Narrowed by collection_id (cards, dashboards, sub-collections) and database_id (cards).
+     */
+    async completeSearch(model, value, context) {
+        const query = /^\d*$/.test(value) ? '' : value;
+        const items = (await this.search(model, query)).filter(item => {
+            if (item.archived || !this.visible(searchObject(model, item))) return false;
+            if (context.collection_id && model !== 'collection' &&
+                String(item.collection?.id ?? item.collection_id) !== String(context.collection_id)) {
+                return false;
+            }
+            if (context.database_id && model === 'card' && item.database_id &&
+                String(item.database_id) !== String(context.database_id)) {
+                return false;
+            }
+            return true;
+        });
+
+        return rank(items, value, item => item.id, item => item.name);
+    }
+
+    /**
+     * Whether the tool policy lets a caller see an object
+     * @param {object} object - Tool-style arguments naming it (see ToolPolicy.checkObject)
+     */
+    visible(object) {
+        return !this.toolPolicy || this.toolPolicy.checkObject(object).length === 0;
+    }
+
+    async search(model, query) {
+        const { data } = await this.cache.getOrSet(CacheKeys.search(model, query), async () => {
+            const params = { models: model, ...(query && { q: query }) };
+            const response = await this.metabaseClient.request('GET', '/api/search', params);
+            return (response?.data || response || []).filter(item => item.model === model);
+        });
+        return data || [];
+    }
+
+    async getDatabases() {
+        const { data } = await this.cache.getOrSet(CacheKeys.databases(), () => this.metabaseClient.getDatabases());
+        return (Array.isArray(data) ? data : (data?.data || [])).filter(db => this.visible({ database_id: db.id }));
+    }
+
+    /**
+     * Tables for one database, or for every database when none is selected yet
+     */
+    async getTables(databaseId) {
+        if (databaseId && !this.visible({ database_id: databaseId })) return [];
+        const ids = databaseId ? [databaseId] : (await this.getDatabases()).map(db => db.id);
+        const perDatabase = await Promise.all(ids.map(async (id) => {
+            const { data } = await this.cache.getOrSet(CacheKeys.databaseTables(id),
+                () => this.metabaseClient.getDatabaseTables(id));
+            return (data || []).map(t => ({ db_id: id, ...t }));
+        }));
+        return perDatabase.flat();
+    }
+}
+
+/**
+ * Tool-style arguments naming a search result, for ToolPolicy.checkObject.
+ * Card results carry no SQL, so only their database and collection are checked.
+ */
+function searchObject(model, item) {
+    const collectionId = item.collection?.id ?? item.collection_id;
+    switch (model) {
+        case 'collection': return { collection_id: item.id };
+        case 'card': return { database_id: item.database_id, collection_id: collectionId };
+        default: return { collection_id: collectionId };
+    }
+}
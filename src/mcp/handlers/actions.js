@@ -1,5 +1,6 @@
 import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 import { logger } from '../../utils/logger.js';
+import { structuredError } from '../../utils/structured-response.js';
 
 export class ActionsHandler {
     constructor(metabaseClient) {
@@ -19,8 +20,6 @@ export class ActionsHandler {
 
   async handleActionCreate(args) {
     try {
-      await this.ensureInitialized();
-
       const actionData = {
         name: args.name,
         description: args.description || '',
@@ -47,16 +46,12 @@ export class ActionsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Action creation failed: ${error.message}` }]
-      };
+      return structuredError(error, 'Action creation failed');
     }
   }
 
   async handleActionList(args) {
     try {
-      await this.ensureInitialized();
-
       const actions = await this.metabaseClient.request('GET', `/api/action?model-id=${args.model_id}`);
 
       let output = `📋 **Actions for Model ${args.model_id}**\\n\\n`;
@@ -75,16 +70,12 @@ export class ActionsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Action list failed: ${error.message}` }]
-      };
+      return structuredError(error, 'Action list failed');
     }
   }
 
   async handleActionExecute(args) {
     try {
-      await this.ensureInitialized();
-
       const result = await this.metabaseClient.request('POST', `/api/action/${args.action_id}/execute`, {
         parameters: args.parameters
       });
@@ -100,9 +91,7 @@ export class ActionsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Action execution failed: ${error.message}` }]
-      };
+      return structuredError(error, 'Action execution failed');
     }
   }
 
@@ -110,22 +99,19 @@ export class ActionsHandler {
 
   async handleAlertCreate(args) {
     try {
-      await this.ensureInitialized();
-
-      const alertData = {
-        card: { id: args.card_id },
-        alert_condition: args.alert_condition || 'rows',
-        alert_first_only: args.alert_first_only || false,
-        alert_above_goal: args.alert_above_goal,
+      // Saved as an alert, or from 0.54 as a card notification
+      const alert = await this.metabaseClient.createAlert({
+        card_id: args.card_id,
+        condition: args.alert_condition || 'rows',
+        first_only: args.alert_first_only || false,
+        above_goal: args.alert_above_goal,
         channels: args.channels || [{
           channel_type: 'email',
           enabled: true,
           recipients: [],
           schedule_type: 'hourly'
         }]
-      };
-
-      const alert = await this.metabaseClient.request('POST', '/api/alert', alertData);
+      });
 
       return {
         content: [{
@@ -139,22 +125,13 @@ export class ActionsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Alert creation failed: ${error.message}` }]
-      };
+      return structuredError(error, 'Alert creation failed');
     }
   }
 
   async handleAlertList(args) {
     try {
-      await this.ensureInitialized();
-
-      let endpoint = '/api/alert';
-      if (args.card_id) {
-        endpoint = `/api/alert/question/${args.card_id}`;
-      }
-
-      const alerts = await this.metabaseClient.request('GET', endpoint);
+      const alerts = await this.metabaseClient.getAlerts(args.card_id);
 
       let output = `🔔 **Alerts**\\n\\n`;
 
@@ -163,8 +140,8 @@ export class ActionsHandler {
       } else {
         alerts.forEach((alert, i) => {
           output += `${i + 1}. Alert ID: ${alert.id}\\n`;
-          output += `   Card: ${alert.card?.name || alert.card?.id}\\n`;
-          output += `   Condition: ${alert.alert_condition}\\n\\n`;
+          output += `   Card: ${alert.card_name || alert.card_id}\\n`;
+          output += `   Condition: ${alert.condition}\\n\\n`;
         });
       }
 
@@ -173,16 +150,12 @@ export class ActionsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Alert list failed: ${error.message}` }]
-      };
+      return structuredError(error, 'Alert list failed');
     }
   }
 
   async handlePulseCreate(args) {
     try {
-      await this.ensureInitialized();
-
       const pulseData = {
         name: args.name,
         cards: args.cards,
@@ -205,9 +178,7 @@ export class ActionsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Pulse creation failed: ${error.message}` }]
-      };
+      return structuredError(error, 'Pulse creation failed');
     }
   }
 }
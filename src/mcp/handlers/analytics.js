@@ -1,5 +1,8 @@
 import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 import { logger } from '../../utils/logger.js';
+import { NotFoundError, ValidationError } from '../../utils/errors.js';
+import { structuredError } from '../../utils/structured-response.js';
+import { NO_PROGRESS } from '../progress.js';
 
 export class AnalyticsHandler {
   constructor(metabaseClient, metadataClient, activityLogger) {
@@ -14,6 +17,14 @@ export class AnalyticsHandler {
 
   routes() {
     return {
+      'activity_log_init': (args) => this.handleInitializeActivityLog(args),
+      'activity_session_summary': (args) => this.handleGetSessionSummary(args),
+      'activity_operation_stats': (args) => this.handleGetOperationStats(args),
+      'activity_database_usage': (args) => this.handleGetDatabaseUsage(args),
+      'activity_error_analysis': (args) => this.handleGetErrorAnalysis(args),
+      'activity_performance_insights': (args) => this.handleGetPerformanceInsights(args),
+      'activity_timeline': (args) => this.handleGetActivityTimeline(args),
+      'activity_cleanup': (args) => this.handleCleanupActivityLogs(args),
       'mb_meta_query_performance': (args) => this.handleMetadataQueryPerformance(args),
       'mb_meta_content_usage': (args) => this.handleMetadataContentUsage(args),
       'mb_meta_user_activity': (args) => this.handleMetadataUserActivity(args),
@@ -24,7 +35,7 @@ export class AnalyticsHandler {
       'mb_meta_impact_analysis': (args) => this.handleMetadataImpactAnalysis(args),
       'mb_meta_optimization_recommendations': (args) => this.handleMetadataOptimizationRecommendations(args),
       'mb_meta_error_patterns': (args) => this.handleMetadataErrorPatterns(args),
-      'mb_meta_export_workspace': (args) => this.handleMetadataExportWorkspace(args),
+      'mb_meta_export_workspace': (args, progress) => this.handleMetadataExportWorkspace(args, progress),
       'mb_meta_import_preview': (args) => this.handleMetadataImportPreview(args),
       'mb_meta_compare_environments': (args) => this.handleMetadataCompareEnvironments(args),
       'mb_meta_auto_cleanup': (args) => this.handleMetadataAutoCleanup(args),
@@ -94,12 +105,7 @@ export class AnalyticsHandler {
       };
     } catch (error) {
       logger.error('Metadata query performance analysis failed:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ **Query performance analysis failed:** ${error.message}`
-        }]
-      };
+      return structuredError(error, 'Query performance analysis failed');
     }
   }
 
@@ -177,12 +183,7 @@ export class AnalyticsHandler {
       };
     } catch (error) {
       logger.error('Metadata content usage analysis failed:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ **Content usage analysis failed:** ${error.message}`
-        }]
-      };
+      return structuredError(error, 'Content usage analysis failed');
     }
   }
 
@@ -256,12 +257,7 @@ export class AnalyticsHandler {
       };
     } catch (error) {
       logger.error('Metadata user activity analysis failed:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ **User activity analysis failed:** ${error.message}`
-        }]
-      };
+      return structuredError(error, 'User activity analysis failed');
     }
   }
 
@@ -308,12 +304,7 @@ export class AnalyticsHandler {
       };
     } catch (error) {
       logger.error('Metadata database usage analysis failed:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ **Database usage analysis failed:** ${error.message}`
-        }]
-      };
+      return structuredError(error, 'Database usage analysis failed');
     }
   }
 
@@ -365,12 +356,7 @@ export class AnalyticsHandler {
       };
     } catch (error) {
       logger.error('Metadata dashboard complexity analysis failed:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ **Dashboard complexity analysis failed:** ${error.message}`
-        }]
-      };
+      return structuredError(error, 'Dashboard complexity analysis failed');
     }
   }
 
@@ -411,12 +397,7 @@ export class AnalyticsHandler {
       };
     } catch (error) {
       logger.error('Metadata info failed:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ **Metadata info failed:** ${error.message}`
-        }]
-      };
+      return structuredError(error, 'Metadata info failed');
     }
   }
 
@@ -442,9 +423,7 @@ export class AnalyticsHandler {
       );
 
       if (!dependencies.table_found) {
-        return {
-          content: [{ type: 'text', text: `❌ ${dependencies.message}` }]
-        };
+        throw new NotFoundError(dependencies.message);
       }
 
       const table = dependencies.table;
@@ -506,12 +485,7 @@ export class AnalyticsHandler {
       };
     } catch (error) {
       logger.error('Metadata table dependencies analysis failed:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ **Table dependencies analysis failed:** ${error.message}`
-        }]
-      };
+      return structuredError(error, 'Table dependencies analysis failed');
     }
   }
 
@@ -533,9 +507,7 @@ export class AnalyticsHandler {
       );
 
       if (!impact.table_found) {
-        return {
-          content: [{ type: 'text', text: `❌ ${impact.message}` }]
-        };
+        throw new NotFoundError(impact.message);
       }
 
       const table = impact.table;
@@ -601,12 +573,7 @@ export class AnalyticsHandler {
       };
     } catch (error) {
       logger.error('Metadata impact analysis failed:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ **Impact analysis failed:** ${error.message}`
-        }]
-      };
+      return structuredError(error, 'Impact analysis failed');
     }
   }
 
@@ -703,12 +670,7 @@ export class AnalyticsHandler {
       };
     } catch (error) {
       logger.error('Metadata optimization recommendations failed:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ **Optimization recommendations failed:** ${error.message}`
-        }]
-      };
+      return structuredError(error, 'Optimization recommendations failed');
     }
   }
 
@@ -798,12 +760,7 @@ export class AnalyticsHandler {
       };
     } catch (error) {
       logger.error('Metadata error patterns analysis failed:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ **Error patterns analysis failed:** ${error.message}`
-        }]
-      };
+      return structuredError(error, 'Error patterns analysis failed');
     }
   }
 
@@ -811,7 +768,7 @@ export class AnalyticsHandler {
   // Phase 3: Export/Import & Migration Handlers
   // ============================================================================
 
-  async handleMetadataExportWorkspace(args) {
+  async handleMetadataExportWorkspace(args, progress = NO_PROGRESS) {
     if (!this.metadataClient) {
       return {
         content: [{
@@ -826,21 +783,26 @@ export class AnalyticsHandler {
         include_collections: args.include_collections !== false,
         include_questions: args.include_questions !== false,
         include_dashboards: args.include_dashboards !== false,
-        collection_id: args.collection_id,
-        created_after: args.created_after,
-        created_before: args.created_before
+        collection_ids: args.collection_ids?.length ? args.collection_ids : null,
+        archived: args.archived === true
       };
 
       let output = `📤 **Workspace Export** (READ-ONLY Operation)\n\n`;
 
-      const result = await this.metadataClient.exportWorkspace(options);
+      const result = await this.metadataClient.exportWorkspace(options, progress.hooks());
+      const totalItems = result.collections.length + result.questions.length + result.dashboards.length;
 
       output += `**Export Summary:**\n`;
       output += `• **Collections**: ${result.collections?.length || 0}\n`;
       output += `• **Questions**: ${result.questions?.length || 0}\n`;
       output += `• **Dashboards**: ${result.dashboards?.length || 0}\n`;
-      output += `• **Total Items**: ${result.metadata.total_items}\n`;
-      output += `• **Export Date**: ${result.metadata.exported_at}\n\n`;
+      output += `• **Total Items**: ${totalItems}\n`;
+      output += `• **Export Date**: ${result.export_info.timestamp}\n\n`;
+
+      if (result.cancelled) {
+        logger.info(`Workspace export cancelled after ${totalItems} items`);
+        output += `⏹️ **Export cancelled by client** - the data below is partial and must not be used as a full backup.\n\n`;
+      }
 
       if (result.collections?.length > 0) {
         output += `**Exported Collections:**\n`;
@@ -888,12 +850,7 @@ export class AnalyticsHandler {
       };
     } catch (error) {
       logger.error('Metadata export workspace failed:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ **Export workspace failed:** ${error.message}`
-        }]
-      };
+      return structuredError(error, 'Export workspace failed');
     }
   }
 
@@ -908,12 +865,7 @@ export class AnalyticsHandler {
     }
 
     if (!args.workspace_json) {
-      return {
-        content: [{
-          type: 'text',
-          text: '❌ **Missing required parameter:** workspace_json'
-        }]
-      };
+      throw new ValidationError('Missing required parameter: workspace_json');
     }
 
     try {
@@ -1012,12 +964,7 @@ export class AnalyticsHandler {
       };
     } catch (error) {
       logger.error('Metadata import preview failed:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ **Import preview failed:** ${error.message}`
-        }]
-      };
+      return structuredError(error, 'Import preview failed');
     }
   }
 
@@ -1032,12 +979,7 @@ export class AnalyticsHandler {
     }
 
     if (!args.target_workspace_json) {
-      return {
-        content: [{
-          type: 'text',
-          text: '❌ **Missing required parameter:** target_workspace_json'
-        }]
-      };
+      throw new ValidationError('Missing required parameter: target_workspace_json');
     }
 
     try {
@@ -1147,12 +1089,7 @@ export class AnalyticsHandler {
       };
     } catch (error) {
       logger.error('Metadata environment comparison failed:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ **Environment comparison failed:** ${error.message}`
-        }]
-      };
+      return structuredError(error, 'Environment comparison failed');
     }
   }
 
@@ -1297,12 +1234,7 @@ export class AnalyticsHandler {
       };
     } catch (error) {
       logger.error('Metadata auto-cleanup failed:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ **Auto-cleanup failed:** ${error.message}`
-        }]
-      };
+      return structuredError(error, 'Auto-cleanup failed');
     }
   }
 
@@ -1347,19 +1279,11 @@ export class AnalyticsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `❌ **Activity Logging Initialization Failed!**\\n\\n` +
-              `🚫 **Error:** ${error.message}\\n\\n` +
-              `🔧 **Troubleshooting:**\\n` +
-              `• Ensure you have CREATE permissions on the schema\\n` +
-              `• Verify database connection is working\\n` +
-              `• Check that the database supports the required SQL features`,
-          },
-        ],
-      };
+      return structuredError(error, 'Activity logging initialization failed',
+        `🔧 **Troubleshooting:**\\n` +
+        `• Ensure you have CREATE permissions on the schema\\n` +
+        `• Verify database connection is working\\n` +
+        `• Check that the database supports the required SQL features`);
     }
   }
 
@@ -1424,14 +1348,7 @@ export class AnalyticsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `❌ **Failed to get session summary:** ${error.message}`,
-          },
-        ],
-      };
+      return structuredError(error, 'Failed to get session summary');
     }
   }
 
@@ -1483,14 +1400,7 @@ export class AnalyticsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `❌ **Failed to get operation stats:** ${error.message}`,
-          },
-        ],
-      };
+      return structuredError(error, 'Failed to get operation stats');
     }
   }
 
@@ -1521,7 +1431,7 @@ export class AnalyticsHandler {
       return { content: [{ type: 'text', text: output }] };
 
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ **Failed to get database usage:** ${error.message}` }] };
+      return structuredError(error, 'Failed to get database usage');
     }
   }
 
@@ -1549,7 +1459,7 @@ export class AnalyticsHandler {
       return { content: [{ type: 'text', text: output }] };
 
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ **Error analysis failed:** ${error.message}` }] };
+      return structuredError(error, 'Error analysis failed');
     }
   }
 
@@ -1580,7 +1490,7 @@ export class AnalyticsHandler {
       return { content: [{ type: 'text', text: output }] };
 
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ **Performance insights failed:** ${error.message}` }] };
+      return structuredError(error, 'Performance insights failed');
     }
   }
 
@@ -1608,7 +1518,7 @@ export class AnalyticsHandler {
       return { content: [{ type: 'text', text: output }] };
 
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ **Timeline failed:** ${error.message}` }] };
+      return structuredError(error, 'Timeline failed');
     }
   }
 
@@ -1641,7 +1551,7 @@ export class AnalyticsHandler {
       };
 
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ **Cleanup failed:** ${error.message}` }] };
+      return structuredError(error, 'Cleanup failed');
     }
   }
 }
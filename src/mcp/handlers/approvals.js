@@ -0,0 +1,24 @@
+/**
+ * Handler for confirming destructive changes held for approval
+ */
+export class ApprovalsHandler {
+  /**
+   * @param {ApprovalManager} approvals
+   */
+  constructor(approvals) {
+    this.approvals = approvals;
+  }
+
+  routes() {
+    return {
+      'change_confirm': (args, progress, extra) => this.handleChangeConfirm(args, extra),
+    };
+  }
+
+  /**
+   * Run (or reject) a call that returned an approval token
+   */
+  async handleChangeConfirm(args, extra = {}) {
+    return await this.approvals.confirm(args.token, args.approve !== false, extra);
+  }
+}
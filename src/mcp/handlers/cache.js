@@ -0,0 +1,88 @@
+import { ValidationError } from '../../utils/errors.js';
+import { formatBytes } from '../../utils/response-optimizer.js';
+
+/**
+ * Handler for this server's own caches (cache_stats, cache_clear): the Metabase API
+ * response cache (CacheManager, utils/cache.js) and the sql_execute query result cache
+ * (utils/query-cache.js). Metabase's server-side cache is mb_cache_invalidate.
+ */
+export class CacheHandler {
+  /**
+   * @param {CacheManager} cache
+   * @param {QueryResultCache} queryCache
+   */
+  constructor(cache, queryCache) {
+    this.cache = cache;
+    this.queryCache = queryCache;
+  }
+
+  routes() {
+    return {
+      'cache_stats': () => this.handleStats(),
+      'cache_clear': (args) => this.handleClear(args),
+    };
+  }
+
+  async handleStats() {
+    const api = await this.cache.getStats();
+    const query = this.queryCache.getStats();
+
+    let output = `📦 **Cache statistics**\n\n`;
+    output += `**Metabase API cache** (${api.store} store)\n`;
+    output += `  Entries: ${api.size ?? 'unknown'}${api.maxSize ? ` of ${api.maxSize}` : ''} • Hit rate: ${api.hitRate}\n`;
+    output += `  Hits: ${api.hits} (${api.staleHits} stale) • Misses: ${api.misses} • Background refreshes: ${api.refreshes}\n`;
+    if (api.errors > 0) output += `  ⚠️ Store errors: ${api.errors} (treated as misses)\n`;
+    output += `\n**Query result cache** (${query.enabled ? 'on' : 'off unless the policy sets sql.cache_ttl_seconds'})\n`;
+    output += `  Entries: ${query.entries} • Size: ${formatBytes(query.bytes)} of ${formatBytes(query.max_bytes)}\n`;
+    output += `  Hits: ${query.hits} • Misses: ${query.misses} • Evictions: ${query.evictions} • Invalidated: ${query.invalidations}\n`;
+
+    return {
+      content: [{ type: 'text', text: output }],
+      structuredContent: { api, query_results: query },
+    };
+  }
+
+  /**
+   * Clear one key, a key prefix or everything in the API cache, and/or the query result cache
+   */
+  async handleClear(args) {
+    const target = args.target || 'all';
+    if (args.key && args.prefix) {
+      throw new ValidationError('Pass key or prefix, not both');
+    }
+    if ((args.key || args.prefix) && target === 'query_results') {
+      throw new ValidationError('key and prefix select API cache entries; use database_id for query results');
+    }
+    if (args.database_id !== undefined && target === 'api') {
+      throw new ValidationError('database_id selects query results; use key or prefix for the API cache');
+    }
+
+    const cleared = {};
+    if (target === 'api' || target === 'all') {
+      if (args.key) cleared.api = await this.cache.clear(args.key);
+      else if (args.prefix) cleared.api = await this.cache.clearByPattern(args.prefix);
+      else cleared.api = await this.cache.clearAll();
+    }
+    if (target === 'query_results' || target === 'all') {
+      if (args.database_id !== undefined) {
+        cleared.query_results = this.queryCache.invalidateDatabase(args.database_id);
+      } else {
+        cleared.query_results = this.queryCache.getStats().entries;
+        this.queryCache.clear();
+      }
+    }
+
+    const parts = [];
+    if (cleared.api !== undefined) {
+      parts.push(`${cleared.api} API cache entr${cleared.api === 1 ? 'y' : 'ies'}${args.key ? ` (key ${args.key})` : args.prefix ? ` (prefix ${args.prefix})` : ''}`);
+    }
+    if (cleared.query_results !== undefined) {
+      parts.push(`${cleared.query_results} query result(s)${args.database_id !== undefined ? ` of database ${args.database_id}` : ''}`);
+    }
+
+    return {
+      content: [{ type: 'text', text: `🧹 Cleared ${parts.join(' and ')}.` }],
+      structuredContent: { target, cleared },
+    };
+  }
+}
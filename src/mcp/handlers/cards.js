@@ -1,15 +1,25 @@
 import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 import { logger } from '../../utils/logger.js';
+import { NotFoundError, ValidationError } from '../../utils/errors.js';
+import { structuredError } from '../../utils/structured-response.js';
+import { NO_PROGRESS, cancelledNotice } from '../progress.js';
+import { describeMasking } from '../../utils/pii-masker.js';
+import { dashboardCards, cardType } from '../../metabase/compat.js';
 
 export class CardsHandler {
-  constructor(metabaseClient) {
+  /**
+   * @param {object} metabaseClient
+   * @param {PiiMasker} [piiMasker] - Masks PII in mb_card_data and mb_field_values
+   */
+  constructor(metabaseClient, piiMasker = null) {
     this.metabaseClient = metabaseClient;
+    this.piiMasker = piiMasker;
   }
 
   routes() {
     return {
       'mb_question_create': (args) => this.handleCreateQuestion(args),
-      'mb_questions': (args) => this.handleGetQuestions(args?.collection_id),
+      'mb_questions': (args) => this.handleGetQuestions(args),
       'mb_question_create_parametric': (args) => this.handleCreateParametricQuestion(args),
       'mb_card_get': (args) => this.handleCardGet(args),
       'mb_card_update': (args) => this.handleCardUpdate(args),
@@ -18,6 +28,66 @@ export class CardsHandler {
       'mb_card_data': (args) => this.handleCardData(args),
       'mb_card_copy': (args) => this.handleCardCopy(args),
       'mb_card_clone': (args) => this.handleCardClone(args),
+      'mb_dashboard_create': (args) => this.handleCreateDashboard(args),
+      'mb_dashboards': (args) => this.handleGetDashboards(args),
+      'mb_dashboard_template_executive': (args, progress) => this.handleCreateExecutiveDashboard(args, progress),
+      'mb_dashboard_add_card': (args) => this.handleAddCardToDashboard(args),
+      'mb_dashboard_get': (args) => this.handleDashboardGet(args),
+      'mb_dashboard_update': (args) => this.handleDashboardUpdate(args),
+      'mb_dashboard_delete': (args) => this.handleDashboardDelete(args),
+      'mb_dashboard_card_update': (args) => this.handleDashboardCardUpdate(args),
+      'mb_dashboard_card_remove': (args) => this.handleDashboardCardRemove(args),
+      'mb_dashboard_copy': (args, progress) => this.handleDashboardCopy(args, progress),
+      'mb_metric_create': (args) => this.handleCreateMetric(args),
+      'mb_dashboard_add_filter': (args) => this.handleAddDashboardFilter(args),
+      'mb_dashboard_layout_optimize': (args) => this.handleOptimizeDashboardLayout(args),
+      'mb_auto_describe': (args) => this.handleAutoDescribe(args),
+      'mb_visualization_settings': (args) => this.handleVisualizationSettings(args),
+      'mb_visualization_recommend': (args) => this.handleVisualizationRecommend(args),
+      'mb_field_metadata': (args) => this.handleFieldMetadata(args),
+      'mb_table_metadata': (args) => this.handleTableMetadata(args),
+      'mb_field_values': (args) => this.handleFieldValues(args),
+      'mb_embed_url_generate': (args) => this.handleEmbedUrlGenerate(args),
+      'mb_embed_settings': (args) => this.handleEmbedSettings(args),
+      'mb_search': (args) => this.handleSearch(args),
+      'mb_segment_create': (args) => this.handleSegmentCreate(args),
+      'mb_segment_list': (args) => this.handleSegmentList(args),
+      'mb_bookmark_create': (args) => this.handleBookmarkCreate(args),
+      'mb_bookmark_list': (args) => this.handleBookmarkList(args),
+      'mb_bookmark_delete': (args) => this.handleBookmarkDelete(args),
+      'db_sync_schema': (args) => this.handleDbSyncSchema(args),
+      'mb_cache_invalidate': (args) => this.handleCacheInvalidate(args),
+    };
+  }
+
+  /**
+   * What destructive tools would remove, shown before approval (see approvals.js)
+   */
+  previews() {
+    return {
+      'mb_card_delete': async ({ card_id }) => {
+        const card = await this.metabaseClient.request('GET', `/api/card/${card_id}`);
+        return {
+          summary: `Permanently delete card ${card_id}`,
+          objects: [{ type: 'card', id: card.id, name: card.name, detail: `collection ${card.collection_id ?? 'root'}` }],
+        };
+      },
+      'mb_dashboard_delete': async ({ dashboard_id }) => {
+        const dashboard = await this.metabaseClient.request('GET', `/api/dashboard/${dashboard_id}`);
+        const cards = dashboardCards(dashboard);
+        return {
+          summary: `Delete dashboard ${dashboard_id} (the cards on it are kept)`,
+          objects: [{ type: 'dashboard', id: dashboard.id, name: dashboard.name, detail: `${cards.length} card(s)` }],
+        };
+      },
+      'mb_dashboard_card_remove': async ({ dashboard_id, card_id }) => {
+        const dashboard = await this.metabaseClient.request('GET', `/api/dashboard/${dashboard_id}`);
+        const dashcard = dashboardCards(dashboard).find(c => c.id === card_id);
+        return {
+          summary: `Remove card ${card_id} from dashboard "${dashboard.name}"`,
+          objects: [{ type: 'dashboard_card', id: card_id, name: dashcard?.card?.name || '(not on this dashboard)' }],
+        };
+      },
     };
   }
 
@@ -40,8 +110,8 @@ export class CardsHandler {
     };
   }
 
-  async handleGetQuestions(args) {
-    const response = await this.metabaseClient.getQuestions(collectionId);
+  async handleGetQuestions(args = {}) {
+    const response = await this.metabaseClient.getQuestions(args.collection_id);
     const questions = response.data || response; // Handle both formats
 
     return {
@@ -80,9 +150,7 @@ export class CardsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error creating parametric question: ${error.message}` }],
-      };
+      return structuredError(error, 'Error creating parametric question');
     }
   }
 
@@ -99,7 +167,7 @@ export class CardsHandler {
             `  ID: ${card.id}\n` +
             `  Name: ${card.name}\n` +
             `  Description: ${card.description || 'None'}\n` +
-            `  Type: ${card.display}\n` +
+            `  Type: ${cardType(card)} (${card.display})\n` +
             `  Database: ${card.database_id}\n` +
             `  Collection: ${card.collection_id || 'Root'}\n` +
             `  Creator: ${card.creator?.email || 'Unknown'}\n` +
@@ -111,6 +179,7 @@ export class CardsHandler {
           id: card.id,
           name: card.name,
           description: card.description || null,
+          type: cardType(card),
           display: card.display,
           database_id: card.database_id,
           collection_id: card.collection_id || null,
@@ -120,7 +189,7 @@ export class CardsHandler {
         },
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Card get error: ${error.message}` }] };
+      return structuredError(error, 'Card get error');
     }
   }
 
@@ -137,7 +206,7 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Card update error: ${error.message}` }] };
+      return structuredError(error, 'Card update error');
     }
   }
 
@@ -154,7 +223,7 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Card delete error: ${error.message}` }] };
+      return structuredError(error, 'Card delete error');
     }
   }
 
@@ -171,7 +240,7 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Card archive error: ${error.message}` }] };
+      return structuredError(error, 'Card archive error');
     }
   }
 
@@ -190,14 +259,17 @@ export class CardsHandler {
 
       if (format === 'json') {
         const data = result.data || result;
-        const rows = data.rows || [];
         const cols = data.cols || [];
+        const { rows, masked } = this.piiMasker
+          ? this.piiMasker.maskRows(cols, data.rows || [])
+          : { rows: data.rows || [], masked: [] };
 
         return {
           content: [{
             type: 'text',
             text: `Card ${card_id} data (${rows.length} rows):\n` +
-              `Columns: ${cols.map(c => c.display_name || c.name).join(', ')}\n\n` +
+              `Columns: ${cols.map(c => c.display_name || c.name).join(', ')}\n` +
+              (masked.length > 0 ? `${describeMasking(masked)}\n` : '') + `\n` +
               `Sample (first 10 rows):\n${JSON.stringify(rows.slice(0, 10), null, 2)}`
           }]
         };
@@ -210,7 +282,7 @@ export class CardsHandler {
         };
       }
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Card data error: ${error.message}` }] };
+      return structuredError(error, 'Card data error');
     }
   }
 
@@ -240,7 +312,7 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Card copy error: ${error.message}` }] };
+      return structuredError(error, 'Card copy error');
     }
   }
 
@@ -286,7 +358,7 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Card clone error: ${error.message}` }] };
+      return structuredError(error, 'Card clone error');
     }
   }
 
@@ -326,24 +398,35 @@ export class CardsHandler {
   }
 
 
-  async handleCreateExecutiveDashboard(args) {
+  async handleCreateExecutiveDashboard(args, progress = NO_PROGRESS) {
     try {
       const { name, database_id, business_domain = 'general', time_period = 'last_30_days', collection_id, schema_name } = args;
+      // Analysis, table scan, dashboard, questions - then one step per card added
+      let totalSteps = 4;
 
       // Step 1: Analyze database schema to understand available data
       const schemas = await this.metabaseClient.getDatabaseSchemas(database_id);
       const targetSchema = schema_name || schemas.find(s => s.name && !['information_schema', 'pg_catalog'].includes(s.name))?.name;
 
       if (!targetSchema) {
-        throw new Error('No suitable schema found for analysis');
+        throw new NotFoundError('No suitable schema found for analysis');
       }
+      await progress.report(1, totalSteps, `Using schema ${targetSchema}`);
 
       // Step 2: Get tables and analyze structure
       const directClient = await this.getDirectClient(database_id);
       const tables = await directClient.exploreSchemaTablesDetailed(targetSchema, true, 10);
 
       if (tables.length === 0) {
-        throw new Error(`No tables found in schema '${targetSchema}'`);
+        throw new NotFoundError(`No tables found in schema '${targetSchema}'`);
+      }
+      await progress.report(2, totalSteps, `Analyzed ${tables.length} tables`);
+
+      // Nothing has been created yet, so cancelling here leaves no partial dashboard
+      if (progress.cancelled) {
+        return {
+          content: [{ type: 'text', text: `⏹️ Executive dashboard cancelled before anything was created.` }],
+        };
       }
 
       // Step 3: Create dashboard
@@ -352,9 +435,12 @@ export class CardsHandler {
         description: `Executive dashboard for ${business_domain} - Auto-generated with AI analysis`,
         collection_id: collection_id
       });
+      await progress.report(3, totalSteps, `Created dashboard ${dashboard.id}`);
 
       // Step 4: Generate executive questions based on business domain
       const executiveQuestions = await this.generateExecutiveQuestions(database_id, targetSchema, tables, business_domain, time_period);
+      totalSteps += executiveQuestions.length;
+      await progress.report(4, totalSteps, `Created ${executiveQuestions.length} questions`);
 
       let output = `✅ Executive Dashboard Created Successfully!\\n\\n`;
       output += `📊 Dashboard: ${name} (ID: ${dashboard.id})\\n`;
@@ -362,7 +448,16 @@ export class CardsHandler {
       output += `📈 Generated ${executiveQuestions.length} executive questions:\\n`;
 
       // Step 5: Add questions to dashboard with proper layout
+      let added = 0;
       for (let i = 0; i < executiveQuestions.length; i++) {
+        if (progress.cancelled) {
+          logger.info(`Executive dashboard ${dashboard.id} cancelled after adding ${added}/${executiveQuestions.length} cards`);
+          output += cancelledNotice(4 + added, totalSteps);
+          return {
+            content: [{ type: 'text', text: output }],
+          };
+        }
+
         const question = executiveQuestions[i];
         output += `- ${question.name}\\n`;
 
@@ -375,6 +470,9 @@ export class CardsHandler {
         } catch (error) {
           output += `  ⚠️ Warning: Could not add to dashboard: ${error.message}\\n`;
         }
+
+        added++;
+        await progress.report(4 + added, totalSteps, `Added "${question.name}" to dashboard`);
       }
 
       output += `\\n🎯 Executive Dashboard Features:\\n`;
@@ -388,9 +486,7 @@ export class CardsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error creating executive dashboard: ${error.message}` }],
-      };
+      return structuredError(error, 'Error creating executive dashboard');
     }
   }
 
@@ -415,9 +511,7 @@ export class CardsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error creating parametric question: ${error.message}` }],
-      };
+      return structuredError(error, 'Error creating parametric question');
     }
   }
 
@@ -462,8 +556,8 @@ export class CardsHandler {
       // VERIFICATION: Check if card was actually added
       try {
         const dashboard = await this.metabaseClient.getDashboard(args.dashboard_id);
-        const cardExists = dashboard.ordered_cards?.some(c => c.card_id === args.question_id);
-        const cardCount = dashboard.ordered_cards?.length || 0;
+        const cardExists = dashboard.dashcards.some(c => c.card_id === args.question_id);
+        const cardCount = dashboard.dashcards.length;
 
         if (cardExists) {
           return {
@@ -498,9 +592,7 @@ export class CardsHandler {
       }
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Card addition error: ${error.message}` }],
-      };
+      return structuredError(error, 'Card addition error');
     }
   }
 
@@ -511,9 +603,9 @@ export class CardsHandler {
     const { dashboard_id } = args;
 
     try {
-      const dashboard = await this.metabaseClient.request('GET', `/api/dashboard/${dashboard_id}`);
+      const dashboard = await this.metabaseClient.getDashboard(dashboard_id);
 
-      const cards = dashboard.dashcards || dashboard.ordered_cards || [];
+      const cards = dashboard.dashcards;
       return {
         content: [{
           type: 'text',
@@ -538,7 +630,7 @@ export class CardsHandler {
         },
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Dashboard get error: ${error.message}` }] };
+      return structuredError(error, 'Dashboard get error');
     }
   }
 
@@ -556,7 +648,7 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Dashboard update error: ${error.message}` }] };
+      return structuredError(error, 'Dashboard update error');
     }
   }
 
@@ -574,7 +666,7 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Dashboard delete error: ${error.message}` }] };
+      return structuredError(error, 'Dashboard delete error');
     }
   }
 
@@ -584,26 +676,22 @@ export class CardsHandler {
 
     try {
       // Get current dashboard
-      const dashboard = await this.metabaseClient.request('GET', `/api/dashboard/${dashboard_id}`);
-      const cards = dashboard.dashcards || dashboard.ordered_cards || [];
+      const dashboard = await this.metabaseClient.getDashboard(dashboard_id);
 
       // Find and update the card
-      const cardToUpdate = cards.find(c => c.id === card_id);
+      const cardToUpdate = dashboard.dashcards.find(c => c.id === card_id);
       if (!cardToUpdate) {
-        return { content: [{ type: 'text', text: `❌ Card ${card_id} not found on dashboard ${dashboard_id}` }] };
+        throw new NotFoundError(`Card ${card_id} not found on dashboard ${dashboard_id}`);
       }
 
-      const updatedCard = {
+      // Saved through PUT /api/dashboard/:id/cards before 0.47, PUT /api/dashboard/:id after
+      await this.metabaseClient.updateDashboardCards(dashboard_id, [{
         ...cardToUpdate,
         ...(row !== undefined && { row }),
         ...(col !== undefined && { col }),
         ...(size_x !== undefined && { size_x }),
         ...(size_y !== undefined && { size_y })
-      };
-
-      await this.metabaseClient.request('PUT', `/api/dashboard/${dashboard_id}/cards`, {
-        cards: cards.map(c => c.id === card_id ? updatedCard : c)
-      });
+      }]);
 
       return {
         content: [{
@@ -612,7 +700,7 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Dashboard card update error: ${error.message}` }] };
+      return structuredError(error, 'Dashboard card update error');
     }
   }
 
@@ -621,9 +709,7 @@ export class CardsHandler {
     const { dashboard_id, card_id } = args;
 
     try {
-      await this.metabaseClient.request('DELETE', `/api/dashboard/${dashboard_id}/cards`, {
-        dashcardId: card_id
-      });
+      await this.metabaseClient.removeDashboardCard(dashboard_id, card_id);
 
       return {
         content: [{
@@ -632,17 +718,17 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Dashboard card remove error: ${error.message}` }] };
+      return structuredError(error, 'Dashboard card remove error');
     }
   }
 
 
-  async handleDashboardCopy(args) {
+  async handleDashboardCopy(args, progress = NO_PROGRESS) {
     const { dashboard_id, collection_id, new_name, deep_copy = true } = args;
 
     try {
       // Get source dashboard
-      const sourceDashboard = await this.metabaseClient.request('GET', `/api/dashboard/${dashboard_id}`);
+      const sourceDashboard = await this.metabaseClient.getDashboard(dashboard_id);
 
       // Create new dashboard
       const newDashboard = await this.metabaseClient.request('POST', '/api/dashboard', {
@@ -653,10 +739,20 @@ export class CardsHandler {
       });
 
       // Copy cards
-      const sourceCards = sourceDashboard.dashcards || sourceDashboard.ordered_cards || [];
+      const sourceCards = sourceDashboard.dashcards;
       const cardIdMap = {};
+      const totalSteps = sourceCards.length + 1;
+      let copied = 0;
+      let cancelled = false;
+
+      await progress.report(1, totalSteps, `Created dashboard ${newDashboard.id}`);
 
       for (const dashcard of sourceCards) {
+        if (progress.cancelled) {
+          cancelled = true;
+          break;
+        }
+
         let cardId = dashcard.card_id;
 
         // If deep copy, copy the actual card first
@@ -675,32 +771,58 @@ export class CardsHandler {
 
         // Add card to new dashboard
         if (cardId) {
-          await this.metabaseClient.request('POST', `/api/dashboard/${newDashboard.id}/cards`, {
-            cardId: cardId,
+          await this.metabaseClient.addCardsToDashboard(newDashboard.id, [{
+            card_id: cardId,
             row: dashcard.row,
             col: dashcard.col,
             size_x: dashcard.size_x,
             size_y: dashcard.size_y,
-            parameter_mappings: dashcard.parameter_mappings
-          });
+            parameter_mappings: dashcard.parameter_mappings,
+            visualization_settings: dashcard.visualization_settings
+          }]);
         }
+
+        copied++;
+        await progress.report(copied + 1, totalSteps, `Copied card ${copied} of ${sourceCards.length}`);
+      }
+
+      let text = `✅ Dashboard copied:\n  New Dashboard ID: ${newDashboard.id}\n  Name: ${newDashboard.name}\n  Cards copied: ${copied}`;
+      if (cancelled) {
+        logger.info(`Dashboard copy ${dashboard_id} cancelled after ${copied + 1}/${totalSteps} steps`);
+        text += cancelledNotice(copied + 1, totalSteps);
       }
 
       return {
         content: [{
           type: 'text',
-          text: `✅ Dashboard copied:\n  New Dashboard ID: ${newDashboard.id}\n  Name: ${newDashboard.name}\n  Cards copied: ${sourceCards.length}`
+          text
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Dashboard copy error: ${error.message}` }] };
+      return structuredError(error, 'Dashboard copy error');
     }
   }
 
 
   async handleCreateMetric(args) {
     try {
-      const metric = await this.metabaseClient.createMetric(args);
+      // MBQL definition; the client saves it as a legacy metric or, from 0.50, a metric card
+      const field = (id) => ['field', id, null];
+      const { type, field_id } = args.aggregation;
+      const filters = (args.filters || []).map(({ field_id: id, operator, value }) =>
+        (operator === 'is-null' || operator === 'not-null') ? [operator, field(id)] : [operator, field(id), value]);
+      const definition = {
+        'source-table': args.table_id,
+        aggregation: type === 'count' && !field_id ? ['count'] : [type, field(field_id)],
+        ...(filters.length > 0 && { filter: filters.length === 1 ? filters[0] : ['and', ...filters] }),
+      };
+
+      const metric = await this.metabaseClient.createMetric({
+        name: args.name,
+        description: args.description,
+        table_id: args.table_id,
+        definition,
+      });
 
       return {
         content: [{
@@ -710,9 +832,7 @@ export class CardsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error creating metric: ${error.message}` }],
-      };
+      return structuredError(error, 'Error creating metric');
     }
   }
 
@@ -729,9 +849,7 @@ export class CardsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error adding dashboard filter: ${error.message}` }],
-      };
+      return structuredError(error, 'Error adding dashboard filter');
     }
   }
 
@@ -748,9 +866,7 @@ export class CardsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error optimizing dashboard layout: ${error.message}` }],
-      };
+      return structuredError(error, 'Error optimizing dashboard layout');
     }
   }
 
@@ -838,9 +954,7 @@ export class CardsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error generating AI descriptions: ${error.message}` }]
-      };
+      return structuredError(error, 'Error generating AI descriptions');
     }
   }
 
@@ -885,9 +999,7 @@ export class CardsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Visualization settings error: ${error.message}` }]
-      };
+      return structuredError(error, 'Visualization settings error');
     }
   }
 
@@ -973,9 +1085,7 @@ export class CardsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Visualization recommendation failed: ${error.message}` }]
-      };
+      return structuredError(error, 'Visualization recommendation failed');
     }
   }
 
@@ -1029,9 +1139,7 @@ export class CardsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Field metadata error: ${error.message}` }]
-      };
+      return structuredError(error, 'Field metadata error');
     }
   }
 
@@ -1079,20 +1187,37 @@ export class CardsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Table metadata error: ${error.message}` }]
-      };
+      return structuredError(error, 'Table metadata error');
     }
   }
 
 
+  /**
+   * Mask PII in a field's values in place. Values are [value] or [value, display value];
+   * both are judged by the field's metadata (name, semantic type) and by the values themselves.
+   * @returns {Promise<Array<object>>} Masked columns (see PiiMasker.maskRows)
+   */
+  async maskFieldValues(fieldId, values) {
+    if (!this.piiMasker?.enabled || !values?.values?.length) return [];
+
+    const field = await this.metabaseClient.request('GET', `/api/field/${fieldId}`);
+    const column = { name: field.name, semantic_type: field.semantic_type };
+    const rows = values.values.map(v => (Array.isArray(v) ? v : [v]));
+    const { rows: maskedRows, masked } = this.piiMasker.maskRows([column, column], rows, { table: field.table?.name });
+
+    values.values = values.values.map((v, i) => (Array.isArray(v) ? maskedRows[i] : maskedRows[i][0]));
+    return masked.filter((m, i) => masked.findIndex(other => other.column === m.column) === i);
+  }
+
   async handleFieldValues(args) {
     try {
       const fieldId = args.field_id;
 
       const values = await this.metabaseClient.request('GET', `/api/field/${fieldId}/values`);
+      const masked = await this.maskFieldValues(fieldId, values);
 
       let output = `📋 **Field Values (ID: ${fieldId})**\\n\\n`;
+      if (masked.length > 0) output += `${describeMasking(masked)}\\n\\n`;
 
       if (values.values && values.values.length > 0) {
         const displayValues = values.values.slice(0, 20);
@@ -1113,9 +1238,7 @@ export class CardsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Field values error: ${error.message}` }]
-      };
+      return structuredError(error, 'Field values error');
     }
   }
 
@@ -1182,9 +1305,7 @@ export class CardsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Embed URL generation failed: ${error.message}` }]
-      };
+      return structuredError(error, 'Embed URL generation failed');
     }
   }
 
@@ -1211,9 +1332,7 @@ export class CardsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Embed settings error: ${error.message}` }]
-      };
+      return structuredError(error, 'Embed settings error');
     }
   }
 
@@ -1261,7 +1380,7 @@ export class CardsHandler {
         },
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Search error: ${error.message}` }] };
+      return structuredError(error, 'Search error');
     }
   }
 
@@ -1286,7 +1405,7 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Segment create error: ${error.message}` }] };
+      return structuredError(error, 'Segment create error');
     }
   }
 
@@ -1310,7 +1429,7 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Segment list error: ${error.message}` }] };
+      return structuredError(error, 'Segment list error');
     }
   }
 
@@ -1330,7 +1449,7 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Bookmark create error: ${error.message}` }] };
+      return structuredError(error, 'Bookmark create error');
     }
   }
 
@@ -1348,7 +1467,7 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Bookmark list error: ${error.message}` }] };
+      return structuredError(error, 'Bookmark list error');
     }
   }
 
@@ -1366,7 +1485,7 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Bookmark delete error: ${error.message}` }] };
+      return structuredError(error, 'Bookmark delete error');
     }
   }
 
@@ -1386,7 +1505,7 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Schema sync error: ${error.message}` }] };
+      return structuredError(error, 'Schema sync error');
     }
   }
 
@@ -1416,15 +1535,10 @@ export class CardsHandler {
           }]
         };
       } else {
-        return {
-          content: [{
-            type: 'text',
-            text: `❌ Please specify either database_id or card_id`
-          }]
-        };
+        throw new ValidationError('Please specify either database_id or card_id');
       }
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Cache invalidate error: ${error.message}` }] };
+      return structuredError(error, 'Cache invalidate error');
     }
   }
 
@@ -1475,7 +1589,7 @@ export class CardsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Collection copy error: ${error.message}` }] };
+      return structuredError(error, 'Collection copy error');
     }
   }
 
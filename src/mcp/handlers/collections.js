@@ -1,9 +1,13 @@
 import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 import { logger } from '../../utils/logger.js';
+import { PermissionError, NotFoundError, ValidationError } from '../../utils/errors.js';
+import { structuredError } from '../../utils/structured-response.js';
+import { NO_PROGRESS, cancelledNotice } from '../progress.js';
 
 export class CollectionsHandler {
-  constructor(metabaseClient) {
+  constructor(metabaseClient, cardsHandler) {
     this.metabaseClient = metabaseClient;
+    this.cardsHandler = cardsHandler || null; // card/dashboard copy helpers
   }
 
   routes() {
@@ -11,7 +15,7 @@ export class CollectionsHandler {
       'mb_collection_create': (args) => this.handleCollectionCreate(args),
       'mb_collection_list': (args) => this.handleCollectionList(args),
       'mb_collection_move': (args) => this.handleCollectionMove(args),
-      'mb_collection_copy': (args) => this.handleCollectionCopy(args),
+      'mb_collection_copy': (args, progress) => this.handleCollectionCopy(args, progress),
       'mb_collection_permissions_get': (args) => this.handleCollectionPermissionsGet(args),
       'mb_collection_permissions_update': (args) => this.handleCollectionPermissionsUpdate(args),
     };
@@ -19,8 +23,6 @@ export class CollectionsHandler {
 
   async handleCollectionCreate(args) {
     try {
-      await this.ensureInitialized();
-
       const collectionData = {
         name: args.name,
         description: args.description || '',
@@ -44,26 +46,21 @@ export class CollectionsHandler {
 
     } catch (error) {
       // Better error messages for common issues
-      let userMessage = error.message;
-
-      if (error.message.includes('already exists') || error.response?.status === 409) {
-        userMessage = `Collection already exists with this name: "${args.name}"`;
-      } else if (error.message.includes('permission') || error.response?.status === 403) {
-        userMessage = `Permission denied. Contact admin for collection creation access.`;
-      } else if (error.message.includes('parent') || (error.message.includes('not found') && args.parent_id)) {
-        userMessage = `Parent collection not found: ID ${args.parent_id}`;
+      let hint;
+      if (error.status === 409) {
+        hint = `A collection named "${args.name}" already exists.`;
+      } else if (error instanceof PermissionError) {
+        hint = 'Contact an admin for collection creation access.';
+      } else if (error instanceof NotFoundError && args.parent_id) {
+        hint = `Parent collection ${args.parent_id} was not found.`;
       }
 
-      return {
-        content: [{ type: 'text', text: `❌ Collection creation failed: ${userMessage}` }]
-      };
+      return structuredError(error, 'Collection creation failed', hint);
     }
   }
 
   async handleCollectionList(args) {
     try {
-      await this.ensureInitialized();
-
       let endpoint = '/api/collection';
       if (args.parent_id) {
         endpoint = `/api/collection/${args.parent_id}/items`;
@@ -90,16 +87,12 @@ export class CollectionsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Collection list failed: ${error.message}` }]
-      };
+      return structuredError(error, 'Collection list failed');
     }
   }
 
   async handleCollectionMove(args) {
     try {
-      await this.ensureInitialized();
-
       let endpoint;
       const updateData = { collection_id: args.target_collection_id };
 
@@ -116,7 +109,7 @@ export class CollectionsHandler {
           delete updateData.collection_id;
           break;
         default:
-          throw new Error(`Unknown item type: ${args.item_type}`);
+          throw new ValidationError(`Unknown item type: ${args.item_type}`);
       }
 
       await this.metabaseClient.request('PUT', endpoint, updateData);
@@ -132,18 +125,15 @@ export class CollectionsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Move failed: ${error.message}` }]
-      };
+      return structuredError(error, 'Move failed');
     }
   }
 
   async handleCollectionPermissionsGet(args) {
-    await this.ensureInitialized();
     const { collection_id } = args;
 
     try {
-      const graph = await this.metabaseClient.request('GET', '/api/collection/graph');
+      const graph = await this.metabaseClient.getCollectionGraph();
       const collectionPerms = graph.groups;
 
       const permissions = [];
@@ -163,26 +153,16 @@ export class CollectionsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Collection permissions get error: ${error.message}` }] };
+      return structuredError(error, 'Collection permissions get error');
     }
   }
 
   async handleCollectionPermissionsUpdate(args) {
-    await this.ensureInitialized();
     const { collection_id, group_id, permission } = args;
 
     try {
-      // Get current graph
-      const graph = await this.metabaseClient.request('GET', '/api/collection/graph');
-
-      // Update the permission
-      if (!graph.groups[group_id]) {
-        graph.groups[group_id] = {};
-      }
-      graph.groups[group_id][collection_id] = permission;
-
-      // Save the updated graph
-      await this.metabaseClient.request('PUT', '/api/collection/graph', graph);
+      // Sends the whole graph, or from 0.50 only this group's change
+      await this.metabaseClient.setCollectionPermission(group_id, collection_id, permission);
 
       return {
         content: [{
@@ -191,12 +171,11 @@ export class CollectionsHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Collection permissions update error: ${error.message}` }] };
+      return structuredError(error, 'Collection permissions update error');
     }
   }
 
-  async handleCollectionCopy(args) {
-    await this.ensureInitialized();
+  async handleCollectionCopy(args, progress = NO_PROGRESS) {
     const { collection_id, destination_id, new_name } = args;
 
     try {
@@ -212,37 +191,65 @@ export class CollectionsHandler {
 
       // Get items in source collection
       const items = await this.metabaseClient.request('GET', `/api/collection/${collection_id}/items`);
-      const allItems = items.data || items;
+      const allItems = (items.data || items).filter(item => item.model === 'card' || item.model === 'dashboard');
+      const totalSteps = allItems.length + 1;
+
+      await progress.report(1, totalSteps, `Created collection ${newCollection.id}`);
 
       let copiedCards = 0;
       let copiedDashboards = 0;
+      let cancelled = false;
+      const failed = [];
+
+      // Copy each item; the copy handlers report failures as isError results rather than throwing
+      for (const [index, item] of allItems.entries()) {
+        if (progress.cancelled) {
+          cancelled = true;
+          break;
+        }
 
-      // Copy each item
-      for (const item of allItems) {
-        if (item.model === 'card') {
-          await this.handleCardCopy({
+        const result = item.model === 'card'
+          ? await this.cardsHandler.handleCardCopy({
             card_id: item.id,
             collection_id: newCollection.id
-          });
-          copiedCards++;
-        } else if (item.model === 'dashboard') {
-          await this.handleDashboardCopy({
+          })
+          : await this.cardsHandler.handleDashboardCopy({
             dashboard_id: item.id,
             collection_id: newCollection.id,
             deep_copy: false // Don't deep copy cards as they're already being copied
           });
-          copiedDashboards++;
+
+        if (result.isError) {
+          const reason = result._meta?.error?.message || result.content?.[0]?.text || 'unknown error';
+          logger.warn(`Collection copy ${collection_id}: failed to copy ${item.model} ${item.id}: ${reason}`);
+          failed.push(`${item.model} ${item.id} "${item.name}": ${reason}`);
+          await progress.report(index + 2, totalSteps, `Failed to copy ${item.model} "${item.name}"`);
+          continue;
         }
+
+        if (item.model === 'card') copiedCards++;
+        else copiedDashboards++;
+        await progress.report(index + 2, totalSteps, `Copied ${item.model} "${item.name}"`);
+      }
+
+      let text = `${failed.length ? '⚠️ Collection copied with failures' : '✅ Collection copied'}:\n  New Collection ID: ${newCollection.id}\n  Name: ${newCollection.name}\n  Cards copied: ${copiedCards}\n  Dashboards copied: ${copiedDashboards}`;
+      if (failed.length) {
+        text += `\n  Failed (${failed.length}):\n${failed.map(f => `    - ${f}`).join('\n')}`;
+      }
+      if (cancelled) {
+        const done = copiedCards + copiedDashboards + failed.length + 1;
+        logger.info(`Collection copy ${collection_id} cancelled after ${done}/${totalSteps} steps`);
+        text += cancelledNotice(done, totalSteps);
       }
 
       return {
         content: [{
           type: 'text',
-          text: `✅ Collection copied:\n  New Collection ID: ${newCollection.id}\n  Name: ${newCollection.name}\n  Cards copied: ${copiedCards}\n  Dashboards copied: ${copiedDashboards}`
+          text
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Collection copy error: ${error.message}` }] };
+      return structuredError(error, 'Collection copy error');
     }
   }
 }
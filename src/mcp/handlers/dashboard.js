@@ -127,7 +127,7 @@ export async function handleOptimizeDashboardLayout(args, context) {
     const { metabaseClient } = context;
 
     const dashboard = await metabaseClient.getDashboard(args.dashboard_id);
-    const cards = dashboard.ordered_cards || [];
+    const cards = dashboard.dashcards;
 
     const layoutStyle = args.layout_style || 'executive';
     const gridWidth = args.grid_width || 12;
@@ -141,15 +141,13 @@ export async function handleOptimizeDashboardLayout(args, context) {
             ...card,
             row,
             col,
-            sizeX: 6,
-            sizeY: 4
+            size_x: 6,
+            size_y: 4
         };
     });
 
     // Update dashboard
-    await metabaseClient.updateDashboard(args.dashboard_id, {
-        ordered_cards: optimizedCards
-    });
+    await metabaseClient.updateDashboardCards(args.dashboard_id, optimizedCards);
 
     return {
         content: [
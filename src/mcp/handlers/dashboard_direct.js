@@ -1,4 +1,4 @@
-import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { structuredError } from '../../utils/structured-response.js';
 import { logger } from '../../utils/logger.js';
 import { config } from '../../utils/config.js';
 import { sanitizeNumber, sanitizeString, sanitizeJson } from '../../utils/sql-sanitizer.js';
@@ -13,6 +13,15 @@ export class DashboardDirectHandler {
         this.metadataHandler = metadataHandler;
     }
 
+    routes() {
+        return {
+            'mb_dashboard_add_card_sql': (args) => this.handleAddCardSql(args),
+            'mb_dashboard_update_layout': (args) => this.handleUpdateLayoutSql(args),
+            'mb_create_parametric_question': (args) => this.handleCreateParametricQuestionSql(args),
+            'mb_link_dashboard_filter': (args) => this.handleLinkDashboardFilter(args),
+        };
+    }
+
     /**
      * Add Cards to Dashboard via SQL (Batch/Loop Insert)
      * Resolves positioning issues and timeouts found in API
@@ -227,7 +236,7 @@ export class DashboardDirectHandler {
             };
         } catch (error) {
             logger.error(`Failed to create parametric question: ${error.message}`);
-            throw new McpError(ErrorCode.InternalError, `Failed to create question via SQL: ${error.message}`);
+            return structuredError(error, 'Failed to create question via SQL');
         }
     }
 
@@ -286,7 +295,7 @@ export class DashboardDirectHandler {
             };
         } catch (error) {
             logger.error(`Failed to link filters: ${error.message}`);
-            throw new McpError(ErrorCode.InternalError, `Link Filter SQL Failed: ${error.message}`);
+            return structuredError(error, 'Link filter SQL failed');
         }
     }
 }
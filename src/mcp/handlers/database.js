@@ -5,6 +5,7 @@
 
 import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 import { logger } from '../../utils/logger.js';
+import { classifySQL, firstWrite } from '../../utils/sql-classifier.js';
 
 /**
  * Check if read-only mode is enabled
@@ -15,14 +16,13 @@ export function isReadOnlyMode() {
 }
 
 /**
- * Check if SQL contains write operations
+ * Check if SQL contains write operations (see utils/sql-classifier.js)
  * @param {string} sql - SQL query to check
- * @returns {string|null} - Matched operation or null
+ * @param {string} [dialect] - 'postgres' or 'mysql'; both are checked when omitted
+ * @returns {string|null} - First non-read operation or null
  */
-export function detectWriteOperation(sql) {
-    const writePattern = /\b(INSERT|UPDATE|DELETE|DROP|TRUNCATE|ALTER|CREATE|GRANT|REVOKE|EXEC|EXECUTE)\b/i;
-    const match = sql.match(writePattern);
-    return match ? match[0].toUpperCase() : null;
+export function detectWriteOperation(sql, dialect) {
+    return firstWrite(classifySQL(sql, { dialect }))?.operation ?? null;
 }
 
 /**
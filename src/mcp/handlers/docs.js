@@ -1,5 +1,6 @@
 import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 import { logger } from '../../utils/logger.js';
+import { structuredError } from '../../utils/structured-response.js';
 import axios from 'axios';
 
 export class DocsHandler {
@@ -59,9 +60,7 @@ export class DocsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error fetching Metabase documentation: ${error.message}` }],
-      };
+      return structuredError(error, 'Error fetching Metabase documentation');
     }
   }
 
@@ -164,9 +163,7 @@ export class DocsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error exploring Metabase documentation: ${error.message}` }],
-      };
+      return structuredError(error, 'Error exploring Metabase documentation');
     }
   }
 
@@ -254,9 +251,7 @@ export class DocsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error searching Metabase documentation: ${error.message}` }],
-      };
+      return structuredError(error, 'Error searching Metabase documentation');
     }
   }
 
@@ -391,9 +386,7 @@ export class DocsHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error getting API reference: ${error.message}` }],
-      };
+      return structuredError(error, 'Error getting API reference');
     }
   }
 }
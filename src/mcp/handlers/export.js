@@ -0,0 +1,162 @@
+import path from 'path';
+import { PermissionError, ValidationError } from '../../utils/errors.js';
+import { classifySQL, dialectForEngine, firstWrite } from '../../utils/sql-classifier.js';
+import { describeMasking } from '../../utils/pii-masker.js';
+import { METABASE_EXPORT_FORMATS } from '../../utils/result-export.js';
+import { formatBytes } from '../../utils/response-optimizer.js';
+import { NO_PROGRESS } from '../progress.js';
+
+const DEFAULT_TIMEOUT_SECONDS = 300;
+const MAX_TIMEOUT_SECONDS = 1800;
+
+/**
+ * Handler for result exports to files (sql_export, mb_card_export)
+ */
+export class ExportHandler {
+  /**
+   * @param {object} metabaseClient
+   * @param {ResultExporter} exporter - Writes files under the exports directory
+   * @param {PiiMasker} [piiMasker] - Exported rows are masked like query results
+   */
+  constructor(metabaseClient, exporter, piiMasker = null) {
+    this.metabaseClient = metabaseClient;
+    this.exporter = exporter;
+    this.piiMasker = piiMasker;
+  }
+
+  routes() {
+    return {
+      'sql_export': (args, progress) => this.handleSqlExport(args, progress),
+      'mb_card_export': (args, progress) => this.handleCardExport(args, progress),
+    };
+  }
+
+  /**
+   * Run a read query and write the full result (up to MCP_EXPORT_MAX_ROWS) to a file
+   */
+  async handleSqlExport(args, progress = NO_PROGRESS) {
+    const databaseId = args.database_id;
+    const format = args.format || 'csv';
+    this.exporter.checkFormat(format, args.gzip === true);
+
+    const dialect = dialectForEngine((await this.metabaseClient.getDatabase(databaseId))?.engine);
+    const write = firstWrite(classifySQL(args.sql, { dialect }));
+    if (write) {
+      throw new ValidationError(`sql_export only runs read queries; this is a ${write.type.toUpperCase()} statement (${write.operation})`, { code: 'write_not_allowed' });
+    }
+
+    const result = await this.metabaseClient.runQueryForExport(
+      { database: databaseId, type: 'native', native: { query: args.sql } },
+      this.exporter.maxRows,
+      timeoutMs(args.timeout_seconds)
+    );
+
+    return this.exportResult(result, { ...args, format }, args.file_name || `query-db${databaseId}`, { database_id: databaseId }, progress);
+  }
+
+  /**
+   * Export a card's result. `source: query` runs the card's query with the export row cap and
+   * writes any of the four formats; `source: metabase` saves Metabase's own csv / json / xlsx export.
+   */
+  async handleCardExport(args, progress = NO_PROGRESS) {
+    const cardId = args.card_id;
+    const source = args.source || 'query';
+    const format = args.format || 'csv';
+    const gzip = args.gzip === true;
+    const name = args.file_name || `card-${cardId}`;
+
+    if (source === 'metabase') {
+      this.exporter.checkFormat(format, gzip, METABASE_EXPORT_FORMATS);
+      if (this.piiMasker?.enabled) {
+        throw new PermissionError('PII masking is on and Metabase export files cannot be masked; use source "query" instead', { code: 'pii_unmasked_export' });
+      }
+
+      await progress.report(0, 1, `Downloading card ${cardId} as ${format} from Metabase`);
+      const stream = await this.metabaseClient.downloadCardResult(cardId, format, args.parameters || [], timeoutMs(args.timeout_seconds));
+      const file = await this.exporter.writeStream(stream, { format, gzip, name });
+      await progress.report(1, 1, `Saved ${file.row_count} rows`);
+
+      return this.formatExport(file, { card_id: cardId, source }, []);
+    }
+
+    this.exporter.checkFormat(format, gzip);
+    const card = await this.metabaseClient.request('GET', `/api/card/${cardId}`);
+    if (!card?.dataset_query) {
+      throw new ValidationError(`Card ${cardId} has no query to export`);
+    }
+
+    const result = await this.metabaseClient.runQueryForExport(
+      { ...card.dataset_query, parameters: args.parameters || [] },
+      this.exporter.maxRows,
+      timeoutMs(args.timeout_seconds)
+    );
+
+    return this.exportResult(result, { ...args, format }, name, { card_id: cardId, source }, progress);
+  }
+
+  /**
+   * Mask and write a /api/dataset result
+   */
+  async exportResult(result, args, name, context, progress) {
+    const columns = result.data?.cols || [];
+    const { rows, masked } = this.piiMasker
+      ? this.piiMasker.maskRows(columns, result.data?.rows || [])
+      : { rows: result.data?.rows || [], masked: [] };
+
+    // Masked values are text now, whatever the column held before
+    const maskedNames = new Set(masked.map(m => m.column));
+    const exportColumns = columns.map(c => maskedNames.has(c.name) ? { ...c, base_type: 'type/Text', effective_type: 'type/Text' } : c);
+
+    const file = await this.exporter.write({
+      columns: exportColumns,
+      rows,
+      format: args.format,
+      gzip: args.gzip === true,
+      name,
+      onProgress: (done, total) => progress.report(done, total, `Wrote ${done} of ${total} rows`),
+      isCancelled: () => progress.cancelled,
+    });
+
+    if (file.cancelled) {
+      return {
+        content: [{ type: 'text', text: `⏹️ Export cancelled by client after ${file.row_count} of ${rows.length} rows; the partial file was removed.` }],
+      };
+    }
+
+    const truncated = rows.length >= this.exporter.maxRows;
+    return this.formatExport(file, { ...context, truncated, columns: columns.length }, masked);
+  }
+
+  formatExport(file, context, masked) {
+    let output = `📦 **Export written**\n`;
+    output += `📄 Path: \`${file.path}\`\n`;
+    output += `📊 ${file.row_count} rows${context.columns !== undefined ? `, ${context.columns} columns` : ''} • ${file.format}${file.gzip ? ' (gzip)' : ''} • ${formatBytes(file.bytes)}\n`;
+    output += `🔑 SHA-256: \`${file.sha256}\`\n`;
+    if (context.source === 'metabase') output += `🗂️ Source: Metabase export (/api/card/${context.card_id}/query/${file.format})\n`;
+    if (masked.length > 0) output += `${describeMasking(masked)}\n`;
+    if (context.truncated) {
+      output += `⚠️ Row cap reached (${this.exporter.maxRows}, MCP_EXPORT_MAX_ROWS); the export may be incomplete.\n`;
+    }
+
+    return {
+      content: [{ type: 'text', text: output }],
+      structuredContent: {
+        path: file.path,
+        file_name: path.basename(file.path),
+        format: file.format,
+        gzip: file.gzip,
+        row_count: file.row_count,
+        bytes: file.bytes,
+        sha256: file.sha256,
+        ...(context.database_id !== undefined && { database_id: context.database_id }),
+        ...(context.card_id !== undefined && { card_id: context.card_id, source: context.source }),
+        ...(context.truncated && { truncated: true }),
+        ...(masked.length > 0 && { masked_columns: masked }),
+      },
+    };
+  }
+}
+
+function timeoutMs(seconds) {
+  return Math.min(seconds || DEFAULT_TIMEOUT_SECONDS, MAX_TIMEOUT_SECONDS) * 1000;
+}
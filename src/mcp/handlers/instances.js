@@ -0,0 +1,40 @@
+/**
+ * Handler for Metabase connection profiles (mb_instances). Profiles and clients live in the
+ * InstanceRegistry (../instances.js); every other tool picks one with its `instance` argument.
+ */
+export class InstancesHandler {
+  /**
+   * @param {InstanceRegistry} registry
+   */
+  constructor(registry) {
+    this.registry = registry;
+  }
+
+  routes() {
+    return {
+      'mb_instances': () => this.handleList(),
+    };
+  }
+
+  /**
+   * Every profile with a live login and version check, run in parallel
+   */
+  async handleList() {
+    const instances = await Promise.all(this.registry.names.map(name => this.registry.health(name)));
+
+    let output = `🌐 **Metabase instances** (${instances.length})\n\n`;
+    for (const instance of instances) {
+      output += `${instance.status === 'ok' ? '✅' : '❌'} **${instance.name}**${instance.default ? ' (default)' : ''} - ${instance.url}\n`;
+      if (instance.description) output += `  ${instance.description}\n`;
+      output += instance.status === 'ok'
+        ? `  Version: ${instance.version || 'unknown'} • Auth: ${instance.auth} • ${instance.latency_ms} ms\n`
+        : `  Unreachable: ${instance.error}\n`;
+    }
+    output += `\nPass \`instance\` to any tool to run it against another instance.`;
+
+    return {
+      content: [{ type: 'text', text: output }],
+      structuredContent: { default: this.registry.defaultName, instances },
+    };
+  }
+}
@@ -1,5 +1,7 @@
 import { McpError, ErrorCode, McpError as McpErrorSdk } from '@modelcontextprotocol/sdk/types.js';
 import { logger } from '../../utils/logger.js';
+import { AppError, NotFoundError } from '../../utils/errors.js';
+import { structuredError } from '../../utils/structured-response.js';
 import { config } from '../../utils/config.js';
 import { sanitizeNumber, sanitizeLikePattern, sanitizeString } from '../../utils/sql-sanitizer.js';
 
@@ -12,13 +14,22 @@ export class MetadataHandler {
         this.metabaseClient = metabaseClient;
     }
 
+    routes() {
+        return {
+            'meta_find_internal_db': (args) => this.handleFindInternalDb(args),
+            'meta_audit_logs': (args) => this.handleAuditLogs(args),
+            'meta_lineage': (args) => this.handleLineage(args),
+            'meta_advanced_search': (args) => this.handleAdvancedSearch(args),
+        };
+    }
+
     /**
      * Helper to get Internal DB ID with fallback
      */
     async getInternalDbId(providedId) {
         if (providedId) return providedId;
         if (config.METABASE_INTERNAL_DB_ID) return config.METABASE_INTERNAL_DB_ID;
-        throw new Error('Internal Database ID not configured. Use `meta_find_internal_db` to find it, or set METABASE_INTERNAL_DB_ID env var.');
+        throw new AppError('Internal Database ID not configured. Use `meta_find_internal_db` to find it, or set METABASE_INTERNAL_DB_ID env var.', { code: 'not_configured' });
     }
 
     /**
@@ -39,9 +50,7 @@ export class MetadataHandler {
             }
 
             if (candidates.length === 0) {
-                return {
-                    content: [{ type: 'text', text: '❌ Could not find Internal Database. Please add Metabase Application DB as a source.' }]
-                };
+                throw new NotFoundError('Could not find Internal Database. Please add Metabase Application DB as a source.');
             }
 
             let output = `✅ **Internal Database Candidates Found:**\n\n`;
@@ -53,7 +62,7 @@ export class MetadataHandler {
             return { content: [{ type: 'text', text: output }] };
 
         } catch (error) {
-            return { content: [{ type: 'text', text: `❌ Discovery failed: ${error.message}` }] };
+            return structuredError(error, 'Discovery failed');
         }
     }
 
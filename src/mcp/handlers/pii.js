@@ -0,0 +1,134 @@
+import { logger } from '../../utils/logger.js';
+import { NotFoundError } from '../../utils/errors.js';
+import { dialectForEngine, SqlDialect } from '../../utils/sql-classifier.js';
+import { NO_PROGRESS, cancelledNotice } from '../progress.js';
+
+const MAX_SAMPLE_ROWS = 1000;
+
+/**
+ * Handler for PII discovery (db_pii_scan)
+ */
+export class PiiHandler {
+  /**
+   * @param {object} metabaseClient
+   * @param {PiiMasker} piiMasker - Detection rules and the masking mode that would apply
+   */
+  constructor(metabaseClient, piiMasker) {
+    this.metabaseClient = metabaseClient;
+    this.piiMasker = piiMasker;
+  }
+
+  routes() {
+    return {
+      'db_pii_scan': (args, progress) => this.handlePiiScan(args, progress),
+    };
+  }
+
+  /**
+   * List candidate PII columns per table from Metabase metadata (semantic types, column names)
+   * and, with sample_rows > 0, from sampled values
+   */
+  async handlePiiScan(args, progress = NO_PROGRESS) {
+    const databaseId = args.database_id;
+    const sampleRows = Math.min(Math.max(args.sample_rows || 0, 0), MAX_SAMPLE_ROWS);
+    const schemaName = args.schema_name?.toLowerCase();
+    const tableName = args.table_name?.toLowerCase();
+
+    const tables = (await this.metabaseClient.getDatabaseTables(databaseId, args.schema_name))
+      .filter(t => !schemaName || t.schema?.toLowerCase() === schemaName)
+      .filter(t => !tableName || t.name?.toLowerCase() === tableName);
+    if (tables.length === 0) {
+      throw new NotFoundError(`No matching tables in database ${databaseId}`);
+    }
+
+    const dialect = sampleRows > 0 ? dialectForEngine((await this.metabaseClient.getDatabase(databaseId))?.engine) : null;
+    const results = [];
+    let scanned = 0;
+
+    for (const table of tables) {
+      if (progress.cancelled) break;
+      const context = { table: table.name };
+      const found = [];
+      let sampleError = null;
+
+      // Sample values only for columns the metadata did not already flag
+      let sample = null;
+      const fields = table.fields || [];
+      const unflagged = fields.filter(f => !this.piiMasker.classifyColumn(f, context) && !this.piiMasker.isAllowed(f, context));
+      if (sampleRows > 0 && unflagged.length > 0) {
+        try {
+          const sql = `SELECT * FROM ${quoteName(table.schema, dialect)}${table.schema ? '.' : ''}${quoteName(table.name, dialect)} LIMIT ${sampleRows}`;
+          const result = await this.metabaseClient.executeNativeQuery(databaseId, sql);
+          sample = result.data || null;
+        } catch (error) {
+          sampleError = error.message;
+          logger.debug(`PII scan could not sample ${table.schema}.${table.name}: ${error.message}`);
+        }
+      }
+
+      for (const field of fields) {
+        let match = this.piiMasker.classifyColumn(field, context);
+        if (!match && sample && !this.piiMasker.isAllowed(field, context)) {
+          const index = (sample.cols || []).findIndex(c => c.name === field.name);
+          if (index !== -1) match = this.piiMasker.classifyValues((sample.rows || []).map(row => row[index]));
+        }
+        if (match) {
+          found.push({
+            column: field.name,
+            category: match.category,
+            source: match.source,
+            mode: this.piiMasker.modeFor(match.category),
+            ...(field.semantic_type && { semantic_type: field.semantic_type }),
+          });
+        }
+      }
+
+      scanned++;
+      if (found.length > 0 || sampleError) {
+        results.push({ schema: table.schema || null, table: table.name, columns: found, ...(sampleError && { sample_error: sampleError }) });
+      }
+      await progress.report(scanned, tables.length, `Scanned ${table.schema ? `${table.schema}.` : ''}${table.name}`);
+    }
+
+    const candidates = results.reduce((sum, t) => sum + t.columns.length, 0);
+    const mode = this.piiMasker.enabled ? this.piiMasker.mode : 'off';
+
+    let output = `🛡️ **PII Scan: Database ${databaseId}**\n`;
+    output += `📋 ${scanned} tables scanned, ${candidates} candidate columns` +
+      `${sampleRows > 0 ? ` (values sampled: ${sampleRows} rows per table)` : ' (metadata only)'}\n`;
+    output += `🔒 Masking: ${mode}\n\n`;
+
+    for (const table of results) {
+      output += `**${table.schema ? `${table.schema}.` : ''}${table.table}**\n`;
+      for (const c of table.columns) {
+        output += `• \`${c.column}\` → ${c.category} (${c.source})${mode !== 'off' ? `, masked: ${c.mode}` : ''}\n`;
+      }
+      if (table.sample_error) output += `• ⚠️ Could not sample values: ${table.sample_error}\n`;
+      output += `\n`;
+    }
+
+    if (candidates === 0) output += `No candidate PII columns found.\n`;
+    if (mode === 'off' && candidates > 0) {
+      output += `💡 Set MCP_PII_MASKING (or the policy file's pii section) to mask these columns in query results.\n`;
+    }
+    if (scanned < tables.length) output += cancelledNotice(scanned, tables.length);
+
+    return {
+      content: [{ type: 'text', text: output }],
+      structuredContent: {
+        database_id: databaseId,
+        masking_mode: mode,
+        tables_scanned: scanned,
+        candidate_count: candidates,
+        tables: results,
+      },
+    };
+  }
+}
+
+function quoteName(name, dialect) {
+  if (!name) return '';
+  return dialect === SqlDialect.MYSQL
+    ? `\`${String(name).replace(/`/g, '``')}\``
+    : `"${String(name).replace(/"/g, '""')}"`;
+}
@@ -0,0 +1,57 @@
+/**
+ * Handler for tool policy inspection
+ */
+export class PolicyHandler {
+  /**
+   * @param {ToolPolicy} toolPolicy
+   * @param {ToolProfiles} toolProfiles
+   * @param {string[]} toolNames - Registered tool names
+   */
+  constructor(toolPolicy, toolProfiles, toolNames) {
+    this.toolPolicy = toolPolicy;
+    this.toolProfiles = toolProfiles;
+    this.toolNames = new Set(toolNames);
+  }
+
+  routes() {
+    return {
+      'policy_explain': (args, progress, extra) => this.handlePolicyExplain(args, extra),
+    };
+  }
+
+  /**
+   * Say whether a call would run and, if not, every reason it would be blocked
+   */
+  async handlePolicyExplain(args, extra = {}) {
+    const { tool, arguments: toolArgs = {} } = args;
+    const reasons = [];
+
+    if (!this.toolNames.has(tool)) {
+      reasons.push({ code: 'unknown_tool', message: `Unknown tool: ${tool}` });
+    } else {
+      if (!this.toolProfiles.allows(tool, extra.sessionId)) {
+        reasons.push({
+          code: 'not_in_profile',
+          message: `Tool '${tool}' is not in the active tool profile (${this.toolProfiles.getProfiles(extra.sessionId).join(', ')})`,
+        });
+      }
+      reasons.push(...this.toolPolicy.evaluate(tool, toolArgs).reasons);
+    }
+
+    const allowed = reasons.length === 0;
+    const policyFile = this.toolPolicy.source;
+
+    let output = allowed
+      ? `✅ ${tool} would be allowed`
+      : `⛔ ${tool} would be blocked:\n${reasons.map(r => `- [${r.code}] ${r.message}`).join('\n')}`;
+    output += `\n\nPolicy file: ${policyFile || 'none (only read-only mode and tool profiles apply)'}`;
+    if (Object.keys(toolArgs).length === 0) {
+      output += `\nNo arguments given: database, collection and schema rules were not checked.`;
+    }
+
+    return {
+      content: [{ type: 'text', text: output }],
+      structuredContent: { tool, allowed, reasons, policy_file: policyFile },
+    };
+  }
+}
@@ -0,0 +1,48 @@
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Handler for tool profile switching (per session)
+ */
+export class ProfilesHandler {
+  constructor(toolProfiles) {
+    this.toolProfiles = toolProfiles;
+  }
+
+  routes() {
+    return {
+      'tools_profile_set': (args, progress, extra) => this.handleProfileSet(args, extra),
+    };
+  }
+
+  async handleProfileSet(args, extra = {}) {
+    let profiles;
+    try {
+      profiles = this.toolProfiles.setProfiles(extra.sessionId, args.profile);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+
+    // Tell this session's client to re-fetch tools/list
+    try {
+      await extra.sendNotification?.({ method: 'notifications/tools/list_changed' });
+    } catch (error) {
+      logger.debug(`tools/list_changed notification failed: ${error.message}`);
+    }
+
+    const available = this.toolProfiles.describe();
+    const toolCount = this.toolProfiles.countTools(extra.sessionId);
+
+    let output = `🧰 Tool profile set to: ${profiles.join(', ')} (${toolCount} tools)\n\n`;
+    output += `Available profiles:\n`;
+    available.forEach(p => {
+      output += `${profiles.includes(p.name) ? '✅' : '•'} ${p.name} (${p.tool_count} tools) - ${p.description}\n`;
+    });
+    output += `\nThe tool list has changed; re-list tools to see the active set.`;
+
+    return {
+      content: [{ type: 'text', text: output }],
+      structuredContent: { profiles, tool_count: toolCount, available },
+    };
+  }
+}
@@ -0,0 +1,246 @@
+import { logger } from '../../utils/logger.js';
+import { ValidationError } from '../../utils/errors.js';
+import { classifySQL, firstWrite } from '../../utils/sql-classifier.js';
+import { describeMasking } from '../../utils/pii-masker.js';
+
+const LIST_PREVIEW = 10;
+const MAX_TIMEOUT_SECONDS = 1800;
+
+/**
+ * Handler for scheduled recurring queries (schedule_create, schedule_list, schedule_history,
+ * schedule_diff, schedule_delete). Runs, snapshots and diffs live in the Scheduler (../scheduler.js).
+ */
+export class ScheduleHandler {
+  /**
+   * @param {object} metabaseClient
+   * @param {Scheduler} scheduler
+   * @param {SqlHandler} sqlHandler - Dialect lookup and the ad-hoc row limit for scheduled SQL
+   */
+  constructor(metabaseClient, scheduler, sqlHandler) {
+    this.metabaseClient = metabaseClient;
+    this.scheduler = scheduler;
+    this.sqlHandler = sqlHandler;
+  }
+
+  routes() {
+    return {
+      'schedule_create': (args) => this.handleCreate(args),
+      'schedule_list': () => this.handleList(),
+      'schedule_history': (args) => this.handleHistory(args),
+      'schedule_diff': (args) => this.handleDiff(args),
+      'schedule_delete': (args) => this.handleDelete(args),
+    };
+  }
+
+  /**
+   * What destructive tools would remove, shown before approval (see approvals.js)
+   */
+  previews() {
+    return {
+      'schedule_delete': async ({ schedule_id }) => {
+        const schedule = this.scheduler.get(schedule_id);
+        return {
+          summary: `Delete schedule '${schedule.name}' and its ${schedule.runs.length} saved run(s)`,
+          objects: [{ type: 'schedule', id: schedule.id, name: schedule.name, detail: schedule.cron }],
+        };
+      },
+    };
+  }
+
+  /**
+   * Register a SQL query or card to run on a cron expression
+   */
+  async handleCreate(args) {
+    const hasSql = typeof args.sql === 'string' && args.sql.trim() !== '';
+    if (hasSql === (args.card_id !== undefined)) {
+      throw new ValidationError('Pass either sql (with database_id) or card_id');
+    }
+
+    let source;
+    if (hasSql) {
+      if (args.database_id === undefined) {
+        throw new ValidationError('database_id is required with sql');
+      }
+      const dialect = await this.sqlHandler.getDialect(args.database_id);
+      const write = firstWrite(classifySQL(args.sql, { dialect }));
+      if (write) {
+        throw new ValidationError(`Schedules only run read queries; this is a ${write.type.toUpperCase()} statement (${write.operation})`, { code: 'write_not_allowed' });
+      }
+      const limited = await this.sqlHandler.limitRows(args.database_id, args.sql);
+      source = { type: 'sql', database_id: args.database_id, sql: limited.sql };
+    } else {
+      const card = await this.metabaseClient.request('GET', `/api/card/${args.card_id}`);
+      source = { type: 'card', card_id: args.card_id, database_id: card.database_id, parameters: args.parameters || [] };
+    }
+
+    const schedule = this.scheduler.create({
+      name: args.name,
+      cron: args.cron,
+      timezone: args.timezone,
+      source,
+      key_columns: args.key_columns,
+      threshold_pct: args.threshold_pct,
+      threshold_abs: args.threshold_abs,
+      timeout_seconds: args.timeout_seconds ? Math.min(args.timeout_seconds, MAX_TIMEOUT_SECONDS) : undefined,
+    });
+    if (args.run_now === true) {
+      this.scheduler.run(schedule, { manual: true }).catch(error => logger.error(`Schedule ${schedule.name} run failed: ${error.message}`));
+    }
+
+    let output = `⏰ **Schedule created: ${schedule.name}**\n`;
+    output += `🆔 ID: \`${schedule.id}\`\n`;
+    output += `🗓️ Cron: \`${schedule.cron}\`${schedule.timezone ? ` (${schedule.timezone})` : ''}\n`;
+    output += `📄 Source: ${describeSource(source)}\n`;
+    output += `⏭️ Next run: ${schedule.next_run_at}${args.run_now === true ? ' (first run started now)' : ''}\n`;
+    if (schedule.key_columns.length > 0) output += `🔑 Diff key: ${schedule.key_columns.join(', ')}\n`;
+    output += `💡 Use \`schedule_history\` to see runs and \`schedule_diff\` to compare them.`;
+
+    return {
+      content: [{ type: 'text', text: output }],
+      structuredContent: scheduleView(schedule, this.scheduler.running.has(schedule.id)),
+    };
+  }
+
+  handleList() {
+    const schedules = this.scheduler.list();
+    if (schedules.length === 0) {
+      return {
+        content: [{ type: 'text', text: '⏰ No schedules. Create one with `schedule_create`.' }],
+        structuredContent: { schedules: [], count: 0 },
+      };
+    }
+
+    let output = `⏰ **Schedules (${schedules.length})**\n\n`;
+    for (const schedule of schedules) {
+      const last = schedule.runs[0];
+      output += `**${schedule.name}** \`${schedule.id}\`\n`;
+      output += `  🗓️ \`${schedule.cron}\`${schedule.timezone ? ` ${schedule.timezone}` : ''} • next ${schedule.next_run_at}\n`;
+      output += `  📄 ${describeSource(schedule.source)}\n`;
+      output += `  ${last ? `Last run: ${last.status} ${last.started_at}${last.changes ? ` • ${describeChanges(last.changes)}` : ''}` : 'Not run yet'}\n`;
+    }
+
+    return {
+      content: [{ type: 'text', text: output }],
+      structuredContent: {
+        schedules: schedules.map(s => scheduleView(s, this.scheduler.running.has(s.id))),
+        count: schedules.length,
+      },
+    };
+  }
+
+  handleHistory(args) {
+    const schedule = this.scheduler.get(args.schedule_id);
+    const runs = schedule.runs.slice(0, args.limit || schedule.runs.length);
+
+    let output = `📜 **Run history: ${schedule.name}** (${runs.length} of ${schedule.runs.length})\n\n`;
+    if (runs.length === 0) output += `Not run yet. Next run: ${schedule.next_run_at}\n`;
+    for (const run of runs) {
+      const icon = run.status === 'complete' ? '✅' : run.status === 'running' ? '⏳' : '❌';
+      output += `${icon} ${run.started_at} \`${run.run_id}\` ${run.status}`;
+      if (run.row_count !== null) output += ` • ${run.row_count} rows`;
+      if (run.changes) output += ` • ${describeChanges(run.changes)}`;
+      if (run.error) output += ` • ${run.error}`;
+      output += `\n`;
+    }
+
+    return {
+      content: [{ type: 'text', text: output }],
+      structuredContent: { schedule_id: schedule.id, name: schedule.name, runs },
+    };
+  }
+
+  /**
+   * Rows added, removed and changed between two runs (default: the last two complete runs)
+   */
+  handleDiff(args) {
+    const diff = this.scheduler.diff(args.schedule_id, {
+      fromRunId: args.from_run_id,
+      toRunId: args.to_run_id,
+      keyColumns: args.key_columns,
+      thresholdPct: args.threshold_pct,
+      thresholdAbs: args.threshold_abs,
+      limit: args.limit,
+    });
+    const { counts } = diff;
+
+    let output = `🔍 **Changes in ${diff.schedule.name}**\n`;
+    output += `🕐 ${diff.from.started_at} → ${diff.to.started_at}\n`;
+    output += `🔑 Key: ${diff.key_columns.join(', ') || '(none - single row)'} • Metrics: ${diff.metric_columns.join(', ') || '(none)'}\n`;
+    output += `📊 ${counts.added} added, ${counts.removed} removed, ${counts.changed} changed, ${counts.unchanged} unchanged\n`;
+    if (diff.masked.length > 0) output += `${describeMasking(diff.masked)}\n`;
+
+    if (diff.changed.length > 0) {
+      output += `\n**Changed:**\n`;
+      for (const change of diff.changed.slice(0, LIST_PREVIEW)) {
+        const key = Object.values(change.key).join(' / ') || 'result';
+        const parts = change.deltas.map(d => `${d.column} ${d.before} → ${d.after} (${d.delta >= 0 ? '+' : ''}${d.delta}${d.delta_pct !== null ? `, ${d.delta_pct >= 0 ? '+' : ''}${d.delta_pct}%` : ''})`);
+        for (const v of change.values || []) parts.push(`${v.column} ${v.before} → ${v.after}`);
+        output += `- ${key}: ${parts.join('; ')}\n`;
+      }
+    }
+    for (const [label, rows] of [['Added', diff.added], ['Removed', diff.removed]]) {
+      if (rows.length === 0) continue;
+      output += `\n**${label}:**\n`;
+      for (const row of rows.slice(0, LIST_PREVIEW)) {
+        output += `- ${Object.entries(row).map(([k, v]) => `${k}=${v}`).join(', ')}\n`;
+      }
+    }
+    const listed = Math.min(diff.changed.length, LIST_PREVIEW) + Math.min(diff.added.length, LIST_PREVIEW) + Math.min(diff.removed.length, LIST_PREVIEW);
+    if (counts.added + counts.removed + counts.changed > listed) {
+      output += `\n_Only the first rows of each list are shown; structuredContent has up to ${args.limit || 50} per list._\n`;
+    }
+
+    return {
+      content: [{ type: 'text', text: output }],
+      structuredContent: {
+        schedule_id: diff.schedule.id,
+        from_run_id: diff.from.run_id,
+        to_run_id: diff.to.run_id,
+        from_started_at: diff.from.started_at,
+        to_started_at: diff.to.started_at,
+        key_columns: diff.key_columns,
+        metric_columns: diff.metric_columns,
+        counts,
+        added: diff.added,
+        removed: diff.removed,
+        changed: diff.changed,
+        ...(diff.masked.length > 0 && { masked_columns: diff.masked }),
+      },
+    };
+  }
+
+  handleDelete(args) {
+    const schedule = this.scheduler.delete(args.schedule_id);
+    return {
+      content: [{ type: 'text', text: `🗑️ Schedule '${schedule.name}' deleted with ${schedule.runs.length} saved run(s).` }],
+      structuredContent: { schedule_id: schedule.id, name: schedule.name, deleted: true },
+    };
+  }
+}
+
+function describeSource(source) {
+  if (source.type === 'card') return `card ${source.card_id} (database ${source.database_id})`;
+  const sql = source.sql.replace(/\s+/g, ' ');
+  return `SQL on database ${source.database_id}: \`${sql.length > 80 ? sql.substring(0, 77) + '...' : sql}\``;
+}
+
+function describeChanges(changes) {
+  if (changes.error) return `diff failed: ${changes.error}`;
+  return `+${changes.added} / -${changes.removed} / ~${changes.changed}`;
+}
+
+function scheduleView(schedule, running) {
+  const last = schedule.runs[0] || null;
+  return {
+    schedule_id: schedule.id,
+    name: schedule.name,
+    cron: schedule.cron,
+    timezone: schedule.timezone,
+    source: schedule.source,
+    key_columns: schedule.key_columns,
+    next_run_at: schedule.next_run_at,
+    running,
+    run_count: schedule.runs.length,
+    last_run: last && { run_id: last.run_id, status: last.status, started_at: last.started_at, changes: last.changes },
+  };
+}
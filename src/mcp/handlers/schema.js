@@ -1,15 +1,22 @@
 import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 import { logger } from '../../utils/logger.js';
+import { AppError, NotFoundError, PermissionError, UpstreamError, ValidationError } from '../../utils/errors.js';
+import { structuredError } from '../../utils/structured-response.js';
+import { NO_PROGRESS, cancelledNotice } from '../progress.js';
+import { describeMasking } from '../../utils/pii-masker.js';
 
 export class SchemaHandler {
-  constructor(metabaseClient, activityLogger, connectionManager) {
+  constructor(metabaseClient, activityLogger, connectionManager, piiMasker) {
     this.metabaseClient = metabaseClient;
     this.activityLogger = activityLogger || null;
     this.connectionManager = connectionManager || null;
+    this.piiMasker = piiMasker || null;
   }
 
   routes() {
     return {
+      'db_table_profile': (args) => this.handleTableProfile(args),
+      'db_connection_info': (args) => this.handleGetConnectionInfo(args),
       'db_table_create': (args) => this.handleCreateTableDirect(args),
       'db_view_create': (args) => this.handleCreateViewDirect(args),
       'db_matview_create': (args) => this.handleCreateMaterializedViewDirect(args),
@@ -19,10 +26,22 @@ export class SchemaHandler {
       'db_ai_list': (args) => this.handleListAIObjects(args.database_id),
       'db_ai_drop': (args) => this.handleDropAIObject(args),
       'db_schema_explore': (args) => this.handleExploreSchemaSimple(args),
-      'db_schema_analyze': (args) => this.handleExploreSchemaTablesAdvanced(args),
+      'db_schema_analyze': (args, progress) => this.handleExploreSchemaTablesAdvanced(args, progress),
       'db_relationships_detect': (args) => this.handleAnalyzeTableRelationships(args),
       'ai_relationships_suggest': (args) => this.handleSuggestVirtualRelationships(args),
       'mb_relationships_create': (args) => this.handleCreateRelationshipMapping(args),
+      'db_vacuum_analyze': (args) => this.handleVacuumAnalyze(args),
+      'db_query_explain': (args) => this.handleQueryExplain(args),
+      'db_table_stats': (args) => this.handleTableStats(args),
+      'db_index_usage': (args) => this.handleIndexUsage(args),
+      'definition_tables_init': (args) => this.handleDefinitionTablesInit(args),
+      'definition_search_terms': (args) => this.handleDefinitionSearchTerms(args),
+      'definition_get_metric': (args) => this.handleDefinitionGetMetric(args),
+      'definition_get_template': (args) => this.handleDefinitionGetTemplate(args),
+      'definition_global_search': (args) => this.handleDefinitionGlobalSearch(args),
+      'parametric_question_create': (args) => this.handleParametricQuestionCreate(args),
+      'parametric_dashboard_create': (args) => this.handleParametricDashboardCreate(args),
+      'parametric_template_preset': (args) => this.handleParametricTemplatePreset(args),
     };
   }
 
@@ -136,25 +155,12 @@ export class SchemaHandler {
         );
       }
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `❌ **TABLE CREATION FAILED!**\\n\\n` +
-              `🚫 **Error Details:**\\n` +
-              `• Table: \`claude_ai_${args.table_name}\`\\n` +
-              `• Schema: \`${args.schema || 'default'}\`\\n` +
-              `• Database ID: ${args.database_id}\\n` +
-              `• Execution Time: ${executionTime}ms\\n` +
-              `• Error: ${err.message}\\n\\n` +
-              `🔧 **Troubleshooting:**\\n` +
-              `• Check if table name conflicts with existing tables\\n` +
-              `• Verify column definitions are valid\\n` +
-              `• Ensure you have CREATE permissions on the schema\\n` +
-              `• Make sure \`approved: true\` is set`,
-          },
-        ],
-      };
+      return structuredError(err, `Table creation failed (claude_ai_${args.table_name}, ${executionTime}ms)`,
+        `🔧 **Troubleshooting:**\\n` +
+        `• Check if table name conflicts with existing tables\\n` +
+        `• Verify column definitions are valid\\n` +
+        `• Ensure you have CREATE permissions on the schema\\n` +
+        `• Make sure \`approved: true\` is set`);
     }
   }
 
@@ -225,7 +231,7 @@ export class SchemaHandler {
     const client = await this.getDirectClient(args.database_id);
 
     if (client.engine !== 'postgres') {
-      throw new Error('Materialized views are only supported in PostgreSQL');
+      throw new ValidationError('Materialized views are only supported in PostgreSQL');
     }
 
     // Schema seçimi kontrolü ve bilgilendirme
@@ -413,7 +419,7 @@ export class SchemaHandler {
 
     // Prefix kontrolü
     if (!args.object_name.startsWith('claude_ai_')) {
-      throw new Error('Can only drop objects with claude_ai_ prefix');
+      throw new PermissionError('Can only drop objects with claude_ai_ prefix', { code: 'prefix_required' });
     }
 
     // Dry run kontrolü
@@ -495,39 +501,40 @@ export class SchemaHandler {
         ],
       };
     } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `❌ Error exploring schema: ${error.message}`,
-          },
-        ],
-      };
+      return structuredError(error, 'Error exploring schema');
     }
   }
 
-  async handleExploreSchemaTablesAdvanced(args) {
+  async handleExploreSchemaTablesAdvanced(args, progress = NO_PROGRESS) {
     const startTime = Date.now();
     const limit = args.limit || 10;
     const timeoutMs = (args.timeout_seconds || 30) * 1000;
+    let timedOut = false;
+    let timer;
 
     try {
       const client = await this.getDirectClient(args.database_id);
 
       // Timeout Promise
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error(`Operation timeout after ${args.timeout_seconds || 30} seconds`)), timeoutMs);
+        timer = setTimeout(() => {
+          timedOut = true;
+          reject(new UpstreamError(`Operation timeout after ${args.timeout_seconds || 30} seconds`, { code: 'timeout', retryable: true }));
+        }, timeoutMs);
       });
 
-      // Main operation Promise
+      // Main operation Promise - also stops scanning tables once the race is lost
+      const hooks = progress.hooks();
       const operationPromise = client.exploreSchemaTablesDetailed(
         args.schema_name,
         args.include_columns !== false,
-        limit
+        limit,
+        { ...hooks, isCancelled: () => timedOut || hooks.isCancelled() }
       );
 
       // Race between operation and timeout
       const tables = await Promise.race([operationPromise, timeoutPromise]);
+      clearTimeout(timer);
 
       const endTime = Date.now();
       const responseTime = endTime - startTime;
@@ -558,6 +565,10 @@ export class SchemaHandler {
         output += `\\n`;
       });
 
+      if (tables.cancelled) {
+        output += cancelledNotice(tables.length, tables.total);
+      }
+
       return {
         content: [
           {
@@ -567,19 +578,12 @@ export class SchemaHandler {
         ],
       };
     } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `❌ ADVANCED EXPLORATION FAILED\\n\\n` +
-              `Error: ${error.message}\\n\\n` +
-              `💡 Try 'db_schema_explore' instead or:\\n` +
-              `- Increase timeout_seconds\\n` +
-              `- Reduce limit parameter\\n` +
-              `- Check if direct database connection is available`,
-          },
-        ],
-      };
+      clearTimeout(timer);
+      return structuredError(error, 'Advanced exploration failed',
+        `💡 Try 'db_schema_explore' instead or:\\n` +
+        `- Increase timeout_seconds\\n` +
+        `- Reduce limit parameter\\n` +
+        `- Check if direct database connection is available`);
     }
   }
 
@@ -739,174 +743,6 @@ export class SchemaHandler {
       ],
     };
   }
-  // Schema ve İlişki Keşif Metodları
-  async handleExploreSchemaSimple(args) {
-    // Fallback metod - SQL ile schema exploration
-    const tableListSQL = `
-      SELECT 
-        t.table_name,
-        t.table_type,
-        (SELECT COUNT(*) FROM information_schema.columns c WHERE c.table_schema = t.table_schema AND c.table_name = t.table_name) as column_count
-      FROM information_schema.tables t
-      WHERE t.table_schema = '${args.schema_name}'
-        AND t.table_type = 'BASE TABLE'
-      ORDER BY t.table_name
-    `;
-
-    try {
-      const startTime = Date.now();
-      const result = await this.metabaseClient.executeNativeQuery(args.database_id, tableListSQL);
-
-      let output = `🔍 SCHEMA EXPLORATION (Simple): ${args.schema_name}\\n\\n`;
-
-      if (result.data && result.data.rows && result.data.rows.length > 0) {
-        const endTime = Date.now();
-        const responseTime = endTime - startTime;
-
-        output += `Found ${result.data.rows.length} tables (${responseTime}ms):\\n\\n`;
-
-        result.data.rows.forEach((row, index) => {
-          const [tableName, tableType, columnCount] = row;
-          output += `${index + 1}. 📊 **${tableName}** (${columnCount} columns)\\n`;
-        });
-
-        output += `\\n💡 **Next Steps:**\\n`;
-        output += `- Use 'execute_sql' for detailed column info\\n`;
-        output += `- Try 'db_schema_analyze' for advanced analysis\\n`;
-        output += `- Check other schemas: analytics, cron, staging`;
-      } else {
-        output += `No tables found in schema '${args.schema_name}'.`;
-      }
-
-      return {
-        content: [
-          {
-            type: 'text',
-            text: output,
-          },
-        ],
-      };
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `❌ Error exploring schema: ${error.message}`,
-          },
-        ],
-      };
-    }
-  }
-
-  async handleExploreSchemaTablesAdvanced(args) {
-    const startTime = Date.now();
-    const limit = args.limit || 10;
-    const timeoutMs = (args.timeout_seconds || 30) * 1000;
-
-    try {
-      const client = await this.getDirectClient(args.database_id);
-
-      // Timeout Promise
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error(`Operation timeout after ${args.timeout_seconds || 30} seconds`)), timeoutMs);
-      });
-
-      // Main operation Promise
-      const operationPromise = client.exploreSchemaTablesDetailed(
-        args.schema_name,
-        args.include_columns !== false,
-        limit
-      );
-
-      // Race between operation and timeout
-      const tables = await Promise.race([operationPromise, timeoutPromise]);
-
-      const endTime = Date.now();
-      const responseTime = endTime - startTime;
-
-      let output = `🔍 SCHEMA EXPLORATION (Advanced): ${args.schema_name}\\n\\n`;
-      output += `⚡ Completed in ${responseTime}ms\\n`;
-      output += `Found ${tables.length} tables (limited to ${limit}):\\n\\n`;
-
-      tables.forEach(table => {
-        output += `📊 **${table.name}** (${table.type})\\n`;
-        if (table.comment) output += `   Description: ${table.comment}\\n`;
-        if (table.size) output += `   Size: ${table.size}\\n`;
-
-        if (args.include_columns !== false && table.columns.length > 0) {
-          output += `   Columns (${table.columns.length}):`;
-          table.columns.forEach(col => {
-            const indicators = [];
-            if (col.isPrimaryKey) indicators.push('🔑 PK');
-            if (col.isForeignKey) indicators.push(`🔗 FK→${col.foreignTable}.${col.foreignColumn}`);
-            if (!col.nullable) indicators.push('⚠️ NOT NULL');
-
-            output += `\\n     - ${col.name}: ${col.type}`;
-            if (indicators.length > 0) output += ` ${indicators.join(' ')}`;
-            if (col.comment) output += ` // ${col.comment}`;
-          });
-          output += `\\n`;
-        }
-        output += `\\n`;
-      });
-
-      return {
-        content: [
-          {
-            type: 'text',
-            text: output,
-          },
-        ],
-      };
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `❌ ADVANCED EXPLORATION FAILED\\n\\n` +
-              `Error: ${error.message}\\n\\n` +
-              `💡 Try 'db_schema_explore' instead or:\\n` +
-              `- Increase timeout_seconds\\n` +
-              `- Reduce limit parameter\\n` +
-              `- Check if direct database connection is available`,
-          },
-        ],
-      };
-    }
-  }
-
-  async handleAnalyzeTableRelationships(args) {
-    const client = await this.getDirectClient(args.database_id);
-    const relationships = await client.analyzeTableRelationships(
-      args.schema_name,
-      args.table_names
-    );
-
-    let output = `🔗 RELATIONSHIP ANALYSIS: ${args.schema_name}\\n\\n`;
-
-    if (relationships.length === 0) {
-      output += `No foreign key relationships found.\\n\\n`;
-      output += `💡 Try 'suggest_virtual_relationships' to find potential relationships based on naming conventions.`;
-    } else {
-      output += `Found ${relationships.length} explicit foreign key relationships:\\n\\n`;
-
-      relationships.forEach((rel, index) => {
-        output += `${index + 1}. **${rel.sourceTable}.${rel.sourceColumn}** → **${rel.targetTable}.${rel.targetColumn}**\\n`;
-        output += `   Type: ${rel.relationshipType}\\n`;
-        output += `   Constraint: ${rel.constraintName}\\n`;
-        output += `   Rules: UPDATE ${rel.updateRule}, DELETE ${rel.deleteRule}\\n\\n`;
-      });
-    }
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: output,
-        },
-      ],
-    };
-  }
 
 
   /**
@@ -942,6 +778,17 @@ export class SchemaHandler {
       const columnsResult = await this.metabaseClient.executeNativeQuery(args.database_id, columnsQuery);
       const columns = columnsResult.data?.rows || [];
 
+      // PII masking: columns flagged by name, plus anything found in the values shown below
+      const masking = this.piiMasker?.enabled ? this.piiMasker : null;
+      const maskContext = { table: tableName };
+      const maskedColumns = new Map();
+      const mask = (cols, rows) => {
+        if (!masking) return rows;
+        const result = masking.maskRows(cols, rows, maskContext);
+        result.masked.forEach(m => maskedColumns.set(m.column, m));
+        return result.rows;
+      };
+
       let output = '';
 
       // Header with dim table indicator
@@ -960,7 +807,8 @@ export class SchemaHandler {
       output += `📋 **Columns:**\\n`;
       columns.forEach(([name, type, nullable, defaultVal]) => {
         const nullIndicator = nullable === 'YES' ? '?' : '';
-        output += `• \`${name}\` (${type}${nullIndicator})\\n`;
+        const pii = masking?.classifyColumn(name, maskContext);
+        output += `• \`${name}\` (${type}${nullIndicator})${pii ? ` 🛡️ ${pii.category}` : ''}\\n`;
       });
       output += `\\n`;
 
@@ -980,7 +828,7 @@ export class SchemaHandler {
                 LIMIT 10
               `;
             const distinctResult = await this.metabaseClient.executeNativeQuery(args.database_id, distinctQuery);
-            const distinctRows = distinctResult.data?.rows || [];
+            const distinctRows = mask([colName, 'cnt'], distinctResult.data?.rows || []);
 
             if (distinctRows.length > 0) {
               const totalDistinct = distinctRows.length;
@@ -999,8 +847,8 @@ export class SchemaHandler {
         try {
           const sampleQuery = `SELECT * FROM "${schemaName}"."${tableName}" LIMIT ${sampleRows}`;
           const sampleResult = await this.metabaseClient.executeNativeQuery(args.database_id, sampleQuery);
-          const sampleData = sampleResult.data?.rows || [];
           const sampleCols = sampleResult.data?.cols || [];
+          const sampleData = mask(sampleCols, sampleResult.data?.rows || []);
 
           if (sampleData.length > 0) {
             output += `📝 **Sample Data (${sampleData.length} rows):**\\n\`\`\`\\n`;
@@ -1024,6 +872,10 @@ export class SchemaHandler {
         }
       }
 
+      if (maskedColumns.size > 0) {
+        output += `\\n${describeMasking([...maskedColumns.values()])}\\n`;
+      }
+
       // Recommendations
       output += `\\n💡 **Tips:**\\n`;
       if (isDimTable) {
@@ -1042,9 +894,7 @@ export class SchemaHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Table profile error: ${error.message}` }]
-      };
+      return structuredError(error, 'Table profile error');
     }
   }
 
@@ -1095,7 +945,7 @@ export class SchemaHandler {
           command = tableRef ? `ANALYZE ${tableRef}` : 'ANALYZE';
           break;
         default:
-          throw new Error(`Unknown vacuum type: ${vacuumType}`);
+          throw new ValidationError(`Unknown vacuum type: ${vacuumType}`);
       }
 
       if (dryRun) {
@@ -1128,9 +978,7 @@ export class SchemaHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ VACUUM/ANALYZE failed: ${error.message}` }]
-      };
+      return structuredError(error, 'VACUUM/ANALYZE failed');
     }
   }
 
@@ -1180,9 +1028,7 @@ export class SchemaHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Query explain failed: ${error.message}` }]
-      };
+      return structuredError(error, 'Query explain failed');
     }
   }
 
@@ -1218,9 +1064,7 @@ export class SchemaHandler {
       const rows = result.data?.rows || [];
 
       if (rows.length === 0) {
-        return {
-          content: [{ type: 'text', text: `❌ Table not found: ${schemaName}.${tableName}` }]
-        };
+        throw new NotFoundError(`Table not found: ${schemaName}.${tableName}`);
       }
 
       const [schema, table, liveRows, deadRows, deadRatio, totalSize, tableSize, indexesSize,
@@ -1260,9 +1104,7 @@ export class SchemaHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Failed to get table stats: ${error.message}` }]
-      };
+      return structuredError(error, 'Failed to get table stats');
     }
   }
 
@@ -1337,9 +1179,7 @@ export class SchemaHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Index usage analysis failed: ${error.message}` }]
-      };
+      return structuredError(error, 'Index usage analysis failed');
     }
   }
 
@@ -1364,9 +1204,7 @@ export class SchemaHandler {
         content: [{ type: 'text', text: output }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error initializing definition tables: ${error.message}` }],
-      };
+      return structuredError(error, 'Error initializing definition tables');
     }
   }
 
@@ -1407,9 +1245,7 @@ export class SchemaHandler {
         content: [{ type: 'text', text: output }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error searching business terms: ${error.message}` }],
-      };
+      return structuredError(error, 'Error searching business terms');
     }
   }
 
@@ -1422,9 +1258,7 @@ export class SchemaHandler {
       const metric = await definitionTables.getMetricDefinition(args.database_id, args.metric_name);
 
       if (!metric) {
-        return {
-          content: [{ type: 'text', text: `❌ Metric "${args.metric_name}" not found in definition tables` }],
-        };
+        throw new NotFoundError(`Metric "${args.metric_name}" not found in definition tables`);
       }
 
       const output = `📊 Metric Definition: **${metric.display_name}**\n\n` +
@@ -1440,9 +1274,7 @@ export class SchemaHandler {
         content: [{ type: 'text', text: output }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error getting metric definition: ${error.message}` }],
-      };
+      return structuredError(error, 'Error getting metric definition');
     }
   }
 
@@ -1458,13 +1290,11 @@ export class SchemaHandler {
       } else if (args.template_type === 'question') {
         template = await definitionTables.getQuestionTemplate(args.database_id, args.template_name);
       } else {
-        throw new Error('Invalid template type. Must be "dashboard" or "question"');
+        throw new ValidationError('Invalid template type. Must be "dashboard" or "question"');
       }
 
       if (!template) {
-        return {
-          content: [{ type: 'text', text: `❌ ${args.template_type} template "${args.template_name}" not found` }],
-        };
+        throw new NotFoundError(`${args.template_type} template "${args.template_name}" not found`);
       }
 
       let output = `📋 ${args.template_type.charAt(0).toUpperCase() + args.template_type.slice(1)} Template: **${template.template_name}**\n\n`;
@@ -1498,9 +1328,7 @@ export class SchemaHandler {
         content: [{ type: 'text', text: output }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error getting template: ${error.message}` }],
-      };
+      return structuredError(error, 'Error getting template');
     }
   }
 
@@ -1550,9 +1378,7 @@ export class SchemaHandler {
         content: [{ type: 'text', text: output }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error performing global search: ${error.message}` }],
-      };
+      return structuredError(error, 'Error performing global search');
     }
   }
 
@@ -1586,9 +1412,7 @@ export class SchemaHandler {
         content: [{ type: 'text', text: output }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error creating parametric question: ${error.message}` }],
-      };
+      return structuredError(error, 'Error creating parametric question');
     }
   }
 
@@ -1624,9 +1448,7 @@ export class SchemaHandler {
         content: [{ type: 'text', text: output }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error creating parametric dashboard: ${error.message}` }],
-      };
+      return structuredError(error, 'Error creating parametric dashboard');
     }
   }
 
@@ -1656,7 +1478,7 @@ export class SchemaHandler {
           result = await parametricQuestions.createPeriodComparisonQuestion(args.database_id, config);
           break;
         default:
-          throw new Error(`Unknown preset type: ${args.preset_type}`);
+          throw new ValidationError(`Unknown preset type: ${args.preset_type}`);
       }
 
       const presetNames = {
@@ -1677,9 +1499,7 @@ export class SchemaHandler {
         content: [{ type: 'text', text: output }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Error creating preset template: ${error.message}` }],
-      };
+      return structuredError(error, 'Error creating preset template');
     }
   }
 
@@ -1692,7 +1512,7 @@ export class SchemaHandler {
   async getDirectClient(databaseId) {
     const connection = await this.getConnection(databaseId);
     if (connection.type !== 'direct') {
-      throw new Error('This operation requires direct database connection. Direct connection not available.');
+      throw new AppError('This operation requires direct database connection. Direct connection not available.', { code: 'not_configured' });
     }
     return connection.client;
   }
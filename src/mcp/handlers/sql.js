@@ -1,83 +1,207 @@
 import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 import { logger } from '../../utils/logger.js';
+import { AppError, NotFoundError, PermissionError, ValidationError } from '../../utils/errors.js';
+import { structuredError } from '../../utils/structured-response.js';
 import { CacheKeys, globalCache } from '../../utils/cache.js';
 import { getJobStore } from '../job-store.js';
+import { isReadOnlyMode } from '../tool-router.js';
+import { applyRowLimit, classifySQL, dialectForEngine, firstWrite } from '../../utils/sql-classifier.js';
+import { describeMasking } from '../../utils/pii-masker.js';
 import {
   ResponseFormat,
   formatListResponse,
   minimalDatabase,
 } from '../../utils/response-optimizer.js';
 
+// Same cap Metabase applies to ad-hoc native queries
+const DEFAULT_MAX_ROWS = 2000;
+// Rows per page in structuredContent (sql_execute, sql_status, sql_fetch)
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 2000;
+// Rows shown in the text table of sql_execute / sql_status
+const PREVIEW_ROWS = 5;
+
 /**
  * Handler for SQL Execution Operations
  */
 export class SqlHandler {
-  constructor(metabaseClient, cache, activityLogger, aiAssistant) {
+  /**
+   * @param {object} [toolPolicy] - ToolPolicy; its `sql.max_rows` settings override options.maxRows
+   * @param {object} [options]
+   * @param {number} [options.maxRows] - Row cap for sql_execute / sql_submit (MCP_SQL_MAX_ROWS, 0 disables)
+   * @param {PiiMasker} [options.piiMasker] - Masks PII in sql_execute / sql_status results
+   * @param {QueryResultCache} [options.queryCache] - Reuses sql_execute results of repeated read-only queries
+   * @param {QueryJobStore} [options.jobStore] - sql_submit jobs and stored result sets (default: getJobStore())
+   */
+  constructor(metabaseClient, cache, activityLogger, aiAssistant, toolPolicy = null, options = {}) {
     this.metabaseClient = metabaseClient;
     this.cache = cache;
     this.activeJobs = new Map();
     this.activityLogger = activityLogger || null;
     this.aiAssistant = aiAssistant || null;
+    this.toolPolicy = toolPolicy;
+    this.maxRows = Number.isFinite(options.maxRows) ? options.maxRows : DEFAULT_MAX_ROWS;
+    this.piiMasker = options.piiMasker || null;
+    this.queryCache = options.queryCache || null;
+    this.jobStore = options.jobStore || getJobStore();
     this.jobCounter = 0;
   }
 
   routes() {
     return {
+      'db_list': (args) => this.handleGetDatabases(args),
+      'db_test_speed': (args) => this.handleTestConnectionSpeed(args),
+      'db_schemas': (args) => this.handleGetDatabaseSchemas(args),
+      'db_tables': (args) => this.handleGetDatabaseTables(args),
       'sql_execute': (args) => this.handleExecuteSQL(args),
       'sql_submit': (args) => this.handleSQLSubmit(args),
       'sql_status': (args) => this.handleSQLStatus(args),
       'sql_cancel': (args) => this.handleSQLCancel(args),
+      'sql_fetch': (args) => this.handleSQLFetch(args),
+      'ai_sql_generate': (args) => this.handleGenerateSQL(args),
+      'ai_sql_optimize': (args) => this.handleOptimizeQuery(args),
+      'ai_sql_explain': (args) => this.handleExplainQuery(args),
     };
   }
 
+  /**
+   * SQL dialect of a database (from the cached database list), or null if unknown
+   */
+  async getDialect(databaseId) {
+    try {
+      const { data: databases } = await this.cache.getOrSet(CacheKeys.databases(), async () => {
+        const response = await this.metabaseClient.getDatabases();
+        return response.data || response;
+      });
+      return dialectForEngine(databases.find(db => db.id === Number(databaseId))?.engine);
+    } catch (error) {
+      logger.debug(`Could not resolve engine for database ${databaseId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Read-only gate for sql_execute / sql_submit
+   * @returns {Promise<object|null>} Blocked response, or null if the SQL may run
+   */
+  async checkReadOnly(databaseId, sql) {
+    if (!isReadOnlyMode()) return null;
+
+    const classification = classifySQL(sql, { dialect: await this.getDialect(databaseId) });
+    const write = firstWrite(classification);
+    if (!write) return null;
+
+    logger.warn(`Read-only mode: Blocked ${write.operation} (${write.type}) operation`, { sql: sql.substring(0, 100) });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🔒 **Read-Only Mode Active**\\n\\n` +
+            `⛔ **Operation Blocked:** \`${write.operation}\` (${write.type.toUpperCase()})\\n\\n` +
+            `This MCP server is running in read-only mode for security.\\n` +
+            `Only read statements are allowed; DML, DDL and admin statements (and SQL that cannot be parsed) are blocked.\\n\\n` +
+            `To enable write operations, set \`METABASE_READ_ONLY_MODE=false\` in your environment.\\n\\n` +
+            `🔍 **Attempted Query:**\\n\`\`\`sql\\n${sql.substring(0, 200)}${sql.length > 200 ? '...' : ''}\\n\`\`\``,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Add or lower the LIMIT of an ad-hoc SELECT (policy sql.max_rows, else MCP_SQL_MAX_ROWS)
+   * @returns {Promise<{sql: string, applied: string|null, limit: number, previous?: number|string}>}
+   */
+  async limitRows(databaseId, sql) {
+    const maxRows = this.toolPolicy?.maxRows(databaseId) ?? this.maxRows;
+    if (!(maxRows > 0)) return { sql, applied: null, limit: 0 };
+
+    const limited = applyRowLimit(sql, maxRows, { dialect: await this.getDialect(databaseId) });
+    if (limited.applied) {
+      logger.debug(`Row limit ${limited.applied} for database ${databaseId}: LIMIT ${maxRows}`);
+    }
+    return limited;
+  }
+
+  /**
+   * Mask PII in result rows before they are shown (utils/pii-masker.js)
+   * @returns {{ rows: Array<Array>, masked: Array<object> }}
+   */
+  maskRows(columns, rows) {
+    return this.piiMasker ? this.piiMasker.maskRows(columns, rows) : { rows, masked: [] };
+  }
+
+  /**
+   * How long sql_execute results on a database stay in the query cache: the policy's
+   * sql.cache_ttl_seconds, else MCP_QUERY_CACHE_TTL_SECONDS when MCP_QUERY_CACHE is on
+   * @returns {number} Seconds; 0 when results are not cached
+   */
+  cacheTtl(databaseId) {
+    if (!this.queryCache) return 0;
+    return this.toolPolicy?.cacheTtl(databaseId) ?? (this.queryCache.enabled ? this.queryCache.ttlSeconds : 0);
+  }
+
+  /**
+   * Drop query cache entries that write SQL may have changed (utils/query-cache.js)
+   */
+  async invalidateCache(databaseId, sql) {
+    if (!this.queryCache) return;
+    this.queryCache.invalidateSql(databaseId, sql, { dialect: await this.getDialect(databaseId) });
+  }
+
   async handleExecuteSQL(args) {
     const databaseId = args.database_id;
-    const sql = args.sql;
     const fullResults = args.full_results === true;
 
     // Read-Only Mode Security Check
-    const isReadOnlyMode = process.env.METABASE_READ_ONLY_MODE !== 'false';
-    if (isReadOnlyMode) {
-      const writePattern = /\b(INSERT|UPDATE|DELETE|DROP|TRUNCATE|ALTER|CREATE|GRANT|REVOKE|EXEC|EXECUTE)\b/i;
-      if (writePattern.test(sql)) {
-        const blockedOperation = sql.match(writePattern)?.[0]?.toUpperCase() || 'WRITE';
-        logger.warn(`Read-only mode: Blocked ${blockedOperation} operation`, { sql: sql.substring(0, 100) });
+    const blocked = await this.checkReadOnly(databaseId, args.sql);
+    if (blocked) return blocked;
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `🔒 **Read-Only Mode Active**\\n\\n` +
-                `⛔ **Operation Blocked:** \`${blockedOperation}\`\\n\\n` +
-                `This MCP server is running in read-only mode for security.\\n` +
-                `Write operations (INSERT, UPDATE, DELETE, DROP, etc.) are not allowed.\\n\\n` +
-                `To enable write operations, set \`METABASE_READ_ONLY_MODE=false\` in your environment.\\n\\n` +
-                `🔍 **Attempted Query:**\\n\`\`\`sql\\n${sql.substring(0, 200)}${sql.length > 200 ? '...' : ''}\\n\`\`\``,
-            },
-          ],
-        };
-      }
-    }
+    const limited = await this.limitRows(databaseId, args.sql);
+    const sql = limited.sql;
+
+    // Repeated read-only queries can be answered from the query cache
+    const dialect = await this.getDialect(databaseId);
+    const readOnly = !firstWrite(classifySQL(sql, { dialect }));
+    const cacheTtl = readOnly ? this.cacheTtl(databaseId) : 0;
+    const cached = cacheTtl > 0 && args.no_cache !== true ? this.queryCache.get(databaseId, sql, { dialect }) : null;
 
     const startTime = Date.now();
     let result = null;
     let error = null;
 
     try {
-      result = await this.metabaseClient.executeNativeQuery(databaseId, sql);
-      const executionTime = Date.now() - startTime;
+      let columns;
+      let rows;
+      let masked;
+      if (cached) {
+        ({ columns, rows, masked } = cached.result);
+      } else {
+        result = await this.metabaseClient.executeNativeQuery(databaseId, sql);
 
-      // Log the activity
-      if (this.activityLogger) {
-        await this.activityLogger.logSQLExecution(sql, databaseId, result, executionTime);
+        // Log the activity
+        if (this.activityLogger) {
+          await this.activityLogger.logSQLExecution(sql, databaseId, result, Date.now() - startTime);
+        }
+
+        columns = result.data.cols || [];
+        ({ rows, masked } = this.maskRows(columns, result.data.rows || []));
+        if (cacheTtl > 0) {
+          this.queryCache.set(databaseId, sql, { columns, rows, masked }, { ttlSeconds: cacheTtl, dialect });
+        }
       }
+      const executionTime = Date.now() - startTime;
 
-      // Format the result for display
-      const rows = result.data.rows || [];
-      const columns = result.data.cols || [];
+      // Keep rows the response leaves out so sql_fetch can page through them
+      const stored = rows.length > PREVIEW_ROWS ? this.jobStore.saveResult(databaseId, { columns, rows, masked }) : null;
+      const truncated = rows.length > DEFAULT_PAGE_SIZE && !fullResults;
 
-      let output = `✅ **Query successful** (${executionTime}ms)\\n`;
-      output += `📊 ${columns.length} columns, ${rows.length} rows\\n\\n`;
+      let output = `✅ **Query successful** (${cached ? `cached ${cached.age_seconds}s ago` : `${executionTime}ms`})\\n`;
+      output += `📊 ${columns.length} columns, ${rows.length} rows\\n`;
+      if (cached) output += `♻️ From the query cache (${cached.cached_at}); pass \`no_cache: true\` to run it again\\n`;
+      output += formatRowLimit(limited, rows.length);
+      if (masked.length > 0) output += `${describeMasking(masked)}\\n`;
+      output += `\\n`;
 
       if (rows.length > 0) {
         // Show sample data (max 5 rows)
@@ -86,7 +210,7 @@ export class SqlHandler {
         output += headers.join(' | ') + '\\n';
         output += headers.map(() => '---').join(' | ') + '\\n';
 
-        rows.slice(0, 5).forEach((row) => {
+        rows.slice(0, PREVIEW_ROWS).forEach((row) => {
           const formattedRow = row.map(cell => {
             if (cell === null) return 'NULL';
 
@@ -111,8 +235,8 @@ export class SqlHandler {
         });
         output += '\`\`\`\\n';
 
-        if (rows.length > 5) {
-          output += `_+${rows.length - 5} more rows_\\n`;
+        if (stored) {
+          output += `_+${rows.length - PREVIEW_ROWS} more rows - page through them with \`sql_fetch\` (result_id \`${stored.id}\`)_\\n`;
         }
 
         // Large result warning
@@ -158,10 +282,15 @@ export class SqlHandler {
         ],
         structuredContent: {
           columns: columns.map(c => ({ name: c.name, base_type: c.base_type || c.type || 'unknown' })),
-          rows: rows.slice(0, fullResults ? rows.length : 200),
+          rows: rows.slice(0, fullResults ? rows.length : DEFAULT_PAGE_SIZE),
           row_count: rows.length,
           execution_time_ms: executionTime,
-          truncated: rows.length > 200 && !fullResults,
+          truncated,
+          ...(stored && { result_id: stored.id }),
+          ...(stored && truncated && { next_cursor: encodeCursor(stored.id, DEFAULT_PAGE_SIZE) }),
+          ...(limited.limit > 0 && { row_limit: limited.limit }),
+          ...(masked.length > 0 && { masked_columns: masked }),
+          ...(cacheTtl > 0 && { cache: cached ? { hit: true, cached_at: cached.cached_at, age_seconds: cached.age_seconds } : { hit: false } }),
         },
       };
 
@@ -184,16 +313,10 @@ export class SqlHandler {
 
       // Compact error format - no query repetition
       const shortSql = sql.length > 80 ? sql.substring(0, 77) + '...' : sql;
-      const output = `❌ SQL Error: ${err.message}\\nQuery: ${shortSql}`;
-
-      return {
-        content: [
-          {
-            type: 'text',
-            text: output,
-          },
-        ],
-      };
+      return structuredError(err, 'SQL Error', `Query: ${shortSql}`);
+    } finally {
+      // A failed multi-statement write may still have changed some tables
+      if (!readOnly) this.queryCache?.invalidateSql(databaseId, sql, { dialect });
     }
   }
 
@@ -204,30 +327,25 @@ export class SqlHandler {
   async handleSQLSubmit(args) {
     try {
       const databaseId = args.database_id;
-      const sql = args.sql;
       const timeoutSeconds = Math.min(args.timeout_seconds || 300, 1800); // Max 30 minutes
 
       // Check read-only mode for write operations
-      if (isReadOnlyMode() && detectWriteOperation(sql)) {
-        return {
-          content: [{ type: 'text', text: '❌ Write operations blocked in read-only mode' }],
-        };
-      }
+      const blocked = await this.checkReadOnly(databaseId, args.sql);
+      if (blocked) return blocked;
 
-      // Get job store and create job
-      const jobStore = getJobStore();
-      const job = jobStore.create(databaseId, sql, timeoutSeconds);
+      const limited = await this.limitRows(databaseId, args.sql);
+      const sql = limited.sql;
 
-      // Add job marker to SQL for cancellation support
-      const markedSql = `/* job:${job.id} */ ${sql}`;
-
-      // Start query execution in background (non-blocking)
-      this.executeQueryBackground(job.id, databaseId, markedSql, timeoutSeconds * 1000);
+      // Queue the job; the job store starts it when the database has a free slot (executeJob)
+      const job = this.jobStore.create(databaseId, sql, timeoutSeconds, { priority: args.priority });
+      const queue = this.jobStore.queuePosition(job.id);
 
       const output = `✅ **Query Submitted**\\n` +
         `📋 Job ID: \`${job.id}\`\\n` +
         `⏱️ Timeout: ${timeoutSeconds} seconds\\n` +
-        `📊 Status: pending\\n\\n` +
+        `📊 Status: ${job.status}${queue ? ` (position ${queue.position} of ${queue.queue_length} in the queue)` : ''}\\n` +
+        `🔢 Priority: ${job.priority}\\n` +
+        formatRowLimit(limited) + `\\n` +
         `💡 Use \`sql_status\` with this job_id to check progress.`;
 
       return {
@@ -235,45 +353,103 @@ export class SqlHandler {
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Failed to submit query: ${error.message}` }],
-      };
+      return structuredError(error, 'Failed to submit query');
+    }
+  }
+
+  /**
+   * Check a queued job against the read-only mode and policy in force now. Jobs restored from
+   * MCP_JOB_STORE and scheduled runs were checked (if at all) under earlier settings.
+   * @returns {Promise<PermissionError|null>} Why the job may not run, or null
+   */
+  async recheckJob(job) {
+    const reasons = [];
+    if (job.card_id === undefined && isReadOnlyMode()) {
+      const write = firstWrite(classifySQL(job.sql, { dialect: await this.getDialect(job.database_id) }));
+      if (write) reasons.push({ code: 'read_only', message: `Read-only mode is active and the query is a ${write.operation} (${write.type})` });
+    }
+
+    if (this.toolPolicy) {
+      // Scheduled runs are checked as the schedule_create call that set them up (minus its own read-only gate)
+      const toolName = job.schedule_id ? 'schedule_create' : 'sql_submit';
+      const args = job.card_id !== undefined
+        ? { database_id: job.database_id, card_id: job.card_id }
+        : { database_id: job.database_id, sql: job.sql };
+      reasons.push(...this.toolPolicy.checkTool(toolName).filter(reason => reason.code !== 'read_only'),
+        ...this.toolPolicy.checkArguments(toolName, args));
+    }
+
+    if (reasons.length === 0) return null;
+    return new PermissionError(`Blocked before it started: ${reasons.map(r => r.message).join('; ')}`, {
+      code: reasons[0].code,
+      details: { job_id: job.id, reasons },
+    });
+  }
+
+  /**
+   * Run a queued job; called by the job store's worker pool once the database has a free slot.
+   * The job is rechecked first (recheckJob) and marked failed if it may no longer run.
+   */
+  async executeJob(job) {
+    const blocked = await this.recheckJob(job);
+    if (blocked) {
+      logger.warn(`Query job ${job.id} blocked: ${blocked.message}`);
+      this.jobStore.markFailed(job.id, blocked);
+      return;
+    }
+
+    if (job.card_id !== undefined) {
+      await this.executeQueryBackground(job.id, job.database_id, null, job.timeout_ms);
+      return;
     }
+    // The tag comment lets sql_cancel find the query's session on the database server
+    await this.executeQueryBackground(job.id, job.database_id, `/* ${jobTag(job.id)} */ ${job.sql}`, job.timeout_ms);
+    await this.invalidateCache(job.database_id, job.sql);
   }
 
   /**
-   * Execute query in background and update job status
+   * Execute query in background and update job status. Card jobs (scheduled card runs)
+   * pass no SQL and run the job's card_id with its parameters.
    */
   async executeQueryBackground(jobId, databaseId, sql, timeoutMs) {
-    const jobStore = getJobStore();
-    const job = jobStore.get(jobId);
+    const job = this.jobStore.get(jobId);
 
     if (!job) return;
 
-    jobStore.markRunning(jobId);
-
     try {
-      const result = await this.metabaseClient.executeNativeQueryWithTimeout(
-        databaseId,
-        sql,
-        timeoutMs,
-        job.abortController.signal
-      );
-
-      const rows = result.data?.rows || [];
-      jobStore.markComplete(jobId, result, rows.length);
+      const result = job.card_id !== undefined
+        ? await this.metabaseClient.executeCardQueryWithTimeout(job.card_id, job.parameters, timeoutMs, job.abortController.signal)
+        : await this.metabaseClient.executeNativeQueryWithTimeout(
+          databaseId,
+          sql,
+          timeoutMs,
+          job.abortController.signal
+        );
+
+      // Masked once here; sql_status and sql_fetch page through the stored copy
+      const columns = result.data?.cols || [];
+      const { rows, masked } = this.maskRows(columns, result.data?.rows || []);
+      this.jobStore.markComplete(jobId, { columns, rows, masked });
 
       logger.info(`Query job ${jobId} completed with ${rows.length} rows`);
 
     } catch (error) {
-      if (error.message.includes('cancelled')) {
-        jobStore.markCancelled(jobId);
-      } else if (error.message.includes('timed out')) {
-        jobStore.markTimeout(jobId);
-        // Try to cancel on database
-        await this.metabaseClient.cancelPostgresQuery(databaseId, `job:${jobId}`);
+      if (error.code === 'query_cancelled') {
+        this.jobStore.markCancelled(jobId);
+      } else if (error.code === 'query_timeout') {
+        const timedOut = this.jobStore.markTimeout(jobId);
+        // The HTTP request gave up; stop the query on the database too. Only SQL jobs carry the
+        // job tag (executeJob), so a card job's query cannot be found on the server.
+        let note = 'only the HTTP request was aborted (card queries carry no job tag to cancel on the database)';
+        if (job.card_id === undefined) {
+          const server = await this.metabaseClient.cancelServerQuery(databaseId, jobTag(jobId));
+          note = server.cancelled
+            ? `cancelled on the database (${server.method} on session ${server.pid})`
+            : `only the HTTP request was aborted; database cancel not done${server.reason ? ` (${server.reason})` : ''}`;
+        }
+        this.jobStore.update(jobId, { error: `${timedOut.error}; ${note}` });
       } else {
-        jobStore.markFailed(jobId, error);
+        this.jobStore.markFailed(jobId, error);
       }
 
       logger.error(`Query job ${jobId} failed: ${error.message}`);
@@ -281,58 +457,73 @@ export class SqlHandler {
   }
 
   /**
-   * Check status of an async query
+   * Check status of an async query; a complete job's rows are paged with cursor / page_size
    */
   async handleSQLStatus(args) {
     try {
-      const jobStore = getJobStore();
-      const job = jobStore.get(args.job_id);
+      const job = this.jobStore.get(args.job_id);
 
       if (!job) {
-        return {
-          content: [{ type: 'text', text: `❌ Job not found: ${args.job_id}` }],
-        };
+        throw new NotFoundError(`Job not found: ${args.job_id}`);
       }
 
-      const elapsedSeconds = jobStore.getElapsedSeconds(args.job_id);
+      const elapsedSeconds = this.jobStore.getElapsedSeconds(args.job_id);
+      let result = null;
 
       let output = `📋 **Job Status: ${job.id}**\\n`;
       output += `📊 Status: ${job.status}\\n`;
       output += `⏱️ Elapsed: ${elapsedSeconds} seconds\\n`;
 
+      const queue = this.jobStore.queuePosition(job.id);
+      if (queue) {
+        output += `🔢 Queue: position ${queue.position} of ${queue.queue_length} (priority ${job.priority}, ${queue.running} running on this database)\\n`;
+      }
+
       if (job.status === 'running' || job.status === 'pending') {
         let waitSeconds = 3;
         if (elapsedSeconds > 60) waitSeconds = 30;
         else if (elapsedSeconds > 30) waitSeconds = 10;
         else if (elapsedSeconds > 10) waitSeconds = 5;
 
-        output += `\\n💡 Query is still running. Please wait **${waitSeconds} seconds** before checking again.\\n`;
+        output += `\\n💡 Query is still ${queue ? 'queued' : 'running'}. Please wait **${waitSeconds} seconds** before checking again.\\n`;
         output += `(Use \`sql_cancel\` to stop if needed)`;
       } else if (job.status === 'complete') {
-        const rows = job.result?.data?.rows || [];
-        const columns = job.result?.data?.cols || [];
+        const stored = this.jobStore.getResult(job.result_id);
 
         output += `✅ **Query Complete!**\\n`;
-        output += `📊 ${columns.length} columns, ${rows.length} rows\\n\\n`;
-
-        if (rows.length > 0) {
-          output += `**Data:**\\n\`\`\`\\n`;
-          const headers = columns.map(col => col.name);
-          output += headers.join(' | ') + '\\n';
-          output += headers.map(() => '---').join(' | ') + '\\n';
-
-          rows.slice(0, 5).forEach((row) => {
-            const formattedRow = row.map(cell => {
-              if (cell === null) return 'NULL';
-              const str = String(cell);
-              return str.length > 30 ? str.substring(0, 27) + '...' : str;
+        if (!stored) {
+          output += `📊 ${job.row_count} rows\\n\\n`;
+          output += `⚠️ The result set has expired and is no longer stored. Submit the query again to see it.\\n`;
+        } else {
+          const offset = args.cursor ? decodeCursor(args.cursor, stored.id).offset : 0;
+          const page = pageOf(stored, offset, pageSize(args.page_size));
+          const columns = stored.columns;
+          result = { stored, page };
+
+          output += `📊 ${columns.length} columns, ${stored.rows.length} rows\\n`;
+          if (stored.masked.length > 0) output += `${describeMasking(stored.masked)}\\n`;
+          output += `\\n`;
+
+          if (page.rows.length > 0) {
+            output += `**Data${offset > 0 ? ` (from row ${offset + 1})` : ''}:**\\n\`\`\`\\n`;
+            const headers = columns.map(col => col.name);
+            output += headers.join(' | ') + '\\n';
+            output += headers.map(() => '---').join(' | ') + '\\n';
+
+            page.rows.slice(0, PREVIEW_ROWS).forEach((row) => {
+              const formattedRow = row.map(cell => {
+                if (cell === null) return 'NULL';
+                const str = String(cell);
+                return str.length > 30 ? str.substring(0, 27) + '...' : str;
+              });
+              output += formattedRow.join(' | ') + '\\n';
             });
-            output += formattedRow.join(' | ') + '\\n';
-          });
-          output += '\`\`\`\\n';
+            output += '\`\`\`\\n';
 
-          if (rows.length > 5) {
-            output += `_+${rows.length - 5} more rows_\\n`;
+            const remaining = stored.rows.length - offset - Math.min(page.rows.length, PREVIEW_ROWS);
+            if (remaining > 0) {
+              output += `_+${remaining} more rows - page through them with \`sql_fetch\` (result_id \`${stored.id}\`)_\\n`;
+            }
           }
         }
       } else if (job.status === 'failed' || job.status === 'timeout' || job.status === 'cancelled') {
@@ -344,73 +535,154 @@ export class SqlHandler {
         structuredContent: {
           job_id: job.id,
           status: job.status,
-          submitted_at: job.submittedAt || null,
+          priority: job.priority,
+          submitted_at: job.submitted_at ? new Date(job.submitted_at).toISOString() : null,
           elapsed_seconds: elapsedSeconds,
-          ...(job.status === 'complete' && job.result ? {
+          ...(queue && { queue_position: queue.position, queue_length: queue.queue_length }),
+          ...(result ? {
             result: {
-              columns: (job.result.data?.cols || []).map(c => ({ name: c.name })),
-              rows: (job.result.data?.rows || []).slice(0, 200),
-              row_count: (job.result.data?.rows || []).length,
+              result_id: result.stored.id,
+              columns: result.stored.columns.map(c => ({ name: c.name })),
+              rows: result.page.rows,
+              row_count: result.stored.rows.length,
+              offset: result.page.offset,
+              next_cursor: result.page.next_cursor,
+              ...(result.stored.masked.length > 0 && { masked_columns: result.stored.masked }),
             }
           } : {}),
+          ...(job.status === 'complete' && !result ? { result_expired: true } : {}),
           ...(job.error ? { error: job.error } : {}),
         },
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Failed to check status: ${error.message}` }],
-      };
+      return structuredError(error, 'Failed to check status');
     }
   }
 
   /**
-   * Cancel a running async query
+   * Cancel a queued or running async query: dequeue it, or cancel it on the database
+   * server (PostgreSQL, MySQL/MariaDB) and abort the HTTP request
    */
   async handleSQLCancel(args) {
     try {
-      const jobStore = getJobStore();
-      const job = jobStore.get(args.job_id);
+      const job = this.jobStore.get(args.job_id);
 
       if (!job) {
-        return {
-          content: [{ type: 'text', text: `❌ Job not found: ${args.job_id}` }],
-        };
+        throw new NotFoundError(`Job not found: ${args.job_id}`);
       }
 
       if (job.status !== 'running' && job.status !== 'pending') {
         return {
           content: [{ type: 'text', text: `ℹ️ Job is not running (status: ${job.status})` }],
+          structuredContent: { job_id: job.id, status: job.status, http_aborted: false, server_cancel: null },
         };
       }
 
-      // Abort the HTTP request
-      job.abortController.abort();
+      // A queued job has not reached the database yet; taking it out of the queue is enough
+      if (job.status === 'pending') {
+        this.jobStore.markCancelled(args.job_id);
+        return {
+          content: [{ type: 'text', text: `✅ **Query Cancelled**\\n📋 Job ID: ${args.job_id}\\n📊 Removed from the queue before it started` }],
+          structuredContent: { job_id: job.id, status: 'cancelled', was_queued: true, http_aborted: false, server_cancel: null },
+        };
+      }
 
-      // Try to cancel on database
-      const dbCancelled = await this.metabaseClient.cancelPostgresQuery(
-        job.database_id,
-        `job:${job.id}`
-      );
+      // Marked first so the error the cancelled query returns does not turn the job into `failed`
+      this.jobStore.markCancelled(args.job_id);
 
-      jobStore.markCancelled(args.job_id);
+      // Server-side cancel while the query is still running, then abort the HTTP request.
+      // Card jobs are not tagged (executeJob), so only their HTTP request can be aborted.
+      const server = job.card_id === undefined
+        ? await this.metabaseClient.cancelServerQuery(job.database_id, jobTag(job.id))
+        : null;
+      job.abortController.abort();
 
-      const output = `✅ **Query Cancelled**\\n` +
+      let output = `✅ **Query Cancelled**\\n` +
         `📋 Job ID: ${args.job_id}\\n` +
-        `🗄️ Database cancel: ${dbCancelled ? 'sent' : 'not available'}`;
+        `🌐 HTTP request: aborted\\n`;
+      if (!server) {
+        output += `🗄️ Database cancel: not attempted (card queries carry no job tag)\\n`;
+        output += `⚠️ Only the HTTP request was aborted; the query may still be running on the database.`;
+      } else if (server.cancelled) {
+        output += `🗄️ Database cancel: ${server.method} on session ${server.pid} succeeded`;
+      } else {
+        output += `🗄️ Database cancel: not done${server.reason ? ` (${server.reason})` : ''}\\n`;
+        output += `⚠️ Only the HTTP request was aborted; the query may still be running on the database.`;
+      }
 
       return {
         content: [{ type: 'text', text: output }],
+        structuredContent: { job_id: job.id, status: 'cancelled', was_queued: false, http_aborted: true, server_cancel: server },
       };
 
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `❌ Failed to cancel: ${error.message}` }],
-      };
+      return structuredError(error, 'Failed to cancel');
     }
   }
 
 
+  /**
+   * Page through a stored result set (sql_execute result_id, sql_submit job_id, or a next_cursor)
+   */
+  async handleSQLFetch(args) {
+    if (!args.cursor && !args.result_id) {
+      throw new ValidationError('Pass result_id (first page) or cursor (next page)');
+    }
+
+    const { resultId, offset } = args.cursor
+      ? decodeCursor(args.cursor, args.result_id)
+      : { resultId: args.result_id, offset: 0 };
+
+    const stored = this.jobStore.getResult(resultId);
+    if (!stored) {
+      throw new NotFoundError(`Result ${resultId} not found or expired. Run the query again.`, { code: 'result_expired' });
+    }
+
+    const page = pageOf(stored, offset, pageSize(args.page_size));
+    const columns = stored.columns;
+    const last = offset + page.rows.length;
+
+    let output = `📄 **Rows ${page.rows.length > 0 ? offset + 1 : offset}-${last} of ${stored.rows.length}** (result \`${stored.id}\`)\\n`;
+    if (stored.masked.length > 0) output += `${describeMasking(stored.masked)}\\n`;
+    output += `\\n`;
+
+    if (page.rows.length > 0) {
+      output += `\`\`\`\\n`;
+      const headers = columns.map(col => col.name);
+      output += headers.join(' | ') + '\\n';
+      output += headers.map(() => '---').join(' | ') + '\\n';
+      page.rows.forEach((row) => {
+        output += row.map(cell => {
+          if (cell === null) return 'NULL';
+          const str = String(cell);
+          return str.length > 100 ? str.substring(0, 97) + '...' : str;
+        }).join(' | ') + '\\n';
+      });
+      output += '\`\`\`\\n';
+    } else {
+      output += `ℹ️ No rows past offset ${offset}.\\n`;
+    }
+
+    if (page.next_cursor) {
+      output += `\\n➡️ Next page: \`sql_fetch\` with cursor \`${page.next_cursor}\`\\n`;
+    }
+
+    return {
+      content: [{ type: 'text', text: output }],
+      structuredContent: {
+        result_id: stored.id,
+        columns: columns.map(c => ({ name: c.name, base_type: c.base_type || c.type || 'unknown' })),
+        rows: page.rows,
+        row_count: stored.rows.length,
+        offset: page.offset,
+        next_cursor: page.next_cursor,
+        expires_at: new Date(stored.expires_at).toISOString(),
+        ...(stored.masked.length > 0 && { masked_columns: stored.masked }),
+      },
+    };
+  }
+
   async handleGetDatabases() {
 
     // Use cache for database list
@@ -424,9 +696,10 @@ export class SqlHandler {
     const source = cached.source;
 
     // Log cache status
-    if (source === 'cache') {
-      logger.debug('Databases fetched from cache');
+    if (source !== 'api') {
+      logger.debug(`Databases fetched from cache (${source})`);
     }
+    const cacheNote = { cache: '\\n\\n_📦 From cache_', stale: '\\n\\n_📦 From cache (refreshing)_' }[source] || '';
 
     // Use response optimizer for compact output
     const optimizedResponse = formatListResponse(
@@ -445,7 +718,7 @@ export class SqlHandler {
     // If optimization returned a result, use it; otherwise fall back to standard format
     if (optimizedResponse) {
       // Add cache indicator
-      optimizedResponse.content[0].text += source === 'cache' ? '\\n\\n_📦 From cache_' : '';
+      optimizedResponse.content[0].text += cacheNote;
       optimizedResponse.structuredContent = structuredContent;
       return optimizedResponse;
     }
@@ -456,7 +729,7 @@ export class SqlHandler {
           type: 'text',
           text: `Found ${databases.length} databases:\\n${databases
             .map(db => `- ${db.name} (${db.engine}) - ID: ${db.id}`)
-            .join('\\n')}${source === 'cache' ? '\\n\\n_📦 From cache_' : ''}`,
+            .join('\\n')}${cacheNote}`,
         },
       ],
       structuredContent,
@@ -508,7 +781,7 @@ export class SqlHandler {
 
   async handleGenerateSQL(args) {
     if (!this.aiAssistant) {
-      throw new Error('AI assistant not configured. Please set ANTHROPIC_API_KEY or OPENAI_API_KEY.');
+      throw new AppError('AI assistant not configured. Please set ANTHROPIC_API_KEY or OPENAI_API_KEY.', { code: 'not_configured' });
     }
 
     const { description, database_id } = args;
@@ -528,7 +801,7 @@ export class SqlHandler {
 
   async handleOptimizeQuery(args) {
     if (!this.aiAssistant) {
-      throw new Error('AI assistant not configured. Please set ANTHROPIC_API_KEY or OPENAI_API_KEY.');
+      throw new AppError('AI assistant not configured. Please set ANTHROPIC_API_KEY or OPENAI_API_KEY.', { code: 'not_configured' });
     }
 
     const optimization = await this.aiAssistant.optimizeQuery(args.sql);
@@ -546,7 +819,7 @@ export class SqlHandler {
 
   async handleExplainQuery(args) {
     if (!this.aiAssistant) {
-      throw new Error('AI assistant not configured. Please set ANTHROPIC_API_KEY or OPENAI_API_KEY.');
+      throw new AppError('AI assistant not configured. Please set ANTHROPIC_API_KEY or OPENAI_API_KEY.', { code: 'not_configured' });
     }
 
     const explanation = await this.aiAssistant.explainQuery(args.sql);
@@ -591,13 +864,72 @@ export class SqlHandler {
         },
       };
     } catch (error) {
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ Speed test failed: ${error.message}`
-        }],
-      };
+      return structuredError(error, 'Speed test failed');
     }
   }
 
 }
+
+/**
+ * Tag in the leading comment of a job's SQL (`/* mcp-job:<id> *\/`)
+ */
+function jobTag(jobId) {
+  return `mcp-job:${jobId}`;
+}
+
+/**
+ * Response line for a row limit added, lowered or wrapped by limitRows()
+ * @param {object} limited - From SqlHandler.limitRows()
+ * @param {number} [rowCount] - Rows returned, when known
+ */
+function formatRowLimit(limited, rowCount) {
+  if (!limited.applied) {
+    return rowCount !== undefined && limited.limit > 0 && rowCount >= limited.limit
+      ? `⚠️ Row limit reached (${limited.limit}); the result may be incomplete.\\n`
+      : '';
+  }
+  const change = {
+    added: `\`LIMIT ${limited.limit}\` added`,
+    tightened: `\`LIMIT ${limited.previous}\` lowered to ${limited.limit}`,
+    wrapped: `query wrapped in \`SELECT * FROM (...) LIMIT ${limited.limit}\` (its limit \`${limited.previous}\` is not a number)`,
+  }[limited.applied];
+  const reached = rowCount !== undefined && rowCount >= limited.limit ? '; the result may be incomplete' : '';
+  return `✂️ Row limit: ${change}${reached}\\n`;
+}
+
+/**
+ * Opaque sql_fetch cursor: result handle and row offset
+ */
+function encodeCursor(resultId, offset) {
+  return Buffer.from(`${resultId}:${offset}`).toString('base64url');
+}
+
+/**
+ * @param {string} cursor
+ * @param {string} [resultId] - If given, the cursor must belong to this result
+ * @throws {ValidationError} On a malformed cursor or one from another result
+ */
+function decodeCursor(cursor, resultId) {
+  const [id, offset] = Buffer.from(String(cursor), 'base64url').toString('utf8').split(':');
+  const position = Number(offset);
+  if (!id || !Number.isInteger(position) || position < 0) {
+    throw new ValidationError(`Invalid cursor: ${cursor}`, { code: 'invalid_cursor' });
+  }
+  if (resultId && id !== resultId) {
+    throw new ValidationError(`Cursor belongs to result ${id}, not ${resultId}`, { code: 'invalid_cursor' });
+  }
+  return { resultId: id, offset: position };
+}
+
+function pageSize(requested) {
+  return Math.min(Math.max(parseInt(requested, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Rows [offset, offset + size) of a stored result and the cursor of the next page (null on the last one)
+ */
+function pageOf(stored, offset, size) {
+  const rows = stored.rows.slice(offset, offset + size);
+  const end = offset + rows.length;
+  return { rows, offset, next_cursor: end < stored.rows.length ? encodeCursor(stored.id, end) : null };
+}
@@ -1,5 +1,7 @@
 import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 import { logger } from '../../utils/logger.js';
+import { NotFoundError } from '../../utils/errors.js';
+import { structuredError } from '../../utils/structured-response.js';
 
 export class UsersHandler {
   constructor(metabaseClient) {
@@ -21,8 +23,30 @@ export class UsersHandler {
     };
   }
 
+  /**
+   * What destructive tools would remove, shown before approval (see approvals.js)
+   */
+  previews() {
+    return {
+      'mb_user_disable': async ({ user_id }) => {
+        const user = await this.metabaseClient.request('GET', `/api/user/${user_id}`);
+        return {
+          summary: `Disable user ${user_id}; they will no longer be able to log in`,
+          objects: [{ type: 'user', id: user.id, name: user.common_name || user.email, detail: user.email }],
+        };
+      },
+      'mb_permission_group_delete': async ({ group_id }) => {
+        const group = await this.metabaseClient.request('GET', `/api/permissions/group/${group_id}`);
+        const members = group.members?.length ?? group.member_count ?? 0;
+        return {
+          summary: `Delete permission group ${group_id}; its members lose the permissions it grants`,
+          objects: [{ type: 'permission_group', id: group.id, name: group.name, detail: `${members} members` }],
+        };
+      },
+    };
+  }
+
   async handleUserList(args) {
-    await this.ensureInitialized();
     const { status = 'all', group_id } = args;
 
     try {
@@ -58,12 +82,11 @@ export class UsersHandler {
         },
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ User list error: ${error.message}` }] };
+      return structuredError(error, 'User list error');
     }
   }
 
   async handleUserGet(args) {
-    await this.ensureInitialized();
     const { user_id } = args;
 
     try {
@@ -84,12 +107,11 @@ export class UsersHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ User get error: ${error.message}` }] };
+      return structuredError(error, 'User get error');
     }
   }
 
   async handleUserCreate(args) {
-    await this.ensureInitialized();
     const { email, first_name, last_name, password, group_ids } = args;
 
     try {
@@ -113,12 +135,11 @@ export class UsersHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ User create error: ${error.message}` }] };
+      return structuredError(error, 'User create error');
     }
   }
 
   async handleUserUpdate(args) {
-    await this.ensureInitialized();
     const { user_id, ...updates } = args;
 
     try {
@@ -131,12 +152,11 @@ export class UsersHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ User update error: ${error.message}` }] };
+      return structuredError(error, 'User update error');
     }
   }
 
   async handleUserDisable(args) {
-    await this.ensureInitialized();
     const { user_id } = args;
 
     try {
@@ -149,15 +169,13 @@ export class UsersHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ User disable error: ${error.message}` }] };
+      return structuredError(error, 'User disable error');
     }
   }
 
   // ==================== PERMISSION GROUP HANDLERS ====================
 
   async handlePermissionGroupList(args) {
-    await this.ensureInitialized();
-
     try {
       const groups = await this.metabaseClient.request('GET', '/api/permissions/group');
 
@@ -170,12 +188,11 @@ export class UsersHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Permission group list error: ${error.message}` }] };
+      return structuredError(error, 'Permission group list error');
     }
   }
 
   async handlePermissionGroupCreate(args) {
-    await this.ensureInitialized();
     const { name } = args;
 
     try {
@@ -188,12 +205,11 @@ export class UsersHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Permission group create error: ${error.message}` }] };
+      return structuredError(error, 'Permission group create error');
     }
   }
 
   async handlePermissionGroupDelete(args) {
-    await this.ensureInitialized();
     const { group_id } = args;
 
     try {
@@ -206,12 +222,11 @@ export class UsersHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Permission group delete error: ${error.message}` }] };
+      return structuredError(error, 'Permission group delete error');
     }
   }
 
   async handlePermissionGroupAddUser(args) {
-    await this.ensureInitialized();
     const { group_id, user_id } = args;
 
     try {
@@ -227,12 +242,11 @@ export class UsersHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Add user to group error: ${error.message}` }] };
+      return structuredError(error, 'Add user to group error');
     }
   }
 
   async handlePermissionGroupRemoveUser(args) {
-    await this.ensureInitialized();
     const { group_id, user_id } = args;
 
     try {
@@ -241,7 +255,7 @@ export class UsersHandler {
       const membership = memberships.members?.find(m => m.user_id === user_id);
 
       if (!membership) {
-        return { content: [{ type: 'text', text: `❌ User ${user_id} is not in group ${group_id}` }] };
+        throw new NotFoundError(`User ${user_id} is not in group ${group_id}`);
       }
 
       await this.metabaseClient.request('DELETE', `/api/permissions/membership/${membership.membership_id}`);
@@ -253,7 +267,7 @@ export class UsersHandler {
         }]
       };
     } catch (error) {
-      return { content: [{ type: 'text', text: `❌ Remove user from group error: ${error.message}` }] };
+      return structuredError(error, 'Remove user from group error');
     }
   }
 }
@@ -0,0 +1,258 @@
+/**
+ * Streamable HTTP Transport
+ * Serves the MCP server over HTTP (POST + SSE) so several clients can share one process.
+ *
+ * Each MCP session gets its own Server + StreamableHTTPServerTransport pair;
+ * the Metabase client, handlers and caches behind them are shared.
+ */
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { createMcpExpressApp } from '@modelcontextprotocol/sdk/server/express.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Read HTTP transport options from the environment
+ * @returns {{ host: string, port: number, path: string, authToken: string|null, corsOrigins: string[], allowedHosts: string[]|undefined, sessionIdleMs: number }}
+ */
+export function getHttpOptionsFromEnv() {
+    const splitList = (val) => (val || '').split(',').map(s => s.trim()).filter(Boolean);
+
+    return {
+        host: process.env.MCP_HTTP_HOST || '127.0.0.1',
+        port: parseInt(process.env.MCP_HTTP_PORT || process.env.PORT || '3001', 10),
+        path: process.env.MCP_HTTP_PATH || '/mcp',
+        authToken: process.env.MCP_AUTH_TOKEN || null,
+        corsOrigins: splitList(process.env.MCP_CORS_ORIGINS),
+        allowedHosts: process.env.MCP_ALLOWED_HOSTS ? splitList(process.env.MCP_ALLOWED_HOSTS) : undefined,
+        // 0 keeps sessions until the client ends them
+        sessionIdleMs: parseInt(process.env.MCP_HTTP_SESSION_IDLE_MS || '1800000', 10),
+    };
+}
+
+/**
+ * Constant-time bearer token comparison
+ */
+function tokenMatches(expected, header) {
+    if (!header || !header.startsWith('Bearer ')) return false;
+    const provided = Buffer.from(header.slice(7).trim());
+    const wanted = Buffer.from(expected);
+    return provided.length === wanted.length && timingSafeEqual(provided, wanted);
+}
+
+/**
+ * CORS middleware. `*` allows any origin; otherwise only listed origins are echoed back.
+ */
+function corsMiddleware(origins) {
+    const allowAll = origins.includes('*');
+
+    return (req, res, next) => {
+        const origin = req.headers.origin;
+        if (origin && (allowAll || origins.includes(origin))) {
+            res.setHeader('Access-Control-Allow-Origin', allowAll ? '*' : origin);
+            res.setHeader('Vary', 'Origin');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+            res.setHeader('Access-Control-Allow-Headers',
+                'Content-Type, Authorization, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID, X-MCP-Tool-Profile');
+            res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.sendStatus(204);
+            return;
+        }
+        next();
+    };
+}
+
+/**
+ * Bearer token middleware. Disabled when no token is configured.
+ */
+function authMiddleware(authToken) {
+    return (req, res, next) => {
+        if (!authToken || tokenMatches(authToken, req.headers.authorization)) {
+            next();
+            return;
+        }
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        res.status(401).json({
+            jsonrpc: '2.0',
+            error: { code: -32001, message: 'Unauthorized' },
+            id: null,
+        });
+    };
+}
+
+function jsonRpcError(res, status, message) {
+    res.status(status).json({
+        jsonrpc: '2.0',
+        error: { code: -32000, message },
+        id: null,
+    });
+}
+
+function internalError(res) {
+    res.status(500).json({
+        jsonrpc: '2.0',
+        error: { code: -32603, message: 'Internal server error' },
+        id: null,
+    });
+}
+
+/**
+ * Start the Streamable HTTP transport
+ * @param {function} createServer - Factory returning a new, unconnected MCP Server
+ * @param {object} options - See getHttpOptionsFromEnv()
+ * @param {object} [hooks]
+ * @param {function} [hooks.onSessionStart] - Called with (sessionId, req) once a session is initialized
+ * @param {function} [hooks.onSessionEnd] - Called with (sessionId) once a session is closed
+ * @returns {Promise<{ httpServer: import('http').Server, sessions: Map, close: function, closeIdleSessions: function }>}
+ */
+export async function startHttpTransport(createServer, options, hooks = {}) {
+    const { host, port, path, authToken, corsOrigins, allowedHosts, sessionIdleMs = 0 } = options;
+    const sessions = new Map(); // sessionId -> { server, transport, lastActivity, activeRequests }
+
+    if (!authToken && !['127.0.0.1', 'localhost', '::1'].includes(host)) {
+        logger.warn(`HTTP transport is listening on ${host} without MCP_AUTH_TOKEN - any client can connect`);
+    }
+
+    const app = createMcpExpressApp({ host, allowedHosts });
+    app.use(corsMiddleware(corsOrigins));
+
+    app.get('/health', (req, res) => {
+        res.json({ status: 'ok', transport: 'streamable-http', sessions: sessions.size });
+    });
+
+    app.use(path, authMiddleware(authToken));
+
+    /**
+     * Mark a session busy until the response ends. An open SSE stream counts as activity for as long as it stays open.
+     */
+    function trackActivity(session, res) {
+        session.activeRequests++;
+        session.lastActivity = Date.now();
+        res.on('close', () => {
+            session.activeRequests--;
+            session.lastActivity = Date.now();
+        });
+    }
+
+    app.post(path, async (req, res) => {
+        const sessionId = req.headers['mcp-session-id'];
+
+        try {
+            if (sessionId && sessions.has(sessionId)) {
+                const session = sessions.get(sessionId);
+                trackActivity(session, res);
+                await session.transport.handleRequest(req, res, req.body);
+                return;
+            }
+
+            if (sessionId || !isInitializeRequest(req.body)) {
+                jsonRpcError(res, sessionId ? 404 : 400,
+                    sessionId ? `Session not found: ${sessionId}` : 'Bad Request: no valid session ID provided');
+                return;
+            }
+
+            const server = createServer();
+            const transport = new StreamableHTTPServerTransport({
+                sessionIdGenerator: () => randomUUID(),
+                onsessioninitialized: (id) => {
+                    const session = { server, transport, lastActivity: Date.now(), activeRequests: 0 };
+                    sessions.set(id, session);
+                    trackActivity(session, res);
+                    logger.info(`MCP HTTP session started: ${id}`);
+                    hooks.onSessionStart?.(id, req);
+                },
+            });
+
+            transport.onclose = () => {
+                const id = transport.sessionId;
+                if (id && sessions.delete(id)) {
+                    logger.info(`MCP HTTP session closed: ${id}`);
+                    hooks.onSessionEnd?.(id);
+                }
+            };
+
+            await server.connect(transport);
+            await transport.handleRequest(req, res, req.body);
+        } catch (error) {
+            logger.error('HTTP transport request failed:', error);
+            if (!res.headersSent) internalError(res);
+        }
+    });
+
+    // GET opens the SSE stream for server-to-client messages, DELETE ends the session
+    const handleSessionRequest = async (req, res) => {
+        const sessionId = req.headers['mcp-session-id'];
+        const session = sessionId && sessions.get(sessionId);
+        if (!session) {
+            jsonRpcError(res, sessionId ? 404 : 400, 'Invalid or missing session ID');
+            return;
+        }
+        trackActivity(session, res);
+        try {
+            await session.transport.handleRequest(req, res);
+        } catch (error) {
+            logger.error(`HTTP transport ${req.method} request failed:`, error);
+            if (!res.headersSent) internalError(res);
+        }
+    };
+
+    app.get(path, handleSessionRequest);
+    app.delete(path, handleSessionRequest);
+
+    const httpServer = await new Promise((resolve, reject) => {
+        const srv = app.listen(port, host, () => resolve(srv));
+        srv.on('error', reject);
+    });
+
+    logger.info(`MCP Streamable HTTP transport listening on http://${host}:${port}${path}`);
+
+    /**
+     * Close sessions with no open request or stream for longer than sessionIdleMs.
+     * Clients that vanish without a DELETE would otherwise keep their Server and transport forever.
+     */
+    async function closeIdleSessions() {
+        const cutoff = Date.now() - sessionIdleMs;
+        for (const [id, session] of sessions) {
+            if (session.activeRequests > 0 || session.lastActivity > cutoff) continue;
+            logger.info(`MCP HTTP session idle for over ${sessionIdleMs}ms, closing: ${id}`);
+            try {
+                await session.transport.close();
+            } catch (error) {
+                logger.warn(`Failed to close idle session ${id}: ${error.message}`);
+            }
+            // onclose normally removes it; make sure a failed close doesn't leave it behind
+            if (sessions.delete(id)) hooks.onSessionEnd?.(id);
+        }
+    }
+
+    const idleTimer = sessionIdleMs > 0
+        ? setInterval(closeIdleSessions, Math.min(sessionIdleMs, 60000))
+        : null;
+    idleTimer?.unref();
+
+    /**
+     * Close every open session, then stop accepting connections
+     */
+    async function close() {
+        if (idleTimer) clearInterval(idleTimer);
+        for (const [id, { transport }] of sessions) {
+            try {
+                await transport.close();
+            } catch (error) {
+                logger.warn(`Failed to close session ${id}: ${error.message}`);
+            }
+        }
+        sessions.clear();
+
+        await new Promise((resolve) => {
+            httpServer.close(() => resolve());
+            httpServer.closeAllConnections?.();
+        });
+        logger.info('MCP HTTP transport stopped');
+    }
+
+    return { httpServer, sessions, close, closeIdleSessions };
+}
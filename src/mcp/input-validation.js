@@ -0,0 +1,136 @@
+/**
+ * Input Validation - Zod validators compiled from tool-registry inputSchema
+ * Every tool call is checked before dispatch, so handlers can rely on the
+ * declared types instead of failing deep inside with "Cannot read properties of undefined".
+ *
+ * Coercion rules (applied before type checks, nested values included):
+ *   number  - numeric strings are accepted: "42" → 42, " 3.5 " → 3.5 (IDs often arrive as strings)
+ *   boolean - "true" / "false" (any case) → true / false
+ *   string  - finite numbers are accepted: 2024 → "2024"
+ *   null    - an optional field set to null is treated as omitted
+ * Nothing else is coerced: arrays, objects and enums must already have the declared shape.
+ * `default` values in the registry are documentation only; handlers apply their own defaults.
+ * Unknown properties are kept unless the schema sets `additionalProperties: false`.
+ */
+import { z } from 'zod';
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+
+const NUMERIC_STRING = /^\s*-?\d+(\.\d+)?\s*$/;
+
+function coerceNumber(value) {
+    return typeof value === 'string' && NUMERIC_STRING.test(value) ? Number(value) : value;
+}
+
+function coerceBoolean(value) {
+    if (typeof value !== 'string') return value;
+    const lower = value.trim().toLowerCase();
+    if (lower === 'true') return true;
+    if (lower === 'false') return false;
+    return value;
+}
+
+function coerceString(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? String(value) : value;
+}
+
+/**
+ * Compile a JSON Schema fragment (the subset used by tool-registry.js) to zod.
+ * Supported: type (object, array, string, number, boolean), properties, required,
+ * additionalProperties, items, enum, minimum, maximum. A fragment without `type` accepts anything.
+ * @param {object} schema - JSON Schema fragment
+ * @returns {z.ZodTypeAny}
+ */
+export function compileSchema(schema = {}) {
+    switch (schema.type) {
+        case 'object': return compileObject(schema);
+        case 'array': return z.array(compileSchema(schema.items));
+        case 'number': {
+            let number = z.number({ invalid_type_error: 'Expected a number (or a numeric string)' });
+            if (schema.minimum !== undefined) number = number.min(schema.minimum);
+            if (schema.maximum !== undefined) number = number.max(schema.maximum);
+            return z.preprocess(coerceNumber, number);
+        }
+        case 'boolean':
+            return z.preprocess(coerceBoolean, z.boolean({ invalid_type_error: 'Expected true or false' }));
+        case 'string':
+            if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+                return z.enum(schema.enum.map(String), {
+                    errorMap: () => ({ message: `Expected one of: ${schema.enum.join(', ')}` }),
+                });
+            }
+            return z.preprocess(coerceString, z.string());
+        default:
+            return z.any();
+    }
+}
+
+function compileObject(schema) {
+    const required = new Set(schema.required || []);
+    const shape = {};
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        const compiled = compileSchema(propertySchema);
+        shape[key] = required.has(key)
+            ? compiled
+            : z.preprocess(value => (value === null ? undefined : value), compiled.optional());
+    }
+
+    const object = z.object(shape);
+    if (schema.additionalProperties === false) return object.strict();
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        // Map-like objects ({ paramName: { type, ... } })
+        return Object.keys(shape).length === 0
+            ? z.record(compileSchema(schema.additionalProperties))
+            : object.catchall(compileSchema(schema.additionalProperties));
+    }
+    return object.passthrough();
+}
+
+/**
+ * Compile one validator per tool. Called once at startup.
+ * @param {Array<{name: string, inputSchema: object}>} toolDefinitions
+ * @returns {Map<string, z.ZodTypeAny>}
+ */
+export function compileToolValidators(toolDefinitions) {
+    const validators = new Map();
+    for (const tool of toolDefinitions) {
+        validators.set(tool.name, compileSchema(tool.inputSchema || { type: 'object' }));
+    }
+    return validators;
+}
+
+/**
+ * Validate (and coerce) tool arguments
+ * @param {Map<string, z.ZodTypeAny>} validators - From compileToolValidators()
+ * @param {string} toolName
+ * @param {object} args
+ * @returns {object} Parsed arguments
+ * @throws {McpError} InvalidParams naming the first bad field; `data.issues` lists all of them
+ */
+export function validateToolArguments(validators, toolName, args) {
+    const validator = validators.get(toolName);
+    if (!validator) return args;
+
+    const result = validator.safeParse(args ?? {});
+    if (result.success) return result.data;
+
+    const issues = result.error.issues.map(issue => ({
+        field: formatPath(issue),
+        message: issue.code === 'invalid_type' && issue.received === 'undefined' ? 'Required' : issue.message,
+    }));
+    const [first] = issues;
+
+    throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid arguments for ${toolName}: ${first.field ? `'${first.field}' ` : ''}${first.message}` +
+        (issues.length > 1 ? ` (+${issues.length - 1} more)` : ''),
+        { tool: toolName, field: first.field, issues }
+    );
+}
+
+function formatPath(issue) {
+    const path = [...issue.path];
+    // Unknown keys on strict objects are reported on the parent
+    if (issue.code === 'unrecognized_keys') path.push(issue.keys.join(', '));
+    return path.reduce((acc, part) => (typeof part === 'number' ? `${acc}[${part}]` : acc ? `${acc}.${part}` : String(part)), '');
+}
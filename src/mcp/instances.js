@@ -0,0 +1,215 @@
+/**
+ * Metabase Instances - Named connection profiles, one MetabaseClient per profile
+ *
+ * Profiles come from MCP_INSTANCES_FILE (.json, .yaml or .yml):
+ *
+ *   default: staging
+ *   instances:
+ *     dev:
+ *       url: http://localhost:3000
+ *       api_key_env: DEV_METABASE_API_KEY
+ *     staging:
+ *       url: https://metabase.staging.example.com
+ *       username: bot@example.com
+ *       password_env: STAGING_METABASE_PASSWORD
+ *
+ * METABASE_URL (with METABASE_API_KEY or METABASE_USERNAME / METABASE_PASSWORD) adds a profile
+ * named `default`, so a single-instance setup needs no file. Secrets can be inline (api_key,
+ * password) or, better, named by environment variable (api_key_env, password_env).
+ *
+ * Every tool takes an optional `instance` argument; without it the default profile runs the call.
+ * The `default` profile keeps the cache keys, job log and schedules of a single-instance server;
+ * other profiles get their own, namespaced by profile name.
+ */
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { z } from 'zod';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, normalizeError } from '../utils/errors.js';
+import { MetabaseClient } from '../metabase/client.js';
+
+// The profile built from METABASE_URL / METABASE_* env vars
+export const ENV_INSTANCE = 'default';
+
+const HEALTH_TIMEOUT_MS = 5000;
+
+// Used in file names and cache key prefixes
+const instanceName = z.string().regex(/^[A-Za-z0-9][A-Za-z0-9_-]*$/, 'Use letters, digits, - and _');
+
+const profileSchema = z.object({
+    url: z.string().url(),
+    description: z.string().optional(),
+    api_key: z.string().min(1).optional(),
+    api_key_env: z.string().min(1).optional(),
+    username: z.string().min(1).optional(),
+    password: z.string().min(1).optional(),
+    password_env: z.string().min(1).optional(),
+    internal_db_id: z.number().int().optional(),
+}).strict();
+
+const fileSchema = z.object({
+    default: instanceName.optional(),
+    instances: z.record(instanceName, profileSchema),
+}).strict();
+
+/**
+ * Resolve a profile's secrets from the environment and check it can log in
+ * @throws {Error} If a named env var is unset or there are no credentials
+ */
+function compileProfile(name, definition, env, source) {
+    const secret = (value, envName) => {
+        if (value !== undefined || envName === undefined) return value;
+        if (!env[envName]) throw new Error(`Instance '${name}' in ${source}: environment variable ${envName} is not set`);
+        return env[envName];
+    };
+
+    const profile = {
+        name,
+        url: definition.url,
+        description: definition.description || null,
+        apiKey: secret(definition.api_key, definition.api_key_env),
+        username: definition.username,
+        password: secret(definition.password, definition.password_env),
+        internalDbId: definition.internal_db_id ?? null,
+    };
+    if (!profile.apiKey && !(profile.username && profile.password)) {
+        throw new Error(`Instance '${name}' in ${source}: set api_key (or api_key_env), or username and password (or password_env)`);
+    }
+    return profile;
+}
+
+/**
+ * InstanceRegistry - Connection profiles and their clients
+ */
+export class InstanceRegistry {
+    /**
+     * @param {Array<object>} profiles - { name, url, description, apiKey, username, password, internalDbId }
+     * @param {string|null} defaultName - Profile used when a call names none (default: the first)
+     * @param {object} [clientOptions] - Passed to every MetabaseClient (timeouts, retry)
+     * @throws {Error} If defaultName is not a profile
+     */
+    constructor(profiles, defaultName = null, clientOptions = {}) {
+        this.profiles = new Map(profiles.map(profile => [profile.name, profile]));
+        this.defaultName = defaultName ?? profiles[0]?.name ?? null;
+        this.clientOptions = clientOptions;
+        this.clients = new Map();
+
+        if (this.defaultName !== null && !this.profiles.has(this.defaultName)) {
+            throw new Error(`Default instance '${this.defaultName}' is not defined (instances: ${this.names.join(', ')})`);
+        }
+    }
+
+    /**
+     * Profiles from MCP_INSTANCES_FILE plus the METABASE_URL one
+     * @param {string} [filePath] - Usually MCP_INSTANCES_FILE
+     * @param {object} [env] - Usually process.env
+     * @param {object} [clientOptions]
+     * @returns {InstanceRegistry}
+     * @throws {Error} If the file cannot be read, parsed or validated
+     */
+    static load(filePath, env = process.env, clientOptions = {}) {
+        const profiles = [];
+        if (env.METABASE_URL) {
+            profiles.push({
+                name: ENV_INSTANCE,
+                url: env.METABASE_URL,
+                description: 'From METABASE_URL',
+                apiKey: env.METABASE_API_KEY,
+                username: env.METABASE_USERNAME,
+                password: env.METABASE_PASSWORD,
+                internalDbId: parseInt(env.METABASE_INTERNAL_DB_ID, 10) || null,
+            });
+        }
+        if (!filePath) return new InstanceRegistry(profiles, null, clientOptions);
+
+        const resolved = path.resolve(filePath);
+        let definition;
+        try {
+            const text = fs.readFileSync(resolved, 'utf8');
+            definition = /\.ya?ml$/i.test(resolved) ? yaml.load(text) : JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Cannot read instances file ${resolved}: ${error.message}`);
+        }
+
+        const parsed = fileSchema.safeParse(definition ?? {});
+        if (!parsed.success) {
+            const issue = parsed.error.issues[0];
+            throw new Error(`Invalid instances file ${resolved}: ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+        }
+
+        for (const [name, profile] of Object.entries(parsed.data.instances)) {
+            if (name === ENV_INSTANCE && profiles.length > 0) {
+                throw new Error(`Instance '${ENV_INSTANCE}' in ${resolved} is already defined by METABASE_URL; rename one of them`);
+            }
+            profiles.push(compileProfile(name, profile, env, resolved));
+        }
+
+        const registry = new InstanceRegistry(profiles, parsed.data.default ?? null, clientOptions);
+        logger.info(`Metabase instances from ${resolved}: ${registry.names.join(', ')} (default: ${registry.defaultName})`);
+        return registry;
+    }
+
+    get names() {
+        return [...this.profiles.keys()];
+    }
+
+    /**
+     * @param {string} [name] - Omitted: the default profile
+     * @returns {object} Profile
+     * @throws {NotFoundError} For an unknown name, or when no instance is configured
+     */
+    resolve(name) {
+        const profile = this.profiles.get(name ?? this.defaultName);
+        if (!profile) {
+            throw new NotFoundError(this.profiles.size === 0
+                ? 'No Metabase instance is configured: set METABASE_URL or MCP_INSTANCES_FILE'
+                : `Unknown Metabase instance '${name}'. Instances: ${this.names.join(', ')}`, { code: 'instance_not_found' });
+        }
+        return profile;
+    }
+
+    /**
+     * The profile's client, created on first use
+     * @param {string} [name]
+     * @returns {MetabaseClient}
+     */
+    client(name) {
+        const profile = this.resolve(name);
+        if (!this.clients.has(profile.name)) {
+            this.clients.set(profile.name, new MetabaseClient({
+                url: profile.url,
+                username: profile.username,
+                password: profile.password,
+                apiKey: profile.apiKey,
+                ...this.clientOptions,
+            }));
+        }
+        return this.clients.get(profile.name);
+    }
+
+    /**
+     * Log in and read the version again (MetabaseClient.getVersion, which also picks the API adapters)
+     * @param {string} name
+     * @returns {Promise<{name: string, url: string, description: string|null, default: boolean, auth: string,
+     *   status: 'ok'|'error', version: string|null, latency_ms: number, error?: string}>}
+     */
+    async health(name) {
+        const profile = this.resolve(name);
+        const started = Date.now();
+        const summary = {
+            name: profile.name,
+            url: profile.url,
+            description: profile.description,
+            default: profile.name === this.defaultName,
+            auth: profile.apiKey ? 'api_key' : 'session',
+        };
+
+        try {
+            const version = await this.client(profile.name).getVersion({ refresh: true, timeout: HEALTH_TIMEOUT_MS });
+            return { ...summary, status: 'ok', version: version.tag, latency_ms: Date.now() - started };
+        } catch (error) {
+            return { ...summary, status: 'error', version: null, latency_ms: Date.now() - started, error: normalizeError(error).message };
+        }
+    }
+}
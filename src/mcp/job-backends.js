@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Job store backends - Where QueryJobStore keeps jobs and job results between restarts
+ *
+ * A backend is called synchronously on every change:
+ *   load()               -> { jobs: [], results: [] } at startup
+ *   saveJob(job)         job created or changed (plain object, no AbortController)
+ *   saveResult(entry)    result set of a finished job
+ *   deleteJob(id), deleteResult(id)
+ *   compact(jobs, results)  rewrite storage with only the live entries
+ *
+ * MCP_JOB_STORE selects one: memory (default, nothing survives a restart) or jsonl.
+ */
+
+/**
+ * MemoryJobBackend - Keeps nothing; jobs live only in the QueryJobStore maps
+ */
+export class MemoryJobBackend {
+    load() {
+        return { jobs: [], results: [] };
+    }
+
+    saveJob() {}
+    saveResult() {}
+    deleteJob() {}
+    deleteResult() {}
+    compact() {}
+}
+
+/**
+ * JsonlJobBackend - Append-only JSON Lines log in a local file.
+ * Each change appends one record; load() replays the log (last record per ID wins) and
+ * compact() rewrites it with only the live jobs and results.
+ */
+export class JsonlJobBackend {
+    /**
+     * @param {string} filePath - e.g. ./data/jobs.jsonl (MCP_JOB_STORE_PATH)
+     */
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.appended = 0;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+
+    load() {
+        const jobs = new Map();
+        const results = new Map();
+        if (!fs.existsSync(this.filePath)) return { jobs: [], results: [] };
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        let skipped = 0;
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch {
+                // A line cut short by a crash mid-write
+                skipped++;
+                continue;
+            }
+            switch (record.type) {
+                case 'job': jobs.set(record.job.id, record.job); break;
+                case 'result': results.set(record.result.id, record.result); break;
+                case 'delete_job': jobs.delete(record.id); break;
+                case 'delete_result': results.delete(record.id); break;
+            }
+        }
+        if (skipped > 0) logger.warn(`Job log ${this.filePath}: skipped ${skipped} unreadable lines`);
+
+        return { jobs: [...jobs.values()], results: [...results.values()] };
+    }
+
+    append(record) {
+        try {
+            fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+            this.appended++;
+        } catch (error) {
+            logger.error(`Could not write job log ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    saveJob(job) {
+        this.append({ type: 'job', job });
+    }
+
+    saveResult(result) {
+        this.append({ type: 'result', result });
+    }
+
+    deleteJob(id) {
+        this.append({ type: 'delete_job', id });
+    }
+
+    deleteResult(id) {
+        this.append({ type: 'delete_result', id });
+    }
+
+    compact(jobs, results) {
+        const tmpPath = `${this.filePath}.tmp`;
+        const lines = [
+            ...jobs.map(job => JSON.stringify({ type: 'job', job })),
+            ...results.map(result => JSON.stringify({ type: 'result', result })),
+        ];
+        try {
+            fs.writeFileSync(tmpPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+            fs.renameSync(tmpPath, this.filePath);
+            this.appended = 0;
+        } catch (error) {
+            logger.error(`Could not compact job log ${this.filePath}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Backend from MCP_JOB_STORE / MCP_JOB_STORE_PATH
+ * @param {string} [type] - memory | jsonl
+ * @param {string} [filePath]
+ * @param {string|null} [namespace] - Metabase instance; its jobs go to `jobs.<namespace>.jsonl` next to filePath
+ * @throws {Error} On an unknown type
+ */
+export function createJobBackend(type = 'memory', filePath = './data/jobs.jsonl', namespace = null) {
+    switch (type) {
+        case 'memory': return new MemoryJobBackend();
+        case 'jsonl': return new JsonlJobBackend(namespace ? namespacedFile(filePath, namespace) : filePath);
+        default: throw new Error(`Unknown job store: ${type}. Use memory or jsonl`);
+    }
+}
+
+function namespacedFile(filePath, namespace) {
+    const ext = path.extname(filePath);
+    return `${filePath.slice(0, filePath.length - ext.length)}.${namespace}${ext}`;
+}
@@ -1,40 +1,141 @@
 import { randomUUID } from 'crypto';
 import { logger } from '../utils/logger.js';
+import { MemoryJobBackend, createJobBackend } from './job-backends.js';
+
+const DEFAULT_RESULT_TTL_SECONDS = 1800;
+const MAX_RESULTS = 50;
+const DEFAULT_CONCURRENCY_PER_DATABASE = 2;
+// Rewrite the backend's log after this many appends
+const COMPACT_AFTER_WRITES = 500;
+
+/**
+ * Job priorities, highest first. Queued jobs start in priority order, then in submission order.
+ */
+export const JOB_PRIORITIES = ['high', 'normal', 'low'];
+
+const FINISHED_STATUSES = ['complete', 'failed', 'timeout', 'cancelled'];
 
 /**
  * QueryJobStore - Manages async query jobs
  * Tracks job status, results, and handles cleanup
+ *
+ * Jobs queue as `pending` and a worker pool starts them, at most `concurrencyPerDatabase`
+ * running per database. The executor (set by SqlHandler) runs a job and records its outcome.
+ *
+ * Result sets (from sql_execute and completed jobs) are kept under a result handle so
+ * sql_fetch / sql_status can page through them. A handle expires after `resultTtlSeconds`
+ * without being read; only the newest MAX_RESULTS are kept.
+ *
+ * With a persistent backend (job-backends.js), jobs and job results survive a restart:
+ * finished jobs come back as they were, queued jobs are queued again, and jobs that were
+ * running when the server stopped are marked failed. The executor (SqlHandler.executeJob)
+ * checks every job against the current read-only mode and policy before it runs, so a job
+ * queued under older settings fails instead of running.
  */
 export class QueryJobStore {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.resultTtlSeconds] - Result handle lifetime (MCP_RESULT_TTL_SECONDS)
+     * @param {number} [options.concurrencyPerDatabase] - Running jobs per database (MCP_JOB_CONCURRENCY)
+     * @param {object} [options.backend] - From createJobBackend(); memory by default
+     */
+    constructor(options = {}) {
         this.jobs = new Map();
+        this.results = new Map(); // resultId -> { id, database_id, columns, rows, masked, created_at, expires_at, persisted }
+        this.resultTtlMs = (options.resultTtlSeconds || DEFAULT_RESULT_TTL_SECONDS) * 1000;
+        this.concurrencyPerDatabase = options.concurrencyPerDatabase > 0 ? options.concurrencyPerDatabase : DEFAULT_CONCURRENCY_PER_DATABASE;
+        this.backend = options.backend || new MemoryJobBackend();
+        this.executor = null;
+        this.waiters = new Map(); // jobId -> resolve functions (whenFinished)
+        this.sequence = 0;
+
+        this.restore();
 
         // Auto-cleanup every 10 minutes
         this.cleanupInterval = setInterval(() => this.cleanup(), 10 * 60 * 1000);
+        this.cleanupInterval.unref?.();
     }
 
     /**
-     * Create a new query job
+     * Load jobs and results from the backend
      */
-    create(databaseId, sql, timeoutSeconds = 300) {
+    restore() {
+        const { jobs, results } = this.backend.load();
+        const now = Date.now();
+        let requeued = 0;
+        let interrupted = 0;
+
+        for (const stored of jobs) {
+            const job = { ...stored, abortController: new AbortController() };
+            if (job.status === 'running') {
+                Object.assign(job, {
+                    status: 'failed',
+                    completed_at: now,
+                    error: 'Server restarted while the query was running; submit it again'
+                });
+                interrupted++;
+            } else if (job.status === 'pending') {
+                requeued++;
+            }
+            this.sequence = Math.max(this.sequence, job.sequence || 0);
+            this.jobs.set(job.id, job);
+        }
+
+        for (const entry of results) {
+            if (entry.expires_at > now) this.results.set(entry.id, { ...entry, persisted: true });
+        }
+
+        if (jobs.length > 0 || results.length > 0) {
+            logger.info(`Restored ${jobs.length} query jobs (${requeued} queued again, ${interrupted} interrupted) and ${this.results.size} results`);
+            this.compact();
+        }
+    }
+
+    /**
+     * Set the function that runs a job: async (job) => void. It must record the outcome
+     * (markComplete / markFailed / markTimeout / markCancelled). Starts any queued jobs.
+     */
+    setExecutor(executor) {
+        this.executor = executor;
+        this.schedule();
+    }
+
+    /**
+     * Create a new query job and queue it
+     * @param {number} databaseId
+     * @param {string} sql
+     * @param {number} [timeoutSeconds]
+     * @param {object} [options]
+     * @param {string} [options.priority] - high | normal | low
+     * @param {number} [options.cardId] - Run this saved card instead of `sql`
+     * @param {Array} [options.parameters] - Card parameters
+     * @param {string} [options.scheduleId] - Set on runs started by the scheduler
+     */
+    create(databaseId, sql, timeoutSeconds = 300, options = {}) {
         const jobId = randomUUID();
         const job = {
             id: jobId,
             database_id: databaseId,
             sql: sql,
             status: 'pending', // pending | running | complete | failed | timeout | cancelled
+            priority: JOB_PRIORITIES.includes(options.priority) ? options.priority : 'normal',
+            sequence: ++this.sequence,
             submitted_at: Date.now(),
             started_at: null,
             completed_at: null,
             timeout_ms: timeoutSeconds * 1000,
-            result: null,
+            result_id: null,
             error: null,
             row_count: 0,
+            ...(options.cardId !== undefined && { card_id: options.cardId, parameters: options.parameters || [] }),
+            ...(options.scheduleId && { schedule_id: options.scheduleId }),
             abortController: new AbortController()
         };
 
         this.jobs.set(jobId, job);
-        logger.info(`Query job created: ${jobId}`);
+        this.persist(job);
+        logger.info(`Query job created: ${jobId} (priority ${job.priority})`);
+        this.schedule();
         return job;
     }
 
@@ -52,11 +153,35 @@ export class QueryJobStore {
         const job = this.jobs.get(jobId);
         if (job) {
             Object.assign(job, updates);
+            this.persist(job);
             logger.debug(`Job ${jobId} updated: ${updates.status || 'props'}`);
+
+            if (this.isFinished(jobId) && this.waiters.has(jobId)) {
+                for (const resolve of this.waiters.get(jobId)) resolve(job);
+                this.waiters.delete(jobId);
+            }
         }
         return job;
     }
 
+    /**
+     * Wait for a job's outcome
+     * @returns {Promise<object|null>} The finished job, or null for an unknown job ID
+     */
+    whenFinished(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || this.isFinished(jobId)) return Promise.resolve(job || null);
+        return new Promise(resolve => {
+            if (!this.waiters.has(jobId)) this.waiters.set(jobId, []);
+            this.waiters.get(jobId).push(resolve);
+        });
+    }
+
+    persist(job) {
+        this.backend.saveJob(storedJob(job));
+        this.compactIfNeeded();
+    }
+
     /**
      * Mark job as running
      */
@@ -68,14 +193,19 @@ export class QueryJobStore {
     }
 
     /**
-     * Mark job as complete with results
+     * Mark job as complete; the result set is stored under the job ID as its result handle
+     * @param {string} jobId
+     * @param {{columns: Array, rows: Array, masked?: Array}} result - Rows as they may be shown (masked)
      */
-    markComplete(jobId, result, rowCount) {
+    markComplete(jobId, result) {
+        const job = this.jobs.get(jobId);
+        if (!job || this.isFinished(jobId)) return job;
+        this.saveResult(job.database_id, result, jobId, { persist: true });
         return this.update(jobId, {
             status: 'complete',
             completed_at: Date.now(),
-            result: result,
-            row_count: rowCount
+            result_id: jobId,
+            row_count: result.rows.length
         });
     }
 
@@ -83,6 +213,7 @@ export class QueryJobStore {
      * Mark job as failed
      */
     markFailed(jobId, error) {
+        if (this.isFinished(jobId)) return this.jobs.get(jobId);
         return this.update(jobId, {
             status: 'failed',
             completed_at: Date.now(),
@@ -95,6 +226,7 @@ export class QueryJobStore {
      */
     markTimeout(jobId) {
         const job = this.jobs.get(jobId);
+        if (this.isFinished(jobId)) return job;
         return this.update(jobId, {
             status: 'timeout',
             completed_at: Date.now(),
@@ -106,6 +238,7 @@ export class QueryJobStore {
      * Mark job as cancelled
      */
     markCancelled(jobId) {
+        if (this.isFinished(jobId)) return this.jobs.get(jobId);
         return this.update(jobId, {
             status: 'cancelled',
             completed_at: Date.now(),
@@ -113,6 +246,136 @@ export class QueryJobStore {
         });
     }
 
+    /**
+     * Whether the job already has its outcome. The mark* methods keep the first outcome, so a
+     * query that errors because sql_cancel stopped it on the server stays `cancelled`.
+     */
+    isFinished(jobId) {
+        return FINISHED_STATUSES.includes(this.jobs.get(jobId)?.status);
+    }
+
+    // ── Worker pool ────────────────────────────────────────────────────────
+
+    /**
+     * Queued jobs in start order: priority, then submission
+     * @param {number} [databaseId] - Only this database's queue
+     */
+    queued(databaseId) {
+        return [...this.jobs.values()]
+            .filter(job => job.status === 'pending' && (databaseId === undefined || job.database_id === databaseId))
+            .sort((a, b) => JOB_PRIORITIES.indexOf(a.priority) - JOB_PRIORITIES.indexOf(b.priority) || a.sequence - b.sequence);
+    }
+
+    runningCount(databaseId) {
+        let count = 0;
+        for (const job of this.jobs.values()) {
+            if (job.status === 'running' && job.database_id === databaseId) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Position of a queued job in its database's queue
+     * @returns {{position: number, queue_length: number, running: number}|null} Null if not queued
+     */
+    queuePosition(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.status !== 'pending') return null;
+        const queue = this.queued(job.database_id);
+        return {
+            position: queue.findIndex(j => j.id === jobId) + 1,
+            queue_length: queue.length,
+            running: this.runningCount(job.database_id)
+        };
+    }
+
+    /**
+     * Start queued jobs while their database has a free slot
+     */
+    schedule() {
+        if (!this.executor) return;
+        for (const job of this.queued()) {
+            if (this.runningCount(job.database_id) >= this.concurrencyPerDatabase) continue;
+            this.start(job);
+        }
+    }
+
+    start(job) {
+        this.markRunning(job.id);
+        Promise.resolve()
+            .then(() => this.executor(job))
+            .catch(error => {
+                logger.error(`Query job ${job.id} executor failed: ${error.message}`);
+                if (this.jobs.get(job.id)?.status === 'running') this.markFailed(job.id, error);
+            })
+            .finally(() => {
+                // The executor records the outcome; a job still marked running here never got one
+                if (this.jobs.get(job.id)?.status === 'running') this.markFailed(job.id, new Error('Query ended without a result'));
+                this.schedule();
+            });
+    }
+
+    // ── Results ────────────────────────────────────────────────────────────
+
+    /**
+     * Keep a result set for paging
+     * @param {number} databaseId
+     * @param {{columns: Array, rows: Array, masked?: Array}} result
+     * @param {string} [resultId] - Defaults to a new UUID
+     * @param {object} [options]
+     * @param {boolean} [options.persist] - Also write it to the backend (job results)
+     * @returns {object} The stored entry
+     */
+    saveResult(databaseId, result, resultId = randomUUID(), options = {}) {
+        this.results.delete(resultId);
+        while (this.results.size >= MAX_RESULTS) {
+            const oldest = this.results.keys().next().value;
+            this.dropResult(oldest);
+            logger.debug(`Result ${oldest} evicted (max ${MAX_RESULTS} stored results)`);
+        }
+
+        const now = Date.now();
+        const entry = {
+            id: resultId,
+            database_id: databaseId,
+            columns: result.columns || [],
+            rows: result.rows || [],
+            masked: result.masked || [],
+            created_at: now,
+            expires_at: now + this.resultTtlMs,
+            persisted: options.persist === true
+        };
+        this.results.set(resultId, entry);
+        if (entry.persisted) {
+            this.backend.saveResult(storedResult(entry));
+            this.compactIfNeeded();
+        }
+        return entry;
+    }
+
+    /**
+     * Get a stored result set; reading it extends its lifetime
+     * @returns {object|null} Null if unknown or expired
+     */
+    getResult(resultId) {
+        const entry = this.results.get(resultId);
+        if (!entry) return null;
+
+        const now = Date.now();
+        if (entry.expires_at < now) {
+            this.dropResult(resultId);
+            return null;
+        }
+        entry.expires_at = now + this.resultTtlMs;
+        return entry;
+    }
+
+    dropResult(resultId) {
+        const entry = this.results.get(resultId);
+        this.results.delete(resultId);
+        if (entry?.persisted) this.backend.deleteResult(resultId);
+    }
+
     /**
      * Get elapsed time for a job in seconds
      */
@@ -136,6 +399,7 @@ export class QueryJobStore {
                     id: job.id,
                     database_id: job.database_id,
                     status: job.status,
+                    priority: job.priority,
                     submitted_at: job.submitted_at,
                     elapsed_seconds: this.getElapsedSeconds(job.id)
                 });
@@ -168,6 +432,7 @@ export class QueryJobStore {
             if (job.status !== 'running' && job.status !== 'pending') {
                 if (job.submitted_at < oneHourAgo) {
                     this.jobs.delete(id);
+                    this.backend.deleteJob(id);
                     cleaned++;
                 }
             }
@@ -176,6 +441,25 @@ export class QueryJobStore {
         if (cleaned > 0) {
             logger.info(`Cleaned up ${cleaned} old query jobs`);
         }
+
+        const now = Date.now();
+        for (const [id, entry] of this.results) {
+            if (entry.expires_at < now) this.dropResult(id);
+        }
+        this.compactIfNeeded();
+    }
+
+    compactIfNeeded() {
+        if ((this.backend.appended || 0) >= COMPACT_AFTER_WRITES) this.compact();
+    }
+
+    /**
+     * Rewrite the backend with only live jobs and persisted results
+     */
+    compact() {
+        const jobs = [...this.jobs.values()].map(storedJob);
+        const results = [...this.results.values()].filter(entry => entry.persisted).map(storedResult);
+        this.backend.compact(jobs, results);
     }
 
     /**
@@ -188,12 +472,38 @@ export class QueryJobStore {
     }
 }
 
-// Singleton instance
+// Backend copies: no AbortController on jobs, no in-memory flag on results
+function storedJob(job) {
+    const stored = { ...job };
+    delete stored.abortController;
+    return stored;
+}
+
+function storedResult(entry) {
+    const stored = { ...entry };
+    delete stored.persisted;
+    return stored;
+}
+
+/**
+ * Job store from the MCP_JOB_* / MCP_RESULT_TTL_SECONDS settings
+ * @param {string|null} [namespace] - Metabase instance, for a job log of its own
+ * @returns {QueryJobStore}
+ */
+export function createJobStore(namespace = null) {
+    return new QueryJobStore({
+        resultTtlSeconds: parseInt(process.env.MCP_RESULT_TTL_SECONDS, 10) || undefined,
+        concurrencyPerDatabase: parseInt(process.env.MCP_JOB_CONCURRENCY, 10) || undefined,
+        backend: createJobBackend(process.env.MCP_JOB_STORE || 'memory', process.env.MCP_JOB_STORE_PATH || undefined, namespace)
+    });
+}
+
+// Singleton instance (the default Metabase instance's)
 let instance = null;
 
 export function getJobStore() {
     if (!instance) {
-        instance = new QueryJobStore();
+        instance = createJobStore();
     }
     return instance;
 }
@@ -0,0 +1,80 @@
+/**
+ * Tool Progress - MCP progress notifications and cooperative cancellation
+ *
+ * Long-running handlers receive a ToolProgress as their second argument.
+ * They call report() after each step and check `cancelled` before starting the next one;
+ * when the client sends notifications/cancelled they stop and report what was done.
+ */
+import { logger } from '../utils/logger.js';
+
+export class ToolProgress {
+    /**
+     * @param {object} [extra] - RequestHandlerExtra from the MCP SDK (signal, _meta, sendNotification)
+     */
+    constructor(extra = {}) {
+        this.progressToken = extra._meta?.progressToken;
+        this.signal = extra.signal || null;
+        this.sendNotification = extra.sendNotification || null;
+        this.lastProgress = -1;
+    }
+
+    /**
+     * True once the client has cancelled the request
+     */
+    get cancelled() {
+        return this.signal?.aborted === true;
+    }
+
+    /**
+     * Send notifications/progress if the client asked for it (progressToken set).
+     * Progress values must increase, so stale or repeated values are dropped.
+     * @param {number} progress - Steps completed so far
+     * @param {number} [total] - Total steps, if known
+     * @param {string} [message] - Human-readable status
+     */
+    async report(progress, total, message) {
+        if (this.progressToken === undefined || !this.sendNotification) return;
+        if (progress <= this.lastProgress || this.cancelled) return;
+        this.lastProgress = progress;
+
+        try {
+            await this.sendNotification({
+                method: 'notifications/progress',
+                params: {
+                    progressToken: this.progressToken,
+                    progress,
+                    ...(total !== undefined && { total }),
+                    ...(message && { message }),
+                },
+            });
+        } catch (error) {
+            logger.debug(`Progress notification failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Plain callbacks for lower layers (clients) that should not depend on MCP types
+     * @returns {{ onProgress: function, isCancelled: function }}
+     */
+    hooks() {
+        return {
+            onProgress: (progress, total, message) => this.report(progress, total, message),
+            isCancelled: () => this.cancelled,
+        };
+    }
+}
+
+/**
+ * Shared no-op instance for calls without progress support (nested calls, tests)
+ */
+export const NO_PROGRESS = new ToolProgress();
+
+/**
+ * Text appended to a partial result when a handler stopped because of cancellation
+ * @param {number} done - Steps completed
+ * @param {number} total - Steps planned
+ * @returns {string}
+ */
+export function cancelledNotice(done, total) {
+    return `\n⏹️ Cancelled by client after ${done} of ${total} steps. Items listed above were already completed and are not rolled back.`;
+}
@@ -0,0 +1,149 @@
+/**
+ * MCP Prompts - Parameterized analyst workflows
+ * Each prompt expands into instructions that chain existing tools, so clients
+ * don't have to paste the same long playbooks every time.
+ */
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Prompt definitions.
+ * `arguments` follow the MCP PromptArgument shape; `build(args)` returns the prompt text.
+ */
+const PROMPTS = [
+    {
+        name: 'profile_table_to_executive_dashboard',
+        title: 'Profile Table → Executive Dashboard',
+        description: 'Profile a table, pick the KPIs it supports, then build an executive dashboard from it',
+        arguments: [
+            { name: 'database_id', description: 'Database ID', required: true },
+            { name: 'table_name', description: 'Table to profile', required: true },
+            { name: 'schema_name', description: 'Schema name (default: public)', required: false },
+            { name: 'business_domain', description: 'ecommerce, saas, retail, finance, manufacturing, healthcare or general', required: false },
+            { name: 'collection_id', description: 'Collection to save the dashboard to', required: false },
+        ],
+        build: (args) => {
+            const schema = args.schema_name || 'public';
+            return [
+                `Build an executive dashboard for table \`${schema}.${args.table_name}\` in database ${args.database_id}.`,
+                '',
+                'Steps:',
+                `1. Call \`db_table_profile\` with database_id=${args.database_id}, table_name="${args.table_name}", schema_name="${schema}". ` +
+                'Note the row count, date/time columns, numeric measures and low-cardinality dimensions.',
+                '2. From the profile, list 4-6 KPIs the table can support (totals, growth over time, top dimensions). ' +
+                'Skip KPIs that need columns the table does not have.',
+                `3. Call \`mb_dashboard_template_executive\` with database_id=${args.database_id}, schema_name="${schema}"` +
+                `, business_domain="${args.business_domain || 'general'}"` +
+                (args.collection_id ? `, collection_id=${args.collection_id}` : '') +
+                ` and a descriptive name based on "${args.table_name}".`,
+                '4. Summarize the dashboard that was created: its ID, the cards on it and which KPI each card answers.',
+            ].join('\n');
+        },
+    },
+    {
+        name: 'explain_slow_card',
+        title: 'Explain Why a Card Is Slow',
+        description: 'Inspect a card\'s SQL, its recorded execution times and the query plan, then suggest fixes',
+        arguments: [
+            { name: 'card_id', description: 'Card/Question ID', required: true },
+            { name: 'days', description: 'Days of execution history to analyze (default: 7)', required: false },
+        ],
+        build: (args) => {
+            const days = args.days || 7;
+            return [
+                `Explain why card ${args.card_id} is slow and how to make it faster.`,
+                '',
+                'Steps:',
+                `1. Call \`mb_card_get\` with card_id=${args.card_id} to get its database and definition. ` +
+                `Read the \`metabase://card/${args.card_id}\` resource for the native SQL.`,
+                `2. Call \`mb_meta_query_performance\` with days=${days} and include_slow_queries=true. ` +
+                `Find card ${args.card_id} in the results and note average/max runtime and cache hit rate. ` +
+                'If metadata analytics is not enabled, say so and continue.',
+                '3. Call `db_query_explain` with the card\'s database_id and SQL (analyze=false) and identify sequential scans, ' +
+                'large sorts, nested loops over big tables and missing indexes.',
+                '4. Call `ai_sql_explain` with the SQL to describe what the query computes in plain English.',
+                '5. Report the likely causes ranked by impact, with a concrete fix for each (index, rewritten SQL, ' +
+                'pre-aggregation or caching). Do not change the card.',
+            ].join('\n');
+        },
+    },
+    {
+        name: 'document_schema',
+        title: 'Document a Schema',
+        description: 'Produce data-dictionary style documentation for every table in a schema',
+        arguments: [
+            { name: 'database_id', description: 'Database ID', required: true },
+            { name: 'schema_name', description: 'Schema to document (default: public)', required: false },
+            { name: 'table_limit', description: 'Maximum number of tables to document (default: 20)', required: false },
+        ],
+        build: (args) => {
+            const schema = args.schema_name || 'public';
+            const limit = args.table_limit || 20;
+            return [
+                `Write documentation for schema \`${schema}\` in database ${args.database_id}.`,
+                '',
+                'Steps:',
+                `1. Call \`db_schema_explore\` with database_id=${args.database_id}, schema_name="${schema}", limit=${limit}.`,
+                `2. Call \`db_relationships_detect\` with database_id=${args.database_id}, schema_name="${schema}".`,
+                '3. For each table, call `db_table_profile` (sample_rows=3) to learn its columns and typical values.',
+                '4. Write a Markdown data dictionary: one section per table with its purpose, grain (what one row is), ' +
+                'row count, a column table (name, type, description, example) and its relationships.',
+                '5. End with an overview of how the tables join together. Do not write descriptions back to Metabase ' +
+                'unless asked; `mb_auto_describe` can do that afterwards.',
+            ].join('\n');
+        },
+    },
+    {
+        name: 'table_change_impact',
+        title: 'Assess Impact of a Table Change',
+        description: 'Find every question and dashboard that depends on a table before altering or dropping it',
+        arguments: [
+            { name: 'database_id', description: 'Database ID', required: true },
+            { name: 'table_name', description: 'Table that will change', required: true },
+            { name: 'schema_name', description: 'Schema name (optional)', required: false },
+        ],
+        build: (args) => {
+            const schemaArg = args.schema_name ? `, schema_name="${args.schema_name}"` : '';
+            return [
+                `Assess the impact of changing table \`${args.table_name}\` in database ${args.database_id}.`,
+                '',
+                'Steps:',
+                `1. Call \`mb_meta_table_dependencies\` with database_id=${args.database_id}, table_name="${args.table_name}"${schemaArg}.`,
+                `2. Call \`mb_meta_impact_analysis\` with the same arguments.`,
+                '3. Summarize affected questions and dashboards grouped by collection, the severity, and a safe rollout plan.',
+            ].join('\n');
+        },
+    },
+];
+
+/**
+ * Get prompt definitions for prompts/list
+ * @returns {Array<{name: string, title: string, description: string, arguments: Array}>}
+ */
+export function getPromptDefinitions() {
+    return PROMPTS.map(({ build, ...definition }) => definition);
+}
+
+/**
+ * Expand a prompt for prompts/get
+ * @param {string} name - Prompt name
+ * @param {object} args - Prompt arguments (string values)
+ * @returns {{ description: string, messages: Array }}
+ */
+export function getPrompt(name, args = {}) {
+    const prompt = PROMPTS.find(p => p.name === name);
+    if (!prompt) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+
+    const missing = prompt.arguments.filter(a => a.required && !args[a.name]).map(a => a.name);
+    if (missing.length > 0) {
+        throw new McpError(ErrorCode.InvalidParams, `Missing required argument(s) for ${name}: ${missing.join(', ')}`);
+    }
+
+    return {
+        description: prompt.description,
+        messages: [
+            { role: 'user', content: { type: 'text', text: prompt.build(args) } },
+        ],
+    };
+}
@@ -0,0 +1,356 @@
+/**
+ * MCP Resources - Databases, tables, cards and dashboards as readable resources
+ * Lets clients fetch metadata (table fields, card SQL, dashboard layout) without a tool call.
+ *
+ * URI scheme:
+ *   metabase://database/{id}
+ *   metabase://database/{id}/table/{table_id}
+ *   metabase://card/{id}
+ *   metabase://dashboard/{id}
+ *
+ * Listings and reads go through the tool policy's database, collection, schema and sql rules
+ * (ToolPolicy.checkObject): hidden objects are left out of lists and fail to read.
+ */
+import { EventEmitter } from 'events';
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { CacheKeys } from '../utils/cache.js';
+import { dashboardCards } from '../metabase/compat.js';
+import { logger } from '../utils/logger.js';
+import { PermissionError } from '../utils/errors.js';
+
+const MIME_TYPE = 'application/json';
+const PAGE_SIZE = 100;
+
+export const resourceUri = {
+    database: (id) => `metabase://database/${id}`,
+    table: (databaseId, tableId) => `metabase://database/${databaseId}/table/${tableId}`,
+    card: (id) => `metabase://card/${id}`,
+    dashboard: (id) => `metabase://dashboard/${id}`,
+};
+
+export const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: 'metabase://database/{id}',
+        name: 'database',
+        title: 'Metabase Database',
+        description: 'Database details with its tables (id, name, schema)',
+        mimeType: MIME_TYPE,
+    },
+    {
+        uriTemplate: 'metabase://database/{id}/table/{table_id}',
+        name: 'table',
+        title: 'Metabase Table',
+        description: 'Table metadata with fields, base types, semantic types and foreign keys',
+        mimeType: MIME_TYPE,
+    },
+    {
+        uriTemplate: 'metabase://card/{id}',
+        name: 'card',
+        title: 'Metabase Card',
+        description: 'Card (question/model) definition including native SQL and result columns',
+        mimeType: MIME_TYPE,
+    },
+    {
+        uriTemplate: 'metabase://dashboard/{id}',
+        name: 'dashboard',
+        title: 'Metabase Dashboard',
+        description: 'Dashboard with parameters and card layout',
+        mimeType: MIME_TYPE,
+    },
+];
+
+/**
+ * Tools that change an object exposed as a resource.
+ * Each entry returns the resource URIs affected by a successful call.
+ */
+const MUTATION_RESOURCES = {
+    mb_card_update: (args) => [resourceUri.card(args.card_id)],
+    mb_card_archive: (args) => [resourceUri.card(args.card_id)],
+    mb_card_delete: (args) => [resourceUri.card(args.card_id)],
+    mb_dashboard_update: (args) => [resourceUri.dashboard(args.dashboard_id)],
+    mb_dashboard_delete: (args) => [resourceUri.dashboard(args.dashboard_id)],
+    mb_dashboard_add_card: (args) => [resourceUri.dashboard(args.dashboard_id)],
+    mb_dashboard_card_update: (args) => [resourceUri.dashboard(args.dashboard_id)],
+    mb_dashboard_card_remove: (args) => [resourceUri.dashboard(args.dashboard_id)],
+    mb_dashboard_add_filter: (args) => [resourceUri.dashboard(args.dashboard_id)],
+};
+
+const URI_PATTERNS = [
+    { type: 'table', regex: /^metabase:\/\/database\/(\d+)\/table\/(\d+)$/ },
+    { type: 'database', regex: /^metabase:\/\/database\/(\d+)$/ },
+    { type: 'card', regex: /^metabase:\/\/card\/(\d+)$/ },
+    { type: 'dashboard', regex: /^metabase:\/\/dashboard\/(\d+)$/ },
+];
+
+/**
+ * Parse a metabase:// URI
+ * @param {string} uri
+ * @returns {{ type: string, ids: number[] }|null}
+ */
+export function parseResourceUri(uri) {
+    for (const { type, regex } of URI_PATTERNS) {
+        const match = uri.match(regex);
+        if (match) {
+            return { type, ids: match.slice(1).map(Number) };
+        }
+    }
+    return null;
+}
+
+/**
+ * ResourceProvider - Serves resources from MetabaseClient getters, cached via CacheManager.
+ * Emits 'updated' (uri) when a mutating tool changes a resource.
+ */
+export class ResourceProvider extends EventEmitter {
+    /**
+     * @param {object} metabaseClient - MetabaseClient instance
+     * @param {object} cache - CacheManager instance
+     * @param {object} [toolPolicy] - ToolPolicy instance; null serves everything
+     */
+    constructor(metabaseClient, cache, toolPolicy = null) {
+        super();
+        this.metabaseClient = metabaseClient;
+        this.cache = cache;
+        this.toolPolicy = toolPolicy;
+        this.setMaxListeners(0); // One listener per connected session
+    }
+
+    /**
+     * List concrete resources: databases, then dashboards, then cards.
+     * @param {string} [cursor] - Opaque offset from a previous page
+     */
+    async listResources(cursor) {
+        const [databases, dashboards, cards] = await Promise.all([
+            this.cached(CacheKeys.databases(), () => this.metabaseClient.getDatabases()),
+            this.cached(CacheKeys.dashboards(), () => this.metabaseClient.getDashboards()),
+            this.cached(CacheKeys.questions(), () => this.metabaseClient.getQuestions()),
+        ]);
+
+        const all = [
+            ...toArray(databases).filter(db => this.visible({ database_id: db.id })).map(db => ({
+                uri: resourceUri.database(db.id),
+                name: db.name,
+                description: `${db.engine} database`,
+                mimeType: MIME_TYPE,
+            })),
+            ...toArray(dashboards).filter(d => !d.archived && this.visible(dashboardObject(d))).map(d => ({
+                uri: resourceUri.dashboard(d.id),
+                name: d.name,
+                description: d.description || 'Dashboard',
+                mimeType: MIME_TYPE,
+            })),
+            ...toArray(cards).filter(c => !c.archived && this.visible(cardObject(c))).map(c => ({
+                uri: resourceUri.card(c.id),
+                name: c.name,
+                description: c.description || `${c.display || 'table'} card`,
+                mimeType: MIME_TYPE,
+            })),
+        ];
+
+        const offset = cursor ? parseInt(cursor, 10) || 0 : 0;
+        const page = all.slice(offset, offset + PAGE_SIZE);
+        const next = offset + PAGE_SIZE < all.length ? String(offset + PAGE_SIZE) : undefined;
+
+        return { resources: page, ...(next && { nextCursor: next }) };
+    }
+
+    listTemplates() {
+        return { resourceTemplates: RESOURCE_TEMPLATES };
+    }
+
+    /**
+     * Read a resource by URI
+     * @param {string} uri
+     */
+    async readResource(uri) {
+        const parsed = parseResourceUri(uri);
+        if (!parsed) {
+            throw new McpError(ErrorCode.InvalidParams, `Unknown resource URI: ${uri}`);
+        }
+
+        let data;
+        switch (parsed.type) {
+            case 'database': data = await this.readDatabase(parsed.ids[0]); break;
+            case 'table': data = await this.readTable(parsed.ids[0], parsed.ids[1]); break;
+            case 'card': data = await this.readCard(parsed.ids[0]); break;
+            case 'dashboard': data = await this.readDashboard(parsed.ids[0]); break;
+        }
+
+        return {
+            contents: [{ uri, mimeType: MIME_TYPE, text: JSON.stringify(data, null, 2) }],
+        };
+    }
+
+    async readDatabase(id) {
+        this.assertVisible(resourceUri.database(id), { database_id: id });
+        const [db, tables] = await Promise.all([
+            this.cached(CacheKeys.database(id), () => this.metabaseClient.getDatabase(id)),
+            this.cached(CacheKeys.databaseTables(id), () => this.metabaseClient.getDatabaseTables(id)),
+        ]);
+
+        return {
+            id: db.id,
+            name: db.name,
+            engine: db.engine,
+            tables: toArray(tables).filter(t => this.visible(tableObject(id, t))).map(t => ({
+                id: t.id,
+                name: t.name,
+                schema: t.schema,
+                uri: resourceUri.table(id, t.id),
+            })),
+        };
+    }
+
+    async readTable(databaseId, tableId) {
+        const uri = resourceUri.table(databaseId, tableId);
+        this.assertVisible(uri, { database_id: databaseId });
+        const table = await this.cached(CacheKeys.tableFields(tableId),
+            () => this.metabaseClient.request('GET', `/api/table/${tableId}/query_metadata`));
+
+        if (table.db_id !== undefined && table.db_id !== databaseId) {
+            throw new McpError(ErrorCode.InvalidParams,
+                `Table ${tableId} belongs to database ${table.db_id}, not ${databaseId}`);
+        }
+        this.assertVisible(uri, tableObject(databaseId, table));
+
+        return {
+            id: table.id,
+            database_id: table.db_id ?? databaseId,
+            schema: table.schema,
+            name: table.name,
+            display_name: table.display_name,
+            description: table.description || null,
+            fields: (table.fields || []).map(f => ({
+                id: f.id,
+                name: f.name,
+                base_type: f.base_type,
+                semantic_type: f.semantic_type || null,
+                fk_target_field_id: f.fk_target_field_id || null,
+                description: f.description || null,
+            })),
+        };
+    }
+
+    async readCard(id) {
+        const card = await this.cached(CacheKeys.question(id),
+            () => this.metabaseClient.request('GET', `/api/card/${id}`));
+        this.assertVisible(resourceUri.card(id), cardObject(card));
+
+        return {
+            id: card.id,
+            name: card.name,
+            description: card.description || null,
+            type: card.type || 'question',
+            display: card.display,
+            database_id: card.database_id,
+            collection_id: card.collection_id || null,
+            query_type: card.dataset_query?.type,
+            sql: card.dataset_query?.native?.query || null,
+            template_tags: Object.keys(card.dataset_query?.native?.['template-tags'] || {}),
+            columns: (card.result_metadata || []).map(c => ({ name: c.name, base_type: c.base_type })),
+            archived: card.archived,
+            updated_at: card.updated_at,
+        };
+    }
+
+    async readDashboard(id) {
+        const dashboard = await this.cached(CacheKeys.dashboard(id),
+            () => this.metabaseClient.getDashboard(id));
+        this.assertVisible(resourceUri.dashboard(id), dashboardObject(dashboard));
+        const dashcards = dashboardCards(dashboard).filter(dc => !dc.card || this.visible(cardObject(dc.card)));
+
+        return {
+            id: dashboard.id,
+            name: dashboard.name,
+            description: dashboard.description || null,
+            collection_id: dashboard.collection_id || null,
+            parameters: (dashboard.parameters || []).map(p => ({ id: p.id, name: p.name, type: p.type, slug: p.slug })),
+            cards: dashcards.map(dc => ({
+                dashcard_id: dc.id,
+                card_id: dc.card_id,
+                name: dc.card?.name || null,
+                row: dc.row,
+                col: dc.col,
+                size_x: dc.size_x,
+                size_y: dc.size_y,
+                uri: dc.card_id ? resourceUri.card(dc.card_id) : null,
+            })),
+            archived: dashboard.archived,
+            updated_at: dashboard.updated_at,
+        };
+    }
+
+    /**
+     * Called after a tool call succeeds. Emits 'updated' for affected resources
+     * so sessions can notify subscribers; the router has already dropped their
+     * cached copies (cache-invalidation.js).
+     * @param {string} toolName
+     * @param {object} args
+     */
+    notifyToolResult(toolName, args) {
+        const affected = MUTATION_RESOURCES[toolName];
+        if (!affected || !args) return;
+
+        for (const uri of affected(args)) {
+            if (!parseResourceUri(uri)) continue;
+
+            logger.debug(`Resource updated: ${uri}`);
+            this.emit('updated', uri);
+        }
+    }
+
+    /**
+     * Whether the tool policy lets a caller see an object
+     * @param {object} object - Tool-style arguments naming it (see ToolPolicy.checkObject)
+     */
+    visible(object) {
+        return !this.toolPolicy || this.toolPolicy.checkObject(object).length === 0;
+    }
+
+    /**
+     * Throws when the tool policy hides the object behind a resource
+     * @param {string} uri
+     * @param {object} object - Tool-style arguments naming it
+     * @throws {PermissionError}
+     */
+    assertVisible(uri, object) {
+        const reasons = this.toolPolicy?.checkObject(object) || [];
+        if (reasons.length === 0) return;
+
+        throw new PermissionError(`Resource ${uri} is blocked by the tool policy: ${reasons.map(r => r.message).join('; ')}`, {
+            code: reasons[0].code,
+            details: { uri, reasons },
+        });
+    }
+
+    async cached(key, fetchFn) {
+        const { data } = await this.cache.getOrSet(key, fetchFn);
+        return data;
+    }
+}
+
+/**
+ * Tool-style arguments naming a card, table or dashboard, for ToolPolicy.checkObject
+ */
+function cardObject(card) {
+    const sql = card.dataset_query?.native?.query;
+    return {
+        card_id: card.id,
+        database_id: card.database_id ?? card.dataset_query?.database,
+        collection_id: card.collection_id,
+        ...(typeof sql === 'string' && { sql }),
+    };
+}
+
+function tableObject(databaseId, table) {
+    return { database_id: table.db_id ?? databaseId, schema_name: table.schema || undefined, table_name: table.name };
+}
+
+function dashboardObject(dashboard) {
+    return { collection_id: dashboard.collection_id };
+}
+
+function toArray(value) {
+    if (Array.isArray(value)) return value;
+    return value?.data || [];
+}
@@ -0,0 +1,379 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { CronExpressionParser } from 'cron-parser';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { diffResults } from '../utils/result-diff.js';
+import { getJobStore } from './job-store.js';
+
+const DEFAULT_HISTORY_SIZE = 30;
+const DEFAULT_TIMEOUT_SECONDS = 600;
+const TICK_MS = 30 * 1000;
+
+/**
+ * Next time a 5-field cron expression fires
+ * @param {string} cron - e.g. `0 7 * * 1-5`
+ * @param {string} [timezone] - IANA name; server time when omitted
+ * @param {Date} [after]
+ * @returns {Date}
+ * @throws {ValidationError} On an invalid expression or timezone
+ */
+export function nextCronRun(cron, timezone, after = new Date()) {
+    if (String(cron).trim().split(/\s+/).length !== 5) {
+        throw new ValidationError(`Cron expression must have 5 fields (minute hour day month weekday): ${cron}`, { code: 'invalid_cron' });
+    }
+    if (timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch {
+            throw new ValidationError(`Unknown timezone: ${timezone} (use an IANA name such as Europe/Istanbul)`, { code: 'invalid_timezone' });
+        }
+    }
+    try {
+        return CronExpressionParser.parse(cron, { currentDate: after, ...(timezone && { tz: timezone }) }).next().toDate();
+    } catch (error) {
+        throw new ValidationError(`Invalid cron expression '${cron}'${timezone ? ` (timezone ${timezone})` : ''}: ${error.message}`, { code: 'invalid_cron' });
+    }
+}
+
+/**
+ * Scheduler - Recurring queries with result snapshots
+ *
+ * A schedule runs a read query (SQL or a saved card) on a cron expression. Each run is a
+ * low-priority job in the job store, so it shares the per-database concurrency limit with
+ * sql_submit. A complete run's rows (already PII-masked) are saved as a snapshot and diffed
+ * against the previous successful run.
+ *
+ * Files under `dir` (MCP_SCHEDULE_DIR):
+ *   schedules.json                         definitions and run history
+ *   snapshots/<schedule_id>/<run_id>.json  result of each kept run
+ * The newest `historySize` runs (MCP_SCHEDULE_HISTORY) and their snapshots are kept, plus the
+ * latest complete run if it is older.
+ * A run missed while the server was down starts once at the next tick.
+ */
+export class Scheduler {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.dir] - Default ./data/schedules
+     * @param {number} [options.historySize]
+     * @param {QueryJobStore} [options.jobStore]
+     */
+    constructor(options = {}) {
+        this.dir = path.resolve(options.dir || './data/schedules');
+        this.historySize = options.historySize > 0 ? options.historySize : DEFAULT_HISTORY_SIZE;
+        this.jobStore = options.jobStore || getJobStore();
+        this.schedules = new Map();
+        this.running = new Set(); // schedule IDs with a run in progress
+        this.timer = null;
+    }
+
+    get filePath() {
+        return path.join(this.dir, 'schedules.json');
+    }
+
+    snapshotPath(scheduleId, runId) {
+        return path.join(this.dir, 'snapshots', scheduleId, `${runId}.json`);
+    }
+
+    load() {
+        this.schedules.clear();
+        if (!fs.existsSync(this.filePath)) return;
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const schedule of data.schedules || []) this.schedules.set(schedule.id, schedule);
+        } catch (error) {
+            logger.error(`Could not read ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    save() {
+        const tmpPath = `${this.filePath}.tmp`;
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify({ schedules: [...this.schedules.values()] }, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            logger.error(`Could not write ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load schedules, pick up runs interrupted by a restart, and start the timer
+     */
+    start() {
+        this.load();
+        for (const schedule of this.schedules.values()) {
+            const run = schedule.runs.find(r => r.status === 'running');
+            if (run) this.resume(schedule, run);
+        }
+        this.timer = setInterval(() => this.tick(), TICK_MS);
+        this.timer.unref?.();
+        if (this.schedules.size > 0) logger.info(`Scheduler started with ${this.schedules.size} schedules`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Register a schedule
+     * @param {object} definition
+     * @param {string} definition.name
+     * @param {string} definition.cron
+     * @param {string} [definition.timezone]
+     * @param {{type: 'sql', database_id: number, sql: string}|{type: 'card', card_id: number, database_id: number, parameters?: Array}} definition.source
+     * @param {string[]} [definition.key_columns]
+     * @param {number} [definition.threshold_pct]
+     * @param {number} [definition.threshold_abs]
+     * @param {number} [definition.timeout_seconds]
+     * @returns {object} The schedule
+     * @throws {ValidationError} On an invalid cron expression or a duplicate name
+     */
+    create(definition) {
+        const nextRun = nextCronRun(definition.cron, definition.timezone);
+        if ([...this.schedules.values()].some(s => s.name === definition.name)) {
+            throw new ValidationError(`A schedule named '${definition.name}' already exists`, { code: 'duplicate_schedule' });
+        }
+
+        const schedule = {
+            id: randomUUID(),
+            name: definition.name,
+            cron: definition.cron,
+            timezone: definition.timezone || null,
+            source: definition.source,
+            key_columns: definition.key_columns || [],
+            threshold_pct: definition.threshold_pct ?? null,
+            threshold_abs: definition.threshold_abs ?? null,
+            timeout_seconds: definition.timeout_seconds || DEFAULT_TIMEOUT_SECONDS,
+            created_at: new Date().toISOString(),
+            next_run_at: nextRun.toISOString(),
+            runs: [],
+        };
+        this.schedules.set(schedule.id, schedule);
+        this.save();
+        logger.info(`Schedule created: ${schedule.name} (${schedule.cron}), next run ${schedule.next_run_at}`);
+        return schedule;
+    }
+
+    list() {
+        return [...this.schedules.values()];
+    }
+
+    /**
+     * @throws {NotFoundError}
+     */
+    get(scheduleId) {
+        const schedule = this.schedules.get(scheduleId);
+        if (!schedule) throw new NotFoundError(`Schedule not found: ${scheduleId}`, { code: 'schedule_not_found' });
+        return schedule;
+    }
+
+    /**
+     * Remove a schedule and its snapshots. A run in progress finishes but is not recorded.
+     * @throws {NotFoundError}
+     */
+    delete(scheduleId) {
+        const schedule = this.get(scheduleId);
+        this.schedules.delete(scheduleId);
+        this.save();
+        fs.rmSync(path.join(this.dir, 'snapshots', scheduleId), { recursive: true, force: true });
+        logger.info(`Schedule deleted: ${schedule.name}`);
+        return schedule;
+    }
+
+    /**
+     * Start every schedule whose next run is due
+     */
+    tick(now = new Date()) {
+        for (const schedule of this.schedules.values()) {
+            if (this.running.has(schedule.id) || new Date(schedule.next_run_at) > now) continue;
+            this.run(schedule).catch(error => logger.error(`Schedule ${schedule.name} run failed: ${error.message}`));
+        }
+    }
+
+    /**
+     * Run a schedule now. A cron-triggered run moves next_run_at to the next cron time after now.
+     * The job is checked against the current read-only mode and policy when it starts
+     * (SqlHandler.recheckJob); a blocked run is recorded as failed with the reason.
+     * @param {object} schedule
+     * @param {object} [options]
+     * @param {boolean} [options.manual] - Started on request (run_now), not by the cron expression
+     * @returns {Promise<object>} The finished run entry
+     */
+    async run(schedule, options = {}) {
+        this.running.add(schedule.id);
+        const source = schedule.source;
+        const job = this.jobStore.create(source.database_id, source.type === 'sql' ? source.sql : null, schedule.timeout_seconds, {
+            priority: 'low',
+            scheduleId: schedule.id,
+            ...(source.type === 'card' && { cardId: source.card_id, parameters: source.parameters }),
+        });
+
+        const run = {
+            run_id: randomUUID(),
+            job_id: job.id,
+            status: 'running',
+            scheduled_for: options.manual ? null : schedule.next_run_at,
+            started_at: new Date().toISOString(),
+            finished_at: null,
+            row_count: null,
+            error: null,
+            changes: null,
+        };
+        schedule.runs.unshift(run);
+        if (!options.manual) schedule.next_run_at = nextCronRun(schedule.cron, schedule.timezone).toISOString();
+        this.save();
+
+        return this.resume(schedule, run);
+    }
+
+    /**
+     * Wait for a run's job and record its outcome
+     */
+    async resume(schedule, run) {
+        this.running.add(schedule.id);
+        try {
+            const job = await this.jobStore.whenFinished(run.job_id);
+            this.finish(schedule, run, job);
+        } finally {
+            this.running.delete(schedule.id);
+        }
+        return run;
+    }
+
+    finish(schedule, run, job) {
+        if (!this.schedules.has(schedule.id)) return; // deleted meanwhile
+
+        run.finished_at = new Date().toISOString();
+        const result = job?.status === 'complete' ? this.jobStore.getResult(job.result_id) : null;
+        if (!result) {
+            run.status = 'failed';
+            run.error = !job ? 'Job was lost (server restarted before it was saved)'
+                : job.status === 'complete' ? 'Result expired before it could be saved'
+                    : job.error || `Job ended as ${job.status}`;
+        } else {
+            run.status = 'complete';
+            run.row_count = result.rows.length;
+            this.writeSnapshot(schedule.id, run.run_id, result);
+
+            const previous = schedule.runs.find(r => r !== run && r.status === 'complete');
+            const before = previous && this.readSnapshot(schedule.id, previous.run_id);
+            if (before) {
+                try {
+                    run.changes = { ...diffResults(before, result, this.diffOptions(schedule, { limit: 0 })).counts, since_run_id: previous.run_id };
+                } catch (error) {
+                    run.changes = { error: error.message, since_run_id: previous.run_id };
+                }
+            }
+        }
+
+        // The latest complete run stays as the baseline for the next diff, however many runs failed since
+        const kept = schedule.runs.slice(0, this.historySize);
+        const baseline = schedule.runs.find(r => r.status === 'complete');
+        if (baseline && !kept.includes(baseline)) kept.push(baseline);
+        for (const old of schedule.runs.filter(r => !kept.includes(r))) {
+            fs.rmSync(this.snapshotPath(schedule.id, old.run_id), { force: true });
+        }
+        schedule.runs = kept;
+        this.save();
+        logger.info(`Schedule ${schedule.name} run ${run.status}${run.row_count !== null ? ` (${run.row_count} rows)` : ''}`);
+    }
+
+    writeSnapshot(scheduleId, runId, result) {
+        const file = this.snapshotPath(scheduleId, runId);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({
+            columns: result.columns.map(c => ({ name: c.name, base_type: c.base_type, effective_type: c.effective_type })),
+            rows: result.rows,
+            masked: result.masked || [],
+        }));
+    }
+
+    /**
+     * @returns {{columns: Array, rows: Array, masked: Array}|null}
+     */
+    readSnapshot(scheduleId, runId) {
+        try {
+            return JSON.parse(fs.readFileSync(this.snapshotPath(scheduleId, runId), 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    diffOptions(schedule, overrides = {}) {
+        return {
+            keyColumns: overrides.keyColumns ?? schedule.key_columns,
+            thresholdPct: overrides.thresholdPct ?? schedule.threshold_pct ?? undefined,
+            thresholdAbs: overrides.thresholdAbs ?? schedule.threshold_abs ?? undefined,
+            limit: overrides.limit,
+        };
+    }
+
+    /**
+     * Compare two complete runs (default: the latest one and the one before it)
+     * @param {string} scheduleId
+     * @param {object} [options] - fromRunId, toRunId, keyColumns, thresholdPct, thresholdAbs, limit
+     * @throws {NotFoundError|ValidationError}
+     */
+    diff(scheduleId, options = {}) {
+        const schedule = this.get(scheduleId);
+        const complete = schedule.runs.filter(r => r.status === 'complete');
+        const pick = (runId, fallback) => {
+            if (!runId) return fallback;
+            const run = schedule.runs.find(r => r.run_id === runId);
+            if (!run) throw new NotFoundError(`Run ${runId} not found in schedule ${schedule.name}`, { code: 'run_not_found' });
+            if (run.status !== 'complete') throw new ValidationError(`Run ${runId} did not complete (${run.status}); it has no snapshot`);
+            return run;
+        };
+
+        const to = pick(options.toRunId, complete[0]);
+        const from = pick(options.fromRunId, complete.find(r => new Date(r.started_at) < new Date(to?.started_at)));
+        if (!to || !from) {
+            throw new ValidationError(`Schedule ${schedule.name} needs two complete runs to compare (has ${complete.length})`, { code: 'not_enough_runs' });
+        }
+
+        const before = this.readSnapshot(schedule.id, from.run_id);
+        const after = this.readSnapshot(schedule.id, to.run_id);
+        if (!before || !after) {
+            throw new NotFoundError('Snapshot file missing for one of the runs', { code: 'snapshot_missing' });
+        }
+
+        return {
+            schedule,
+            from,
+            to,
+            masked: after.masked,
+            ...diffResults(before, after, this.diffOptions(schedule, options)),
+        };
+    }
+}
+
+/**
+ * Scheduler from MCP_SCHEDULE_DIR / MCP_SCHEDULE_HISTORY
+ * @param {object} [options]
+ * @param {string|null} [options.namespace] - Metabase instance; its schedules live in a subdirectory
+ * @param {QueryJobStore} [options.jobStore] - That instance's job store
+ * @returns {Scheduler}
+ */
+export function createScheduler(options = {}) {
+    const dir = process.env.MCP_SCHEDULE_DIR || './data/schedules';
+    return new Scheduler({
+        dir: options.namespace ? path.join(dir, options.namespace) : dir,
+        historySize: parseInt(process.env.MCP_SCHEDULE_HISTORY, 10) || undefined,
+        jobStore: options.jobStore,
+    });
+}
+
+// Singleton instance (the default Metabase instance's)
+let instance = null;
+
+export function getScheduler() {
+    if (!instance) {
+        instance = createScheduler();
+    }
+    return instance;
+}
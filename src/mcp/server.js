@@ -4,16 +4,24 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
+  CompleteRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import dotenv from 'dotenv';
-import { MetabaseClient } from '../metabase/client.js';
 import { MetabaseAIAssistant } from '../ai/assistant.js';
 import { ActivityLogger } from '../utils/activity-logger.js';
 import { MetabaseMetadataClient } from '../metabase/metadata-client.js';
 import { logger } from '../utils/logger.js';
+import { toMcpError } from '../utils/errors.js';
 
 // Handler modules
 import { MetadataHandler } from './handlers/metadata.js';
@@ -26,15 +34,36 @@ import { ActionsHandler } from './handlers/actions.js';
 import { DocsHandler } from './handlers/docs.js';
 import { SchemaHandler } from './handlers/schema.js';
 import { AnalyticsHandler } from './handlers/analytics.js';
+import { ProfilesHandler } from './handlers/profiles.js';
+import { PolicyHandler } from './handlers/policy.js';
+import { ApprovalsHandler } from './handlers/approvals.js';
+import { PiiHandler } from './handlers/pii.js';
+import { ExportHandler } from './handlers/export.js';
+import { ScheduleHandler } from './handlers/schedules.js';
+import { CacheHandler } from './handlers/cache.js';
+import { InstancesHandler } from './handlers/instances.js';
 
 // Tool system
 import { getToolDefinitions } from './tool-registry.js';
-import { isReadOnlyMode } from './tool-router.js';
+import { compileToolValidators } from './input-validation.js';
+import { ToolProfiles } from './tool-profiles.js';
+import { ToolPolicy } from './tool-policy.js';
+import { ApprovalManager, collectPreviews } from './approvals.js';
+import { isReadOnlyMode, buildRouteMap, validateRouteMap, createToolHandler } from './tool-router.js';
+import { InstanceRegistry, ENV_INSTANCE } from './instances.js';
 
 // Utils
 import { CacheManager, CacheKeys, globalCache } from '../utils/cache.js';
-import { config as appConfig } from '../utils/config.js';
-import { getJobStore } from './job-store.js';
+import { createCacheStore } from '../utils/cache-stores.js';
+import { PiiMasker } from '../utils/pii-masker.js';
+import { ResultExporter } from '../utils/result-export.js';
+import { createQueryCache, getQueryCache } from '../utils/query-cache.js';
+import { createJobStore, getJobStore } from './job-store.js';
+import { createScheduler, getScheduler } from './scheduler.js';
+import { startHttpTransport, getHttpOptionsFromEnv } from './http-transport.js';
+import { ResourceProvider } from './resources.js';
+import { getPromptDefinitions, getPrompt } from './prompts.js';
+import { CompletionProvider } from './completions.js';
 import {
   ResponseFormat,
   formatListResponse,
@@ -50,375 +79,522 @@ dotenv.config();
 
 class MetabaseMCPServer {
   constructor() {
-    this.server = new Server(
+    // Per Metabase instance: client, caches, job store, scheduler, handlers and tool router (initialized in initialize())
+    this.instances = null;
+    this.defaultInstance = null;
+    this.initializing = null;
+    this.initError = null;
+
+    // Shared by every instance (initialized in initialize())
+    this.profilesHandler = null;
+    this.policyHandler = null;
+    this.approvals = null;
+    this.approvalsHandler = null;
+    this.instancesHandler = null;
+    this.piiMasker = null;
+
+    // Tool profiles (static, so tools/list works before Metabase is reachable)
+    this.toolProfiles = new ToolProfiles(getToolDefinitions(), process.env.MCP_TOOL_PROFILE);
+
+    // Tool policy file (a broken policy must stop startup, not silently allow everything)
+    this.toolPolicy = ToolPolicy.load(process.env.MCP_POLICY_FILE, getToolDefinitions());
+
+    // Metabase connection profiles: METABASE_URL and/or MCP_INSTANCES_FILE (a broken file stops startup too)
+    this.instanceRegistry = InstanceRegistry.load(process.env.MCP_INSTANCES_FILE, process.env, getClientOptionsFromEnv());
+
+    // MCP resources & completions (initialized in initialize())
+    this.resourceProvider = null;
+    this.completionProvider = null;
+
+    // HTTP transport (set in runHttp())
+    this.httpTransport = null;
+
+    this.server = this.createServer();
+  }
+
+  /**
+   * Create a new MCP Server with all request handlers registered.
+   * stdio uses a single instance; the HTTP transport creates one per session.
+   */
+  createServer() {
+    const server = new Server(
       {
         name: 'metabase-ai-assistant',
         version: '4.2.0',
-        description: 'AI-powered database operations, SQL queries, metrics, and dashboard automation for Metabase. 134 tools with structured output for enterprise BI.',
+        description: 'AI-powered database operations, SQL queries, metrics, and dashboard automation for Metabase. 148 tools with structured output for enterprise BI.',
       },
       {
         capabilities: {
           tools: { listChanged: true },
+          resources: { subscribe: true, listChanged: true },
+          prompts: { listChanged: false },
+          completions: {},
         },
       }
     );
 
-    this.metabaseClient = null;
-    this.aiAssistant = null;
-    this.activityLogger = null;
-    this.metadataClient = null;
-    this.initError = null;
-    this.cache = globalCache;
-
-    // Handler instances (initialized in initialize())
-    this.metadataHandler = null;
-    this.dashboardDirectHandler = null;
-    this.sqlHandler = null;
-    this.cardsHandler = null;
-    this.collectionsHandler = null;
-    this.usersHandler = null;
-    this.actionsHandler = null;
-    this.docsHandler = null;
-    this.schemaHandler = null;
-    this.analyticsHandler = null;
-
-    this.setupHandlers();
+    this.setupHandlers(server);
+    return server;
   }
 
   async initialize() {
-    if (this.metabaseClient) return;
+    if (this.instances) return;
+    // Concurrent first calls (stdio or HTTP sessions) share one set of instances
+    if (!this.initializing) {
+      this.initializing = this.initializeInstances().finally(() => {
+        this.initializing = null;
+      });
+    }
+    await this.initializing;
+  }
 
+  async initializeInstances() {
+    let instances;
     try {
-      this.metabaseClient = new MetabaseClient({
-        url: process.env.METABASE_URL,
-        username: process.env.METABASE_USERNAME,
-        password: process.env.METABASE_PASSWORD,
-        apiKey: process.env.METABASE_API_KEY,
+      const defaultName = this.instanceRegistry.resolve().name;
+
+      // Approval workflow for destructive tools (off unless MCP_REQUIRE_APPROVAL=true)
+      this.approvals = new ApprovalManager(getToolDefinitions(), {
+        enabled: process.env.MCP_REQUIRE_APPROVAL === 'true',
+        ttlSeconds: parseInt(process.env.MCP_APPROVAL_TTL_SECONDS, 10) || undefined,
       });
 
-      // Core handlers (no extra deps)
-      this.metadataHandler = new MetadataHandler(this.metabaseClient);
-      this.dashboardDirectHandler = new DashboardDirectHandler(this.metabaseClient, this.metadataHandler);
+      // PII masking for query results (MCP_PII_MASKING, or the policy file's pii section)
+      const pii = this.toolPolicy.pii || {};
+      this.piiMasker = new PiiMasker({
+        mode: pii.mode || process.env.MCP_PII_MASKING || 'off',
+        categories: pii.categories,
+        columns: pii.columns,
+        detectValues: pii.detect_values,
+        salt: process.env.MCP_PII_HASH_SALT,
+      });
 
-      await this.metabaseClient.authenticate();
-      logger.info('Metabase client initialized');
+      this.profilesHandler = new ProfilesHandler(this.toolProfiles);
+      this.policyHandler = new PolicyHandler(this.toolPolicy, this.toolProfiles, getToolDefinitions().map(t => t.name));
+      this.approvalsHandler = new ApprovalsHandler(this.approvals);
+      this.instancesHandler = new InstancesHandler(this.instanceRegistry);
 
-      // AI assistant (optional)
-      if (process.env.ANTHROPIC_API_KEY || process.env.OPENAI_API_KEY) {
-        this.aiAssistant = new MetabaseAIAssistant({
-          metabaseClient: this.metabaseClient,
-          anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-          openaiApiKey: process.env.OPENAI_API_KEY,
-          aiProvider: process.env.ANTHROPIC_API_KEY ? 'anthropic' : 'openai'
-        });
-        logger.info('AI assistant initialized');
+      instances = new Map();
+      for (const name of this.instanceRegistry.names) {
+        instances.set(name, await this.createInstance(this.instanceRegistry.resolve(name)));
       }
+      this.defaultInstance = instances.get(defaultName);
+      this.resourceProvider = this.defaultInstance.resourceProvider;
+      this.completionProvider = this.defaultInstance.completionProvider;
+    } catch (error) {
+      logger.error('Failed to initialize MCP server:', error);
+      this.initError = error;
+      return;
+    }
 
-      // Activity logger
-      this.activityLogger = new ActivityLogger(this.metabaseClient, {
-        logTableName: 'claude_ai_activity_log',
-        schema: 'public'
-      });
-      logger.info('Activity logger initialized');
-
-      // Metadata client (optional - uses Metabase API, no direct DB connection needed)
-      if (process.env.MB_METADATA_ENABLED === 'true' && appConfig.METABASE_INTERNAL_DB_ID) {
-        try {
-          this.metadataClient = new MetabaseMetadataClient({
-            metabaseClient: this.metabaseClient,
-            internalDbId: appConfig.METABASE_INTERNAL_DB_ID
-          });
-          logger.info(`Metabase metadata client initialized (DB ID: ${appConfig.METABASE_INTERNAL_DB_ID})`);
-        } catch (error) {
-          logger.warn('Metadata client initialization failed:', error.message);
-          this.metadataClient = null;
-        }
-      } else if (process.env.MB_METADATA_ENABLED === 'true' && !appConfig.METABASE_INTERNAL_DB_ID) {
-        logger.warn('MB_METADATA_ENABLED=true but METABASE_INTERNAL_DB_ID is not set. Use meta_find_internal_db tool to find it.');
-      }
+    // A tool without a route (or a route without a tool) is a code defect: fail startup, don't swallow it
+    for (const instance of instances.values()) {
+      instance.toolHandler = this.createToolRouter(instance);
+    }
+    this.instances = instances;
 
-      // Modular handlers (initialized after all deps are ready)
-      this.sqlHandler = new SqlHandler(this.metabaseClient, this.cache, this.activityLogger, this.aiAssistant);
-      this.cardsHandler = new CardsHandler(this.metabaseClient);
-      this.collectionsHandler = new CollectionsHandler(this.metabaseClient);
-      this.usersHandler = new UsersHandler(this.metabaseClient);
-      this.actionsHandler = new ActionsHandler(this.metabaseClient);
-      this.docsHandler = new DocsHandler(this.metabaseClient);
-      this.schemaHandler = new SchemaHandler(this.metabaseClient, this.activityLogger);
-      this.analyticsHandler = new AnalyticsHandler(this.metabaseClient, this.metadataClient, this.activityLogger);
+    // Other instances log in on their first call
+    try {
+      await this.defaultInstance.metabaseClient.authenticate();
+      logger.info('Metabase client initialized');
     } catch (error) {
       logger.error('Failed to initialize MCP server:', error);
       this.initError = error;
     }
   }
 
+  /**
+   * Client, caches, job store, scheduler and handlers for one Metabase instance.
+   * The `default` profile (METABASE_URL) uses the process-wide caches, job store and scheduler;
+   * other profiles get their own, namespaced by profile name.
+   * @param {object} profile - From InstanceRegistry.resolve()
+   */
+  async createInstance(profile) {
+    const namespace = profile.name === ENV_INSTANCE ? null : profile.name;
+    const metabaseClient = this.instanceRegistry.client(profile.name);
+
+    // Metabase API response cache (CACHE_STORE: memory, file or redis)
+    const cache = namespace ? new CacheManager() : globalCache;
+    await cache.configure({
+      ttl: parseInt(process.env.CACHE_TTL_MS, 10) || undefined,
+      staleTtl: process.env.CACHE_STALE_TTL_MS ? parseInt(process.env.CACHE_STALE_TTL_MS, 10) : undefined,
+      store: createCacheStore(process.env.CACHE_STORE || 'memory', {
+        maxSize: parseInt(process.env.CACHE_MAX_SIZE, 10) || undefined,
+        dir: process.env.CACHE_DIR || undefined,
+        url: process.env.CACHE_REDIS_URL || undefined,
+        prefix: process.env.CACHE_KEY_PREFIX || undefined,
+        namespace,
+      }),
+    });
+    const queryCache = namespace ? createQueryCache() : getQueryCache();
+    const jobStore = namespace ? createJobStore(namespace) : getJobStore();
+    const scheduler = namespace ? createScheduler({ namespace, jobStore }) : getScheduler();
+
+    // Core handlers (no extra deps)
+    const metadataHandler = new MetadataHandler(metabaseClient);
+    const dashboardDirectHandler = new DashboardDirectHandler(metabaseClient, metadataHandler);
+
+    // AI assistant (optional)
+    let aiAssistant = null;
+    if (process.env.ANTHROPIC_API_KEY || process.env.OPENAI_API_KEY) {
+      aiAssistant = new MetabaseAIAssistant({
+        metabaseClient,
+        anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+        openaiApiKey: process.env.OPENAI_API_KEY,
+        aiProvider: process.env.ANTHROPIC_API_KEY ? 'anthropic' : 'openai'
+      });
+      logger.info(`AI assistant initialized (${profile.name})`);
+    }
+
+    // Activity logger
+    const activityLogger = new ActivityLogger(metabaseClient, {
+      logTableName: 'claude_ai_activity_log',
+      schema: 'public'
+    });
+    logger.info(`Activity logger initialized (${profile.name})`);
+
+    // Metadata client (optional - uses Metabase API, no direct DB connection needed)
+    let metadataClient = null;
+    if (process.env.MB_METADATA_ENABLED === 'true' && profile.internalDbId) {
+      try {
+        metadataClient = new MetabaseMetadataClient({
+          metabaseClient,
+          internalDbId: profile.internalDbId
+        });
+        logger.info(`Metabase metadata client initialized (${profile.name}, DB ID: ${profile.internalDbId})`);
+      } catch (error) {
+        logger.warn('Metadata client initialization failed:', error.message);
+      }
+    } else if (process.env.MB_METADATA_ENABLED === 'true') {
+      logger.warn(`MB_METADATA_ENABLED=true but no internal DB ID is set for ${profile.name} (METABASE_INTERNAL_DB_ID or internal_db_id). Use meta_find_internal_db tool to find it.`);
+    }
+
+    // Modular handlers (initialized after all deps are ready)
+    const sqlHandler = new SqlHandler(metabaseClient, cache, activityLogger, aiAssistant, this.toolPolicy, {
+      maxRows: process.env.MCP_SQL_MAX_ROWS ? parseInt(process.env.MCP_SQL_MAX_ROWS, 10) : undefined,
+      piiMasker: this.piiMasker,
+      queryCache,
+      jobStore,
+    });
+    // Queued sql_submit jobs (including ones restored from MCP_JOB_STORE) start from here
+    jobStore.setExecutor(job => sqlHandler.executeJob(job));
+    const cardsHandler = new CardsHandler(metabaseClient, this.piiMasker);
+    const handlers = {
+      sql: sqlHandler,
+      schema: new SchemaHandler(metabaseClient, activityLogger, null, this.piiMasker),
+      cards: cardsHandler,
+      dashboardDirect: dashboardDirectHandler,
+      collections: new CollectionsHandler(metabaseClient, cardsHandler),
+      users: new UsersHandler(metabaseClient),
+      actions: new ActionsHandler(metabaseClient),
+      docs: new DocsHandler(metabaseClient),
+      analytics: new AnalyticsHandler(metabaseClient, metadataClient, activityLogger),
+      metadata: metadataHandler,
+      profiles: this.profilesHandler,
+      policy: this.policyHandler,
+      approvals: this.approvalsHandler,
+      pii: new PiiHandler(metabaseClient, this.piiMasker),
+      export: new ExportHandler(metabaseClient, new ResultExporter({
+        baseDir: process.env.MCP_EXPORT_DIR,
+        maxRows: parseInt(process.env.MCP_EXPORT_MAX_ROWS, 10) || undefined,
+      }), this.piiMasker),
+      schedules: new ScheduleHandler(metabaseClient, scheduler, sqlHandler),
+      cache: new CacheHandler(cache, queryCache),
+      instances: this.instancesHandler,
+    };
+    scheduler.start();
+
+    return {
+      name: profile.name,
+      metabaseClient,
+      cache,
+      queryCache,
+      jobStore,
+      scheduler,
+      activityLogger,
+      handlers,
+      resourceProvider: new ResourceProvider(metabaseClient, cache, this.toolPolicy),
+      completionProvider: new CompletionProvider(metabaseClient, cache, this.toolPolicy),
+      toolHandler: null,
+    };
+  }
+
+  /**
+   * Register every handler's routes(), check them against the tool registry
+   * and compile the input validators. Handlers may also expose previews() for the approval workflow.
+   * @param {object} instance - From createInstance()
+   * @returns {function} CallTool request handler
+   */
+  createToolRouter(instance) {
+    const routeMap = buildRouteMap(instance.handlers);
+    const definitions = getToolDefinitions();
+    validateRouteMap(routeMap, definitions);
+    const approvals = this.approvals.forInstance({
+      instance: this.instanceRegistry.names.length > 1 ? instance.name : undefined,
+      previews: collectPreviews(instance.handlers),
+      activityLogger: instance.activityLogger,
+    });
+    return createToolHandler(routeMap, compileToolValidators(definitions), this.toolPolicy, approvals, {
+      apiCache: instance.cache,
+      queryCache: instance.queryCache,
+    });
+  }
+
+  /**
+   * The instance a tool call names in its `instance` argument, or the default one
+   * @throws {McpError} InvalidParams for an unknown instance
+   */
+  getInstance(name) {
+    try {
+      return this.instances.get(this.instanceRegistry.resolve(name).name);
+    } catch (error) {
+      throw toMcpError(error);
+    }
+  }
+
   async ensureInitialized() {
-    if (!this.metabaseClient || !this.activityLogger) {
+    if (!this.instances) {
       await this.initialize();
     }
   }
 
-  setupHandlers() {
-    // Tool listing from registry
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return { tools: getToolDefinitions() };
+  setupHandlers(server) {
+    // Tool listing from registry, filtered by the session's tool profile
+    server.setRequestHandler(ListToolsRequestSchema, async (request, extra) => {
+      return { tools: this.toolProfiles.filter(getToolDefinitions(), extra.sessionId) };
     });
 
-    // Tool dispatch
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+    // Tool dispatch (read-only gate + error mapping live in the tool router)
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      await this.ensureInitialized();
+      if (!this.instances) {
+        throw new McpError(ErrorCode.InternalError, `Metabase client not initialized: ${this.initError?.message || 'unknown error'}`);
+      }
+
+      if (!this.toolProfiles.allows(request.params.name, extra.sessionId)) {
+        throw new McpError(ErrorCode.InvalidRequest,
+          `Tool '${request.params.name}' is not in the active tool profile (${this.toolProfiles.getProfiles(extra.sessionId).join(', ')}). ` +
+          `Use tools_profile_set to switch profiles.`);
+      }
 
+      // `instance` picks the Metabase instance; the tool itself never sees it
+      const { instance: instanceName, ...args } = request.params.arguments || {};
+      const instance = this.getInstance(instanceName);
+      const routed = { ...request, params: { ...request.params, arguments: args } };
+
+      const result = await instance.toolHandler(routed, extra, { elicitation: !!server.getClientCapabilities()?.elicitation });
+      if (!result?.isError) {
+        // Approved changes report the original call, not change_confirm
+        const executed = result?._meta?.approval?.status === 'approved' ? result._meta.approval : null;
+        // Resources are served from the default instance only
+        if ((executed?.instance || instance.name) === this.defaultInstance.name) {
+          this.resourceProvider?.notifyToolResult(executed?.tool || request.params.name, executed?.arguments || args);
+        }
+      }
+      return result;
+    });
+
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+  }
+
+  /**
+   * Prompt library and argument completion
+   */
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return { prompts: getPromptDefinitions() };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      return getPrompt(request.params.name, request.params.arguments || {});
+    });
+
+    server.setRequestHandler(CompleteRequestSchema, async (request) => {
+      await this.ensureInitialized();
+      if (!this.completionProvider) {
+        return { completion: { values: [], hasMore: false } };
+      }
+      return await this.completionProvider.complete(request.params);
+    });
+  }
+
+  /**
+   * Resource handlers (resources/list, resources/read, templates, subscriptions).
+   * Subscriptions are per session; updates fan out from the shared ResourceProvider.
+   */
+  setupResourceHandlers(server) {
+    const subscriptions = new Set();
+
+    const getProvider = async () => {
+      await this.ensureInitialized();
+      if (!this.resourceProvider) {
+        throw new McpError(ErrorCode.InternalError, `Metabase client not initialized: ${this.initError?.message || 'unknown error'}`);
+      }
+      return this.resourceProvider;
+    };
+
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      const provider = await getProvider();
       try {
-        await this.ensureInitialized();
-        return await this.dispatchTool(name, args);
+        return await provider.listResources(request.params?.cursor);
       } catch (error) {
-        if (error instanceof McpError) throw error;
-
-        logger.error(`Tool ${name} failed:`, error);
-        let errorMessage = error.message;
-        let errorCode = ErrorCode.InternalError;
-
-        if (error.message.includes('authentication failed')) {
-          errorMessage = 'Database authentication failed. Check connection credentials.';
-          errorCode = ErrorCode.InvalidRequest;
-        } else if (error.message.includes('prefix')) {
-          errorMessage = `Security violation: ${error.message}`;
-          errorCode = ErrorCode.InvalidRequest;
-        } else if (error.message.includes('connection')) {
-          errorMessage = 'Database connection failed. Check network and credentials.';
-        } else if (error.message.includes('not found')) {
-          errorMessage = `Resource not found: ${error.message}`;
-          errorCode = ErrorCode.InvalidRequest;
-        } else if (error.message.includes('is not a function')) {
-          errorMessage = `Unexpected API format. Details: ${error.message.substring(0, 100)}`;
-        } else if (error.message.includes('Cannot read properties of undefined')) {
-          errorMessage = `Expected data not found. Details: ${error.message.substring(0, 100)}`;
-        } else if (error.message.includes('timeout') || error.message.includes('ETIMEDOUT')) {
-          errorMessage = `Request timed out. Try a smaller query or use LIMIT.`;
-        }
+        throw toMcpError(error);
+      }
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      const provider = await getProvider();
+      return provider.listTemplates();
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const provider = await getProvider();
+      try {
+        return await provider.readResource(request.params.uri);
+      } catch (error) {
+        throw toMcpError(error);
+      }
+    });
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const provider = await getProvider();
+      if (subscriptions.size === 0) {
+        provider.on('updated', onUpdated);
+      }
+      subscriptions.add(request.params.uri);
+      return {};
+    });
 
-        throw new McpError(errorCode, errorMessage);
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      subscriptions.delete(request.params.uri);
+      if (subscriptions.size === 0) {
+        this.resourceProvider?.off('updated', onUpdated);
       }
+      return {};
     });
+
+    const onUpdated = (uri) => {
+      if (!subscriptions.has(uri)) return;
+      server.sendResourceUpdated({ uri }).catch(error => {
+        logger.warn(`Failed to send resource update for ${uri}: ${error.message}`);
+      });
+    };
+
+    server.onclose = () => {
+      subscriptions.clear();
+      this.resourceProvider?.off('updated', onUpdated);
+    };
   }
 
-  async dispatchTool(name, args) {
-    switch (name) {
-      // ── Database Exploration ──
-      case 'db_list': return await this.sqlHandler.handleGetDatabases(args);
-      case 'db_test_speed': return await this.sqlHandler.handleTestConnectionSpeed(args);
-      case 'db_schemas': return await this.sqlHandler.handleGetDatabaseSchemas(args);
-      case 'db_tables': return await this.sqlHandler.handleGetDatabaseTables(args);
-      case 'db_table_profile': return await this.schemaHandler.handleTableProfile(args);
-      case 'db_connection_info': return await this.schemaHandler.handleGetConnectionInfo(args);
-
-      // ── SQL Execution ──
-      case 'sql_execute': return await this.sqlHandler.handleExecuteSQL(args);
-      case 'sql_submit': return await this.sqlHandler.handleSQLSubmit(args);
-      case 'sql_status': return await this.sqlHandler.handleSQLStatus(args);
-      case 'sql_cancel': return await this.sqlHandler.handleSQLCancel(args);
-
-      // ── DDL Operations ──
-      case 'db_table_create': return await this.schemaHandler.handleCreateTableDirect(args);
-      case 'db_view_create': return await this.schemaHandler.handleCreateViewDirect(args);
-      case 'db_matview_create': return await this.schemaHandler.handleCreateMaterializedViewDirect(args);
-      case 'db_index_create': return await this.schemaHandler.handleCreateIndexDirect(args);
-      case 'db_table_ddl': return await this.schemaHandler.handleGetTableDDL(args);
-      case 'db_view_ddl': return await this.schemaHandler.handleGetViewDDL(args);
-      case 'db_ai_list': return await this.schemaHandler.handleListAIObjects(args);
-      case 'db_ai_drop': return await this.schemaHandler.handleDropAIObject(args);
-
-      // ── Schema & Relationships ──
-      case 'db_schema_explore': return await this.schemaHandler.handleExploreSchemaSimple(args);
-      case 'db_schema_analyze': return await this.schemaHandler.handleExploreSchemaTablesAdvanced(args);
-      case 'db_relationships_detect': return await this.schemaHandler.handleAnalyzeTableRelationships(args);
-      case 'ai_relationships_suggest': return await this.schemaHandler.handleSuggestVirtualRelationships(args);
-      case 'mb_relationships_create': return await this.schemaHandler.handleCreateRelationshipMapping(args);
-
-      // ── Database Maintenance ──
-      case 'db_vacuum_analyze': return await this.schemaHandler.handleVacuumAnalyze(args);
-      case 'db_query_explain': return await this.schemaHandler.handleQueryExplain(args);
-      case 'db_table_stats': return await this.schemaHandler.handleTableStats(args);
-      case 'db_index_usage': return await this.schemaHandler.handleIndexUsage(args);
-
-      // ── Cards / Questions ──
-      case 'mb_question_create': return await this.cardsHandler.handleCreateQuestion(args);
-      case 'mb_questions': return await this.cardsHandler.handleGetQuestions(args);
-      case 'mb_question_create_parametric': return await this.cardsHandler.handleCreateParametricQuestion(args);
-      case 'mb_card_get': return await this.cardsHandler.handleCardGet(args);
-      case 'mb_card_update': return await this.cardsHandler.handleCardUpdate(args);
-      case 'mb_card_delete': return await this.cardsHandler.handleCardDelete(args);
-      case 'mb_card_archive': return await this.cardsHandler.handleCardArchive(args);
-      case 'mb_card_data': return await this.cardsHandler.handleCardData(args);
-      case 'mb_card_copy': return await this.cardsHandler.handleCardCopy(args);
-      case 'mb_card_clone': return await this.cardsHandler.handleCardClone(args);
-
-      // ── Dashboards ──
-      case 'mb_dashboard_create': return await this.cardsHandler.handleCreateDashboard(args);
-      case 'mb_dashboards': return await this.cardsHandler.handleGetDashboards(args);
-      case 'mb_dashboard_template_executive': return await this.cardsHandler.handleCreateExecutiveDashboard(args);
-      case 'mb_dashboard_add_card': return await this.cardsHandler.handleAddCardToDashboard(args);
-      case 'mb_dashboard_get': return await this.cardsHandler.handleDashboardGet(args);
-      case 'mb_dashboard_update': return await this.cardsHandler.handleDashboardUpdate(args);
-      case 'mb_dashboard_delete': return await this.cardsHandler.handleDashboardDelete(args);
-      case 'mb_dashboard_card_update': return await this.cardsHandler.handleDashboardCardUpdate(args);
-      case 'mb_dashboard_card_remove': return await this.cardsHandler.handleDashboardCardRemove(args);
-      case 'mb_dashboard_copy': return await this.cardsHandler.handleDashboardCopy(args);
-      case 'mb_metric_create': return await this.cardsHandler.handleCreateMetric(args);
-      case 'mb_dashboard_add_filter': return await this.cardsHandler.handleAddDashboardFilter(args);
-      case 'mb_dashboard_layout_optimize': return await this.cardsHandler.handleOptimizeDashboardLayout(args);
-      case 'mb_auto_describe': return await this.cardsHandler.handleAutoDescribe(args);
-
-      // ── Direct SQL Dashboard ──
-      case 'mb_dashboard_add_card_sql': return await this.dashboardDirectHandler.handleAddCardSql(args);
-      case 'mb_dashboard_update_layout': return await this.dashboardDirectHandler.handleUpdateLayoutSql(args);
-      case 'mb_create_parametric_question': return await this.dashboardDirectHandler.handleCreateParametricQuestionSql(args);
-      case 'mb_link_dashboard_filter': return await this.dashboardDirectHandler.handleLinkDashboardFilter(args);
-
-      // ── Visualization ──
-      case 'mb_visualization_settings': return await this.cardsHandler.handleVisualizationSettings(args);
-      case 'mb_visualization_recommend': return await this.cardsHandler.handleVisualizationRecommend(args);
-
-      // ── Collections ──
-      case 'mb_collection_create': return await this.collectionsHandler.handleCollectionCreate(args);
-      case 'mb_collection_list': return await this.collectionsHandler.handleCollectionList(args);
-      case 'mb_collection_move': return await this.collectionsHandler.handleCollectionMove(args);
-      case 'mb_collection_copy': return await this.collectionsHandler.handleCollectionCopy(args);
-      case 'mb_collection_permissions_get': return await this.collectionsHandler.handleCollectionPermissionsGet(args);
-      case 'mb_collection_permissions_update': return await this.collectionsHandler.handleCollectionPermissionsUpdate(args);
-
-      // ── Users & Permissions ──
-      case 'mb_user_list': return await this.usersHandler.handleUserList(args);
-      case 'mb_user_get': return await this.usersHandler.handleUserGet(args);
-      case 'mb_user_create': return await this.usersHandler.handleUserCreate(args);
-      case 'mb_user_update': return await this.usersHandler.handleUserUpdate(args);
-      case 'mb_user_disable': return await this.usersHandler.handleUserDisable(args);
-      case 'mb_permission_group_list': return await this.usersHandler.handlePermissionGroupList(args);
-      case 'mb_permission_group_create': return await this.usersHandler.handlePermissionGroupCreate(args);
-      case 'mb_permission_group_delete': return await this.usersHandler.handlePermissionGroupDelete(args);
-      case 'mb_permission_group_add_user': return await this.usersHandler.handlePermissionGroupAddUser(args);
-      case 'mb_permission_group_remove_user': return await this.usersHandler.handlePermissionGroupRemoveUser(args);
-
-      // ── Actions & Alerts ──
-      case 'mb_action_create': return await this.actionsHandler.handleActionCreate(args);
-      case 'mb_action_list': return await this.actionsHandler.handleActionList(args);
-      case 'mb_action_execute': return await this.actionsHandler.handleActionExecute(args);
-      case 'mb_alert_create': return await this.actionsHandler.handleAlertCreate(args);
-      case 'mb_alert_list': return await this.actionsHandler.handleAlertList(args);
-      case 'mb_pulse_create': return await this.actionsHandler.handlePulseCreate(args);
-
-      // ── Field Metadata ──
-      case 'mb_field_metadata': return await this.cardsHandler.handleFieldMetadata(args);
-      case 'mb_table_metadata': return await this.cardsHandler.handleTableMetadata(args);
-      case 'mb_field_values': return await this.cardsHandler.handleFieldValues(args);
-
-      // ── Embedding ──
-      case 'mb_embed_url_generate': return await this.cardsHandler.handleEmbedUrlGenerate(args);
-      case 'mb_embed_settings': return await this.cardsHandler.handleEmbedSettings(args);
-
-      // ── Search ──
-      case 'mb_search': return await this.cardsHandler.handleSearch(args);
-
-      // ── Segments ──
-      case 'mb_segment_create': return await this.cardsHandler.handleSegmentCreate(args);
-      case 'mb_segment_list': return await this.cardsHandler.handleSegmentList(args);
-
-      // ── Bookmarks ──
-      case 'mb_bookmark_create': return await this.cardsHandler.handleBookmarkCreate(args);
-      case 'mb_bookmark_list': return await this.cardsHandler.handleBookmarkList(args);
-      case 'mb_bookmark_delete': return await this.cardsHandler.handleBookmarkDelete(args);
-
-      // ── Sync & Cache ──
-      case 'db_sync_schema': return await this.cardsHandler.handleDbSyncSchema(args);
-      case 'mb_cache_invalidate': return await this.cardsHandler.handleCacheInvalidate(args);
-
-      // ── Documentation ──
-      case 'web_fetch_metabase_docs': return await this.docsHandler.handleFetchMetabaseDocs(args);
-      case 'web_explore_metabase_docs': return await this.docsHandler.handleExploreMetabaseDocs(args);
-      case 'web_search_metabase_docs': return await this.docsHandler.handleSearchMetabaseDocs(args);
-      case 'web_metabase_api_reference': return await this.docsHandler.handleMetabaseApiReference(args);
-
-      // ── Definition Tables ──
-      case 'definition_tables_init': return await this.schemaHandler.handleDefinitionTablesInit(args);
-      case 'definition_search_terms': return await this.schemaHandler.handleDefinitionSearchTerms(args);
-      case 'definition_get_metric': return await this.schemaHandler.handleDefinitionGetMetric(args);
-      case 'definition_get_template': return await this.schemaHandler.handleDefinitionGetTemplate(args);
-      case 'definition_global_search': return await this.schemaHandler.handleDefinitionGlobalSearch(args);
-
-      // ── Parametric ──
-      case 'parametric_question_create': return await this.schemaHandler.handleParametricQuestionCreate(args);
-      case 'parametric_dashboard_create': return await this.schemaHandler.handleParametricDashboardCreate(args);
-      case 'parametric_template_preset': return await this.schemaHandler.handleParametricTemplatePreset(args);
-
-      // ── AI Assistance ──
-      case 'ai_sql_generate': return await this.sqlHandler.handleGenerateSQL(args);
-      case 'ai_sql_optimize': return await this.sqlHandler.handleOptimizeQuery(args);
-      case 'ai_sql_explain': return await this.sqlHandler.handleExplainQuery(args);
-
-      // ── Activity Logging ──
-      case 'activity_log_init': return await this.analyticsHandler.handleInitializeActivityLog(args);
-      case 'activity_session_summary': return await this.analyticsHandler.handleGetSessionSummary(args);
-      case 'activity_operation_stats': return await this.analyticsHandler.handleGetOperationStats(args);
-      case 'activity_database_usage': return await this.analyticsHandler.handleGetDatabaseUsage(args);
-      case 'activity_error_analysis': return await this.analyticsHandler.handleGetErrorAnalysis(args);
-      case 'activity_performance_insights': return await this.analyticsHandler.handleGetPerformanceInsights(args);
-      case 'activity_timeline': return await this.analyticsHandler.handleGetActivityTimeline(args);
-      case 'activity_cleanup': return await this.analyticsHandler.handleCleanupActivityLogs(args);
-
-      // ── Metadata Analytics ──
-      case 'mb_meta_query_performance': return await this.analyticsHandler.handleMetadataQueryPerformance(args);
-      case 'mb_meta_content_usage': return await this.analyticsHandler.handleMetadataContentUsage(args);
-      case 'mb_meta_user_activity': return await this.analyticsHandler.handleMetadataUserActivity(args);
-      case 'mb_meta_database_usage': return await this.analyticsHandler.handleMetadataDatabaseUsage(args);
-      case 'mb_meta_dashboard_complexity': return await this.analyticsHandler.handleMetadataDashboardComplexity(args);
-      case 'mb_meta_info': return await this.analyticsHandler.handleMetadataInfo(args);
-
-      // ── Advanced Analytics ──
-      case 'mb_meta_table_dependencies': return await this.analyticsHandler.handleMetadataTableDependencies(args);
-      case 'mb_meta_impact_analysis': return await this.analyticsHandler.handleMetadataImpactAnalysis(args);
-      case 'mb_meta_optimization_recommendations': return await this.analyticsHandler.handleMetadataOptimizationRecommendations(args);
-      case 'mb_meta_error_patterns': return await this.analyticsHandler.handleMetadataErrorPatterns(args);
-
-      // ── Export/Import ──
-      case 'mb_meta_export_workspace': return await this.analyticsHandler.handleMetadataExportWorkspace(args);
-      case 'mb_meta_import_preview': return await this.analyticsHandler.handleMetadataImportPreview(args);
-      case 'mb_meta_compare_environments': return await this.analyticsHandler.handleMetadataCompareEnvironments(args);
-      case 'mb_meta_auto_cleanup': return await this.analyticsHandler.handleMetadataAutoCleanup(args);
-
-      // ── Internal Metadata (via MetadataHandler) ──
-      case 'meta_find_internal_db': return await this.metadataHandler.handleFindInternalDb(args);
-      case 'meta_audit_logs': return await this.metadataHandler.handleAuditLogs(args);
-      case 'meta_lineage': return await this.metadataHandler.handleLineage(args);
-      case 'meta_advanced_search': return await this.metadataHandler.handleAdvancedSearch(args);
-
-      default:
-        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+  async run() {
+    if (getTransportMode() === 'http') {
+      await this.runHttp();
+    } else {
+      await this.runStdio();
     }
+    this.registerShutdownHandlers();
   }
 
-  async run() {
+  async runStdio() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     await this.initialize();
     logger.info('Metabase AI Assistant MCP server running on stdio');
   }
+
+  async runHttp() {
+    // Initialize before listening so every session shares the same client and handlers
+    await this.initialize();
+    this.httpTransport = await startHttpTransport(() => this.createServer(), getHttpOptionsFromEnv(), {
+      onSessionStart: (sessionId, req) => this.toolProfiles.startSession(sessionId, req.headers['x-mcp-tool-profile']),
+      onSessionEnd: (sessionId) => this.toolProfiles.endSession(sessionId),
+    });
+    logger.info('Metabase AI Assistant MCP server running on Streamable HTTP');
+  }
+
+  registerShutdownHandlers() {
+    let shuttingDown = false;
+    const shutdown = async (signal) => {
+      if (shuttingDown) return;
+      shuttingDown = true;
+      logger.info(`Received ${signal}, shutting down MCP server...`);
+
+      try {
+        if (this.httpTransport) {
+          await this.httpTransport.close();
+        } else {
+          await this.server.close();
+        }
+        for (const instance of this.instances?.values() || []) {
+          instance.scheduler.stop();
+          instance.jobStore.destroy();
+          await instance.cache.close();
+        }
+      } catch (error) {
+        logger.error('Error during shutdown:', error);
+      }
+      process.exit(0);
+    };
+
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+  }
+}
+
+/**
+ * MetabaseClient timeouts and retry policy from METABASE_*_MS / METABASE_RETR* (shared by every instance)
+ */
+function getClientOptionsFromEnv() {
+  return {
+    timeouts: {
+      api: parseInt(process.env.METABASE_TIMEOUT_MS, 10) || undefined,
+      query: parseInt(process.env.METABASE_QUERY_TIMEOUT_MS, 10) || undefined,
+      export: parseInt(process.env.METABASE_EXPORT_TIMEOUT_MS, 10) || undefined,
+    },
+    retry: {
+      retries: process.env.METABASE_RETRIES ? parseInt(process.env.METABASE_RETRIES, 10) : undefined,
+      baseDelayMs: parseInt(process.env.METABASE_RETRY_BASE_MS, 10) || undefined,
+      maxDelayMs: parseInt(process.env.METABASE_RETRY_MAX_MS, 10) || undefined,
+    },
+  };
+}
+
+/**
+ * Transport selection: `--http` flag or MCP_TRANSPORT=http, stdio otherwise
+ */
+function getTransportMode() {
+  if (process.argv.includes('--http')) return 'http';
+  return (process.env.MCP_TRANSPORT || 'stdio').toLowerCase() === 'http' ? 'http' : 'stdio';
 }
 
 // Run the server
-const server = new MetabaseMCPServer();
+let server;
+try {
+  server = new MetabaseMCPServer();
+} catch (error) {
+  // Bad tool profile, policy or instances file
+  console.error('❌ Failed to start MCP server:', error.message);
+  process.exit(1);
+}
 
 if (process.stdout.isTTY) {
   console.log('🚀 Metabase AI Assistant MCP Server');
   console.log('📦 Version 4.0.0');
   console.log('🔧 Env: ' + (process.env.METABASE_URL || 'Not set'));
+  console.log('🌐 Instances: ' + server.instanceRegistry.names.join(', ') + (process.env.MCP_INSTANCES_FILE ? ` (${process.env.MCP_INSTANCES_FILE})` : ''));
   console.log('🔒 Read-only: ' + (isReadOnlyMode() ? 'YES' : 'NO'));
+  console.log('🔌 Transport: ' + getTransportMode());
+  console.log('🧰 Tool profile: ' + (process.env.MCP_TOOL_PROFILE || 'full'));
+  console.log('🛂 Tool policy: ' + (process.env.MCP_POLICY_FILE || 'none'));
+  console.log('✋ Approval for destructive tools: ' + (process.env.MCP_REQUIRE_APPROVAL === 'true' ? 'required' : 'off'));
+  console.log('🛡️ PII masking: ' + (process.env.MCP_PII_MASKING || 'off'));
   console.log('');
   console.log('Starting MCP server...');
 }
 
 server.run().catch((error) => {
-  if (process.stdout.isTTY) {
-    console.error('❌ Failed to start MCP server:', error.message);
-  }
+  // stderr is safe on stdio too, and the only place a client shows startup failures
+  console.error('❌ Failed to start MCP server:', error.message);
   process.exit(1);
 });
\ No newline at end of file
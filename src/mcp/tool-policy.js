@@ -0,0 +1,413 @@
+/**
+ * Tool Policy - Declarative allow/deny rules checked by the router before dispatch
+ * Loaded once at startup from MCP_POLICY_FILE (.json, .yaml or .yml). Without a file
+ * every tool is allowed and only the read-only gate applies.
+ *
+ *   tools:
+ *     allow: [mb_card_update, 'mb_dashboard_*', 'db_*', 'sql_*']
+ *     deny: [mb_user_disable, db_ai_drop]
+ *   databases: { allow: [1, 2] }
+ *   collections: { deny: [13] }
+ *   schemas: { deny: [hr, pg_catalog] }
+ *   rules:
+ *     - tools: [sql_execute, sql_submit]
+ *       databases: { allow: [2] }
+ *   sql:
+ *     max_rows: 5000
+ *     schemas: { deny: [hr] }
+ *     tables: { deny: ['*.salaries'] }
+ *     databases:
+ *       2:
+ *         default_schema: public
+ *         schemas: { allow: [public, reporting] }
+ *         tables: { deny: [public.api_keys, 'audit_*'] }
+ *         max_rows: 500
+ *         cache_ttl_seconds: 60
+ *   pii:
+ *     mode: partial
+ *     categories: { email: hash }
+ *     columns: { mask: [notes], allow: [products.name] }
+ *
+ * Deny always wins. When several allow lists apply (top level plus matching rules), a value must be in
+ * each of them. Scopes are checked against the arguments a call names (database_id, collection_id,
+ * schema_name, ...); a call that names none is not restricted by that scope.
+ * A write tool listed by exact name in `tools.allow` also runs in read-only mode.
+ *
+ * The `sql` rules apply to the tables a call's SQL references (sql, query_sql, select_sql,
+ * sql_template) and to the tables and schemas it names (table_name, table_names, schema_name, schema)
+ * when it names a database. Tools that read a field or card (mb_field_values, mb_card_data, ...) only
+ * name Metabase ids, so they are blocked while any `sql` schema or table rule is set. Table patterns are `table`, `schema.table`, `schema.*`
+ * or `*.table`, and either part may end in `*`. Unqualified tables are taken to be in
+ * `default_schema`; without one they fail any schema allow list. `max_rows` caps ad-hoc
+ * SELECTs (see SqlHandler) and overrides MCP_SQL_MAX_ROWS. `cache_ttl_seconds` sets how long
+ * sql_execute results stay in the query result cache (0 turns it off for the database).
+ *
+ * The `pii` section configures result masking (utils/pii-masker.js); `pii.mode` overrides MCP_PII_MASKING.
+ */
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { z } from 'zod';
+import { logger } from '../utils/logger.js';
+import { WRITE_TOOLS, isReadOnlyMode } from './tool-router.js';
+import { ALWAYS_AVAILABLE, matchesToolPattern } from './tool-profiles.js';
+import { extractRelations } from '../utils/sql-classifier.js';
+import { PII_CATEGORIES, PII_MODES } from '../utils/pii-masker.js';
+
+/**
+ * Arguments that identify the object a call touches, per scope
+ */
+const SCOPE_ARGUMENTS = {
+    databases: ['database_id', 'internal_db_id'],
+    collections: ['collection_id', 'target_collection_id', 'collection_ids'],
+    schemas: ['schema_name', 'schema'],
+};
+
+/**
+ * Arguments that carry SQL, checked against the `sql` rules
+ */
+const SQL_ARGUMENTS = ['sql', 'query_sql', 'select_sql', 'sql_template'];
+
+/**
+ * Arguments that name a table or schema directly, checked against the `sql` rules like SQL relations
+ */
+const TABLE_ARGUMENTS = ['table_name', 'table_names'];
+const SCHEMA_ARGUMENTS = ['schema_name', 'schema'];
+
+/**
+ * Tools that read table data through a Metabase id (argument), so the table is unknown before the call
+ */
+const UNRESOLVED_RELATION_TOOLS = {
+    mb_field_values: 'field_id',
+    mb_card_data: 'card_id',
+    mb_card_export: 'card_id',
+    schedule_create: 'card_id',
+};
+
+const SCOPE_LABELS = { databases: 'Database', collections: 'Collection', schemas: 'Schema' };
+const SCOPE_CODES = { databases: 'database', collections: 'collection', schemas: 'schema' };
+
+const nameList = z.array(z.string().min(1));
+const idList = z.array(z.union([z.number().int(), z.string().min(1)]));
+const scope = (list) => z.object({ allow: list.optional(), deny: list.optional() }).strict();
+const scopeFields = {
+    databases: scope(idList).optional(),
+    collections: scope(idList).optional(),
+    schemas: scope(nameList).optional(),
+};
+
+const sqlFields = {
+    schemas: scope(nameList).optional(),
+    tables: scope(nameList).optional(),
+    default_schema: z.string().min(1).optional(),
+    max_rows: z.number().int().min(0).optional(),
+    cache_ttl_seconds: z.number().int().min(0).optional(),
+};
+
+const policySchema = z.object({
+    tools: scope(nameList).optional(),
+    ...scopeFields,
+    rules: z.array(z.object({ tools: nameList.min(1), ...scopeFields }).strict()).optional(),
+    sql: z.object({
+        ...sqlFields,
+        databases: z.record(z.object(sqlFields).strict()).optional(),
+    }).strict().optional(),
+    pii: z.object({
+        mode: z.enum(PII_MODES).optional(),
+        categories: z.record(z.enum(PII_CATEGORIES), z.enum(PII_MODES)).optional(),
+        columns: z.object({ mask: nameList.optional(), allow: nameList.optional() }).strict().optional(),
+        detect_values: z.boolean().optional(),
+    }).strict().optional(),
+}).strict();
+
+function normalizeValue(scopeName, value) {
+    return scopeName === 'schemas' ? String(value).toLowerCase() : String(value);
+}
+
+function compileScope(scopeName, definition) {
+    if (!definition) return null;
+    const toSet = (list) => (list ? new Set(list.map(v => normalizeValue(scopeName, v))) : null);
+    return { allow: toSet(definition.allow), deny: toSet(definition.deny) };
+}
+
+function compileSqlRules(where, definition) {
+    return {
+        where,
+        schemas: compileScope('schemas', definition.schemas),
+        tables: compileScope('schemas', definition.tables),
+        defaultSchema: definition.default_schema?.toLowerCase() ?? null,
+        maxRows: definition.max_rows ?? null,
+        cacheTtlSeconds: definition.cache_ttl_seconds ?? null,
+    };
+}
+
+/**
+ * Whether a relation matches a table pattern (`table`, `schema.table`, `schema.*`, `*.table`)
+ * A relation without a known schema matches any schema part only when `unknownSchemaMatches` is set
+ * (deny lists, so an unqualified `salaries` cannot slip past `hr.salaries`).
+ */
+function matchesTablePattern(pattern, schema, table, unknownSchemaMatches = false) {
+    const dot = pattern.indexOf('.');
+    if (dot === -1) return matchesToolPattern(pattern, table);
+    if (schema === null) return unknownSchemaMatches && matchesToolPattern(pattern.slice(dot + 1), table);
+    return matchesToolPattern(pattern.slice(0, dot), schema) && matchesToolPattern(pattern.slice(dot + 1), table);
+}
+
+/**
+ * ToolPolicy - Evaluates a parsed policy against tool calls
+ */
+export class ToolPolicy {
+    /**
+     * @param {object} [definition] - Parsed policy file contents
+     * @param {Array<{name: string}>} [toolDefinitions] - From getToolDefinitions(); tool patterns are checked against them
+     * @param {string|null} [source] - File the policy came from
+     * @throws {Error} If the definition is malformed or a tool pattern matches no tool
+     */
+    constructor(definition = {}, toolDefinitions = [], source = null) {
+        const parsed = policySchema.safeParse(definition ?? {});
+        if (!parsed.success) {
+            const issue = parsed.error.issues[0];
+            throw new Error(`Invalid tool policy${source ? ` in ${source}` : ''}: ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+        }
+
+        const policy = parsed.data;
+        this.source = source;
+        this.toolAllow = policy.tools?.allow || null;
+        this.toolDeny = policy.tools?.deny || [];
+        this.scopes = {};
+        for (const scopeName of Object.keys(SCOPE_ARGUMENTS)) {
+            this.scopes[scopeName] = compileScope(scopeName, policy[scopeName]);
+        }
+        this.rules = (policy.rules || []).map(rule => ({
+            tools: rule.tools,
+            ...Object.fromEntries(Object.keys(SCOPE_ARGUMENTS).map(s => [s, compileScope(s, rule[s])])),
+        }));
+
+        this.pii = policy.pii || null;
+        this.sqlRules = policy.sql ? compileSqlRules('sql', policy.sql) : null;
+        this.sqlDatabaseRules = new Map(Object.entries(policy.sql?.databases || {})
+            .map(([databaseId, rules]) => [String(databaseId), compileSqlRules(`sql.databases.${databaseId}`, rules)]));
+
+        // Write tools named exactly in tools.allow are exempt from read-only mode
+        this.writeExemptions = new Set((this.toolAllow || []).filter(name => WRITE_TOOLS.has(name)));
+
+        const toolNames = toolDefinitions.map(t => t.name);
+        if (toolNames.length > 0) {
+            const patterns = [...(this.toolAllow || []), ...this.toolDeny, ...this.rules.flatMap(r => r.tools)];
+            const unmatched = patterns.filter(pattern => !toolNames.some(tool => matchesToolPattern(pattern, tool)));
+            if (unmatched.length > 0) {
+                throw new Error(`Tool policy${source ? ` in ${source}` : ''} references unknown tools: ${[...new Set(unmatched)].join(', ')}`);
+            }
+        }
+    }
+
+    /**
+     * Load the policy file, or an allow-all policy when no file is configured
+     * @param {string} [filePath] - Usually MCP_POLICY_FILE
+     * @param {Array<{name: string}>} toolDefinitions
+     * @returns {ToolPolicy}
+     * @throws {Error} If the file cannot be read or parsed
+     */
+    static load(filePath, toolDefinitions) {
+        if (!filePath) return new ToolPolicy({}, toolDefinitions);
+
+        const resolved = path.resolve(filePath);
+        let text;
+        try {
+            text = fs.readFileSync(resolved, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read tool policy file ${resolved}: ${error.message}`);
+        }
+
+        let definition;
+        try {
+            definition = /\.ya?ml$/i.test(resolved) ? yaml.load(text) : JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Cannot parse tool policy file ${resolved}: ${error.message}`);
+        }
+
+        const policy = new ToolPolicy(definition, toolDefinitions, resolved);
+        logger.info(`Tool policy loaded from ${resolved}`);
+        return policy;
+    }
+
+    /**
+     * Checks that depend only on the tool name (read-only gate, tools.allow / tools.deny)
+     * @param {string} toolName
+     * @returns {Array<{code: string, message: string}>} Reasons the call is blocked (empty if allowed)
+     */
+    checkTool(toolName) {
+        const reasons = [];
+
+        if (isReadOnlyMode() && WRITE_TOOLS.has(toolName) && !this.writeExemptions.has(toolName)) {
+            reasons.push({
+                code: 'read_only',
+                message: `🔒 Read-only mode is active. The tool '${toolName}' is a write operation and has been blocked.\n` +
+                    `To enable write operations, set \`METABASE_READ_ONLY_MODE=false\` in your environment.`,
+            });
+        }
+
+        if (ALWAYS_AVAILABLE.includes(toolName)) return reasons;
+
+        const denied = this.toolDeny.find(pattern => matchesToolPattern(pattern, toolName));
+        if (denied) {
+            reasons.push({ code: 'tool_denied', message: `Tool '${toolName}' is denied by the policy (tools.deny: ${denied})` });
+        } else if (this.toolAllow && !this.toolAllow.some(pattern => matchesToolPattern(pattern, toolName))) {
+            reasons.push({ code: 'tool_not_allowed', message: `Tool '${toolName}' is not in the policy's tools.allow list` });
+        }
+
+        return reasons;
+    }
+
+    /**
+     * Checks on the databases, collections and schemas a call names, and on the tables its SQL references
+     * @param {string|null} toolName - null applies only the policy-wide scopes and sql rules (checkObject)
+     * @param {object} args - Validated tool arguments
+     * @returns {Array<{code: string, message: string}>} Reasons the call is blocked (empty if allowed)
+     */
+    checkArguments(toolName, args = {}) {
+        const reasons = [];
+        const rules = toolName ? this.rules.filter(rule => rule.tools.some(pattern => matchesToolPattern(pattern, toolName))) : [];
+
+        for (const [scopeName, argNames] of Object.entries(SCOPE_ARGUMENTS)) {
+            const values = argNames
+                .flatMap(name => (args?.[name] === undefined || args[name] === null ? [] : [].concat(args[name])))
+                .map(value => normalizeValue(scopeName, value));
+            if (values.length === 0) continue;
+
+            const constraints = [
+                { where: 'policy', ...this.scopes[scopeName] },
+                ...rules.map(rule => ({ where: `rule for ${rule.tools.join(', ')}`, ...rule[scopeName] })),
+            ].filter(c => c.allow || c.deny);
+
+            for (const value of new Set(values)) {
+                const label = `${SCOPE_LABELS[scopeName]} ${value}`;
+                const deny = constraints.find(c => c.deny?.has(value));
+                const allow = constraints.find(c => c.allow && !c.allow.has(value));
+                if (deny) {
+                    reasons.push({ code: `${SCOPE_CODES[scopeName]}_denied`, message: `${label} is denied (${deny.where})` });
+                } else if (allow) {
+                    reasons.push({ code: `${SCOPE_CODES[scopeName]}_not_allowed`, message: `${label} is not in the allow list (${allow.where})` });
+                }
+            }
+        }
+
+        return [...reasons, ...this.checkUnresolvedRelations(toolName, args), ...this.checkSql(args)];
+    }
+
+    /**
+     * Checks on an object served outside a tool call (resources, completions), described by the
+     * arguments a tool would name it with: database_id, collection_id, schema_name, table_name, sql.
+     * Policy-wide scopes and sql rules apply; per-tool rules do not. A card_id without sql (a GUI
+     * question) is blocked while schema or table rules are set, like mb_card_data.
+     * @param {object} args
+     * @returns {Array<{code: string, message: string}>} Reasons it is hidden (empty if allowed)
+     */
+    checkObject(args = {}) {
+        const reasons = this.checkArguments(null, args);
+        if (args.card_id === undefined || args.card_id === null || typeof args.sql === 'string') return reasons;
+
+        const rules = [this.sqlRules, ...this.sqlDatabaseRules.values()].find(r => r && (r.schemas || r.tables));
+        if (!rules) return reasons;
+        return [...reasons, {
+            code: 'relation_unchecked',
+            message: `Card ${args.card_id} has no native SQL, so it cannot be checked against the schema and table rules (${rules.where})`,
+        }];
+    }
+
+    /**
+     * Blocks tools whose table is only known to Metabase (a field or card id) while relation rules are set
+     * @param {string} toolName
+     * @param {object} args - Validated tool arguments
+     * @returns {Array<{code: string, message: string}>} Reasons the call is blocked (empty if allowed)
+     */
+    checkUnresolvedRelations(toolName, args = {}) {
+        const argName = UNRESOLVED_RELATION_TOOLS[toolName];
+        if (!argName || args?.[argName] === undefined || args[argName] === null) return [];
+
+        const rules = [this.sqlRules, ...this.sqlDatabaseRules.values()].find(r => r && (r.schemas || r.tables));
+        if (!rules) return [];
+        return [{
+            code: 'relation_unchecked',
+            message: `${toolName} with ${argName} cannot be checked against the schema and table rules (${rules.where}); query the table with SQL instead`,
+        }];
+    }
+
+    /**
+     * Checks on the schemas and tables referenced by a call's SQL or named by its arguments
+     * @param {object} args - Validated tool arguments; needs database_id and one of SQL_ARGUMENTS, TABLE_ARGUMENTS or SCHEMA_ARGUMENTS
+     * @returns {Array<{code: string, message: string, relation: string}>} Reasons the call is blocked (empty if allowed)
+     */
+    checkSql(args = {}) {
+        if (args?.database_id === undefined || args.database_id === null) return [];
+        const sql = SQL_ARGUMENTS.map(name => args[name]).find(value => typeof value === 'string');
+        const namedSchema = SCHEMA_ARGUMENTS.map(name => args[name]).find(value => typeof value === 'string' && value) ?? null;
+        const namedTables = TABLE_ARGUMENTS.flatMap(name => (args[name] ? [].concat(args[name]) : []));
+
+        const relations = [
+            ...(sql ? extractRelations(sql).map(relation => ({ ...relation, subject: 'Query references' })) : []),
+            ...namedTables.map(name => ({ schema: namedSchema, name: String(name), subject: 'Call names' })),
+            ...(namedSchema && namedTables.length === 0 ? [{ schema: namedSchema, name: null, subject: 'Call names' }] : []),
+        ];
+        if (relations.length === 0) return [];
+
+        const levels = [this.sqlRules, this.sqlDatabaseRules.get(String(args.database_id))].filter(Boolean);
+        const constraints = levels.filter(rules => rules.schemas || rules.tables);
+        if (constraints.length === 0) return [];
+
+        const defaultSchema = levels.map(rules => rules.defaultSchema).filter(Boolean).pop() ?? null;
+        const reasons = [];
+        for (const relation of relations) {
+            const schema = relation.schema?.toLowerCase() ?? defaultSchema;
+            const table = relation.name?.toLowerCase() ?? null;
+            const label = relation.name === null ? `schema ${relation.schema}` : [relation.schema, relation.name].filter(Boolean).join('.');
+            const subject = relation.subject;
+            const block = (code, message) => reasons.push({ code, message, relation: label });
+
+            const schemaDeny = schema !== null && constraints.find(c => c.schemas?.deny?.has(schema));
+            const schemaAllow = constraints.find(c => c.schemas?.allow && (schema === null || !c.schemas.allow.has(schema)));
+            const tableDeny = table !== null && constraints.find(c => c.tables?.deny && [...c.tables.deny].some(p => matchesTablePattern(p, schema, table, true)));
+            const tableAllow = table !== null && constraints.find(c => c.tables?.allow && ![...c.tables.allow].some(p => matchesTablePattern(p, schema, table)));
+
+            if (schemaDeny) {
+                block('schema_denied', `${subject} ${label}: schema ${schema} is denied (${schemaDeny.where})`);
+            } else if (tableDeny) {
+                block('table_denied', `${subject} ${label}, which is denied (${tableDeny.where})`);
+            } else if (schemaAllow) {
+                block('schema_not_allowed', schema === null
+                    ? `${subject} ${label} without a schema; qualify it or set default_schema (${schemaAllow.where})`
+                    : `${subject} ${label}: schema ${schema} is not in the allow list (${schemaAllow.where})`);
+            } else if (tableAllow) {
+                block('table_not_allowed', `${subject} ${label}, which is not in the table allow list (${tableAllow.where})`);
+            }
+        }
+        return reasons;
+    }
+
+    /**
+     * Row cap for ad-hoc SQL on a database from the `sql` rules
+     * @param {number|string} databaseId
+     * @returns {number|null} null when the policy does not set one (MCP_SQL_MAX_ROWS applies)
+     */
+    maxRows(databaseId) {
+        return this.sqlDatabaseRules.get(String(databaseId))?.maxRows ?? this.sqlRules?.maxRows ?? null;
+    }
+
+    /**
+     * Query result cache lifetime for a database from the `sql` rules
+     * @param {number|string} databaseId
+     * @returns {number|null} Seconds (0 disables caching), or null when the policy does not set one
+     */
+    cacheTtl(databaseId) {
+        return this.sqlDatabaseRules.get(String(databaseId))?.cacheTtlSeconds ?? this.sqlRules?.cacheTtlSeconds ?? null;
+    }
+
+    /**
+     * Full decision for a call
+     * @returns {{ allowed: boolean, reasons: Array<{code: string, message: string}> }}
+     */
+    evaluate(toolName, args = {}) {
+        const reasons = [...this.checkTool(toolName), ...this.checkArguments(toolName, args)];
+        return { allowed: reasons.length === 0, reasons };
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * Tool Profiles - Named subsets of the tool list
+ * Advertising every tool to every client costs a lot of context; a profile limits
+ * tools/list (and tools/call) to what a role actually needs.
+ *
+ * Selection, most specific first:
+ *   1. `tools_profile_set` during a session (sends notifications/tools/list_changed)
+ *   2. `X-MCP-Tool-Profile` header on the HTTP initialize request
+ *   3. MCP_TOOL_PROFILE env var (default: full)
+ * Several profiles can be combined with commas: `analyst,dba`.
+ */
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_PROFILE = 'full';
+const STDIO_SESSION = 'stdio';
+
+/**
+ * Tools every profile keeps, so a client can always switch back, check the policy and confirm changes
+ */
+export const ALWAYS_AVAILABLE = ['tools_profile_set', 'policy_explain', 'change_confirm'];
+
+/**
+ * Profile definitions. Entries are tool names or prefixes ending in `*`.
+ */
+export const TOOL_PROFILES = {
+    full: {
+        description: 'Every tool',
+        tools: ['*'],
+    },
+    analyst: {
+        description: 'Read and query: explore schemas, run SQL, read cards and dashboards, usage analytics',
+        tools: [
+            'mb_instances',
+            'db_list', 'db_test_speed', 'db_schemas', 'db_tables', 'db_table_profile', 'db_pii_scan', 'db_connection_info',
+            'db_schema_explore', 'db_schema_analyze', 'db_relationships_detect', 'db_query_explain', 'db_table_stats',
+            'sql_*',
+            'ai_sql_*',
+            'mb_questions', 'mb_card_get', 'mb_card_data', 'mb_card_export', 'mb_dashboards', 'mb_dashboard_get',
+            'mb_collection_list', 'mb_search', 'mb_field_values', 'mb_segment_list', 'mb_bookmark_list',
+            'mb_visualization_recommend',
+            'definition_search_terms', 'definition_get_metric', 'definition_get_template', 'definition_global_search',
+            'mb_meta_query_performance', 'mb_meta_content_usage', 'mb_meta_table_dependencies',
+            'schedule_*',
+            'web_*',
+        ],
+    },
+    builder: {
+        description: 'Cards and dashboards: create, edit, copy and lay out questions, dashboards and collections',
+        tools: [
+            'mb_instances',
+            'db_list', 'db_schemas', 'db_tables', 'db_table_profile', 'db_schema_explore',
+            'sql_execute', 'sql_fetch',
+            'ai_sql_generate', 'ai_sql_explain',
+            'mb_question_*', 'mb_questions', 'mb_card_*', 'mb_dashboard_*', 'mb_dashboards',
+            'mb_create_parametric_question', 'mb_link_dashboard_filter', 'parametric_*',
+            'mb_metric_create', 'mb_auto_describe', 'mb_visualization_*',
+            'mb_collection_create', 'mb_collection_list', 'mb_collection_move', 'mb_collection_copy',
+            'mb_search', 'mb_field_values', 'mb_segment_*', 'mb_bookmark_*', 'mb_embed_url_generate',
+            'definition_get_template',
+        ],
+    },
+    admin: {
+        description: 'Users and permissions: users, groups, collection permissions, actions, alerts, audit and cleanup',
+        tools: [
+            'mb_instances',
+            'db_list', 'db_pii_scan',
+            'mb_user_*', 'mb_permission_group_*', 'mb_collection_permissions_*', 'mb_collection_list',
+            'mb_action_*', 'mb_alert_*', 'mb_pulse_create', 'mb_embed_settings',
+            'mb_field_metadata', 'mb_table_metadata', 'mb_cache_invalidate', 'db_sync_schema',
+            'mb_meta_*', 'meta_*', 'activity_*',
+            'cache_*',
+        ],
+    },
+    dba: {
+        description: 'DDL and maintenance: create/drop objects, indexes, relationships, vacuum, query plans',
+        tools: [
+            'mb_instances',
+            'db_*',
+            'sql_*',
+            'ai_sql_optimize', 'ai_sql_explain', 'ai_relationships_suggest',
+            'mb_relationships_create', 'definition_tables_init', 'activity_log_init',
+            'cache_*',
+        ],
+    },
+};
+
+/**
+ * Whether a tool name matches a pattern (exact name, or prefix ending in `*`)
+ */
+export function matchesToolPattern(pattern, toolName) {
+    return pattern.endsWith('*') ? toolName.startsWith(pattern.slice(0, -1)) : pattern === toolName;
+}
+
+/**
+ * Split and check a profile selection ("analyst" or "analyst,dba")
+ * @param {string} selection
+ * @returns {string[]} Profile names
+ * @throws {Error} On unknown profile names
+ */
+export function parseProfileSelection(selection) {
+    const names = String(selection || DEFAULT_PROFILE).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    const unknown = names.filter(name => !TOOL_PROFILES[name]);
+    if (unknown.length > 0 || names.length === 0) {
+        throw new Error(`Unknown tool profile: ${unknown.join(', ') || selection}. Available: ${Object.keys(TOOL_PROFILES).join(', ')}`);
+    }
+    return names;
+}
+
+/**
+ * ToolProfiles - Resolves profiles to tool sets and tracks the active profile per session.
+ * stdio has a single implicit session.
+ */
+export class ToolProfiles {
+    /**
+     * @param {Array<{name: string}>} toolDefinitions - From getToolDefinitions()
+     * @param {string} [defaultSelection] - Usually MCP_TOOL_PROFILE
+     * @throws {Error} If the default selection is unknown or a profile entry matches no tool
+     */
+    constructor(toolDefinitions, defaultSelection = DEFAULT_PROFILE) {
+        this.toolNames = toolDefinitions.map(t => t.name);
+        this.resolved = {};
+        this.sessions = new Map(); // sessionId -> profile names
+
+        for (const [name, profile] of Object.entries(TOOL_PROFILES)) {
+            const unmatched = profile.tools.filter(pattern => !this.toolNames.some(tool => matchesToolPattern(pattern, tool)));
+            if (unmatched.length > 0) {
+                throw new Error(`Tool profile '${name}' references unknown tools: ${unmatched.join(', ')}`);
+            }
+            this.resolved[name] = new Set(this.toolNames.filter(tool =>
+                ALWAYS_AVAILABLE.includes(tool) || profile.tools.some(pattern => matchesToolPattern(pattern, tool))));
+        }
+
+        this.defaultProfiles = parseProfileSelection(defaultSelection);
+    }
+
+    /**
+     * Active profile names for a session
+     * @param {string} [sessionId] - Undefined on stdio
+     */
+    getProfiles(sessionId) {
+        return this.sessions.get(sessionId ?? STDIO_SESSION) || this.defaultProfiles;
+    }
+
+    /**
+     * Set the profile for a session
+     * @param {string} [sessionId]
+     * @param {string} selection - "analyst" or "analyst,dba"
+     * @returns {string[]} Profile names now active
+     */
+    setProfiles(sessionId, selection) {
+        const names = parseProfileSelection(selection);
+        this.sessions.set(sessionId ?? STDIO_SESSION, names);
+        logger.info(`Tool profile for session ${sessionId ?? STDIO_SESSION}: ${names.join(', ')}`);
+        return names;
+    }
+
+    /**
+     * HTTP session start: apply the requested profile, falling back to the default if it is unknown
+     */
+    startSession(sessionId, selection) {
+        if (!selection) return;
+        try {
+            this.setProfiles(sessionId, selection);
+        } catch (error) {
+            logger.warn(`${error.message} - session ${sessionId} uses '${this.defaultProfiles.join(',')}'`);
+        }
+    }
+
+    endSession(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+
+    /**
+     * @returns {boolean} Whether the tool is in the session's active profiles
+     */
+    allows(toolName, sessionId) {
+        return this.getProfiles(sessionId).some(name => this.resolved[name].has(toolName));
+    }
+
+    /**
+     * Number of tools the session can see
+     */
+    countTools(sessionId) {
+        return this.toolNames.filter(tool => this.allows(tool, sessionId)).length;
+    }
+
+    /**
+     * Filter tool definitions for tools/list
+     */
+    filter(tools, sessionId) {
+        return tools.filter(tool => this.allows(tool.name, sessionId));
+    }
+
+    /**
+     * Profile names, descriptions and tool counts
+     */
+    describe() {
+        return Object.entries(TOOL_PROFILES).map(([name, profile]) => ({
+            name,
+            description: profile.description,
+            tool_count: this.resolved[name].size,
+        }));
+    }
+}
@@ -7,6 +7,20 @@
  * - Human-readable title fields
  * - inputSchema improvements (additionalProperties: false for no-param tools)
  */
+import { TOOL_PROFILES } from './tool-profiles.js';
+
+// structuredContent of sql_export and mb_card_export
+const EXPORT_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    path: { type: 'string' }, file_name: { type: 'string' },
+    format: { type: 'string' }, gzip: { type: 'boolean' },
+    row_count: { type: 'number' }, bytes: { type: 'number' }, sha256: { type: 'string' },
+    database_id: { type: 'number' }, card_id: { type: 'number' }, source: { type: 'string' },
+    truncated: { type: 'boolean' },
+    masked_columns: { type: 'array', items: { type: 'object' } }
+  }, required: ['path', 'format', 'row_count', 'bytes', 'sha256']
+};
 
 /**
  * Metadata map: title + annotation hints for every tool.
@@ -26,7 +40,7 @@ const TOOL_METADATA = {
             }, required: ['id', 'name', 'engine']
           }
         },
-        source: { type: 'string', description: 'cache or live' }
+        source: { type: 'string', description: 'cache, stale (served while it refreshes) or api' }
       }, required: ['databases']
     }
   },
@@ -79,6 +93,32 @@ const TOOL_METADATA = {
       }, required: ['table', 'columns']
     }
   },
+  db_pii_scan: {
+    title: 'Scan for PII Columns', outputSchema: {
+      type: 'object',
+      properties: {
+        database_id: { type: 'number' },
+        masking_mode: { type: 'string' },
+        tables_scanned: { type: 'number' },
+        candidate_count: { type: 'number' },
+        tables: {
+          type: 'array', items: {
+            type: 'object', properties: {
+              schema: { type: ['string', 'null'] }, table: { type: 'string' },
+              columns: {
+                type: 'array', items: {
+                  type: 'object', properties: {
+                    column: { type: 'string' }, category: { type: 'string' },
+                    source: { type: 'string' }, mode: { type: 'string' }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }, required: ['database_id', 'tables_scanned', 'candidate_count', 'tables']
+    }
+  },
   db_connection_info: {
     title: 'Get Connection Info', outputSchema: {
       type: 'object',
@@ -113,7 +153,16 @@ const TOOL_METADATA = {
         rows: { type: 'array', items: { type: 'array' } },
         row_count: { type: 'number' },
         execution_time_ms: { type: 'number' },
-        truncated: { type: 'boolean' }
+        truncated: { type: 'boolean' },
+        row_limit: { type: 'number' },
+        masked_columns: { type: 'array', items: { type: 'object' } },
+        result_id: { type: 'string' },
+        next_cursor: { type: 'string' },
+        cache: {
+          type: 'object', properties: {
+            hit: { type: 'boolean' }, cached_at: { type: 'string' }, age_seconds: { type: 'number' }
+          }
+        }
       }, required: ['columns', 'rows', 'row_count', 'execution_time_ms']
     }
   },
@@ -123,12 +172,124 @@ const TOOL_METADATA = {
       type: 'object',
       properties: {
         job_id: { type: 'string' }, status: { type: 'string' },
+        priority: { type: 'string' },
         submitted_at: { type: 'string' },
-        result: { type: 'object' }
+        elapsed_seconds: { type: 'number' },
+        queue_position: { type: 'number' },
+        queue_length: { type: 'number' },
+        result: { type: 'object' },
+        result_expired: { type: 'boolean' }
       }, required: ['job_id', 'status']
     }
   },
-  sql_cancel: { title: 'Cancel SQL Job', write: true, destructive: false, idempotent: true },
+  sql_cancel: {
+    title: 'Cancel SQL Job', write: true, destructive: false, idempotent: true, outputSchema: {
+      type: 'object',
+      properties: {
+        job_id: { type: 'string' }, status: { type: 'string' },
+        was_queued: { type: 'boolean' },
+        http_aborted: { type: 'boolean' },
+        server_cancel: {
+          type: ['object', 'null'], properties: {
+            engine: { type: ['string', 'null'] }, method: { type: ['string', 'null'] },
+            pid: { type: ['number', 'null'] }, cancelled: { type: 'boolean' }, reason: { type: 'string' }
+          }
+        }
+      }, required: ['job_id', 'status', 'http_aborted']
+    }
+  },
+  sql_fetch: {
+    title: 'Fetch SQL Result Page', outputSchema: {
+      type: 'object',
+      properties: {
+        result_id: { type: 'string' },
+        columns: {
+          type: 'array', items: {
+            type: 'object', properties: {
+              name: { type: 'string' }, base_type: { type: 'string' }
+            }
+          }
+        },
+        rows: { type: 'array', items: { type: 'array' } },
+        row_count: { type: 'number' },
+        offset: { type: 'number' },
+        next_cursor: { type: ['string', 'null'] },
+        expires_at: { type: 'string' },
+        masked_columns: { type: 'array', items: { type: 'object' } }
+      }, required: ['result_id', 'columns', 'rows', 'row_count', 'offset', 'next_cursor']
+    }
+  },
+  sql_export: { title: 'Export SQL Result to File', idempotent: false, outputSchema: EXPORT_OUTPUT_SCHEMA },
+
+  // ── Schedules ──
+  schedule_create: { title: 'Create Scheduled Query', write: true, destructive: false, idempotent: false },
+  schedule_list: { title: 'List Scheduled Queries' },
+  schedule_history: { title: 'Scheduled Query Run History' },
+  schedule_diff: {
+    title: 'Compare Scheduled Query Runs', outputSchema: {
+      type: 'object',
+      properties: {
+        schedule_id: { type: 'string' },
+        from_run_id: { type: 'string' }, to_run_id: { type: 'string' },
+        from_started_at: { type: 'string' }, to_started_at: { type: 'string' },
+        key_columns: { type: 'array', items: { type: 'string' } },
+        metric_columns: { type: 'array', items: { type: 'string' } },
+        counts: {
+          type: 'object', properties: {
+            added: { type: 'number' }, removed: { type: 'number' }, changed: { type: 'number' }, unchanged: { type: 'number' }
+          }
+        },
+        added: { type: 'array', items: { type: 'object' } },
+        removed: { type: 'array', items: { type: 'object' } },
+        changed: { type: 'array', items: { type: 'object' } },
+        masked_columns: { type: 'array', items: { type: 'object' } }
+      }, required: ['schedule_id', 'from_run_id', 'to_run_id', 'counts', 'added', 'removed', 'changed']
+    }
+  },
+  schedule_delete: { title: 'Delete Scheduled Query', write: true, destructive: true, idempotent: true },
+
+  // ── Server caches ──
+  cache_stats: {
+    title: 'Cache Statistics', outputSchema: {
+      type: 'object',
+      properties: {
+        api: {
+          type: 'object', properties: {
+            store: { type: 'string' }, size: { type: ['number', 'null'] }, hits: { type: 'number' },
+            staleHits: { type: 'number' }, misses: { type: 'number' }, refreshes: { type: 'number' },
+            errors: { type: 'number' }, hitRate: { type: 'string' }
+          }
+        },
+        query_results: {
+          type: 'object', properties: {
+            enabled: { type: 'boolean' }, entries: { type: 'number' }, bytes: { type: 'number' },
+            max_bytes: { type: 'number' }, hits: { type: 'number' }, misses: { type: 'number' },
+            evictions: { type: 'number' }, invalidations: { type: 'number' }
+          }
+        }
+      }, required: ['api', 'query_results']
+    }
+  },
+  cache_clear: { title: 'Clear Server Cache', write: true, destructive: false, idempotent: true },
+
+  // ── Metabase instances ──
+  mb_instances: {
+    title: 'List Metabase Instances', outputSchema: {
+      type: 'object',
+      properties: {
+        default: { type: ['string', 'null'] },
+        instances: {
+          type: 'array', items: {
+            type: 'object', properties: {
+              name: { type: 'string' }, url: { type: 'string' }, description: { type: ['string', 'null'] },
+              default: { type: 'boolean' }, auth: { type: 'string' }, status: { type: 'string' },
+              version: { type: ['string', 'null'] }, latency_ms: { type: 'number' }, error: { type: 'string' }
+            }
+          }
+        }
+      }, required: ['default', 'instances']
+    }
+  },
 
   // ── DDL Operations (write, destructive) ──
   db_table_create: { title: 'Create Table', write: true, destructive: false, idempotent: false },
@@ -168,7 +329,8 @@ const TOOL_METADATA = {
       type: 'object',
       properties: {
         id: { type: 'number' }, name: { type: 'string' },
-        description: { type: 'string' }, display: { type: 'string' },
+        description: { type: 'string' }, type: { type: 'string', enum: ['question', 'model', 'metric'] },
+        display: { type: 'string' },
         database_id: { type: 'number' }, collection_id: { type: 'number' },
         archived: { type: 'boolean' },
         created_at: { type: 'string' }, updated_at: { type: 'string' }
@@ -179,6 +341,7 @@ const TOOL_METADATA = {
   mb_card_delete: { title: 'Delete Card', write: true, destructive: true, idempotent: true },
   mb_card_archive: { title: 'Archive Card', write: true, destructive: false, idempotent: true },
   mb_card_data: { title: 'Get Card Data' },
+  mb_card_export: { title: 'Export Card Result to File', idempotent: false, outputSchema: EXPORT_OUTPUT_SCHEMA },
   mb_card_copy: { title: 'Copy Card', write: true, destructive: false, idempotent: false },
   mb_card_clone: { title: 'Clone Card', write: true, destructive: false, idempotent: false },
 
@@ -382,6 +545,48 @@ const TOOL_METADATA = {
   mb_meta_import_preview: { title: 'Preview Import' },
   mb_meta_compare_environments: { title: 'Compare Environments' },
   mb_meta_auto_cleanup: { title: 'Auto Cleanup Metadata', write: true, destructive: true, idempotent: true },
+
+  // ── Session ──
+  tools_profile_set: {
+    title: 'Set Tool Profile', idempotent: true, outputSchema: {
+      type: 'object',
+      properties: {
+        profiles: { type: 'array', items: { type: 'string' } },
+        tool_count: { type: 'number' },
+        available: {
+          type: 'array', items: {
+            type: 'object', properties: {
+              name: { type: 'string' }, description: { type: 'string' }, tool_count: { type: 'number' }
+            }
+          }
+        }
+      }, required: ['profiles', 'tool_count']
+    }
+  },
+  policy_explain: {
+    title: 'Explain Tool Policy', idempotent: true, outputSchema: {
+      type: 'object',
+      properties: {
+        tool: { type: 'string' },
+        allowed: { type: 'boolean' },
+        reasons: {
+          type: 'array', items: {
+            type: 'object', properties: { code: { type: 'string' }, message: { type: 'string' } }
+          }
+        },
+        policy_file: { type: ['string', 'null'] }
+      }, required: ['tool', 'allowed', 'reasons']
+    }
+  },
+  change_confirm: { title: 'Confirm Destructive Change', write: true, destructive: false, idempotent: false },
+};
+
+// Tools that act on the server itself rather than on one Metabase instance
+const INSTANCE_INDEPENDENT = new Set(['mb_instances', 'tools_profile_set', 'policy_explain', 'change_confirm']);
+
+const INSTANCE_ARGUMENT = {
+  type: 'string',
+  description: 'Metabase instance (connection profile from mb_instances) to run against. Default: the default instance',
 };
 
 /**
@@ -389,6 +594,7 @@ const TOOL_METADATA = {
  * - Adds `title` from TOOL_METADATA
  * - Adds `annotations` object with readOnlyHint, destructiveHint, idempotentHint, openWorldHint
  * - Adds `additionalProperties: false` to no-param inputSchemas  
+ * - Adds the optional `instance` argument to every tool that talks to Metabase
  */
 function enrichTools(tools) {
   return tools.map(tool => {
@@ -411,6 +617,9 @@ function enrichTools(tools) {
       inputSchema.additionalProperties === undefined) {
       inputSchema.additionalProperties = false;
     }
+    if (!INSTANCE_INDEPENDENT.has(tool.name)) {
+      inputSchema.properties = { ...inputSchema.properties, instance: INSTANCE_ARGUMENT };
+    }
 
     return {
       ...tool,
@@ -507,10 +716,37 @@ export function getToolDefinitions() {
         required: ['database_id', 'table_name'],
       },
     },
+    {
+      name: 'db_pii_scan',
+      description: '🛡️ Find columns that likely hold personal data (emails, phones, national IDs, card numbers, names, addresses, secrets) per table, from Metabase semantic types, column names and optionally sampled values. Shows the masking mode applied to each in query results.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          database_id: {
+            type: 'number',
+            description: 'Database ID',
+          },
+          schema_name: {
+            type: 'string',
+            description: 'Only scan this schema',
+          },
+          table_name: {
+            type: 'string',
+            description: 'Only scan this table',
+          },
+          sample_rows: {
+            type: 'number',
+            description: 'Rows to sample per table to check values (default: 0 = metadata only, max: 1000)',
+            default: 0,
+          },
+        },
+        required: ['database_id'],
+      },
+    },
     // === SQL EXECUTION ===
     {
       name: 'sql_execute',
-      description: 'Run SQL queries against database - supports SELECT, DDL with security controls, returns formatted results. For long-running queries (>60s), use sql_submit instead.',
+      description: 'Run SQL queries against database - supports SELECT, DDL with security controls, returns formatted results. SELECTs are capped at a row limit (LIMIT added or lowered). Returns the first 200 rows; larger results get a result_id for sql_fetch. When the query result cache is on, a repeated read-only query may be answered from it (structuredContent.cache). For long-running queries (>60s), use sql_submit instead.',
       inputSchema: {
         type: 'object',
         properties: {
@@ -526,13 +762,17 @@ export function getToolDefinitions() {
             type: 'boolean',
             description: 'Set to true to disable result truncation (useful for DDL/definitions)',
           },
+          no_cache: {
+            type: 'boolean',
+            description: 'Run the query even if the query result cache has its result (the fresh result is cached)',
+          },
         },
         required: ['database_id', 'sql'],
       },
     },
     {
       name: 'sql_submit',
-      description: 'Submit a long-running SQL query asynchronously. Returns immediately with job_id. Use sql_status to check progress. Ideal for queries that may take minutes.',
+      description: 'Submit a long-running SQL query asynchronously. Returns immediately with job_id. Jobs queue per database (MCP_JOB_CONCURRENCY running at once) and start by priority. Use sql_status to check progress. Ideal for queries that may take minutes.',
       inputSchema: {
         type: 'object',
         properties: {
@@ -549,13 +789,19 @@ export function getToolDefinitions() {
             description: 'Query timeout in seconds (default: 300, max: 1800)',
             default: 300,
           },
+          priority: {
+            type: 'string',
+            enum: ['high', 'normal', 'low'],
+            description: 'Queue priority when the database is busy (default: normal)',
+            default: 'normal',
+          },
         },
         required: ['database_id', 'sql'],
       },
     },
     {
       name: 'sql_status',
-      description: 'Check status of an async query submitted via sql_submit. Returns results when complete.',
+      description: 'Check status of an async query submitted via sql_submit. Returns results when complete, one page at a time (cursor / page_size).',
       inputSchema: {
         type: 'object',
         properties: {
@@ -563,13 +809,22 @@ export function getToolDefinitions() {
             type: 'string',
             description: 'Job ID returned from sql_submit',
           },
+          cursor: {
+            type: 'string',
+            description: 'next_cursor from a previous sql_status or sql_fetch call',
+          },
+          page_size: {
+            type: 'number',
+            description: 'Rows per page (default: 200, max: 2000)',
+            default: 200,
+          },
         },
         required: ['job_id'],
       },
     },
     {
       name: 'sql_cancel',
-      description: 'Cancel a running async query. Also attempts to cancel on database server.',
+      description: 'Cancel a queued or running async query. On PostgreSQL and MySQL/MariaDB the query is also cancelled on the database server (by session ID); the response says whether that succeeded or only the HTTP request was aborted.',
       inputSchema: {
         type: 'object',
         properties: {
@@ -581,6 +836,254 @@ export function getToolDefinitions() {
         required: ['job_id'],
       },
     },
+    {
+      name: 'sql_fetch',
+      description: 'Fetch further rows of a large SQL result. Start with result_id (from sql_execute, or a sql_submit job_id), then pass next_cursor until it is null. Results expire after 30 minutes unused (MCP_RESULT_TTL_SECONDS).',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          result_id: {
+            type: 'string',
+            description: 'result_id from sql_execute, or job_id of a completed sql_submit job (starts at the first row)',
+          },
+          cursor: {
+            type: 'string',
+            description: 'next_cursor from the previous page',
+          },
+          page_size: {
+            type: 'number',
+            description: 'Rows per page (default: 200, max: 2000)',
+            default: 200,
+          },
+        },
+      },
+    },
+    {
+      name: 'sql_export',
+      description: 'Run a read-only SQL query and write the full result (not just the first 2000 rows) to a file in the exports directory: csv, jsonl, xlsx or parquet, optionally gzipped. Returns the file path, row count and SHA-256 checksum.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          database_id: {
+            type: 'number',
+            description: 'Database ID',
+          },
+          sql: {
+            type: 'string',
+            description: 'SELECT query to export',
+          },
+          format: {
+            type: 'string',
+            enum: ['csv', 'jsonl', 'xlsx', 'parquet'],
+            default: 'csv',
+            description: 'File format. xlsx and parquet keep number, boolean and date types',
+          },
+          gzip: {
+            type: 'boolean',
+            default: false,
+            description: 'Gzip the file (csv and jsonl only)',
+          },
+          file_name: {
+            type: 'string',
+            description: 'File name prefix (a timestamp and extension are appended)',
+          },
+          timeout_seconds: {
+            type: 'number',
+            description: 'Query timeout in seconds (default: 300, max: 1800)',
+            default: 300,
+          },
+        },
+        required: ['database_id', 'sql'],
+      },
+    },
+    // === SCHEDULES ===
+    {
+      name: 'schedule_create',
+      description: 'Run a read-only SQL query or a saved card on a cron schedule. Every run keeps a result snapshot, and each run is compared with the previous one (rows added/removed, metric changes) - see schedule_history and schedule_diff.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Unique schedule name',
+          },
+          cron: {
+            type: 'string',
+            description: 'Cron expression with 5 fields: minute hour day-of-month month day-of-week (e.g. "0 7 * * *" = daily at 07:00)',
+          },
+          timezone: {
+            type: 'string',
+            description: 'IANA timezone for the cron expression, e.g. "Europe/Istanbul" (default: server time)',
+          },
+          database_id: {
+            type: 'number',
+            description: 'Database ID (with sql)',
+          },
+          sql: {
+            type: 'string',
+            description: 'SELECT query to run (or use card_id)',
+          },
+          card_id: {
+            type: 'number',
+            description: 'Saved card to run instead of sql',
+          },
+          parameters: {
+            type: 'array',
+            items: { type: 'object' },
+            description: 'Card parameters (with card_id)',
+          },
+          key_columns: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Columns that identify a row when comparing runs (default: all non-numeric columns)',
+          },
+          threshold_pct: {
+            type: 'number',
+            description: 'Report a metric change only if it moved at least this many percent (default: any change)',
+          },
+          threshold_abs: {
+            type: 'number',
+            description: 'Report a metric change only if it moved at least this much (default: any change)',
+          },
+          timeout_seconds: {
+            type: 'number',
+            description: 'Timeout per run in seconds (default: 600, max: 1800)',
+            default: 600,
+          },
+          run_now: {
+            type: 'boolean',
+            description: 'Also run once right away, to have a first snapshot',
+            default: false,
+          },
+        },
+        required: ['name', 'cron'],
+      },
+    },
+    {
+      name: 'schedule_list',
+      description: 'List scheduled queries with their cron expression, next run and last run',
+      inputSchema: {
+        type: 'object',
+        properties: {},
+      },
+    },
+    {
+      name: 'schedule_history',
+      description: 'Runs of a scheduled query, newest first: status, row count and what changed since the run before',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          schedule_id: {
+            type: 'string',
+            description: 'Schedule ID',
+          },
+          limit: {
+            type: 'number',
+            description: 'Number of runs to show (default: all kept runs)',
+          },
+        },
+        required: ['schedule_id'],
+      },
+    },
+    {
+      name: 'schedule_diff',
+      description: 'What changed between two runs of a scheduled query: rows added or removed, and metric deltas above a threshold. Defaults to the latest run against the one before it.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          schedule_id: {
+            type: 'string',
+            description: 'Schedule ID',
+          },
+          from_run_id: {
+            type: 'string',
+            description: 'Older run (default: the complete run before to_run_id)',
+          },
+          to_run_id: {
+            type: 'string',
+            description: 'Newer run (default: the latest complete run)',
+          },
+          key_columns: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Override the schedule\'s key columns',
+          },
+          threshold_pct: {
+            type: 'number',
+            description: 'Override the schedule\'s relative threshold (percent)',
+          },
+          threshold_abs: {
+            type: 'number',
+            description: 'Override the schedule\'s absolute threshold',
+          },
+          limit: {
+            type: 'number',
+            description: 'Rows listed per category (default: 50)',
+            default: 50,
+          },
+        },
+        required: ['schedule_id'],
+      },
+    },
+    {
+      name: 'schedule_delete',
+      description: 'Delete a scheduled query and its saved snapshots',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          schedule_id: {
+            type: 'string',
+            description: 'Schedule ID',
+          },
+        },
+        required: ['schedule_id'],
+      },
+    },
+    // === SERVER CACHES ===
+    {
+      name: 'cache_stats',
+      description: 'Show this server\'s cache statistics: the Metabase API response cache (store, entries, hit rate, stale hits served while refreshing) and the sql_execute query result cache (entries, size, invalidations)',
+      inputSchema: {
+        type: 'object',
+        properties: {},
+      },
+    },
+    {
+      name: 'cache_clear',
+      description: 'Clear this server\'s caches: one API cache key, a key prefix (e.g. "database:3:"), or everything; and/or cached query results, optionally for one database. Does not touch Metabase\'s own cache (mb_cache_invalidate).',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          target: {
+            type: 'string',
+            enum: ['api', 'query_results', 'all'],
+            description: 'Which cache to clear (default: all)',
+            default: 'all',
+          },
+          key: {
+            type: 'string',
+            description: 'Clear only this API cache key, e.g. "databases"',
+          },
+          prefix: {
+            type: 'string',
+            description: 'Clear API cache keys starting with this, e.g. "dashboard:"',
+          },
+          database_id: {
+            type: 'number',
+            description: 'Clear only the query results of this database',
+          },
+        },
+      },
+    },
+    // === METABASE INSTANCES ===
+    {
+      name: 'mb_instances',
+      description: 'List the Metabase instances (connection profiles) this server can use, with a live login check, Metabase version and latency. Pass a profile name as `instance` to any other tool to run it there.',
+      inputSchema: {
+        type: 'object',
+        properties: {},
+      },
+    },
     // === METABASE OBJECTS ===
     {
       name: 'mb_question_create',
@@ -1596,20 +2099,6 @@ export function getToolDefinitions() {
         required: ['database_id', 'schema_name'],
       },
     },
-    {
-      name: 'db_test_speed',
-      description: 'Quick test to check database connection and response time',
-      inputSchema: {
-        type: 'object',
-        properties: {
-          database_id: {
-            type: 'number',
-            description: 'Database ID to test',
-          },
-        },
-        required: ['database_id'],
-      },
-    },
     {
       name: 'db_schema_analyze',
       description: 'Deep schema analysis with column details, keys, constraints - requires direct DB connection for comprehensive insights',
@@ -3013,6 +3502,51 @@ export function getToolDefinitions() {
         required: ['card_id']
       }
     },
+    {
+      name: 'mb_card_export',
+      description: 'Run a card/question and write its full result to a file in the exports directory (csv, jsonl, xlsx, parquet; optional gzip). source "metabase" saves Metabase\'s own csv/json/xlsx export instead. Returns the file path, row count and SHA-256 checksum.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          card_id: {
+            type: 'number',
+            description: 'Card/Question ID'
+          },
+          format: {
+            type: 'string',
+            enum: ['csv', 'jsonl', 'xlsx', 'parquet', 'json'],
+            default: 'csv',
+            description: 'File format. json is only available with source "metabase"'
+          },
+          source: {
+            type: 'string',
+            enum: ['query', 'metabase'],
+            default: 'query',
+            description: 'query: run the card\'s query and write typed columns (PII-masked). metabase: /api/card/:id/query/:format, formatted by Metabase'
+          },
+          gzip: {
+            type: 'boolean',
+            default: false,
+            description: 'Gzip the file (csv, jsonl and json only)'
+          },
+          parameters: {
+            type: 'array',
+            items: { type: 'object' },
+            description: 'Metabase parameter values for parametric questions'
+          },
+          file_name: {
+            type: 'string',
+            description: 'File name prefix (a timestamp and extension are appended)'
+          },
+          timeout_seconds: {
+            type: 'number',
+            description: 'Query timeout in seconds (default: 300, max: 1800)',
+            default: 300
+          }
+        },
+        required: ['card_id']
+      }
+    },
     // ==================== DASHBOARD CRUD ====================
     {
       name: 'mb_dashboard_get',
@@ -3658,6 +4192,57 @@ export function getToolDefinitions() {
           }
         }
       }
+    },
+    {
+      name: 'tools_profile_set',
+      description: `🧰 Switch the tool profile for this session to shrink or widen the tool list. Profiles: ${Object.keys(TOOL_PROFILES).join(', ')}. Combine with commas (e.g. "analyst,dba"). The client is notified to re-list tools.`,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          profile: {
+            type: 'string',
+            description: 'Profile name, or several separated by commas'
+          }
+        },
+        required: ['profile']
+      }
+    },
+    {
+      name: 'policy_explain',
+      description: '🛂 Explain whether a tool call would be allowed, and why not: read-only mode, tool profile, and the policy file rules for tools, databases, collections and schemas. Pass the arguments you intend to use to check database/collection/schema rules.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tool: {
+            type: 'string',
+            description: 'Tool name to check, e.g. sql_execute'
+          },
+          arguments: {
+            type: 'object',
+            description: 'Arguments for the call, e.g. { "database_id": 3 }'
+          }
+        },
+        required: ['tool']
+      }
+    },
+    {
+      name: 'change_confirm',
+      description: '✋ Confirm or reject a destructive call that is waiting for approval (MCP_REQUIRE_APPROVAL=true). Pass the token from the approval preview; the original call runs only if approve is true. Tokens are single-use, expire, and only work in the session that received them.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          token: {
+            type: 'string',
+            description: 'Approval token returned by the destructive tool'
+          },
+          approve: {
+            type: 'boolean',
+            description: 'true to run the change, false to reject it',
+            default: true
+          }
+        },
+        required: ['token']
+      }
     }
   ]);
 }
@@ -1,17 +1,23 @@
 /**
  * Tool Router - Dynamic dispatch for MCP tool calls
- * Replaces the 200+ case switch statement in server.js
+ * Every handler registers its tools through routes(); the router enforces the
+ * read-only gate and tool policy, holds destructive calls for approval, and is
+ * checked against the tool registry at startup.
  */
 import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 import { logger } from '../utils/logger.js';
+import { ToolProgress } from './progress.js';
+import { validateToolArguments } from './input-validation.js';
+import { PermissionError, normalizeError, toMcpError } from '../utils/errors.js';
+import { structuredError } from '../utils/structured-response.js';
+import { CACHE_INVALIDATIONS, invalidateApiCache } from './cache-invalidation.js';
 
 /**
  * Tools that perform write/mutate operations.
- * These are blocked when METABASE_READ_ONLY_MODE is active.
+ * These are blocked when METABASE_READ_ONLY_MODE is active, unless the policy file allows them by name.
  */
-const WRITE_TOOLS = new Set([
-    // SQL write
-    'sql_execute', // checked inline for DML
+export const WRITE_TOOLS = new Set([
+    // SQL write: sql_execute/sql_submit are not listed - they check for DML inline
     // DDL operations
     'db_table_create', 'db_view_create', 'db_matview_create', 'db_index_create', 'db_ai_drop',
     // Card/Question mutations
@@ -41,8 +47,8 @@ const WRITE_TOOLS = new Set([
     'mb_bookmark_create', 'mb_bookmark_delete',
     // Maintenance
     'db_vacuum_analyze',
-    // Cache/sync
-    'mb_cache_invalidate', 'db_sync_schema',
+    // Cache/sync (cache_clear empties this server's own caches)
+    'mb_cache_invalidate', 'db_sync_schema', 'cache_clear',
     // Cleanup
     'mb_meta_auto_cleanup',
     // Relationships
@@ -53,8 +59,17 @@ const WRITE_TOOLS = new Set([
     'definition_tables_init',
     // Activity
     'activity_log_init', 'activity_cleanup',
+    // Scheduled queries (schedule_delete also removes their result snapshots)
+    'schedule_create', 'schedule_delete',
 ]);
 
+/**
+ * Tools annotated as writes (TOOL_METADATA write: true) that are deliberately not gated by name:
+ * sql_execute/sql_submit classify their SQL, sql_cancel only stops this server's own jobs,
+ * and change_confirm runs a call that already passed the gate when it was held.
+ */
+const UNGATED_WRITE_TOOLS = new Set(['sql_execute', 'sql_submit', 'sql_cancel', 'change_confirm']);
+
 /**
  * Check if read-only mode is active
  */
@@ -64,23 +79,25 @@ export function isReadOnlyMode() {
 
 /**
  * Build a route map from handler instances
- * Each handler exposes a routes() method returning { toolName: handlerFn }
+ * Each handler exposes a routes() method returning { toolName: (args, progress) => result }
+ * @throws {Error} If a handler has no routes() or two handlers claim the same tool
  */
 export function buildRouteMap(handlers) {
     const routes = {};
+    const owners = {};
 
     for (const [category, handler] of Object.entries(handlers)) {
-        if (typeof handler.routes !== 'function') {
-            logger.warn(`Handler '${category}' has no routes() method, skipping`);
-            continue;
+        if (typeof handler?.routes !== 'function') {
+            throw new Error(`Handler '${category}' has no routes() method`);
         }
 
         const handlerRoutes = handler.routes();
         for (const [toolName, fn] of Object.entries(handlerRoutes)) {
             if (routes[toolName]) {
-                logger.warn(`Duplicate route: '${toolName}' in '${category}' overrides previous`);
+                throw new Error(`Duplicate route: '${toolName}' is registered by both '${owners[toolName]}' and '${category}'`);
             }
             routes[toolName] = fn.bind(handler);
+            owners[toolName] = category;
         }
     }
 
@@ -88,62 +105,121 @@ export function buildRouteMap(handlers) {
     return routes;
 }
 
+/**
+ * Check that routes and registry definitions match one-to-one (no duplicates),
+ * that every write-gated tool exists and declares its cache invalidations, and that
+ * WRITE_TOOLS agrees with the tools the registry annotates as writes (readOnlyHint: false).
+ * @param {object} routeMap - From buildRouteMap()
+ * @param {Array<{name: string, annotations?: object}>} toolDefinitions - From getToolDefinitions()
+ * @throws {Error} Listing every mismatch
+ */
+export function validateRouteMap(routeMap, toolDefinitions) {
+    const registered = new Set(toolDefinitions.map(t => t.name));
+    const routed = new Set(Object.keys(routeMap));
+
+    const problems = [];
+    const duplicates = toolDefinitions.map(t => t.name).filter((name, i, names) => names.indexOf(name) !== i);
+    const unrouted = [...registered].filter(name => !routed.has(name));
+    const unregistered = [...routed].filter(name => !registered.has(name));
+    const unknownWrites = [...WRITE_TOOLS].filter(name => !registered.has(name));
+    const undeclared = [...WRITE_TOOLS].filter(name => !CACHE_INVALIDATIONS[name]);
+    const strayDeclarations = Object.keys(CACHE_INVALIDATIONS).filter(name => !WRITE_TOOLS.has(name));
+    const annotatedWrites = toolDefinitions.filter(t => t.annotations?.readOnlyHint === false).map(t => t.name);
+    const ungatedWrites = annotatedWrites.filter(name => !WRITE_TOOLS.has(name) && !UNGATED_WRITE_TOOLS.has(name));
+    const unannotatedWrites = [...WRITE_TOOLS].filter(name => registered.has(name) && !annotatedWrites.includes(name));
+
+    if (duplicates.length) problems.push(`tools defined more than once: ${[...new Set(duplicates)].join(', ')}`);
+    if (unrouted.length) problems.push(`registered tools without a route: ${unrouted.join(', ')}`);
+    if (unregistered.length) problems.push(`routes without a registry definition: ${unregistered.join(', ')}`);
+    if (unknownWrites.length) problems.push(`WRITE_TOOLS entries that are not registered: ${unknownWrites.join(', ')}`);
+    if (undeclared.length) problems.push(`WRITE_TOOLS entries without CACHE_INVALIDATIONS: ${undeclared.join(', ')}`);
+    if (strayDeclarations.length) problems.push(`CACHE_INVALIDATIONS entries that are not in WRITE_TOOLS: ${strayDeclarations.join(', ')}`);
+    if (ungatedWrites.length) problems.push(`write tools (TOOL_METADATA) missing from WRITE_TOOLS: ${ungatedWrites.join(', ')}`);
+    if (unannotatedWrites.length) problems.push(`WRITE_TOOLS entries not marked write in TOOL_METADATA: ${unannotatedWrites.join(', ')}`);
+
+    if (problems.length) {
+        throw new Error(`Tool router does not match tool registry - ${problems.join('; ')}`);
+    }
+}
+
 /**
  * Create a request handler using the route map
+ * The handler receives the SDK's RequestHandlerExtra and calls the route with
+ * (args, progress, extra); most routes only use args, long-running ones use progress.
+ * Protocol problems (read-only gate or policy, unknown tool, bad arguments) throw McpError;
+ * anything a route throws is classified (utils/errors.js) and returned as an isError result.
+ * @param {object} routeMap - From buildRouteMap()
+ * @param {Map} validators - From compileToolValidators(); arguments are checked before dispatch
+ * @param {ToolPolicy} policy - Read-only gate and policy file rules (tool-policy.js)
+ * @param {ApprovalManager} [approvals] - Holds destructive calls until confirmed (approvals.js)
+ * @param {object} [caches] - Cleared after a write tool succeeds
+ * @param {CacheManager} [caches.apiCache] - The keys the tool declares in CACHE_INVALIDATIONS (cache-invalidation.js)
+ * @param {QueryResultCache} [caches.queryCache] - Cached results of the database the tool names that it may change
  */
-export function createToolHandler(routeMap) {
-    return async (request) => {
-        const { name, arguments: args } = request.params;
+export function createToolHandler(routeMap, validators, policy, approvals = null, caches = {}) {
+    return async (request, extra, client = {}) => {
+        const { name, arguments: args = {} } = request.params;
 
-        // ── Read-only gate ──
-        if (isReadOnlyMode() && WRITE_TOOLS.has(name)) {
-            throw new McpError(
-                ErrorCode.InvalidRequest,
-                `🔒 Read-only mode is active. The tool '${name}' is a write operation and has been blocked.\n` +
-                `To enable write operations, set \`METABASE_READ_ONLY_MODE=false\` in your environment.`
-            );
-        }
+        // ── Read-only gate + tool allow/deny ──
+        const toolReasons = policy.checkTool(name);
+        if (toolReasons.length > 0) throw policyError(name, toolReasons);
 
-        const handler = routeMap[name];
-        if (!handler) {
+        const route = routeMap[name];
+        if (!route) {
             throw new McpError(
                 ErrorCode.MethodNotFound,
                 `Unknown tool: ${name}`
             );
         }
 
+        const validArgs = validateToolArguments(validators, name, args);
+
+        // ── Database / collection / schema scopes ──
+        const scopeReasons = policy.checkArguments(name, validArgs);
+        if (scopeReasons.length > 0) throw policyError(name, scopeReasons);
+
+        const handler = WRITE_TOOLS.has(name) ? invalidatingRoute(name, route, caches) : route;
+
         try {
-            return await handler(args);
-        } catch (error) {
-            logger.error(`Tool ${name} failed:`, error);
-
-            let errorMessage = error.message;
-            let errorCode = ErrorCode.InternalError;
-
-            if (error.message.includes('authentication failed')) {
-                errorMessage = 'Database authentication failed. Check connection credentials.';
-                errorCode = ErrorCode.InvalidRequest;
-            } else if (error.message.includes('prefix')) {
-                errorMessage = `Security violation: ${error.message}`;
-                errorCode = ErrorCode.InvalidRequest;
-            } else if (error.message.includes('connection')) {
-                errorMessage = 'Database connection failed. Check network and credentials.';
-                errorCode = ErrorCode.InternalError;
-            } else if (error.message.includes('not found')) {
-                errorMessage = `Resource not found: ${error.message}`;
-                errorCode = ErrorCode.InvalidRequest;
-            } else if (error.message.includes('is not a function')) {
-                errorMessage = `Unexpected API response format. Details: ${error.message.substring(0, 100)}`;
-                errorCode = ErrorCode.InternalError;
-            } else if (error.message.includes('Cannot read properties of undefined') || error.message.includes('Cannot read property')) {
-                errorMessage = `Expected data not found. Details: ${error.message.substring(0, 100)}`;
-                errorCode = ErrorCode.InternalError;
-            } else if (error.message.includes('timeout') || error.message.includes('ETIMEDOUT')) {
-                errorMessage = `Request timed out. Try a smaller query or use LIMIT.`;
-                errorCode = ErrorCode.InternalError;
+            // ── Destructive calls wait for approval (MCP_REQUIRE_APPROVAL) ──
+            if (approvals?.requiresApproval(name, validArgs)) {
+                return await approvals.request(name, validArgs, handler, extra, client);
             }
 
-            throw new McpError(errorCode, errorMessage);
+            return await handler(validArgs, new ToolProgress(extra), extra);
+        } catch (error) {
+            if (error instanceof McpError) throw error;
+
+            // Tool failures are results, not protocol errors, so the model sees them
+            const appError = normalizeError(error);
+            if (appError.code === 'internal_error') {
+                logger.error(`Tool ${name} failed:`, error);
+            } else {
+                logger.warn(`Tool ${name} failed (${appError.code}): ${appError.message}`);
+            }
+            return structuredError(appError);
         }
     };
 }
+
+/**
+ * Route that drops the cache entries its tool makes stale after it succeeds,
+ * also when it runs later through change_confirm
+ */
+function invalidatingRoute(toolName, route, { apiCache = null, queryCache = null }) {
+    return async (args, progress, extra) => {
+        const result = await route(args, progress, extra);
+        if (result?.isError) return result;
+
+        if (apiCache) await invalidateApiCache(apiCache, toolName, args);
+        if (queryCache && args.database_id !== undefined) queryCache.invalidateArguments(args.database_id, args);
+        return result;
+    };
+}
+
+function policyError(toolName, reasons) {
+    const message = reasons.length === 1
+        ? reasons[0].message
+        : `Tool '${toolName}' is blocked by the policy:\n${reasons.map(r => `- ${r.message}`).join('\n')}`;
+    return toMcpError(new PermissionError(message, { code: reasons[0].code, details: { tool: toolName, reasons } }));
+}
@@ -1,38 +1,218 @@
 import axios from 'axios';
 import { logger } from '../utils/logger.js';
 import { sanitizeNumber, sanitizeLikePattern } from '../utils/sql-sanitizer.js';
+import { classifySQL, isReadOnlySQL } from '../utils/sql-classifier.js';
+import { AuthError, PermissionError, UpstreamError, SqlError, fromHttpError, normalizeError } from '../utils/errors.js';
+import { parseVersion, selectAdapters, dashboardCards } from './compat.js';
+
+// Objects the AI may only create or drop with the claude_ai_ prefix
+const PREFIXED_OBJECT_TYPES = new Set(['TABLE', 'VIEW', 'MATERIALIZED VIEW', 'INDEX']);
+
+/**
+ * Server-side cancel per Metabase engine: find() lists the session IDs running a query whose
+ * text matches a LIKE pattern expression, cancel() stops one session's current query
+ */
+const MYSQL_CANCELLER = {
+  method: 'KILL QUERY',
+  find: (pattern) => `SELECT ID FROM information_schema.PROCESSLIST WHERE INFO LIKE ${pattern} AND ID <> CONNECTION_ID() AND COMMAND = 'Query'`,
+  cancel: (pid) => `KILL QUERY ${sanitizeNumber(pid)}`,
+  confirmsInResult: false,
+};
+
+const SERVER_CANCELLERS = {
+  postgres: {
+    method: 'pg_cancel_backend',
+    find: (pattern) => `SELECT pid FROM pg_stat_activity WHERE query LIKE ${pattern} AND state = 'active' AND pid <> pg_backend_pid()`,
+    cancel: (pid) => `SELECT pg_cancel_backend(${sanitizeNumber(pid)})`,
+    confirmsInResult: true,
+  },
+  mysql: MYSQL_CANCELLER,
+  mariadb: MYSQL_CANCELLER,
+};
+
+/**
+ * Timeout per request class, picked by endpoint unless the call sets its own:
+ *   auth    POST /api/session
+ *   export  /api/card/:id/query/:format, /api/dataset/:format
+ *   query   /api/dataset, /api/card/:id/query, /api/action/execute
+ *   api     everything else (metadata, CRUD)
+ */
+const DEFAULT_TIMEOUTS = { auth: 10000, api: 30000, query: 60000, export: 300000 };
+const REQUEST_CLASSES = [
+  { name: 'auth', regex: /^\/api\/session$/ },
+  { name: 'export', regex: /^\/api\/(card\/\d+\/query|dataset)\/(csv|json|xlsx|api)/ },
+  { name: 'query', regex: /^\/api\/(dataset|card\/\d+\/query|action\/execute)$/ },
+];
+
+const DEFAULT_RETRY = { retries: 3, baseDelayMs: 500, maxDelayMs: 10000 };
+// Statuses and network errors worth another attempt: the server was busy or the connection dropped
+const RETRY_STATUSES = new Set([429, 502, 503, 504]);
+const RETRY_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN']);
+// Sending these twice has the effect of sending them once; POST needs `retrySafe: true` in the request config
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+/**
+ * Whether a dataset query only reads: MBQL always does, native SQL when it classifies as read
+ */
+function isReadOnlyQuery(query) {
+  if (query?.type === 'native') return isReadOnlySQL(query.native?.query || '');
+  return query?.type === 'query';
+}
+
+/**
+ * Retry-After header (seconds or an HTTP date) in milliseconds
+ */
+function retryAfterMs(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait, rejecting with axios' CanceledError if the request's signal aborts first
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new axios.CanceledError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new axios.CanceledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Options that are set, so an unset env var keeps the default instead of overriding it with undefined
+ */
+function definedOptions(options = {}) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+}
 
 export class MetabaseClient {
+  /**
+   * @param {object} config
+   * @param {string} config.url
+   * @param {string} [config.username]
+   * @param {string} [config.password]
+   * @param {string} [config.apiKey] - Used instead of a session when set
+   * @param {number} [config.queryTimeout] - Same as timeouts.query
+   * @param {{auth?: number, api?: number, query?: number, export?: number}} [config.timeouts] - Milliseconds per request class
+   * @param {{retries?: number, baseDelayMs?: number, maxDelayMs?: number}} [config.retry] - Backoff for busy or unreachable Metabase
+   */
   constructor(config) {
     this.baseURL = config.url;
     this.username = config.username;
     this.password = config.password;
     this.apiKey = config.apiKey;
     this.sessionToken = null;
-    this.defaultQueryTimeout = config.queryTimeout || 60000; // 60 seconds default
+    this.authenticating = null;
+    this.version = null;
+    this.versionDetecting = null;
+    this.timeouts = { ...DEFAULT_TIMEOUTS, ...(config.queryTimeout && { query: config.queryTimeout }), ...definedOptions(config.timeouts) };
+    this.retry = { ...DEFAULT_RETRY, ...definedOptions(config.retry) };
     this.client = axios.create({
       baseURL: this.baseURL,
-      timeout: this.defaultQueryTimeout,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        // API keys need no login, so every request carries one from the start (also before authenticate())
+        ...(this.apiKey && { 'x-api-key': this.apiKey })
       }
     });
+
+    this.client.interceptors.request.use((requestConfig) => {
+      if (!requestConfig.timeout) requestConfig.timeout = this.timeoutFor(requestConfig.url);
+      return requestConfig;
+    });
+    this.client.interceptors.response.use(null, (error) => this.retryFailedRequest(error));
+  }
+
+  /**
+   * Timeout for an endpoint by request class (DEFAULT_TIMEOUTS)
+   * @param {string} url
+   * @returns {number} Milliseconds
+   */
+  timeoutFor(url = '') {
+    const path = url.split('?')[0];
+    const requestClass = REQUEST_CLASSES.find(({ regex }) => regex.test(path));
+    return this.timeouts[requestClass?.name || 'api'];
+  }
+
+  /**
+   * Response error interceptor: every call through this.client gets
+   * - one re-authentication and resend on 401 when using a session (it expired);
+   *   the request was rejected, so this is safe for any method
+   * - up to retry.retries resends with exponential backoff and full jitter (or the
+   *   server's Retry-After) on 429/502/503/504 and connection resets, for idempotent
+   *   methods and POSTs marked `retrySafe`
+   * Timeouts and aborts are not retried.
+   */
+  async retryFailedRequest(error) {
+    const config = error.config;
+    if (!config || axios.isCancel(error)) throw error;
+
+    const method = (config.method || 'get').toUpperCase();
+    const status = error.response?.status;
+
+    if (status === 401 && !this.apiKey && config.url !== '/api/session' && !config.reauthenticated) {
+      logger.warn(`Metabase session expired (${method} ${config.url}), re-authenticating`);
+      await this.reauthenticate(config.headers?.['X-Metabase-Session']);
+      config.reauthenticated = true;
+      config.headers['X-Metabase-Session'] = this.sessionToken;
+      return this.client.request(config);
+    }
+
+    const attempt = config.retryAttempt || 0;
+    const retryable = status ? RETRY_STATUSES.has(status) : RETRY_NETWORK_CODES.has(error.code);
+    const idempotent = IDEMPOTENT_METHODS.has(method) || config.retrySafe === true;
+    if (!retryable || !idempotent || attempt >= this.retry.retries) throw error;
+
+    const backoff = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** attempt);
+    const retryAfter = retryAfterMs(error.response?.headers?.['retry-after']);
+    const delay = Math.round(retryAfter !== null ? Math.min(retryAfter, this.retry.maxDelayMs) : Math.random() * backoff);
+    logger.warn(`${method} ${config.url} failed (${status || error.code}), retry ${attempt + 1}/${this.retry.retries} in ${delay}ms`);
+
+    await sleep(delay, config.signal);
+    config.retryAttempt = attempt + 1;
+    return this.client.request(config);
+  }
+
+  /**
+   * Log in again after a 401. Concurrent callers share one login, and a caller whose
+   * token was already replaced just uses the new one.
+   * @param {string} [rejectedToken] - The session the failed request sent
+   */
+  async reauthenticate(rejectedToken) {
+    if (this.sessionToken && rejectedToken && this.sessionToken !== rejectedToken) return;
+    if (!this.authenticating) {
+      this.sessionToken = null;
+      this.authenticating = this.authenticate().finally(() => {
+        this.authenticating = null;
+      });
+    }
+    await this.authenticating;
   }
 
   async authenticate() {
     try {
       // API Key varsa, session authentication yerine API key kullan
       if (this.apiKey) {
-        this.client.defaults.headers['x-api-key'] = this.apiKey;
         logger.info('Using API key authentication for Metabase');
         return true;
       }
 
       // Fallback: Username/password authentication
+      // Logging in twice is harmless, so busy or unreachable Metabase is retried
       const response = await this.client.post('/api/session', {
         username: this.username,
         password: this.password
-      });
+      }, { retrySafe: true });
       this.sessionToken = response.data.id;
       this.client.defaults.headers['X-Metabase-Session'] = this.sessionToken;
       logger.info('Successfully authenticated with Metabase');
@@ -42,14 +222,23 @@ export class MetabaseClient {
       const errorDetail = error.response?.data?.message || error.message;
 
       let errorMessage = 'Failed to authenticate with Metabase';
+      let ErrorClass = AuthError;
+      let retryable = false;
       if (statusCode === 401) {
         errorMessage = 'Invalid username or password';
       } else if (statusCode === 403) {
         errorMessage = 'Access forbidden - check API key or permissions';
+        ErrorClass = PermissionError;
       } else if (error.code === 'ECONNREFUSED') {
         errorMessage = `Cannot connect to Metabase at ${this.baseURL}`;
+        ErrorClass = UpstreamError;
+        retryable = true;
       } else if (error.code === 'ENOTFOUND') {
         errorMessage = `Metabase host not found: ${this.baseURL}`;
+        ErrorClass = UpstreamError;
+      } else if (!statusCode || statusCode >= 500) {
+        ErrorClass = UpstreamError;
+        retryable = true;
       }
 
       logger.error(`Authentication failed: ${errorMessage}`, {
@@ -57,13 +246,17 @@ export class MetabaseClient {
         detail: errorDetail,
         url: this.baseURL
       });
-      throw new Error(`${errorMessage}: ${errorDetail}`);
+      throw new ErrorClass(`${errorMessage}: ${errorDetail}`, { status: statusCode, retryable, cause: error });
     }
   }
 
   /**
    * Generic request wrapper for Metabase API
-   * Used by MCP handlers that need arbitrary API access
+   * Used by MCP handlers that need arbitrary API access. Sessions are renewed and
+   * idempotent requests retried as in retryFailedRequest(); pass `retrySafe: true`
+   * in config for a POST that may be sent twice.
+   * @throws {AppError} Typed by HTTP status: AuthError (401), PermissionError (403),
+   *   NotFoundError (404), ValidationError (400), UpstreamError (network, timeout, 429, 5xx)
    */
   async request(method, endpoint, data = null, config = {}) {
     await this.ensureAuthenticated();
@@ -88,10 +281,46 @@ export class MetabaseClient {
       const response = await this.client.request(requestConfig);
       return response.data;
     } catch (error) {
-      const errorMsg = error.response?.data?.message || error.message;
-      logger.error(`API Request Failed: ${methodUpper} ${endpoint}`, { error: errorMsg });
-      throw new Error(`Metabase API Error: ${errorMsg}`);
+      const typedError = fromHttpError(error, `${methodUpper} ${endpoint}`);
+      logger.error(`API Request Failed: ${methodUpper} ${endpoint}`, { error: typedError.message, code: typedError.code });
+      throw typedError;
+    }
+  }
+
+  /**
+   * Server version from /api/session/properties, read once and shared by concurrent callers
+   * @param {object} [options]
+   * @param {boolean} [options.refresh] - Read it again (health checks)
+   * @param {number} [options.timeout] - Milliseconds for the properties request
+   * @returns {Promise<{tag: string|null, release: number|null, patch: number|null, enterprise: boolean}>}
+   */
+  async getVersion({ refresh = false, timeout } = {}) {
+    if (this.version && !refresh) return this.version;
+    if (!this.versionDetecting) {
+      this.versionDetecting = this.request('GET', '/api/session/properties', null, timeout ? { timeout } : {})
+        .then((properties) => {
+          const version = parseVersion(properties?.version?.tag);
+          if (version.release === null) {
+            logger.warn(`Unrecognized Metabase version ${version.tag || '(none)'}; using the newest API`);
+          } else if (this.version?.tag !== version.tag) {
+            logger.info(`Metabase ${version.tag}${version.enterprise ? ' (Enterprise)' : ''} at ${this.baseURL}`);
+          }
+          this.version = version;
+          return version;
+        })
+        .finally(() => {
+          this.versionDetecting = null;
+        });
     }
+    return this.versionDetecting;
+  }
+
+  /**
+   * Version-specific API adapters (see compat.js); detects the version on first use
+   * @returns {Promise<{dashboards: object, cards: object, metrics: object, permissions: object, alerts: object}>}
+   */
+  async adapters() {
+    return selectAdapters(await this.getVersion());
   }
 
   // Database Operations
@@ -260,13 +489,12 @@ export class MetabaseClient {
   }
 
   async createModel(model) {
-    await this.ensureAuthenticated();
-    const response = await this.client.post('/api/card', {
+    const { cards } = await this.adapters();
+    return this.request('POST', '/api/card', {
       ...model,
-      type: 'model',
+      ...cards.modelFields(),
       display: 'table'
     });
-    return response.data;
   }
 
   // Question Operations
@@ -334,16 +562,72 @@ export class MetabaseClient {
 
   async runQuery(query) {
     await this.ensureAuthenticated();
-    const response = await this.client.post('/api/dataset', query);
-    return response.data;
+    const response = await this.client.post('/api/dataset', query, { retrySafe: isReadOnlyQuery(query) });
+    return this.checkQueryResult(response.data);
+  }
+
+  /**
+   * Run a query for export: like runQuery, but with Metabase's row cap for ad-hoc
+   * queries (2000) raised to maxRows
+   * @param {object} query - Dataset query (native or MBQL), optionally with `parameters`
+   * @param {number} maxRows
+   * @param {number} [timeoutMs] - Defaults to the client's query timeout
+   */
+  async runQueryForExport(query, maxRows, timeoutMs = this.timeouts.query) {
+    await this.ensureAuthenticated();
+    let response;
+    try {
+      response = await this.client.post('/api/dataset', {
+        ...query,
+        constraints: { 'max-results': maxRows, 'max-results-bare-rows': maxRows }
+      }, { timeout: timeoutMs, retrySafe: isReadOnlyQuery(query) });
+    } catch (error) {
+      throw fromHttpError(error, 'POST /api/dataset');
+    }
+    return this.checkQueryResult(response.data);
+  }
+
+  /**
+   * Stream a card's full result in one of Metabase's export formats
+   * (POST /api/card/:id/query/:format)
+   * @param {number} cardId
+   * @param {string} format - csv | json | xlsx
+   * @param {Array} [parameters]
+   * @param {number} [timeoutMs] - Defaults to the client's export timeout
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async downloadCardResult(cardId, format, parameters = [], timeoutMs = this.timeouts.export) {
+    await this.ensureAuthenticated();
+    try {
+      const response = await this.client.post(`/api/card/${cardId}/query/${format}`, { parameters }, {
+        responseType: 'stream',
+        timeout: timeoutMs
+      });
+      return response.data;
+    } catch (error) {
+      throw fromHttpError(error, `POST /api/card/${cardId}/query/${format}`);
+    }
+  }
+
+  /**
+   * /api/dataset answers 202 even when the query failed; the failure is in the body
+   * @throws {SqlError}
+   */
+  checkQueryResult(result) {
+    if (result?.status === 'failed') {
+      throw new SqlError(result.error || 'Query failed', {
+        details: result.error_type ? { error_type: result.error_type } : undefined
+      });
+    }
+    return result;
   }
 
   // SQL Operations
   async executeNativeQuery(databaseId, sql, options = {}) {
     await this.ensureAuthenticated();
 
-    // Security check - DDL operations require prefix
-    if (options.enforcePrefix !== false && this.isDDLOperation(sql)) {
+    // Security check - DDL operations require prefix (any statement that creates or drops a table, view or index)
+    if (options.enforcePrefix !== false) {
       this.validateDDLPrefix(sql);
     }
 
@@ -377,8 +661,28 @@ export class MetabaseClient {
       }
     };
 
+    return this.postQueryWithTimeout('/api/dataset', query, timeoutMs, abortSignal);
+  }
+
+  /**
+   * Run a saved card with custom timeout and abort signal (scheduled card runs)
+   * @param {number} cardId
+   * @param {Array} parameters
+   * @param {number} timeoutMs
+   * @param {AbortSignal} [abortSignal]
+   */
+  async executeCardQueryWithTimeout(cardId, parameters, timeoutMs, abortSignal = null) {
+    await this.ensureAuthenticated();
+    return this.postQueryWithTimeout(`/api/card/${cardId}/query`, { parameters: parameters || [] }, timeoutMs, abortSignal);
+  }
+
+  /**
+   * POST a query, mapping abort and timeout to SqlError codes query_cancelled / query_timeout
+   */
+  async postQueryWithTimeout(endpoint, body, timeoutMs, abortSignal) {
     const config = {
-      timeout: timeoutMs
+      timeout: timeoutMs,
+      retrySafe: endpoint === '/api/dataset' && isReadOnlyQuery(body)
     };
 
     // Add abort signal if provided
@@ -386,41 +690,85 @@ export class MetabaseClient {
       config.signal = abortSignal;
     }
 
+    let response;
     try {
-      const response = await this.client.post('/api/dataset', query, config);
-      return response.data;
+      response = await this.client.post(endpoint, body, config);
     } catch (error) {
       if (error.name === 'AbortError' || error.code === 'ERR_CANCELED') {
-        throw new Error('Query cancelled');
+        throw new SqlError('Query cancelled', { code: 'query_cancelled', cause: error });
       }
-      if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-        throw new Error(`Query timed out after ${timeoutMs / 1000} seconds`);
+      const typedError = fromHttpError(error, `POST ${endpoint}`);
+      if (typedError.code === 'timeout') {
+        throw new SqlError(`Query timed out after ${timeoutMs / 1000} seconds`, { code: 'query_timeout', retryable: true, cause: error });
       }
-      throw error;
+      throw typedError;
     }
+    return this.checkQueryResult(response.data);
   }
 
   /**
-   * Cancel a running query on PostgreSQL database
-   * This sends pg_cancel_backend to stop the query on the server side
+   * Cancel a running query on the database server, found by the tag in its leading comment
+   * (`/* mcp-job:<id> *\/ SELECT ...`). The tag's backend is looked up first and cancelled by
+   * its exact ID, so other sessions' queries are never touched:
+   *   postgres         pg_stat_activity -> pg_cancel_backend(pid)
+   *   mysql / mariadb  information_schema.PROCESSLIST -> KILL QUERY id
+   * Other engines are not cancelled server-side.
+   * @param {number} databaseId
+   * @param {string} tag - e.g. `mcp-job:<uuid>`
+   * @returns {Promise<{engine: string|null, method: string|null, pid: number|null, cancelled: boolean, reason?: string}>}
+   *   `cancelled` is true only when the server confirmed the cancel
    */
-  async cancelPostgresQuery(databaseId, queryMarker) {
+  async cancelServerQuery(databaseId, tag) {
+    const outcome = { engine: null, method: null, pid: null, cancelled: false };
+    if (!/^[A-Za-z0-9:_-]+$/.test(tag)) {
+      return { ...outcome, reason: `invalid query tag: ${tag}` };
+    }
+
     try {
-      const safeMarker = sanitizeLikePattern(queryMarker);
-      const cancelSql = `
-        SELECT pg_cancel_backend(pid)
-        FROM pg_stat_activity
-        WHERE query LIKE '%${safeMarker}%'
-          AND state = 'active'
-          AND pid != pg_backend_pid()
-      `;
-
-      await this.executeNativeQuery(databaseId, cancelSql, { enforcePrefix: false });
-      logger.info(`Attempted to cancel query with marker: ${queryMarker}`);
-      return true;
+      outcome.engine = (await this.getDatabase(databaseId))?.engine || null;
+      const canceller = SERVER_CANCELLERS[outcome.engine];
+      if (!canceller) {
+        return { ...outcome, reason: `server-side cancel is not supported for ${outcome.engine || 'this'} engine` };
+      }
+      outcome.method = canceller.method;
+
+      // Built by concatenation so the lookup query never matches its own text
+      const pattern = `concat('%/* ', '${sanitizeLikePattern(tag)}', ' */%')`;
+      const findPids = async () => {
+        const result = await this.runQuery({ database: databaseId, type: 'native', native: { query: canceller.find(pattern) } });
+        return (result.data?.rows || []).map(row => Number(row[0]));
+      };
+
+      const pids = await findPids();
+      if (pids.length === 0) {
+        return { ...outcome, reason: 'no running query with this tag on the server (it may have finished)' };
+      }
+      if (pids.length > 1) {
+        return { ...outcome, reason: `${pids.length} server sessions carry this tag; none were cancelled` };
+      }
+      outcome.pid = pids[0];
+
+      try {
+        const result = await this.runQuery({ database: databaseId, type: 'native', native: { query: canceller.cancel(outcome.pid) } });
+        if (canceller.confirmsInResult) {
+          outcome.cancelled = result.data?.rows?.[0]?.[0] === true;
+          if (!outcome.cancelled) outcome.reason = `${canceller.method} returned false`;
+        }
+      } catch (error) {
+        // KILL QUERY returns no result set, which Metabase may report as an error; check below
+        logger.debug(`${canceller.method}(${outcome.pid}) reported: ${error.message}`);
+      }
+
+      if (!canceller.confirmsInResult) {
+        outcome.cancelled = !(await findPids()).includes(outcome.pid);
+        if (!outcome.cancelled) outcome.reason = `session ${outcome.pid} is still running the query`;
+      }
+
+      logger.info(`Server cancel of ${tag} on database ${databaseId}: ${canceller.method}(${outcome.pid}) ${outcome.cancelled ? 'succeeded' : 'failed'}`);
+      return outcome;
     } catch (error) {
-      logger.warn(`Failed to cancel query: ${error.message}`);
-      return false;
+      logger.warn(`Failed to cancel query ${tag}: ${error.message}`);
+      return { ...outcome, reason: error.message };
     }
   }
 
@@ -461,7 +809,7 @@ export class MetabaseClient {
         logger.warn('DDL execution warning:', secondError.message);
 
         // DDL işlemi başarılı olmuş olabilir, kontrol et
-        if (secondError.message.includes('Select statement did not produce a ResultSet')) {
+        if (normalizeError(secondError).code === 'no_result_set') {
           return {
             status: 'success',
             message: 'DDL operation likely completed (ResultSet warning is normal)',
@@ -476,34 +824,29 @@ export class MetabaseClient {
     }
   }
 
+  /**
+   * Whether the SQL starts with CREATE or DROP of a table, view, materialized view or index; those go
+   * through executeDDLOperation. Other DDL (ALTER, TRUNCATE, COMMENT ON) runs as a native query.
+   */
   isDDLOperation(sql) {
-    const upperSQL = sql.toUpperCase().trim();
-    return upperSQL.startsWith('CREATE TABLE') ||
-      upperSQL.startsWith('CREATE VIEW') ||
-      upperSQL.startsWith('CREATE MATERIALIZED VIEW') ||
-      upperSQL.startsWith('CREATE INDEX') ||
-      upperSQL.startsWith('DROP TABLE') ||
-      upperSQL.startsWith('DROP VIEW') ||
-      upperSQL.startsWith('DROP MATERIALIZED VIEW') ||
-      upperSQL.startsWith('DROP INDEX');
+    const [first] = classifySQL(sql).statements;
+    return first?.type === 'ddl' && PREFIXED_OBJECT_TYPES.has(first.objectType) && /^(CREATE|DROP) /.test(first.command);
   }
 
   validateDDLPrefix(sql) {
-    const upperSQL = sql.toUpperCase();
-
-    // CREATE operations için prefix kontrolü
-    if (upperSQL.includes('CREATE TABLE') || upperSQL.includes('CREATE VIEW') ||
-      upperSQL.includes('CREATE MATERIALIZED VIEW') || upperSQL.includes('CREATE INDEX')) {
-      if (!sql.toLowerCase().includes('claude_ai_')) {
-        throw new Error('DDL operations must use claude_ai_ prefix for object names');
-      }
-    }
-
-    // DROP operations için sadece prefix'li objelere izin
-    if (upperSQL.includes('DROP TABLE') || upperSQL.includes('DROP VIEW') ||
-      upperSQL.includes('DROP MATERIALIZED VIEW') || upperSQL.includes('DROP INDEX')) {
-      if (!sql.toLowerCase().includes('claude_ai_')) {
-        throw new Error('Can only drop objects with claude_ai_ prefix');
+    for (const statement of classifySQL(sql).statements) {
+      if (!PREFIXED_OBJECT_TYPES.has(statement.objectType)) continue;
+      const creates = statement.command.startsWith('CREATE') || statement.operation === 'SELECT INTO';
+      if (!creates && !statement.command.startsWith('DROP')) continue;
+
+      // Unnamed indexes (CREATE INDEX ON t) are checked by their table
+      const names = statement.objects.length > 0 ? statement.objects : [statement.target].filter(Boolean);
+      const unprefixed = names.filter(object => !object.name.toLowerCase().startsWith('claude_ai_'));
+      if (names.length === 0 || unprefixed.length > 0) {
+        const listed = unprefixed.map(object => object.name).join(', ');
+        throw new PermissionError(creates
+          ? `DDL operations must use claude_ai_ prefix for object names${listed ? `: ${listed}` : ''}`
+          : `Can only drop objects with claude_ai_ prefix${listed ? `: ${listed}` : ''}`, { code: 'prefix_required' });
       }
     }
   }
@@ -525,23 +868,23 @@ export class MetabaseClient {
     return await this.createQuestion(question);
   }
 
-  // Metric Operations
+  // Metric Operations (legacy /api/metric, or metric cards from 0.50)
   async getMetrics() {
-    await this.ensureAuthenticated();
-    const response = await this.client.get('/api/metric');
-    return response.data;
+    const { metrics } = await this.adapters();
+    return metrics.list(this);
   }
 
+  /**
+   * @param {object} metric - { name, description, table_id, definition: { aggregation, filter } }
+   */
   async createMetric(metric) {
-    await this.ensureAuthenticated();
-    const response = await this.client.post('/api/metric', metric);
-    return response.data;
+    const { metrics } = await this.adapters();
+    return metrics.create(this, metric);
   }
 
   async updateMetric(id, updates) {
-    await this.ensureAuthenticated();
-    const response = await this.client.put(`/api/metric/${id}`, updates);
-    return response.data;
+    const { metrics } = await this.adapters();
+    return metrics.update(this, id, updates);
   }
 
   // Dashboard Operations
@@ -551,10 +894,13 @@ export class MetabaseClient {
     return response.data;
   }
 
+  /**
+   * Dashboard with its cards in `dashcards`, also on servers that still call them `ordered_cards`
+   */
   async getDashboard(id) {
     await this.ensureAuthenticated();
     const response = await this.client.get(`/api/dashboard/${id}`);
-    return response.data;
+    return { ...response.data, dashcards: dashboardCards(response.data) };
   }
 
   async createDashboard(dashboard) {
@@ -567,75 +913,50 @@ export class MetabaseClient {
     return response.data;
   }
 
+  /**
+   * @param {object} [options] - { row, col, sizeX, sizeY, parameter_mappings, visualization_settings }
+   * @returns {Promise<object>} The new dashcard
+   */
   async addCardToDashboard(dashboardId, cardId, options = {}) {
-    await this.ensureAuthenticated();
-
     try {
-      // Try the API first (various endpoints)
-      const endpoints = [
-        `/api/dashboard/${dashboardId}/cards`,
-        `/api/dashboard/${dashboardId}/dashcard`
-      ];
-
-      for (const endpoint of endpoints) {
-        try {
-          const response = await this.client.post(endpoint, {
-            card_id: cardId,
-            size_x: options.sizeX || 4,
-            size_y: options.sizeY || 4,
-            row: options.row || 0,
-            col: options.col || 0,
-            parameter_mappings: options.parameter_mappings || []
-          });
-          return response.data;
-        } catch (err) {
-          // Try next endpoint
-          continue;
-        }
-      }
-
-      // If API fails, use direct database insertion as fallback
-      return await this.addCardToDashboardDirect(dashboardId, cardId, options);
-
+      const [dashcard] = await this.addCardsToDashboard(dashboardId, [{
+        card_id: cardId,
+        row: options.row,
+        col: options.col,
+        size_x: options.sizeX,
+        size_y: options.sizeY,
+        parameter_mappings: options.parameter_mappings,
+        visualization_settings: options.visualization_settings,
+      }]);
+      return dashcard;
     } catch (error) {
-      throw new Error(`Failed to add card to dashboard: ${error.message}`);
+      error.message = `Failed to add card to dashboard: ${error.message}`;
+      throw error;
     }
   }
 
-  async addCardToDashboardDirect(dashboardId, cardId, options = {}) {
-    // Direct database insertion as fallback
-    const query = `
-      INSERT INTO report_dashboardcard (
-        created_at, 
-        updated_at, 
-        size_x, 
-        size_y, 
-        row, 
-        col, 
-        card_id, 
-        dashboard_id,
-        parameter_mappings,
-        visualization_settings
-      ) VALUES (
-        NOW(),
-        NOW(),
-        $1, $2, $3, $4, $5, $6, $7, $8
-      ) RETURNING id
-    `;
+  /**
+   * Add several cards in one save where the server allows it
+   * @param {Array<object>} dashcards - { card_id, row, col, size_x, size_y, parameter_mappings, visualization_settings }
+   * @returns {Promise<Array<object>>} The new dashcards
+   */
+  async addCardsToDashboard(dashboardId, dashcards) {
+    const { dashboards } = await this.adapters();
+    return dashboards.addCards(this, dashboardId, dashcards);
+  }
 
-    const values = [
-      options.sizeX || 4,
-      options.sizeY || 4,
-      options.row || 0,
-      options.col || 0,
-      cardId,
-      dashboardId,
-      JSON.stringify(options.parameter_mappings || []),
-      JSON.stringify(options.visualization_settings || {})
-    ];
+  /**
+   * Change position, size or settings of cards already on a dashboard
+   * @param {Array<object>} dashcards - Each with the dashcard `id` and the fields to change
+   */
+  async updateDashboardCards(dashboardId, dashcards) {
+    const { dashboards } = await this.adapters();
+    return dashboards.updateCards(this, dashboardId, dashcards);
+  }
 
-    // This would need database connection - placeholder for now
-    return { id: 'inserted_via_sql', method: 'direct_sql' };
+  async removeDashboardCard(dashboardId, dashcardId) {
+    const { dashboards } = await this.adapters();
+    return dashboards.removeCard(this, dashboardId, dashcardId);
   }
 
   async updateDashboard(id, updates) {
@@ -678,6 +999,35 @@ export class MetabaseClient {
     return Math.random().toString(36).substr(2, 9);
   }
 
+  // Alert Operations (/api/alert, or card notifications from 0.54)
+  /**
+   * @param {number} [cardId] - Only this card's alerts
+   * @returns {Promise<Array<object>>} { id, card_id, card_name, condition, above_goal, first_only, channels }
+   */
+  async getAlerts(cardId = null) {
+    const { alerts } = await this.adapters();
+    return alerts.list(this, cardId);
+  }
+
+  /**
+   * @param {object} alert - { card_id, condition: 'rows'|'goal', above_goal, first_only, channels }
+   */
+  async createAlert(alert) {
+    const { alerts } = await this.adapters();
+    return alerts.create(this, alert);
+  }
+
+  // Collection Permission Operations
+  async getCollectionGraph() {
+    const { permissions } = await this.adapters();
+    return permissions.getCollectionGraph(this);
+  }
+
+  async setCollectionPermission(groupId, collectionId, permission) {
+    const { permissions } = await this.adapters();
+    return permissions.setCollectionPermission(this, groupId, collectionId, permission);
+  }
+
   // Segment Operations
   async getSegments(tableId) {
     await this.ensureAuthenticated();
@@ -698,27 +1048,9 @@ export class MetabaseClient {
     // API key mode: always set, no expiry
     if (this.apiKey) return;
 
-    // Session token mode: check if set
+    // Session token mode: check if set (an expired one is renewed on its first 401)
     if (!this.sessionToken) {
-      await this.authenticate();
-    }
-  }
-
-  /**
-   * Retry a request on 401 (session expired)
-   * Re-authenticates and retries once
-   */
-  async requestWithRetry(fn) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (error.response?.status === 401 && !this.apiKey) {
-        logger.warn('Session expired, re-authenticating...');
-        this.sessionToken = null;
-        await this.authenticate();
-        return await fn();
-      }
-      throw error;
+      await this.reauthenticate();
     }
   }
 
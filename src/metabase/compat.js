@@ -0,0 +1,408 @@
+/**
+ * Metabase API compatibility - version detection and version-specific adapters
+ *
+ * MetabaseClient reads the server version once (GET /api/session/properties) and routes
+ * the endpoints whose shape changed between releases through the adapters below:
+ *
+ *   dashboards   0.47  `ordered_cards` became `dashcards`; cards are saved with PUT /api/dashboard/:id
+ *                      instead of POST / PUT / DELETE /api/dashboard/:id/cards
+ *   cards        0.49  `type: 'model'` replaced `dataset: true`
+ *   metrics      0.50  metrics are cards with `type: 'metric'`; /api/metric is gone
+ *   permissions  0.50  collection graph updates send only the changed group (`skip-graph`)
+ *   alerts       0.54  alerts are card notifications (/api/notification); /api/alert is gone
+ *
+ * Adapters are plain objects of functions taking the client first, like SERVER_CANCELLERS in client.js.
+ * A version that cannot be parsed (dev builds) gets the newest adapters.
+ */
+
+// First release with each change
+export const API_CHANGES = {
+  dashcards: 47,
+  cardType: 49,
+  metricsV2: 50,
+  partialCollectionGraph: 50,
+  notifications: 54,
+};
+
+/**
+ * Parse a Metabase version tag: v0.50.3 (OSS), v1.50.3 (Enterprise), v0.47.0-RC1
+ * @param {string} tag - `version.tag` from /api/session/properties
+ * @returns {{tag: string|null, release: number|null, patch: number|null, enterprise: boolean}}
+ *   release is the number that moves with features (50 in both v0.50.3 and v1.50.3)
+ */
+export function parseVersion(tag) {
+  const match = /^v?([01])\.(\d+)(?:\.(\d+))?/.exec(tag || '');
+  if (!match) return { tag: tag || null, release: null, patch: null, enterprise: false };
+  return {
+    tag,
+    release: parseInt(match[2], 10),
+    patch: match[3] !== undefined ? parseInt(match[3], 10) : 0,
+    enterprise: match[1] === '1',
+  };
+}
+
+/**
+ * Whether a version has an API change from API_CHANGES (unknown versions have all of them)
+ */
+export function supports(version, change) {
+  return version?.release == null || version.release >= API_CHANGES[change];
+}
+
+/**
+ * Cards on a dashboard, whichever field the server used
+ */
+export function dashboardCards(dashboard) {
+  return dashboard?.dashcards || dashboard?.ordered_cards || [];
+}
+
+/**
+ * `question`, `model` or `metric`, also for cards from before `type` existed
+ */
+export function cardType(card) {
+  return card?.type || (card?.dataset ? 'model' : 'question');
+}
+
+// Fields a dashcard is saved with; the rest of a fetched dashcard (card, created_at, ...) is read-only
+const DASHCARD_FIELDS = [
+  'id', 'card_id', 'dashboard_tab_id', 'action_id', 'row', 'col', 'size_x', 'size_y',
+  'series', 'parameter_mappings', 'visualization_settings',
+];
+
+function savedDashcard(dashcard) {
+  const saved = {};
+  for (const field of DASHCARD_FIELDS) {
+    if (dashcard[field] !== undefined) saved[field] = dashcard[field];
+  }
+  if (Array.isArray(saved.series)) saved.series = saved.series.map(card => ({ id: card.id }));
+  return saved;
+}
+
+/**
+ * Every dashcard on the dashboard, with the changes for the ones in `updates` (matched by id)
+ */
+function mergedDashcards(dashboard, updates) {
+  const changes = new Map(updates.map(dashcard => [dashcard.id, dashcard]));
+  return dashboardCards(dashboard).map(dashcard =>
+    savedDashcard(changes.has(dashcard.id) ? { ...dashcard, ...changes.get(dashcard.id) } : dashcard));
+}
+
+/**
+ * New dashcard from { card_id, row, col, size_x, size_y, parameter_mappings, visualization_settings }
+ */
+function newDashcard(dashcard) {
+  return {
+    card_id: dashcard.card_id,
+    row: dashcard.row ?? 0,
+    col: dashcard.col ?? 0,
+    size_x: dashcard.size_x ?? 4,
+    size_y: dashcard.size_y ?? 4,
+    parameter_mappings: dashcard.parameter_mappings || [],
+    visualization_settings: dashcard.visualization_settings || {},
+  };
+}
+
+// ==================== DASHBOARDS ====================
+
+const LEGACY_DASHBOARDS = {
+  name: 'dashboard-cards-endpoint',
+
+  async addCards(client, dashboardId, dashcards) {
+    const added = [];
+    for (const dashcard of dashcards) {
+      const { card_id, ...rest } = newDashcard(dashcard);
+      added.push(await client.request('POST', `/api/dashboard/${dashboardId}/cards`, { cardId: card_id, ...rest }));
+    }
+    return added;
+  },
+
+  // The endpoint takes the whole layout
+  async updateCards(client, dashboardId, dashcards) {
+    const dashboard = await client.request('GET', `/api/dashboard/${dashboardId}`);
+    await client.request('PUT', `/api/dashboard/${dashboardId}/cards`, { cards: mergedDashcards(dashboard, dashcards) });
+  },
+
+  async removeCard(client, dashboardId, dashcardId) {
+    await client.request('DELETE', `/api/dashboard/${dashboardId}/cards`, null, { params: { dashcardId } });
+  },
+};
+
+/**
+ * 0.47+: the dashboard PUT carries every dashcard; new ones have negative IDs, omitted ones are removed
+ */
+const DASHCARDS = {
+  name: 'dashboard-put',
+
+  async saveCards(client, dashboard, dashcards) {
+    const body = { dashcards };
+    if (Array.isArray(dashboard.tabs) && dashboard.tabs.length > 0) body.tabs = dashboard.tabs;
+    return client.request('PUT', `/api/dashboard/${dashboard.id}`, body);
+  },
+
+  async addCards(client, dashboardId, dashcards) {
+    const dashboard = await client.request('GET', `/api/dashboard/${dashboardId}`);
+    const existing = dashboardCards(dashboard);
+    const existingIds = new Set(existing.map(dashcard => dashcard.id));
+    const firstTab = dashboard.tabs?.[0]?.id ?? null;
+    const created = dashcards.map((dashcard, index) => ({
+      ...newDashcard(dashcard),
+      id: -(index + 1),
+      dashboard_tab_id: dashcard.dashboard_tab_id ?? firstTab,
+    }));
+
+    const saved = await this.saveCards(client, dashboard, [...existing.map(savedDashcard), ...created]);
+    return dashboardCards(saved).filter(dashcard => !existingIds.has(dashcard.id));
+  },
+
+  async updateCards(client, dashboardId, dashcards) {
+    const dashboard = await client.request('GET', `/api/dashboard/${dashboardId}`);
+    await this.saveCards(client, dashboard, mergedDashcards(dashboard, dashcards));
+  },
+
+  async removeCard(client, dashboardId, dashcardId) {
+    const dashboard = await client.request('GET', `/api/dashboard/${dashboardId}`);
+    await this.saveCards(client, dashboard, dashboardCards(dashboard)
+      .filter(dashcard => dashcard.id !== dashcardId)
+      .map(savedDashcard));
+  },
+};
+
+// ==================== CARDS ====================
+
+const LEGACY_CARDS = {
+  name: 'card-dataset-flag',
+  modelFields: () => ({ dataset: true }),
+};
+
+const TYPED_CARDS = {
+  name: 'card-type',
+  modelFields: () => ({ type: 'model' }),
+};
+
+// ==================== METRICS ====================
+
+/**
+ * Legacy metric definition { aggregation, filter, source-table } as an MBQL query
+ */
+function metricQuery(metric) {
+  const definition = metric.definition || {};
+  const aggregation = definition.aggregation || ['count'];
+  const query = {
+    'source-table': definition['source-table'] ?? definition.source_table ?? metric.table_id,
+    // A definition holds one aggregation clause, a query a list of them
+    aggregation: Array.isArray(aggregation[0]) ? aggregation : [aggregation],
+  };
+  if (definition.filter) query.filter = definition.filter;
+  return query;
+}
+
+const LEGACY_METRICS = {
+  name: 'legacy-metric',
+
+  list: (client) => client.request('GET', '/api/metric'),
+
+  create: (client, metric) => client.request('POST', '/api/metric', metric),
+
+  update: (client, id, updates) => client.request('PUT', `/api/metric/${id}`, updates),
+};
+
+/**
+ * 0.50+: metrics are cards with type `metric` holding a single-aggregation MBQL query
+ */
+const CARD_METRICS = {
+  name: 'metric-card',
+
+  async list(client) {
+    const cards = await client.request('GET', '/api/card', null, { params: { f: 'all' } });
+    return cards.filter(card => card.type === 'metric');
+  },
+
+  async create(client, metric) {
+    const query = metricQuery(metric);
+    const table = await client.request('GET', `/api/table/${query['source-table']}`);
+    return client.request('POST', '/api/card', {
+      name: metric.name,
+      description: metric.description,
+      type: 'metric',
+      display: 'scalar',
+      collection_id: metric.collection_id,
+      dataset_query: { database: table.db_id, type: 'query', query },
+      visualization_settings: {},
+    });
+  },
+
+  async update(client, id, updates) {
+    const { definition, table_id, ...fields } = updates;
+    if (definition) {
+      const card = await client.request('GET', `/api/card/${id}`);
+      fields.dataset_query = {
+        ...card.dataset_query,
+        query: metricQuery({ definition, table_id: table_id ?? card.table_id }),
+      };
+    }
+    return client.request('PUT', `/api/card/${id}`, fields);
+  },
+};
+
+// ==================== PERMISSIONS ====================
+
+const FULL_COLLECTION_GRAPH = {
+  name: 'collection-graph-full',
+
+  getCollectionGraph: (client) => client.request('GET', '/api/collection/graph'),
+
+  async setCollectionPermission(client, groupId, collectionId, permission) {
+    const graph = await client.request('GET', '/api/collection/graph');
+    graph.groups[groupId] = { ...graph.groups[groupId], [collectionId]: permission };
+    await client.request('PUT', '/api/collection/graph', graph);
+  },
+};
+
+/**
+ * 0.50+: send the revision and the one changed group, and skip the full graph in the response
+ */
+const PARTIAL_COLLECTION_GRAPH = {
+  name: 'collection-graph-partial',
+
+  getCollectionGraph: (client) => client.request('GET', '/api/collection/graph'),
+
+  async setCollectionPermission(client, groupId, collectionId, permission) {
+    const graph = await client.request('GET', '/api/collection/graph');
+    await client.request('PUT', '/api/collection/graph', {
+      revision: graph.revision,
+      groups: { [groupId]: { [collectionId]: permission } },
+    }, { params: { 'skip-graph': true } });
+  },
+};
+
+// ==================== ALERTS ====================
+
+/**
+ * Alerts in one shape for both APIs:
+ * { id, card_id, card_name, condition: 'rows'|'goal', above_goal, first_only, channels: [{ channel_type, enabled, recipients }] }
+ */
+function alertFromLegacy(alert) {
+  return {
+    id: alert.id,
+    card_id: alert.card?.id ?? null,
+    card_name: alert.card?.name ?? null,
+    condition: alert.alert_condition,
+    above_goal: alert.alert_above_goal ?? null,
+    first_only: !!alert.alert_first_only,
+    channels: (alert.channels || []).map(channel => ({
+      channel_type: channel.channel_type,
+      enabled: channel.enabled !== false,
+      recipients: channel.recipients || [],
+    })),
+  };
+}
+
+const CRON_DAYS = { sun: 'SUN', mon: 'MON', tue: 'TUE', wed: 'WED', thu: 'THU', fri: 'FRI', sat: 'SAT' };
+
+/**
+ * Legacy channel schedule as the Quartz cron notifications use
+ */
+function channelCron(channel) {
+  const hour = channel.schedule_hour ?? 0;
+  if (channel.schedule_type === 'daily') return `0 0 ${hour} * * ? *`;
+  if (channel.schedule_type === 'weekly') {
+    return `0 0 ${hour} ? * ${CRON_DAYS[String(channel.schedule_day || 'mon').slice(0, 3).toLowerCase()] || 'MON'} *`;
+  }
+  return '0 0 * * * ? *';
+}
+
+/**
+ * Legacy channel recipients ({ id } users, { email } addresses; Slack names its channel in details)
+ */
+function notificationRecipients(channel) {
+  if (channel.channel_type === 'slack' && channel.details?.channel) {
+    return [{ type: 'notification-recipient/raw-value', details: { value: channel.details.channel } }];
+  }
+  return (channel.recipients || []).map(recipient => recipient.id !== undefined
+    ? { type: 'notification-recipient/user', user_id: recipient.id }
+    : { type: 'notification-recipient/raw-value', details: { value: recipient.email ?? recipient.value } });
+}
+
+function alertFromNotification(notification) {
+  const payload = notification.payload || {};
+  const condition = payload.send_condition || 'has_result';
+  return {
+    id: notification.id,
+    card_id: payload.card_id ?? payload.card?.id ?? null,
+    card_name: payload.card?.name ?? null,
+    condition: condition === 'has_result' ? 'rows' : 'goal',
+    above_goal: condition === 'has_result' ? null : condition === 'goal_above',
+    first_only: !!payload.send_once,
+    channels: (notification.handlers || []).map(handler => ({
+      channel_type: String(handler.channel_type || '').replace(/^channel\//, ''),
+      enabled: handler.active !== false,
+      recipients: handler.recipients || [],
+    })),
+  };
+}
+
+const LEGACY_ALERTS = {
+  name: 'alert',
+
+  async list(client, cardId) {
+    const alerts = await client.request('GET', cardId ? `/api/alert/question/${cardId}` : '/api/alert');
+    return alerts.map(alertFromLegacy);
+  },
+
+  async create(client, alert) {
+    const created = await client.request('POST', '/api/alert', {
+      card: { id: alert.card_id },
+      alert_condition: alert.condition,
+      alert_first_only: alert.first_only,
+      alert_above_goal: alert.above_goal,
+      channels: alert.channels,
+    });
+    return alertFromLegacy(created);
+  },
+};
+
+/**
+ * 0.54+: an alert is a `notification/card` with one handler per channel and a cron subscription
+ */
+const NOTIFICATION_ALERTS = {
+  name: 'notification',
+
+  async list(client, cardId) {
+    const params = { payload_type: 'notification/card' };
+    if (cardId) params.card_id = cardId;
+    const notifications = await client.request('GET', '/api/notification', null, { params });
+    return notifications.map(alertFromNotification);
+  },
+
+  async create(client, alert) {
+    const sendCondition = alert.condition === 'goal'
+      ? (alert.above_goal === false ? 'goal_below' : 'goal_above')
+      : 'has_result';
+    const created = await client.request('POST', '/api/notification', {
+      payload_type: 'notification/card',
+      payload: { card_id: alert.card_id, send_condition: sendCondition, send_once: !!alert.first_only },
+      handlers: alert.channels.map(channel => ({
+        channel_type: `channel/${channel.channel_type}`,
+        active: channel.enabled !== false,
+        recipients: notificationRecipients(channel),
+      })),
+      // Notifications have one schedule; legacy alerts had one per channel
+      subscriptions: [{ type: 'notification-subscription/cron', cron_schedule: channelCron(alert.channels[0] || {}) }],
+    });
+    return alertFromNotification(created);
+  },
+};
+
+/**
+ * The adapters for a version
+ * @param {object} version - From parseVersion()
+ * @returns {{dashboards: object, cards: object, metrics: object, permissions: object, alerts: object}}
+ */
+export function selectAdapters(version) {
+  return {
+    dashboards: supports(version, 'dashcards') ? DASHCARDS : LEGACY_DASHBOARDS,
+    cards: supports(version, 'cardType') ? TYPED_CARDS : LEGACY_CARDS,
+    metrics: supports(version, 'metricsV2') ? CARD_METRICS : LEGACY_METRICS,
+    permissions: supports(version, 'partialCollectionGraph') ? PARTIAL_COLLECTION_GRAPH : FULL_COLLECTION_GRAPH,
+    alerts: supports(version, 'notifications') ? NOTIFICATION_ALERTS : LEGACY_ALERTS,
+  };
+}
@@ -1,4 +1,5 @@
 import { logger } from '../utils/logger.js';
+import { PermissionError } from '../utils/errors.js';
 
 /**
  * Metabase Metadata Database Client
@@ -39,7 +40,7 @@ export class MetabaseMetadataClient {
       // Security check - only SELECT queries allowed
       const sqlUpper = sql.trim().toUpperCase();
       if (!sqlUpper.startsWith('SELECT') && !sqlUpper.startsWith('WITH')) {
-        throw new Error('Only SELECT queries are allowed on metadata database');
+        throw new PermissionError('Only SELECT queries are allowed on metadata database', { code: 'read_only' });
       }
 
       logger.debug('Executing metadata query via API:', { sql: sql.substring(0, 100) });
@@ -1247,9 +1248,11 @@ export class MetabaseMetadataClient {
    * READ-ONLY operation - Safe to execute
    *
    * @param {Object} options - Export options
+   * @param {Object} [hooks] - Optional { onProgress(done, total, message), isCancelled() }.
+   *   When cancelled, the sections exported so far are returned with `cancelled: true`.
    * @returns {Object} Exported workspace data
    */
-  async exportWorkspace(options = {}) {
+  async exportWorkspace(options = {}, hooks = {}) {
     const {
       include_questions = true,
       include_dashboards = true,
@@ -1271,6 +1274,19 @@ export class MetabaseMetadataClient {
       dashboards: []
     };
 
+    // Collections, questions, dashboards - then one step per dashboard's cards
+    let step = 0;
+    let totalSteps = 3;
+    const advance = async (message) => {
+      step++;
+      await hooks.onProgress?.(step, totalSteps, message);
+    };
+    const stopRequested = () => {
+      if (!hooks.isCancelled?.()) return false;
+      workspace.cancelled = true;
+      return true;
+    };
+
     try {
       // Export collections
       if (include_collections) {
@@ -1294,9 +1310,10 @@ export class MetabaseMetadataClient {
 
         workspace.collections = await this.executeQuery(collectionsQuery);
       }
+      await advance(`Exported ${workspace.collections.length} collections`);
 
       // Export questions
-      if (include_questions) {
+      if (include_questions && !stopRequested()) {
         let questionsQuery = `
           SELECT
             rc.id, rc.name, rc.description, rc.display, rc.query_type,
@@ -1324,9 +1341,10 @@ export class MetabaseMetadataClient {
 
         workspace.questions = await this.executeQuery(questionsQuery);
       }
+      if (!workspace.cancelled) await advance(`Exported ${workspace.questions.length} questions`);
 
       // Export dashboards
-      if (include_dashboards) {
+      if (include_dashboards && !stopRequested()) {
         let dashboardsQuery = `
           SELECT
             rd.id, rd.name, rd.description, rd.collection_id,
@@ -1351,9 +1369,13 @@ export class MetabaseMetadataClient {
         dashboardsQuery += ` ORDER BY rd.id`;
 
         workspace.dashboards = await this.executeQuery(dashboardsQuery);
+        totalSteps += workspace.dashboards.length;
+        await advance(`Exported ${workspace.dashboards.length} dashboards`);
 
         // Get dashboard cards for each dashboard
         for (const dashboard of workspace.dashboards) {
+          if (stopRequested()) break;
+
           const cardsQuery = `
             SELECT
               id, card_id, row, col, size_x, size_y,
@@ -1364,6 +1386,7 @@ export class MetabaseMetadataClient {
           `;
 
           dashboard.cards = await this.executeQuery(cardsQuery);
+          await advance(`Exported cards of dashboard ${dashboard.id}`);
         }
       }
 
@@ -1,5 +1,6 @@
 import { logger } from './logger.js';
 import crypto from 'crypto';
+import { dashboardCards } from '../metabase/compat.js';
 
 export class ActivityLogger {
   constructor(metabaseClient, options = {}) {
@@ -287,7 +288,7 @@ export class ActivityLogger {
       error_message: error?.message,
       metadata: {
         collection_id: dashboard.collection_id,
-        cards_count: dashboard.ordered_cards?.length || 0,
+        cards_count: dashboardCards(dashboard).length,
         parameters: dashboard.parameters
       }
     });
@@ -310,6 +311,26 @@ export class ActivityLogger {
     });
   }
 
+  async logApprovalDecision(toolName, args, decision, via, preview = {}) {
+    const target = preview.objects?.[0];
+    return await this.logActivity({
+      operation_type: `approval_${decision}`,
+      operation_category: 'approval',
+      target_object_type: target?.type,
+      target_object_id: target?.id,
+      target_object_name: target?.name,
+      status: decision === 'approved' ? 'success' : decision,
+      ai_generated: false,
+      metadata: {
+        tool: toolName,
+        arguments: args,
+        via,
+        preview: preview.summary,
+        objects: preview.objects
+      }
+    });
+  }
+
   detectSQLType(sql) {
     const upperSQL = sql.trim().toUpperCase();
     
@@ -0,0 +1,411 @@
+import fs from 'fs';
+import path from 'path';
+import net from 'net';
+import tls from 'tls';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * Cache stores - Where CacheManager keeps entries
+ *
+ * Every store is async and holds opaque entries ({ data, storedAt, expiresAt }):
+ *   get(key)                  -> entry or null (missing, or past the time it was kept for)
+ *   set(key, entry, keepMs)   keep the entry for keepMs
+ *   delete(key)               -> whether it existed
+ *   deleteByPrefix(prefix)    -> entries deleted
+ *   clear()                   -> entries deleted
+ *   size()                    -> entries held
+ *   close()
+ *
+ * CACHE_STORE selects one: memory (default, per process), file (a directory, survives
+ * restarts and can be shared by servers on one host) or redis (anything that speaks the
+ * Redis protocol: Redis, Valkey, KeyDB, Dragonfly; shared across hosts).
+ */
+
+/**
+ * MemoryCacheStore - Process-local LRU with an entry cap
+ */
+export class MemoryCacheStore {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxSize] - Entries kept; the least recently used go first
+     */
+    constructor(options = {}) {
+        this.type = 'memory';
+        this.maxSize = options.maxSize || 500;
+        this.entries = new Map();
+        this.evictions = 0;
+    }
+
+    async get(key) {
+        const item = this.entries.get(key);
+        if (!item) return null;
+        if (item.keepUntil <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        // Most recently used last
+        this.entries.delete(key);
+        this.entries.set(key, item);
+        return item.entry;
+    }
+
+    async set(key, entry, keepMs) {
+        this.entries.delete(key);
+        while (this.entries.size >= this.maxSize) {
+            const oldest = this.entries.keys().next().value;
+            this.entries.delete(oldest);
+            this.evictions++;
+            logger.debug(`Cache evicted (maxSize): ${oldest}`);
+        }
+        this.entries.set(key, { entry, keepUntil: Date.now() + keepMs });
+    }
+
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    async deleteByPrefix(prefix) {
+        let deleted = 0;
+        for (const key of [...this.entries.keys()]) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    async clear() {
+        const size = this.entries.size;
+        this.entries.clear();
+        return size;
+    }
+
+    async size() {
+        return this.entries.size;
+    }
+
+    async close() {}
+}
+
+/**
+ * FileCacheStore - One JSON file per key in a directory. Writes go through a temporary
+ * file and a rename, so servers sharing the directory never read half an entry.
+ */
+export class FileCacheStore {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.dir] - e.g. ./data/cache (CACHE_DIR)
+     */
+    constructor(options = {}) {
+        this.type = 'file';
+        this.dir = path.resolve(options.dir || './data/cache', options.namespace || '');
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    fileFor(key) {
+        return path.join(this.dir, `${crypto.createHash('sha256').update(key).digest('hex').slice(0, 40)}.json`);
+    }
+
+    async read(file) {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            // Deleted by another server, or not JSON: either way not an entry
+            if (error.code !== 'ENOENT') logger.debug(`Cache file ${file} unreadable: ${error.message}`);
+            return null;
+        }
+    }
+
+    async files() {
+        const names = await fs.promises.readdir(this.dir).catch(() => []);
+        return names.filter(name => name.endsWith('.json')).map(name => path.join(this.dir, name));
+    }
+
+    async get(key) {
+        const file = this.fileFor(key);
+        const item = await this.read(file);
+        if (!item || item.key !== key) return null;
+        if (item.keepUntil <= Date.now()) {
+            await fs.promises.rm(file, { force: true });
+            return null;
+        }
+        return item.entry;
+    }
+
+    async set(key, entry, keepMs) {
+        const file = this.fileFor(key);
+        const tmpPath = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify({ key, keepUntil: Date.now() + keepMs, entry }));
+        await fs.promises.rename(tmpPath, file);
+    }
+
+    async delete(key) {
+        const file = this.fileFor(key);
+        const existed = fs.existsSync(file);
+        await fs.promises.rm(file, { force: true });
+        return existed;
+    }
+
+    async deleteByPrefix(prefix) {
+        let deleted = 0;
+        for (const file of await this.files()) {
+            const item = await this.read(file);
+            if (item && typeof item.key === 'string' && item.key.startsWith(prefix)) {
+                await fs.promises.rm(file, { force: true });
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    async clear() {
+        const files = await this.files();
+        await Promise.all(files.map(file => fs.promises.rm(file, { force: true })));
+        return files.length;
+    }
+
+    async size() {
+        return (await this.files()).length;
+    }
+
+    async close() {}
+}
+
+// ── Redis protocol (RESP2) ─────────────────────────────────────────────────
+
+const CRLF = '\r\n';
+
+function encodeCommand(args) {
+    let out = `*${args.length}${CRLF}`;
+    for (const arg of args) {
+        const value = String(arg);
+        out += `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+    }
+    return out;
+}
+
+/**
+ * Parse one reply at `offset`
+ * @returns {{ value: any, next: number }|null} null when the buffer does not hold a whole reply yet
+ */
+function parseReply(buffer, offset) {
+    const lineEnd = buffer.indexOf(CRLF, offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+': return { value: line, next };
+        case '-': return { value: new RedisReplyError(line), next };
+        case ':': return { value: Number(line), next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) return { value: null, next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), next: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return { value: null, next };
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                items.push(item.value);
+                position = item.next;
+            }
+            return { value: items, next: position };
+        }
+        default:
+            throw new Error(`Unexpected Redis reply type '${type}'`);
+    }
+}
+
+class RedisReplyError extends Error {}
+
+/**
+ * Minimal pipelined Redis client: one connection, replies matched to commands in order.
+ * Connects on first use and again after the connection drops.
+ */
+class RedisConnection {
+    /**
+     * @param {string} url - redis://[user:password@]host[:port][/db], or rediss:// for TLS
+     * @param {number} timeoutMs - Per command; a timeout drops the connection
+     */
+    constructor(url, timeoutMs) {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'redis:' && parsed.protocol !== 'rediss:') {
+            throw new Error(`CACHE_REDIS_URL must start with redis:// or rediss:// (got ${parsed.protocol})`);
+        }
+        this.tls = parsed.protocol === 'rediss:';
+        this.host = parsed.hostname || '127.0.0.1';
+        this.port = Number(parsed.port) || 6379;
+        this.username = decodeURIComponent(parsed.username || '');
+        this.password = decodeURIComponent(parsed.password || '');
+        this.db = Number(parsed.pathname.slice(1)) || 0;
+        this.timeoutMs = timeoutMs;
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.pending = [];
+    }
+
+    connect() {
+        const options = { host: this.host, port: this.port };
+        const socket = this.tls ? tls.connect({ ...options, servername: this.host }) : net.connect(options);
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('error', error => this.fail(socket, error));
+        socket.on('close', () => this.fail(socket, new Error('Redis connection closed')));
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+
+        // Queued ahead of the first command; a failure rejects that command too
+        if (this.password) {
+            this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]).catch(() => {});
+        }
+        if (this.db) this.send(['SELECT', this.db]).catch(() => {});
+    }
+
+    onData(chunk) {
+        this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+        let offset = 0;
+        for (; ;) {
+            let reply;
+            try {
+                reply = parseReply(this.buffer, offset);
+            } catch (error) {
+                this.fail(this.socket, error);
+                return;
+            }
+            if (!reply) break;
+            offset = reply.next;
+            const request = this.pending.shift();
+            if (!request) continue;
+            clearTimeout(request.timer);
+            if (reply.value instanceof RedisReplyError) request.reject(new Error(`Redis: ${reply.value.message}`));
+            else request.resolve(reply.value);
+        }
+        this.buffer = this.buffer.subarray(offset);
+    }
+
+    /**
+     * Drop the connection and reject everything waiting on it
+     */
+    fail(socket, error) {
+        if (socket !== this.socket) return;
+        this.socket = null;
+        socket.destroy();
+        const pending = this.pending;
+        this.pending = [];
+        for (const request of pending) {
+            clearTimeout(request.timer);
+            request.reject(error);
+        }
+    }
+
+    send(args) {
+        if (!this.socket) this.connect();
+        const socket = this.socket;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => this.fail(socket, new Error(`Redis command ${args[0]} timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+            timer.unref?.();
+            this.pending.push({ resolve, reject, timer });
+            socket.write(encodeCommand(args));
+        });
+    }
+
+    close() {
+        if (this.socket) this.fail(this.socket, new Error('Redis connection closed'));
+    }
+}
+
+// SCAN MATCH is a glob: escape its special characters in literal prefixes
+const escapeGlob = (text) => text.replace(/[*?[\]\\]/g, '\\$&');
+
+/**
+ * RedisCacheStore - Entries as JSON strings under a key prefix, expired by the server (PX)
+ */
+export class RedisCacheStore {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.url] - CACHE_REDIS_URL (default redis://127.0.0.1:6379)
+     * @param {string} [options.prefix] - Namespace for this server's keys (CACHE_KEY_PREFIX)
+     * @param {number} [options.timeoutMs] - Per command (default 2000)
+     */
+    constructor(options = {}) {
+        this.type = 'redis';
+        this.prefix = `${options.prefix ?? 'mb-mcp:'}${options.namespace ? `${options.namespace}:` : ''}`;
+        this.connection = new RedisConnection(options.url || 'redis://127.0.0.1:6379', options.timeoutMs || 2000);
+    }
+
+    async get(key) {
+        const value = await this.connection.send(['GET', this.prefix + key]);
+        return value === null ? null : JSON.parse(value);
+    }
+
+    async set(key, entry, keepMs) {
+        await this.connection.send(['SET', this.prefix + key, JSON.stringify(entry), 'PX', Math.max(1, Math.round(keepMs))]);
+    }
+
+    async delete(key) {
+        return (await this.connection.send(['DEL', this.prefix + key])) > 0;
+    }
+
+    /**
+     * Keys under the prefix that start with `prefix`, via SCAN (never KEYS)
+     */
+    async scan(prefix) {
+        const keys = [];
+        let cursor = '0';
+        do {
+            const [next, batch] = await this.connection.send(['SCAN', cursor, 'MATCH', `${escapeGlob(this.prefix + prefix)}*`, 'COUNT', 500]);
+            keys.push(...batch);
+            cursor = next;
+        } while (cursor !== '0');
+        return [...new Set(keys)];
+    }
+
+    async deleteByPrefix(prefix) {
+        const keys = await this.scan(prefix);
+        let deleted = 0;
+        for (let i = 0; i < keys.length; i += 500) {
+            deleted += await this.connection.send(['DEL', ...keys.slice(i, i + 500)]);
+        }
+        return deleted;
+    }
+
+    /**
+     * Deletes only this server's keys (the prefix), never the whole Redis database
+     */
+    async clear() {
+        return this.deleteByPrefix('');
+    }
+
+    async size() {
+        return (await this.scan('')).length;
+    }
+
+    async close() {
+        this.connection.close();
+    }
+}
+
+/**
+ * Store from CACHE_STORE and its settings
+ * @param {string} [type] - memory | file | redis
+ * @param {object} [options] - maxSize (memory), dir (file), url / prefix (redis); `namespace` gives
+ *   file and redis stores their own subdirectory / key prefix (one per Metabase instance)
+ * @throws {Error} On an unknown type
+ */
+export function createCacheStore(type = 'memory', options = {}) {
+    switch (type) {
+        case 'memory': return new MemoryCacheStore(options);
+        case 'file': return new FileCacheStore(options);
+        case 'redis': return new RedisCacheStore(options);
+        default: throw new Error(`Unknown cache store: ${type}. Use memory, file or redis`);
+    }
+}
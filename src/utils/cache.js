@@ -1,9 +1,18 @@
 /**
  * Cache Utility Module
  * TTL-based caching system for Metabase API responses
+ *
+ * Entries live in a pluggable store (utils/cache-stores.js: memory, file or redis).
+ * Keys can override the default TTL through CacheKeyOptions, and slow endpoints use
+ * stale-while-revalidate: once an entry expires, getOrSet() still answers from it
+ * (for up to staleTtl) while one background fetch replaces it.
+ * Store failures are logged and treated as misses, so a cache outage never fails a call.
  */
 
 import { logger } from './logger.js';
+import { MemoryCacheStore } from './cache-stores.js';
+
+const MINUTE = 60 * 1000;
 
 /**
  * Cache Manager class for managing API response caching
@@ -12,63 +21,115 @@ export class CacheManager {
     /**
      * @param {object} options
      * @param {number} options.ttl - Time to live in milliseconds (default: 10 minutes)
+     * @param {number} [options.maxSize] - Entries kept by the default memory store
+     * @param {number} [options.staleTtl] - How long after expiry stale-while-revalidate keys may still be served (default: 1 hour)
+     * @param {object} [options.store] - From createCacheStore() (default: memory)
+     * @param {object} [options.keyOptions] - Per-key overrides (default: CacheKeyOptions)
      */
     constructor(options = {}) {
         this.ttl = options.ttl || 600000; // 10 minutes default
         this.maxSize = options.maxSize || 500; // Max entries
-        this.cache = new Map();
+        this.staleTtl = options.staleTtl ?? 60 * MINUTE;
+        this.store = options.store || new MemoryCacheStore({ maxSize: this.maxSize });
+        this.setKeyOptions(options.keyOptions || CacheKeyOptions);
+        this.refreshing = new Map();
         this.stats = {
             hits: 0,
             misses: 0,
+            staleHits: 0,
+            refreshes: 0,
             sets: 0,
             clears: 0,
-            evictions: 0
+            errors: 0
         };
     }
 
     /**
-     * Get a value from cache
-     * @param {string} key - Cache key
-     * @returns {any|null} Cached value or null if expired/missing
+     * Apply server settings (CACHE_TTL_MS, CACHE_STALE_TTL_MS, CACHE_STORE); entries in a replaced store are dropped
+     * @param {object} options
+     * @param {number} [options.ttl]
+     * @param {number} [options.staleTtl]
+     * @param {object} [options.store] - From createCacheStore()
      */
-    get(key) {
-        const item = this.cache.get(key);
+    async configure(options = {}) {
+        if (options.ttl) this.ttl = options.ttl;
+        if (options.staleTtl !== undefined) this.staleTtl = options.staleTtl;
+        if (options.store && options.store !== this.store) {
+            const previous = this.store;
+            this.store = options.store;
+            await previous.close();
+        }
+        logger.info(`Cache: ${this.store.type} store, TTL ${this.ttl}ms`);
+    }
 
-        if (!item) {
-            this.stats.misses++;
-            return null;
+    /**
+     * @param {object} keyOptions - { pattern: { ttl?, staleWhileRevalidate? } }; `*` matches one key segment
+     */
+    setKeyOptions(keyOptions) {
+        this.keyOptions = Object.entries(keyOptions).map(([pattern, options]) => ({
+            pattern,
+            regex: new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^:]*')}$`),
+            ...options,
+        }));
+    }
+
+    /**
+     * TTL and stale-while-revalidate for a key: the first matching CacheKeyOptions entry, then call overrides
+     * @returns {{ ttl: number, staleWhileRevalidate: boolean }}
+     */
+    optionsFor(key, overrides = {}) {
+        const match = this.keyOptions.find(option => option.regex.test(key)) || {};
+        return {
+            ttl: overrides.ttl ?? match.ttl ?? this.ttl,
+            staleWhileRevalidate: overrides.staleWhileRevalidate ?? match.staleWhileRevalidate ?? false,
+        };
+    }
+
+    /**
+     * Store call that logs and counts failures instead of throwing
+     */
+    async safely(operation, fn, fallback) {
+        try {
+            return await fn();
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn(`Cache ${operation} failed (${this.store.type} store): ${error.message}`);
+            return fallback;
         }
+    }
 
-        // Check if expired
-        if (Date.now() - item.timestamp > this.ttl) {
-            this.cache.delete(key);
+    /**
+     * Get a value from cache
+     * @param {string} key - Cache key
+     * @returns {Promise<any|null>} Cached value or null if expired/missing
+     */
+    async get(key) {
+        const entry = await this.safely('get', () => this.store.get(key), null);
+
+        if (!entry || entry.expiresAt <= Date.now()) {
             this.stats.misses++;
-            logger.debug(`Cache miss (expired): ${key}`);
+            logger.debug(`Cache miss${entry ? ' (expired)' : ''}: ${key}`);
             return null;
         }
 
         this.stats.hits++;
         logger.debug(`Cache hit: ${key}`);
-        return item.data;
+        return entry.data;
     }
 
     /**
      * Set a value in cache
      * @param {string} key - Cache key
      * @param {any} data - Data to cache
+     * @param {object} [options] - { ttl, staleWhileRevalidate } overriding CacheKeyOptions
      */
-    set(key, data) {
-        // Evict oldest entries if at capacity
-        if (this.cache.size >= this.maxSize && !this.cache.has(key)) {
-            const oldestKey = this.cache.keys().next().value;
-            this.cache.delete(oldestKey);
-            this.stats.evictions++;
-            logger.debug(`Cache evicted (maxSize): ${oldestKey}`);
-        }
-        this.cache.set(key, {
-            data,
-            timestamp: Date.now()
-        });
+    async set(key, data, options = {}) {
+        const { ttl, staleWhileRevalidate } = this.optionsFor(key, options);
+        const now = Date.now();
+        const entry = { data, storedAt: now, expiresAt: now + ttl };
+
+        // Stale-while-revalidate entries outlive their TTL so they can still be served
+        await this.safely('set', () => this.store.set(key, entry, ttl + (staleWhileRevalidate ? this.staleTtl : 0)));
         this.stats.sets++;
         logger.debug(`Cache set: ${key}`);
     }
@@ -77,24 +138,39 @@ export class CacheManager {
      * Get or set cache value (with fetch function)
      * @param {string} key - Cache key
      * @param {Function} fetchFn - Async function to fetch data if not cached
-     * @returns {Promise<{data: any, source: string, fetchTime: number}>}
+     * @param {object} [options] - { ttl, staleWhileRevalidate } overriding CacheKeyOptions
+     * @returns {Promise<{data: any, source: string, fetchTime: number}>} source is cache, stale (a refresh is running) or api
      */
-    async getOrSet(key, fetchFn) {
-        const cached = this.get(key);
+    async getOrSet(key, fetchFn, options = {}) {
+        const keyOptions = this.optionsFor(key, options);
+        const entry = await this.safely('get', () => this.store.get(key), null);
 
-        if (cached !== null) {
+        if (entry && entry.expiresAt > Date.now()) {
+            this.stats.hits++;
             return {
-                data: cached,
+                data: entry.data,
                 source: 'cache',
                 fetchTime: 0
             };
         }
 
+        if (entry && keyOptions.staleWhileRevalidate) {
+            this.stats.staleHits++;
+            logger.debug(`Cache stale hit, refreshing: ${key}`);
+            this.refresh(key, fetchFn, options);
+            return {
+                data: entry.data,
+                source: 'stale',
+                fetchTime: 0
+            };
+        }
+
+        this.stats.misses++;
         const startTime = Date.now();
         const data = await fetchFn();
         const fetchTime = Date.now() - startTime;
 
-        this.set(key, data);
+        await this.set(key, data, options);
 
         return {
             data,
@@ -103,55 +179,86 @@ export class CacheManager {
         };
     }
 
+    /**
+     * Fetch a key in the background; concurrent refreshes of one key share a fetch
+     */
+    refresh(key, fetchFn, options = {}) {
+        if (this.refreshing.has(key)) return this.refreshing.get(key);
+
+        // Deferred so the map holds the refresh before it can settle
+        const refresh = Promise.resolve().then(async () => {
+            try {
+                const data = await fetchFn();
+                await this.set(key, data, options);
+                this.stats.refreshes++;
+            } catch (error) {
+                // The stale entry stays until the next attempt
+                logger.warn(`Cache refresh failed for ${key}: ${error.message}`);
+            } finally {
+                this.refreshing.delete(key);
+            }
+        });
+        this.refreshing.set(key, refresh);
+        return refresh;
+    }
+
     /**
      * Clear a specific cache key
      * @param {string} key - Cache key to clear
+     * @returns {Promise<number>} Entries cleared (0 or 1)
      */
-    clear(key) {
-        this.cache.delete(key);
-        this.stats.clears++;
+    async clear(key) {
+        const deleted = await this.safely('clear', () => this.store.delete(key), false);
+        if (deleted) this.stats.clears++;
         logger.debug(`Cache cleared: ${key}`);
+        return deleted ? 1 : 0;
     }
 
     /**
      * Clear all cache entries matching a pattern
      * @param {string} pattern - Pattern to match (prefix)
+     * @returns {Promise<number>} Entries cleared
      */
-    clearByPattern(pattern) {
-        let cleared = 0;
-        for (const key of this.cache.keys()) {
-            if (key.startsWith(pattern)) {
-                this.cache.delete(key);
-                cleared++;
-            }
-        }
+    async clearByPattern(pattern) {
+        const cleared = await this.safely('clear', () => this.store.deleteByPrefix(pattern), 0);
         this.stats.clears += cleared;
         logger.debug(`Cache cleared by pattern "${pattern}": ${cleared} entries`);
+        return cleared;
     }
 
     /**
      * Clear all cache entries
+     * @returns {Promise<number>} Entries cleared
      */
-    clearAll() {
-        const size = this.cache.size;
-        this.cache.clear();
-        this.stats.clears += size;
+    async clearAll() {
+        const cleared = await this.safely('clear', () => this.store.clear(), 0);
+        this.stats.clears += cleared;
         logger.info('All cache cleared');
+        return cleared;
     }
 
     /**
      * Get cache statistics
-     * @returns {object}
+     * @returns {Promise<object>}
      */
-    getStats() {
-        const total = this.stats.hits + this.stats.misses;
+    async getStats() {
+        const total = this.stats.hits + this.stats.staleHits + this.stats.misses;
         return {
             ...this.stats,
-            size: this.cache.size,
-            maxSize: this.maxSize,
-            hitRate: total > 0 ? (this.stats.hits / total * 100).toFixed(2) + '%' : 'N/A'
+            evictions: this.store.evictions ?? null,
+            store: this.store.type,
+            size: await this.safely('size', () => this.store.size(), null),
+            maxSize: this.store.type === 'memory' ? this.store.maxSize : null,
+            ttl: this.ttl,
+            staleTtl: this.staleTtl,
+            refreshing: this.refreshing.size,
+            hitRate: total > 0 ? ((this.stats.hits + this.stats.staleHits) / total * 100).toFixed(2) + '%' : 'N/A'
         };
     }
+
+    async close() {
+        await this.store.close();
+    }
 }
 
 // Cache key generators
@@ -168,6 +275,17 @@ export const CacheKeys = {
     question: (id) => `question:${id}`,
     collections: () => 'collections',
     collection: (id) => `collection:${id}`,
+    search: (model, query) => `search:${model}:${query || ''}`,
+};
+
+// Per-key overrides of the default TTL, by CacheKeys pattern (`*` matches one segment).
+// Database metadata is slow to fetch and rarely changes, so it is served stale while it refreshes.
+export const CacheKeyOptions = {
+    'databases': { ttl: 30 * MINUTE, staleWhileRevalidate: true },
+    'database:*:schemas': { ttl: 30 * MINUTE, staleWhileRevalidate: true },
+    'database:*:tables': { ttl: 30 * MINUTE, staleWhileRevalidate: true },
+    'table:*:fields': { ttl: 30 * MINUTE, staleWhileRevalidate: true },
+    'search:*:*': { ttl: 2 * MINUTE },
 };
 
 // Singleton instance for global use
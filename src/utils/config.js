@@ -15,10 +15,17 @@ dotenv.config();
  */
 const envSchema = z.object({
     // Metabase Configuration
-    METABASE_URL: z.string().url('METABASE_URL must be a valid URL'),
+    // Optional when MCP_INSTANCES_FILE defines the instances
+    METABASE_URL: z.string().url('METABASE_URL must be a valid URL').optional(),
     METABASE_USERNAME: z.string().email().optional(),
     METABASE_PASSWORD: z.string().min(1).optional(),
     METABASE_API_KEY: z.string().optional(),
+    METABASE_TIMEOUT_MS: z.string().default('30000').transform(val => parseInt(val, 10)),
+    METABASE_QUERY_TIMEOUT_MS: z.string().default('60000').transform(val => parseInt(val, 10)),
+    METABASE_EXPORT_TIMEOUT_MS: z.string().default('300000').transform(val => parseInt(val, 10)),
+    METABASE_RETRIES: z.string().default('3').transform(val => parseInt(val, 10)),
+    METABASE_RETRY_BASE_MS: z.string().default('500').transform(val => parseInt(val, 10)),
+    METABASE_RETRY_MAX_MS: z.string().default('10000').transform(val => parseInt(val, 10)),
 
     // Security Settings
     METABASE_READ_ONLY_MODE: z
@@ -48,6 +55,40 @@ const envSchema = z.object({
     OPENAI_API_KEY: z.string().optional(),
     AI_PROVIDER: z.enum(['anthropic', 'openai']).optional(),
 
+    // MCP Transport
+    MCP_TRANSPORT: z.enum(['stdio', 'http']).default('stdio'),
+    MCP_HTTP_HOST: z.string().default('127.0.0.1'),
+    MCP_HTTP_PORT: z.string().optional().transform(val => val ? parseInt(val, 10) : undefined),
+    MCP_HTTP_PATH: z.string().default('/mcp'),
+    MCP_AUTH_TOKEN: z.string().optional(),
+    MCP_CORS_ORIGINS: z.string().optional(),
+    MCP_ALLOWED_HOSTS: z.string().optional(),
+    MCP_TOOL_PROFILE: z.string().default('full'),
+    MCP_POLICY_FILE: z.string().optional(),
+    MCP_INSTANCES_FILE: z.string().optional(),
+    MCP_REQUIRE_APPROVAL: z
+        .string()
+        .default('false')
+        .transform(val => val.toLowerCase() === 'true'),
+    MCP_APPROVAL_TTL_SECONDS: z.string().default('300').transform(val => parseInt(val, 10)),
+    MCP_SQL_MAX_ROWS: z.string().default('2000').transform(val => parseInt(val, 10)),
+    MCP_RESULT_TTL_SECONDS: z.string().default('1800').transform(val => parseInt(val, 10)),
+    MCP_JOB_STORE: z.enum(['memory', 'jsonl']).default('memory'),
+    MCP_JOB_STORE_PATH: z.string().default('./data/jobs.jsonl'),
+    MCP_JOB_CONCURRENCY: z.string().default('2').transform(val => parseInt(val, 10)),
+    MCP_QUERY_CACHE: z
+        .string()
+        .default('false')
+        .transform(val => val.toLowerCase() === 'true'),
+    MCP_QUERY_CACHE_TTL_SECONDS: z.string().default('300').transform(val => parseInt(val, 10)),
+    MCP_QUERY_CACHE_MAX_BYTES: z.string().default('52428800').transform(val => parseInt(val, 10)),
+    MCP_SCHEDULE_DIR: z.string().default('./data/schedules'),
+    MCP_SCHEDULE_HISTORY: z.string().default('30').transform(val => parseInt(val, 10)),
+    MCP_PII_MASKING: z.enum(['off', 'redact', 'hash', 'partial']).default('off'),
+    MCP_PII_HASH_SALT: z.string().optional(),
+    MCP_EXPORT_DIR: z.string().default('./exports'),
+    MCP_EXPORT_MAX_ROWS: z.string().default('1048575').transform(val => parseInt(val, 10)),
+
     // Application Settings
     PORT: z.string().default('3001').transform(val => parseInt(val, 10)),
     LOG_LEVEL: z.enum(['debug', 'info', 'warn', 'error']).default('info'),
@@ -58,8 +99,20 @@ const envSchema = z.object({
         .string()
         .default('600000')
         .transform(val => parseInt(val, 10)),
+    CACHE_STALE_TTL_MS: z.string().default('3600000').transform(val => parseInt(val, 10)),
+    CACHE_STORE: z.enum(['memory', 'file', 'redis']).default('memory'),
+    CACHE_MAX_SIZE: z.string().default('500').transform(val => parseInt(val, 10)),
+    CACHE_DIR: z.string().default('./data/cache'),
+    CACHE_REDIS_URL: z.string().default('redis://127.0.0.1:6379'),
+    CACHE_KEY_PREFIX: z.string().default('mb-mcp:'),
 }).refine(
-    data => data.METABASE_API_KEY || (data.METABASE_USERNAME && data.METABASE_PASSWORD),
+    data => data.METABASE_URL || data.MCP_INSTANCES_FILE,
+    {
+        message: 'Set METABASE_URL, or define instances in MCP_INSTANCES_FILE',
+        path: ['METABASE_URL'],
+    }
+).refine(
+    data => !data.METABASE_URL || data.METABASE_API_KEY || (data.METABASE_USERNAME && data.METABASE_PASSWORD),
     {
         message: 'Either METABASE_API_KEY or both METABASE_USERNAME and METABASE_PASSWORD must be provided',
         path: ['METABASE_API_KEY'],
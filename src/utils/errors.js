@@ -0,0 +1,187 @@
+/**
+ * Error Taxonomy
+ * Typed errors thrown by the Metabase client and the handlers. Callers branch on
+ * the class (or `code`) instead of matching substrings in messages.
+ *
+ *   Class            code                 MCP error code   retryable
+ *   AuthError        auth_failed          InvalidRequest   no
+ *   PermissionError  permission_denied    InvalidRequest   no
+ *   NotFoundError    not_found            InvalidParams    no
+ *   ValidationError  validation_failed    InvalidParams    no
+ *   UpstreamError    upstream_error       InternalError    network errors, timeouts, 429, 5xx
+ *   SqlError         sql_error            InternalError    no
+ *                    no_result_set        (the statement ran but returned no rows, e.g. DDL)
+ *
+ * Tool calls report these as isError results (see structuredError); protocol
+ * requests (resources, prompts, completions) throw them as McpError via toMcpError.
+ */
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+
+const NETWORK_ERROR_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE']);
+
+// JDBC's complaint when a statement without a result (DDL) runs through a query endpoint
+const NO_RESULT_SET = /did not produce a ResultSet/i;
+
+/**
+ * Base class. `code` is machine-readable and stable; `message` is for humans.
+ */
+export class AppError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [options]
+     * @param {string} [options.code] - Overrides the class default
+     * @param {boolean} [options.retryable] - Whether the same call may succeed later
+     * @param {number} [options.status] - Upstream HTTP status, if any
+     * @param {object} [options.details] - Extra machine-readable context
+     * @param {Error} [options.cause] - Original error
+     */
+    constructor(message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = options.code || this.constructor.defaultCode;
+        this.retryable = options.retryable ?? false;
+        this.status = options.status;
+        this.details = options.details;
+    }
+
+    static defaultCode = 'internal_error';
+    static mcpCode = ErrorCode.InternalError;
+
+    /**
+     * Plain object for structured responses and logs
+     */
+    toJSON() {
+        return {
+            code: this.code,
+            message: this.message,
+            retryable: this.retryable,
+            ...(this.status !== undefined && { status: this.status }),
+            ...(this.details && { details: this.details }),
+        };
+    }
+}
+
+export class AuthError extends AppError {
+    static defaultCode = 'auth_failed';
+    static mcpCode = ErrorCode.InvalidRequest;
+}
+
+export class PermissionError extends AppError {
+    static defaultCode = 'permission_denied';
+    static mcpCode = ErrorCode.InvalidRequest;
+}
+
+export class NotFoundError extends AppError {
+    static defaultCode = 'not_found';
+    static mcpCode = ErrorCode.InvalidParams;
+}
+
+export class ValidationError extends AppError {
+    static defaultCode = 'validation_failed';
+    static mcpCode = ErrorCode.InvalidParams;
+}
+
+/**
+ * Metabase unreachable, overloaded or failing (network errors, timeouts, 429, 5xx)
+ */
+export class UpstreamError extends AppError {
+    static defaultCode = 'upstream_error';
+    static mcpCode = ErrorCode.InternalError;
+}
+
+/**
+ * The query reached the database and failed there (syntax, missing column, cancelled).
+ * A statement that ran but produced no result set gets code `no_result_set`.
+ */
+export class SqlError extends AppError {
+    constructor(message, options = {}) {
+        super(message, { ...options, code: options.code || (NO_RESULT_SET.test(message) ? 'no_result_set' : undefined) });
+    }
+
+    static defaultCode = 'sql_error';
+    static mcpCode = ErrorCode.InternalError;
+}
+
+/**
+ * Message from a Metabase error body. Metabase answers with `{ message }`,
+ * `{ errors: { field: message } }` or a bare string depending on the endpoint.
+ */
+function upstreamMessage(data) {
+    if (!data) return null;
+    if (typeof data === 'string') return data;
+    if (data.message) return data.message;
+    if (data.error) return data.error;
+    if (data.errors && typeof data.errors === 'object') {
+        return Object.entries(data.errors).map(([field, msg]) => `${field}: ${msg}`).join('; ');
+    }
+    return null;
+}
+
+/**
+ * Classify a failed HTTP call (axios error) to Metabase
+ * @param {Error} error - Axios error
+ * @param {string} [context] - e.g. "GET /api/card/12"
+ * @returns {AppError}
+ */
+export function fromHttpError(error, context) {
+    const status = error.response?.status;
+    const detail = upstreamMessage(error.response?.data) || error.message;
+    const message = `Metabase API Error: ${detail}`;
+    const options = { status, cause: error, details: context ? { request: context } : undefined };
+
+    if (NO_RESULT_SET.test(detail)) {
+        return new SqlError(message, options);
+    }
+
+    if (!error.response) {
+        if (error.code === 'ERR_CANCELED') {
+            return new UpstreamError('Request cancelled', { ...options, code: 'cancelled' });
+        }
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+            return new UpstreamError(message, { ...options, code: 'timeout', retryable: true });
+        }
+        return new UpstreamError(message, { ...options, code: 'upstream_unavailable', retryable: NETWORK_ERROR_CODES.has(error.code) || !error.code });
+    }
+
+    switch (status) {
+        case 400:
+        case 422:
+            return new ValidationError(message, options);
+        case 401:
+            return new AuthError(message, options);
+        case 403:
+            return new PermissionError(message, options);
+        case 404:
+            return new NotFoundError(message, options);
+        case 408:
+            return new UpstreamError(message, { ...options, code: 'timeout', retryable: true });
+        case 429:
+            return new UpstreamError(message, { ...options, code: 'rate_limited', retryable: true });
+        default:
+            return new UpstreamError(message, { ...options, retryable: status >= 500 });
+    }
+}
+
+/**
+ * Turn anything thrown into an AppError. Axios errors are classified by status;
+ * other errors become internal_error (a bug or an unexpected response shape).
+ * @param {unknown} error
+ * @returns {AppError}
+ */
+export function normalizeError(error) {
+    if (error instanceof AppError) return error;
+    if (error?.isAxiosError) return fromHttpError(error, error.config && `${error.config.method?.toUpperCase()} ${error.config.url}`);
+    if (error instanceof Error) return new AppError(error.message, { cause: error });
+    return new AppError(String(error));
+}
+
+/**
+ * MCP protocol error for non-tool requests
+ * @param {unknown} error
+ * @returns {McpError}
+ */
+export function toMcpError(error) {
+    if (error instanceof McpError) return error;
+    const appError = normalizeError(error);
+    return new McpError(appError.constructor.mcpCode, appError.message, appError.toJSON());
+}
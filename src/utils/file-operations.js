@@ -1,6 +1,23 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { logger } from './logger.js';
+import { dashboardCards } from '../metabase/compat.js';
+
+/**
+ * One CSV line (no line break). Values with commas, quotes or line breaks are quoted;
+ * null and undefined are empty, dates are ISO 8601 and other objects are written as JSON.
+ */
+export function toCsvLine(values) {
+  return values.map(cell => {
+    if (cell === null || cell === undefined) return '';
+    const str = cell instanceof Date ? cell.toISOString()
+      : typeof cell === 'object' ? JSON.stringify(cell) : String(cell);
+    if (/[",\r\n]/.test(str)) {
+      return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+  }).join(',');
+}
 
 export class FileOperations {
   constructor(options = {}) {
@@ -248,7 +265,7 @@ export class FileOperations {
     const dashboard = JSON.parse(file.content);
     
     // Validate dashboard structure
-    if (!dashboard.name || !dashboard.ordered_cards) {
+    if (!dashboard.name || !(dashboard.dashcards || dashboard.ordered_cards)) {
       throw new Error('Invalid dashboard structure');
     }
     
@@ -308,16 +325,17 @@ export class FileOperations {
     md += `**Created:** ${dashboard.created_at}\n`;
     md += `**Updated:** ${dashboard.updated_at}\n\n`;
     
-    if (dashboard.ordered_cards && dashboard.ordered_cards.length > 0) {
-      md += `## Cards (${dashboard.ordered_cards.length})\n\n`;
+    const cards = dashboardCards(dashboard);
+    if (cards.length > 0) {
+      md += `## Cards (${cards.length})\n\n`;
       
-      dashboard.ordered_cards.forEach((card, index) => {
+      cards.forEach((card, index) => {
         md += `### ${index + 1}. ${card.card?.name || 'Unnamed Card'}\n`;
         if (card.card?.description) {
           md += `${card.card.description}\n`;
         }
         md += `- Position: Row ${card.row}, Col ${card.col}\n`;
-        md += `- Size: ${card.sizeX} x ${card.sizeY}\n\n`;
+        md += `- Size: ${card.size_x ?? card.sizeX} x ${card.size_y ?? card.sizeY}\n\n`;
       });
     }
     
@@ -374,15 +392,7 @@ export class FileOperations {
     let csv = headers.map(h => `"${h}"`).join(',') + '\n';
     
     for (const row of rows) {
-      const escapedRow = row.map(cell => {
-        if (cell === null || cell === undefined) return '';
-        const str = String(cell);
-        if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-          return `"${str.replace(/"/g, '""')}"`;
-        }
-        return str;
-      });
-      csv += escapedRow.join(',') + '\n';
+      csv += toCsvLine(row) + '\n';
     }
     
     return csv;
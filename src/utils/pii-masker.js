@@ -0,0 +1,364 @@
+/**
+ * PII Masker
+ * Finds personal data in query results and masks it before it reaches the model.
+ * A column holds PII when
+ *   - its Metabase semantic type says so (type/Email, type/Birthdate, type/Address),
+ *   - its name matches a category pattern (email, phone, ssn, iban, first_name, ...), or
+ *   - most of its sampled values match a category's value check (emails, card numbers
+ *     passing Luhn, IBANs passing mod 97, TC kimlik numbers, ...).
+ * Every value in a PII column is masked. Emails, card numbers, SSNs and IBANs that appear
+ * inside other text are masked in place.
+ *
+ * Modes:
+ *   redact   [email]
+ *   hash     email#3f9a1c2b7d4e (HMAC, so equal values stay equal and can still be grouped)
+ *   partial  j***@example.com, *** *** 4567, 1985-**-** (what is kept depends on the category)
+ *   off      no masking
+ * Secrets (password, token, api_key columns) are always redacted.
+ */
+import crypto from 'crypto';
+
+export const PII_MODES = ['off', 'redact', 'hash', 'partial'];
+
+const CUSTOM_CATEGORY = 'custom';
+
+// ── Value checks ───────────────────────────────────────────────────────────
+
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+function isCardNumber(value) {
+    if (!/^\d[\d -]{11,22}\d$/.test(value)) return false;
+    const digits = digitsOf(value);
+    return digits.length >= 13 && digits.length <= 19 && !/^(\d)\1+$/.test(digits) && passesLuhn(digits);
+}
+
+function isIban(value) {
+    const compact = value.replace(/\s/g, '').toUpperCase();
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(compact)) return false;
+    const rearranged = (compact.slice(4) + compact.slice(0, 4)).replace(/[A-Z]/g, c => String(c.charCodeAt(0) - 55));
+    let remainder = 0;
+    for (const digit of rearranged) remainder = (remainder * 10 + Number(digit)) % 97;
+    return remainder === 1;
+}
+
+// TC kimlik no: 11 digits, checksum on the 10th and 11th digit
+function isTcKimlik(value) {
+    if (!/^[1-9]\d{10}$/.test(value)) return false;
+    const d = [...value].map(Number);
+    const odd = d[0] + d[2] + d[4] + d[6] + d[8];
+    const even = d[1] + d[3] + d[5] + d[7];
+    return ((odd * 7 - even) % 10 + 10) % 10 === d[9] && d.slice(0, 10).reduce((a, b) => a + b, 0) % 10 === d[10];
+}
+
+function isIpv4(value) {
+    const parts = value.split('.');
+    return parts.length === 4 && parts.every(p => /^\d{1,3}$/.test(p) && Number(p) <= 255);
+}
+
+// ── Partial masks ──────────────────────────────────────────────────────────
+
+/**
+ * Replace every digit except the last `keep` ones, keeping separators
+ */
+function maskDigits(value, keep) {
+    let remaining = digitsOf(value).length - keep;
+    return value.replace(/\d/g, d => (remaining-- > 0 ? '*' : d));
+}
+
+const keepEnds = (value) => (value.length <= 2 ? '*'.repeat(value.length) : `${value[0]}***${value[value.length - 1]}`);
+
+// ── Categories ─────────────────────────────────────────────────────────────
+
+/**
+ * Checked in this order; the first match wins (email_address is an email, not an address).
+ * `names` runs on the snake_cased column name, `value` on whole string values,
+ * `inline` finds occurrences inside longer text.
+ */
+const CATEGORIES = {
+    secret: {
+        names: /(^|_)(password|passwd|pwd|secret|api_?key|access_?token|refresh_?token|auth_?token|token|private_?key|password_?hash|salt)(_|$)/,
+        partial: () => null,
+    },
+    email: {
+        semanticTypes: ['type/Email'],
+        names: /(^|_)e_?mail(_?addr(ess)?)?(_|$)/,
+        value: (v) => /^[^\s@]+@[^\s@]+\.[A-Za-z]{2,}$/.test(v),
+        inline: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+        partial: (v) => {
+            const at = v.lastIndexOf('@');
+            return at > 0 ? `${v[0]}***${v.slice(at)}` : null;
+        },
+    },
+    ip_address: {
+        names: /(^|_)(ip|ip_?addr(ess)?|client_?ip|remote_?addr(ess)?)(_|$)/,
+        value: isIpv4,
+        partial: (v) => (isIpv4(v) ? v.split('.').slice(0, 2).concat(['*', '*']).join('.') : null),
+    },
+    credit_card: {
+        names: /(^|_)(credit_?card(_?(no|num|number))?|card_?(no|num|number)|cc_?(no|num|number)|pan)(_|$)/,
+        value: isCardNumber,
+        inline: /\b\d(?:[ -]?\d){12,18}\b/g,
+        inlineCheck: isCardNumber,
+        partial: (v) => maskDigits(v, 4),
+    },
+    iban: {
+        names: /(^|_)(iban|bank_?account(_?(no|num|number))?)(_|$)/,
+        value: isIban,
+        inline: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+        inlineCheck: isIban,
+        partial: (v) => {
+            const compact = v.replace(/\s/g, '');
+            return `${compact.slice(0, 4)}${'*'.repeat(Math.max(compact.length - 8, 0))}${compact.slice(-4)}`;
+        },
+    },
+    national_id: {
+        names: /(^|_)(ssn|social_?security(_?(no|num|number))?|national_?id|nin|tckn|tc_?kimlik(_?no)?|kimlik_?no|passport(_?(no|num|number))?|tax_?id|tin|vkn|drivers?_?licen[cs]e(_?(no|num|number))?)(_|$)/,
+        value: (v) => /^\d{3}-\d{2}-\d{4}$/.test(v) || isTcKimlik(v),
+        inline: /\b\d{3}-\d{2}-\d{4}\b/g,
+        partial: (v) => (/\d/.test(v) ? maskDigits(v, 2) : null),
+    },
+    phone: {
+        names: /(^|_)(phone|mobile|cell|cellphone|msisdn|gsm|tel|telephone|fax)(_?(no|num|number))?(_|$)/,
+        value: (v) => /^(\+|00)\d[\d\s().-]{7,17}\d$/.test(v) || /^\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}$/.test(v),
+        partial: (v) => (digitsOf(v).length > 4 ? maskDigits(v, 4) : null),
+    },
+    person_name: {
+        names: /(^|_)(first_?name|last_?name|full_?name|sur_?name|given_?name|family_?name|middle_?name|maiden_?name|ad_?soyad|isim)(_|$)/,
+        partial: (v) => v.split(/\s+/).filter(Boolean).map(word => `${word[0]}***`).join(' '),
+    },
+    birth_date: {
+        semanticTypes: ['type/Birthdate'],
+        names: /(^|_)(birth_?date|date_?of_?birth|dob|birthday|dogum_?tarihi)(_|$)/,
+        partial: (v) => {
+            const match = /^(\d{4})-\d{2}-\d{2}/.exec(v);
+            return match ? `${match[1]}-**-**` : null;
+        },
+    },
+    address: {
+        semanticTypes: ['type/Address'],
+        names: /(^|_)(address|street|street_?address|address_?line_?\d?|home_?address|postal_?address|adres)(_|$)/,
+        partial: () => null,
+    },
+};
+
+const INLINE_CATEGORIES = Object.entries(CATEGORIES).filter(([, c]) => c.inline);
+
+export const PII_CATEGORIES = [...Object.keys(CATEGORIES), CUSTOM_CATEGORY];
+
+/**
+ * Column name to snake_case words: customerEmail -> customer_email
+ */
+function normalizeColumnName(name) {
+    return String(name ?? '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_|_$/g, '');
+}
+
+/**
+ * Column pattern (`column`, `table.column`, `*` wildcards) to a case-insensitive regex
+ */
+function compileColumnPattern(pattern) {
+    const source = String(pattern).toLowerCase().split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Names a column can be matched by: `column` and, when the table is known, `table.column`
+ */
+function columnKeys(column, context) {
+    const name = String((typeof column === 'string' ? column : column?.name) ?? '').toLowerCase();
+    return context.table ? [name, `${String(context.table).toLowerCase()}.${name}`] : [name];
+}
+
+/**
+ * PiiMasker - Detects PII columns and masks result rows
+ */
+export class PiiMasker {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.mode] - off | redact | hash | partial (MCP_PII_MASKING, or the policy's pii.mode)
+     * @param {object} [options.categories] - Per-category mode, e.g. { email: 'hash', person_name: 'redact' }
+     * @param {object} [options.columns] - { mask: [...], allow: [...] } column patterns that are always / never masked
+     * @param {boolean} [options.detectValues] - Also flag columns by their values (default true)
+     * @param {string} [options.salt] - HMAC key for hash mode (MCP_PII_HASH_SALT); random per process when omitted
+     * @throws {Error} On an unknown mode or category
+     */
+    constructor(options = {}) {
+        this.mode = options.mode || 'off';
+        this.categoryModes = options.categories || {};
+        for (const mode of [this.mode, ...Object.values(this.categoryModes)]) {
+            if (!PII_MODES.includes(mode)) throw new Error(`Unknown PII masking mode: ${mode}. Use one of ${PII_MODES.join(', ')}`);
+        }
+        const unknown = Object.keys(this.categoryModes).filter(c => !PII_CATEGORIES.includes(c));
+        if (unknown.length > 0) throw new Error(`Unknown PII categories: ${unknown.join(', ')}. Known: ${PII_CATEGORIES.join(', ')}`);
+
+        this.maskPatterns = (options.columns?.mask || []).map(compileColumnPattern);
+        this.allowPatterns = (options.columns?.allow || []).map(compileColumnPattern);
+        this.detectValues = options.detectValues !== false;
+        this.salt = options.salt || crypto.randomBytes(16).toString('hex');
+    }
+
+    get enabled() {
+        return this.mode !== 'off' || Object.values(this.categoryModes).some(mode => mode !== 'off');
+    }
+
+    /**
+     * Mode that applies to a category
+     */
+    modeFor(category) {
+        if (category === 'secret') return 'redact';
+        return this.categoryModes[category] || this.mode;
+    }
+
+    /**
+     * Whether a column matches the policy's `columns.allow` list (never masked)
+     * @param {object|string} column - Metabase col / field or a column name
+     * @param {object} [context] - { table } so `table.column` patterns can match
+     */
+    isAllowed(column, context = {}) {
+        return this.allowPatterns.some(p => columnKeys(column, context).some(k => p.test(k)));
+    }
+
+    /**
+     * Classify one column from its metadata (no values)
+     * @param {object|string} column - Metabase col / field ({ name, semantic_type }) or a column name
+     * @param {object} [context] - { table } so `table.column` patterns can match
+     * @returns {{category: string, source: string}|null} source: policy | semantic_type | name
+     */
+    classifyColumn(column, context = {}) {
+        if (this.isAllowed(column, context)) return null;
+        if (this.maskPatterns.some(p => columnKeys(column, context).some(k => p.test(k)))) {
+            return { category: CUSTOM_CATEGORY, source: 'policy' };
+        }
+
+        const name = typeof column === 'string' ? column : column?.name;
+        const semanticType = typeof column === 'object' ? column?.semantic_type || column?.special_type : null;
+        const normalized = normalizeColumnName(name);
+        for (const [category, definition] of Object.entries(CATEGORIES)) {
+            if (semanticType && definition.semanticTypes?.includes(semanticType)) return { category, source: 'semantic_type' };
+            if (definition.names.test(normalized)) return { category, source: 'name' };
+        }
+        return null;
+    }
+
+    /**
+     * Classify a column from sample values: a category whose check passes for at least 80% of the non-empty strings
+     * @param {Array} values
+     * @returns {{category: string, source: string, matched: number, sampled: number}|null}
+     */
+    classifyValues(values) {
+        const strings = values.filter(v => typeof v === 'string' && v.trim() !== '').slice(0, 200).map(v => v.trim());
+        if (strings.length === 0) return null;
+        for (const [category, definition] of Object.entries(CATEGORIES)) {
+            if (!definition.value) continue;
+            const matched = strings.filter(definition.value).length;
+            if (matched / strings.length >= 0.8) return { category, source: 'values', matched, sampled: strings.length };
+        }
+        return null;
+    }
+
+    /**
+     * Find the PII columns of a result
+     * @param {Array<object|string>} columns - Metabase cols or column names
+     * @param {Array<Array>} rows
+     * @param {object} [context] - { table }
+     * @returns {Array<{category: string, source: string}|null>} One entry per column
+     */
+    detectColumns(columns, rows = [], context = {}) {
+        return columns.map((column, index) => {
+            const byMetadata = this.classifyColumn(column, context);
+            // Allow-listed columns stay unmasked even if their values look like PII
+            if (byMetadata || !this.detectValues || this.isAllowed(column, context)) return byMetadata;
+            return this.classifyValues(rows.map(row => row?.[index]));
+        });
+    }
+
+    /**
+     * Mask one value of a PII column
+     * @param {*} value
+     * @param {string} category
+     * @returns {*} The masked string, or the value unchanged (null, or mode off)
+     */
+    maskValue(value, category) {
+        if (value === null || value === undefined) return value;
+        const mode = this.modeFor(category);
+        if (mode === 'off') return value;
+
+        const text = value instanceof Date ? value.toISOString() : String(value);
+        if (mode === 'hash') {
+            return `${category}#${crypto.createHmac('sha256', this.salt).update(text).digest('hex').slice(0, 12)}`;
+        }
+        if (mode === 'partial') {
+            const partial = CATEGORIES[category]?.partial ? CATEGORIES[category].partial(text) : keepEnds(text);
+            if (partial) return partial;
+        }
+        return `[${category}]`;
+    }
+
+    /**
+     * Mask emails, card numbers, SSNs and IBANs inside free text
+     * @param {string} text
+     * @returns {string}
+     */
+    maskText(text) {
+        if (typeof text !== 'string' || !this.enabled) return text;
+        let result = text;
+        for (const [category, definition] of INLINE_CATEGORIES) {
+            if (this.modeFor(category) === 'off') continue;
+            result = result.replace(definition.inline, match =>
+                (definition.inlineCheck && !definition.inlineCheck(match) ? match : this.maskValue(match, category)));
+        }
+        return result;
+    }
+
+    /**
+     * Mask a result set
+     * @param {Array<object|string>} columns - Metabase cols or column names
+     * @param {Array<Array>} rows
+     * @param {object} [context] - { table }
+     * @returns {{ rows: Array<Array>, masked: Array<{column: string, category: string, source: string, mode: string}> }}
+     *   New rows (the input is not modified) and the columns that were masked
+     */
+    maskRows(columns, rows = [], context = {}) {
+        if (!this.enabled) return { rows, masked: [] };
+
+        const detected = this.detectColumns(columns, rows, context);
+        const masked = detected
+            .map((found, index) => found && { column: typeof columns[index] === 'string' ? columns[index] : columns[index]?.name, ...found, mode: this.modeFor(found.category) })
+            .filter(found => found && found.mode !== 'off');
+
+        const allowed = columns.map(column => this.isAllowed(column, context));
+        const maskedRows = rows.map(row => (Array.isArray(row) ? row.map((cell, index) => {
+            const found = detected[index];
+            if (found) return this.maskValue(cell, found.category);
+            return typeof cell === 'string' && !allowed[index] ? this.maskText(cell) : cell;
+        }) : row));
+
+        return { rows: maskedRows, masked: masked.map(({ matched, sampled, ...rest }) => rest) };
+    }
+}
+
+/**
+ * One-line note for responses: "🛡️ PII masked: email (hash), phone (partial)"
+ * @param {Array<{column: string, mode: string}>} masked - From maskRows()
+ * @returns {string} Empty when nothing was masked
+ */
+export function describeMasking(masked) {
+    if (!masked?.length) return '';
+    return `🛡️ PII masked: ${masked.map(m => `${m.column} (${m.mode})`).join(', ')}`;
+}
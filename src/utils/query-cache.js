@@ -0,0 +1,273 @@
+/**
+ * Query Result Cache - Reuses sql_execute results for repeated read-only queries
+ *
+ * Entries are keyed by database and normalized SQL: the text is tokenized with the
+ * database's dialect and the tokens re-joined, so whitespace and comments do not
+ * change the key (`SELECT  *\nFROM t -- x` and `SELECT * FROM t` share one entry).
+ * Identifiers and literals keep their case.
+ *
+ * Each entry records the tables its SQL reads. A write to one of them (UPDATE t,
+ * DROP TABLE t, TRUNCATE s.t, DROP SCHEMA s) removes the entry; writes whose tables
+ * cannot be determined remove every entry of that database. The cache holds at most
+ * `maxBytes` of results (JSON size), evicting the least recently used entries first.
+ */
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { classifySQL, extractRelations, firstWrite, tokenizeSQL } from './sql-classifier.js';
+
+const DEFAULT_TTL_SECONDS = 300;
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+// Arguments of write tools (db_table_create, db_ai_drop, ...) that name the table they change
+const TABLE_ARGUMENTS = ['table_name', 'view_name', 'object_name'];
+const SCHEMA_ARGUMENTS = ['schema_name', 'schema'];
+// Arguments that carry SQL (as in the policy's SQL access rules)
+const SQL_ARGUMENTS = ['sql', 'query_sql', 'select_sql', 'sql_template'];
+
+/**
+ * SQL with whitespace and comments normalized away
+ * @param {string} sql
+ * @param {string|null} [dialect] - SqlDialect value (default: postgres)
+ * @returns {string}
+ */
+export function normalizeSQL(sql, dialect = null) {
+    const { tokens } = tokenizeSQL(String(sql ?? ''), dialect || undefined);
+    return tokens.map(token => token.value).join(' ');
+}
+
+const lower = (value) => (value === null || value === undefined ? null : String(value).toLowerCase());
+
+/**
+ * Whether a write to `written` can change the result of a query that reads `read`.
+ * Unqualified names match any schema, since the default schema is not known here.
+ */
+function overlaps(read, written) {
+    if (written.name === null) return read.schema === null || lower(read.schema) === lower(written.schema);
+    if (lower(read.name) !== lower(written.name)) return false;
+    return read.schema === null || written.schema === null || lower(read.schema) === lower(written.schema);
+}
+
+/**
+ * QueryResultCache - In-memory, byte-bounded LRU of query results
+ */
+export class QueryResultCache {
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.enabled] - Cache every database (MCP_QUERY_CACHE); otherwise only databases with a policy TTL
+     * @param {number} [options.ttlSeconds] - Default entry lifetime (MCP_QUERY_CACHE_TTL_SECONDS)
+     * @param {number} [options.maxBytes] - Total size of cached results (MCP_QUERY_CACHE_MAX_BYTES)
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled === true;
+        this.ttlSeconds = options.ttlSeconds ?? DEFAULT_TTL_SECONDS;
+        this.maxBytes = options.maxBytes ?? DEFAULT_MAX_BYTES;
+        this.entries = new Map();
+        this.bytes = 0;
+        this.stats = { hits: 0, misses: 0, sets: 0, evictions: 0, invalidations: 0 };
+    }
+
+    key(databaseId, sql, dialect) {
+        const hash = crypto.createHash('sha256').update(normalizeSQL(sql, dialect)).digest('hex');
+        return `${databaseId}:${hash}`;
+    }
+
+    /**
+     * Cached result of a query, if it has not expired
+     * @param {number|string} databaseId
+     * @param {string} sql
+     * @param {object} [options]
+     * @param {string|null} [options.dialect]
+     * @returns {{result: {columns: Array, rows: Array<Array>, masked: Array}, cached_at: string, age_seconds: number}|null}
+     */
+    get(databaseId, sql, options = {}) {
+        const key = this.key(databaseId, sql, options.dialect);
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) this.remove(key);
+            this.stats.misses++;
+            return null;
+        }
+
+        // Most recently used last
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.hits++;
+        return {
+            result: entry.result,
+            cached_at: new Date(entry.cachedAt).toISOString(),
+            age_seconds: Math.floor((Date.now() - entry.cachedAt) / 1000),
+        };
+    }
+
+    /**
+     * Store a query result
+     * @param {number|string} databaseId
+     * @param {string} sql - Read-only SQL as executed
+     * @param {{columns: Array, rows: Array<Array>, masked: Array}} result
+     * @param {object} options
+     * @param {number} options.ttlSeconds - 0 skips caching
+     * @param {string|null} [options.dialect]
+     * @returns {boolean} Whether the result was cached (it may be larger than the whole cache)
+     */
+    set(databaseId, sql, result, options) {
+        if (!(options.ttlSeconds > 0)) return false;
+
+        const bytes = Buffer.byteLength(JSON.stringify(result));
+        if (bytes > this.maxBytes) {
+            logger.debug(`Query cache: result of ${bytes} bytes exceeds the ${this.maxBytes}-byte cache, not cached`);
+            return false;
+        }
+
+        const key = this.key(databaseId, sql, options.dialect);
+        this.remove(key);
+        while (this.bytes + bytes > this.maxBytes && this.entries.size > 0) {
+            this.remove(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+
+        const now = Date.now();
+        this.entries.set(key, {
+            databaseId: String(databaseId),
+            relations: extractRelations(sql, { dialect: options.dialect || undefined }),
+            result,
+            bytes,
+            cachedAt: now,
+            expiresAt: now + options.ttlSeconds * 1000,
+        });
+        this.bytes += bytes;
+        this.stats.sets++;
+        return true;
+    }
+
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        this.entries.delete(key);
+        this.bytes -= entry.bytes;
+    }
+
+    /**
+     * Drop entries that read any of the given relations
+     * @param {number|string} databaseId
+     * @param {Array<{schema: string|null, name: string|null}>} relations - From extractRelations(); empty drops the whole database
+     * @returns {number} Entries dropped
+     */
+    invalidateTables(databaseId, relations) {
+        if (relations.length === 0) return this.invalidateDatabase(databaseId);
+
+        let dropped = 0;
+        for (const [key, entry] of this.entries) {
+            if (entry.databaseId !== String(databaseId)) continue;
+            if (entry.relations.some(read => relations.some(written => overlaps(read, written)))) {
+                this.remove(key);
+                dropped++;
+            }
+        }
+        this.recordInvalidation(databaseId, dropped);
+        return dropped;
+    }
+
+    /**
+     * Drop every entry of a database
+     * @returns {number} Entries dropped
+     */
+    invalidateDatabase(databaseId) {
+        let dropped = 0;
+        for (const [key, entry] of this.entries) {
+            if (entry.databaseId === String(databaseId)) {
+                this.remove(key);
+                dropped++;
+            }
+        }
+        this.recordInvalidation(databaseId, dropped);
+        return dropped;
+    }
+
+    /**
+     * Drop the entries a piece of SQL may have changed. Read-only SQL changes nothing;
+     * admin statements and writes whose tables are not found drop the whole database.
+     * @param {number|string} databaseId
+     * @param {string} sql
+     * @param {object} [options]
+     * @param {string|null} [options.dialect]
+     * @returns {number} Entries dropped
+     */
+    invalidateSql(databaseId, sql, options = {}) {
+        if (this.entries.size === 0) return 0;
+
+        const dialect = options.dialect || undefined;
+        const classification = classifySQL(sql, { dialect });
+        if (!firstWrite(classification)) return 0;
+        if (classification.type === 'admin' || classification.type === 'unknown') return this.invalidateDatabase(databaseId);
+        return this.invalidateTables(databaseId, extractRelations(sql, { dialect }));
+    }
+
+    /**
+     * Drop the entries a write tool call may have changed: the table it names
+     * (table_name, view_name or object_name, in schema_name / schema) and the tables
+     * written by its SQL arguments
+     * @param {number|string} databaseId
+     * @param {object} args - The call's arguments
+     * @returns {number} Entries dropped
+     */
+    invalidateArguments(databaseId, args) {
+        if (this.entries.size === 0) return 0;
+
+        let dropped = 0;
+        const name = TABLE_ARGUMENTS.map(arg => args[arg]).find(value => typeof value === 'string' && value !== '');
+        if (name) {
+            const schema = SCHEMA_ARGUMENTS.map(arg => args[arg]).find(value => typeof value === 'string' && value !== '') ?? null;
+            // "schema.table" in the name argument
+            const dot = schema === null ? name.indexOf('.') : -1;
+            const relation = dot > 0 ? { schema: name.slice(0, dot), name: name.slice(dot + 1) } : { schema, name };
+            dropped += this.invalidateTables(databaseId, [relation]);
+        }
+        for (const arg of SQL_ARGUMENTS) {
+            if (typeof args[arg] === 'string') dropped += this.invalidateSql(databaseId, args[arg]);
+        }
+        return dropped;
+    }
+
+    recordInvalidation(databaseId, dropped) {
+        if (dropped === 0) return;
+        this.stats.invalidations += dropped;
+        logger.debug(`Query cache: ${dropped} result(s) of database ${databaseId} invalidated`);
+    }
+
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            entries: this.entries.size,
+            bytes: this.bytes,
+            max_bytes: this.maxBytes,
+            ...this.stats,
+        };
+    }
+}
+
+/**
+ * Query result cache from the MCP_QUERY_CACHE* settings (one per Metabase instance)
+ * @returns {QueryResultCache}
+ */
+export function createQueryCache() {
+    return new QueryResultCache({
+        enabled: process.env.MCP_QUERY_CACHE === 'true',
+        ttlSeconds: parseInt(process.env.MCP_QUERY_CACHE_TTL_SECONDS, 10) || undefined,
+        maxBytes: parseInt(process.env.MCP_QUERY_CACHE_MAX_BYTES, 10) || undefined,
+    });
+}
+
+// Singleton instance (the default Metabase instance's)
+let instance = null;
+
+export function getQueryCache() {
+    if (!instance) {
+        instance = createQueryCache();
+    }
+    return instance;
+}
@@ -3,6 +3,7 @@
  * Reduces token usage by providing minimal response formats
  * Inspired by jerichosequitin/metabase-mcp response optimization
  */
+import { dashboardCards } from '../metabase/compat.js';
 
 /**
  * Format options for response optimization
@@ -50,7 +51,7 @@ export function minimalDashboard(dashboard) {
         id: dashboard.id,
         name: dashboard.name,
         collection_id: dashboard.collection_id,
-        card_count: dashboard.ordered_cards?.length || 0,
+        card_count: dashboardCards(dashboard).length,
     };
 }
 
@@ -159,6 +160,17 @@ export function estimateTokens(text) {
     return Math.ceil(text.length / 4);
 }
 
+/**
+ * Human-readable size (B, KB, MB)
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
 /**
  * Create summary statistics for list response
  * @param {Array} items - Array of items
@@ -186,5 +198,6 @@ export default {
     formatListResponse,
     formatSQLResult,
     estimateTokens,
+    formatBytes,
     createListSummary,
 };
@@ -0,0 +1,152 @@
+/**
+ * Result Diff - Compares two result sets of the same query (schedule snapshots)
+ *
+ * Rows are matched on key columns. Without explicit key columns every non-numeric column is
+ * part of the key and every numeric column is a metric, so `date | region | revenue` is keyed
+ * on date and region. Then:
+ *   added / removed   keys only in the newer / older result
+ *   changed           matched rows whose metrics moved by at least the threshold, or whose
+ *                     other (non-key, non-metric) values differ
+ * Columns are matched by name, so a reordered SELECT still compares.
+ */
+import { ValidationError } from './errors.js';
+import { columnKind } from './result-export.js';
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Whether a column holds numbers: from its Metabase type, or from its values when it has none
+ */
+function isNumericColumn(column, index, rows) {
+    const kind = columnKind(column);
+    if (kind === 'integer' || kind === 'number') return true;
+    if (column.base_type || column.effective_type) return false;
+    const sample = rows.find(row => row[index] !== null && row[index] !== undefined);
+    return typeof sample?.[index] === 'number';
+}
+
+/**
+ * Row lookup by key. Repeated keys are numbered so duplicates pair up in order.
+ */
+function indexRows(rows, keyIndexes) {
+    const byKey = new Map();
+    const seen = new Map();
+    for (const row of rows) {
+        const base = JSON.stringify(keyIndexes.map(i => row[i] ?? null));
+        const count = (seen.get(base) || 0) + 1;
+        seen.set(base, count);
+        byKey.set(count === 1 ? base : `${base}#${count}`, row);
+    }
+    return byKey;
+}
+
+function rowObject(names, row) {
+    return Object.fromEntries(names.map((name, i) => [name, row[i] ?? null]));
+}
+
+/**
+ * Whether a metric change passes the thresholds: any change when none is set, otherwise
+ * an absolute delta >= thresholdAbs or a relative one >= thresholdPct (either is enough)
+ */
+function isSignificant(delta, deltaPct, thresholdPct, thresholdAbs) {
+    if (delta === 0) return false;
+    if (thresholdPct === undefined && thresholdAbs === undefined) return true;
+    if (thresholdAbs !== undefined && Math.abs(delta) >= thresholdAbs) return true;
+    // From or to zero counts as an infinite relative change
+    if (thresholdPct !== undefined && (deltaPct === null || Math.abs(deltaPct) >= thresholdPct)) return true;
+    return false;
+}
+
+/**
+ * Compare two result sets
+ * @param {{columns: Array<{name: string}>, rows: Array<Array>}} before
+ * @param {{columns: Array<{name: string}>, rows: Array<Array>}} after
+ * @param {object} [options]
+ * @param {string[]} [options.keyColumns] - Columns that identify a row (default: the non-numeric ones)
+ * @param {number} [options.thresholdPct] - Minimum relative metric change, in percent
+ * @param {number} [options.thresholdAbs] - Minimum absolute metric change
+ * @param {number} [options.limit] - Rows listed per category (counts are always complete)
+ * @returns {{key_columns: string[], metric_columns: string[], counts: object, added: object[], removed: object[], changed: object[]}}
+ * @throws {ValidationError} When a key column is missing from either result
+ */
+export function diffResults(before, after, options = {}) {
+    const limit = options.limit ?? DEFAULT_LIMIT;
+    const names = after.columns.map(c => c.name);
+    const beforeIndex = new Map(before.columns.map((c, i) => [c.name, i]));
+
+    const keyColumns = options.keyColumns?.length
+        ? options.keyColumns
+        : names.filter((name, i) => !isNumericColumn(after.columns[i], i, after.rows));
+    const missing = keyColumns.filter(name => !names.includes(name) || !beforeIndex.has(name));
+    if (missing.length > 0) {
+        throw new ValidationError(`Key column(s) not in both results: ${missing.join(', ')}`, { code: 'invalid_key_columns' });
+    }
+
+    // Only columns present in both results are compared
+    const shared = names.filter(name => !keyColumns.includes(name) && beforeIndex.has(name));
+    const metricColumns = shared.filter(name => {
+        const i = names.indexOf(name);
+        return isNumericColumn(after.columns[i], i, after.rows);
+    });
+    const valueColumns = shared.filter(name => !metricColumns.includes(name));
+
+    const beforeRows = indexRows(before.rows, keyColumns.map(name => beforeIndex.get(name)));
+    const afterRows = indexRows(after.rows, keyColumns.map(name => names.indexOf(name)));
+    const beforeNames = before.columns.map(c => c.name);
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    let unchanged = 0;
+
+    for (const [key, row] of afterRows) {
+        const old = beforeRows.get(key);
+        if (!old) {
+            added.push(rowObject(names, row));
+            continue;
+        }
+
+        const deltas = [];
+        for (const name of metricColumns) {
+            const from = Number(old[beforeIndex.get(name)]);
+            const to = Number(row[names.indexOf(name)]);
+            if (!Number.isFinite(from) || !Number.isFinite(to)) continue;
+            const delta = to - from;
+            const deltaPct = from !== 0 ? (delta / Math.abs(from)) * 100 : (to !== 0 ? null : 0);
+            if (isSignificant(delta, deltaPct, options.thresholdPct, options.thresholdAbs)) {
+                deltas.push({ column: name, before: from, after: to, delta, delta_pct: deltaPct === null ? null : Math.round(deltaPct * 100) / 100 });
+            }
+        }
+
+        const values = valueColumns
+            .filter(name => JSON.stringify(old[beforeIndex.get(name)] ?? null) !== JSON.stringify(row[names.indexOf(name)] ?? null))
+            .map(name => ({ column: name, before: old[beforeIndex.get(name)] ?? null, after: row[names.indexOf(name)] ?? null }));
+
+        if (deltas.length > 0 || values.length > 0) {
+            changed.push({
+                key: Object.fromEntries(keyColumns.map(name => [name, row[names.indexOf(name)] ?? null])),
+                deltas,
+                ...(values.length > 0 && { values }),
+            });
+        } else {
+            unchanged++;
+        }
+    }
+
+    for (const [key, row] of beforeRows) {
+        if (!afterRows.has(key)) removed.push(rowObject(beforeNames, row));
+    }
+
+    // Largest relative moves first
+    const magnitude = change => Math.max(0, ...change.deltas.map(d => d.delta_pct === null ? Infinity : Math.abs(d.delta_pct)));
+    changed.sort((a, b) => magnitude(b) - magnitude(a));
+
+    return {
+        key_columns: keyColumns,
+        metric_columns: metricColumns,
+        counts: { added: added.length, removed: removed.length, changed: changed.length, unchanged },
+        added: added.slice(0, limit),
+        removed: removed.slice(0, limit),
+        changed: changed.slice(0, limit),
+    };
+}
@@ -0,0 +1,439 @@
+/**
+ * Result Export
+ * Writes query results to files under the exports directory (MCP_EXPORT_DIR/results):
+ *   csv      header + one line per row (RFC 4180 quoting)
+ *   jsonl    one JSON object per row, keyed by column name
+ *   xlsx     one worksheet; numbers, booleans and dates are typed cells
+ *   parquet  typed columns (INT64, DOUBLE, BOOLEAN, TIMESTAMP, STRING) from Metabase base types
+ * csv and jsonl can be gzipped. Rows are written in batches so a large result is never
+ * held twice, and every file gets a SHA-256 checksum.
+ *
+ * Metabase's own export files (csv, json, xlsx from /api/card/:id/query/:format) are saved
+ * as they are streamed, through writeStream().
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { once } from 'events';
+import { Transform } from 'stream';
+import { finished, pipeline } from 'stream/promises';
+import { logger } from './logger.js';
+import { ValidationError } from './errors.js';
+import { toCsvLine } from './file-operations.js';
+
+export const EXPORT_FORMATS = ['csv', 'jsonl', 'xlsx', 'parquet'];
+
+// Formats Metabase itself can export a card to
+export const METABASE_EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+// Largest sheet Excel opens: 1,048,576 rows including the header
+export const XLSX_MAX_ROWS = 1048575;
+
+const GZIP_FORMATS = ['csv', 'jsonl', 'json'];
+const BATCH_ROWS = 1000;
+
+// ── Column types ───────────────────────────────────────────────────────────
+
+/**
+ * Value kind of a Metabase column, from its base_type (effective_type when set)
+ * @returns {'integer'|'number'|'boolean'|'datetime'|'string'}
+ */
+export function columnKind(column) {
+    const type = column.effective_type || column.base_type || '';
+    if (/^type\/(Integer|BigInteger)$/.test(type)) return 'integer';
+    if (/^type\/(Float|Decimal|Number)$/.test(type)) return 'number';
+    if (type === 'type/Boolean') return 'boolean';
+    if (/^type\/(Date|DateTime|DateTimeWithTZ|DateTimeWithLocalTZ|DateTimeWithZoneOffset|Instant)$/.test(type)) return 'datetime';
+    return 'string';
+}
+
+/**
+ * Unique column names; a repeated name (e.g. `id` from both sides of a join) gets `_2`, `_3`, ...
+ */
+function uniqueNames(columns) {
+    const seen = new Map();
+    return columns.map((column, index) => {
+        const base = column.name || `column_${index + 1}`;
+        const count = (seen.get(base) || 0) + 1;
+        seen.set(base, count);
+        return count === 1 ? base : `${base}_${count}`;
+    });
+}
+
+function toDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function toBigInt(value) {
+    if (typeof value === 'bigint') return value;
+    if (typeof value === 'number' && Number.isInteger(value)) return BigInt(value);
+    if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) return BigInt(value.trim());
+    return undefined;
+}
+
+function toText(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Parquet column types. A column whose values do not all convert to its type is written as STRING
+ * rather than losing values.
+ */
+function parquetColumns(columns, names, rows) {
+    return columns.map((column, index) => {
+        const kind = columnKind(column);
+        const values = () => rows.map(row => row[index]).filter(v => v !== null && v !== undefined);
+        let type = 'STRING';
+        if (kind === 'integer' && values().every(v => toBigInt(v) !== undefined)) type = 'INT64';
+        else if (kind === 'number' && values().every(v => toNumber(v) !== null)) type = 'DOUBLE';
+        else if (kind === 'boolean' && values().every(v => typeof v === 'boolean')) type = 'BOOLEAN';
+        else if (kind === 'datetime' && values().every(v => toDate(v) !== null)) type = 'TIMESTAMP';
+        return { name: names[index], type };
+    });
+}
+
+function parquetValue(value, type) {
+    if (value === null || value === undefined) return null;
+    switch (type) {
+        case 'INT64': return toBigInt(value);
+        case 'DOUBLE': return toNumber(value);
+        case 'BOOLEAN': return value;
+        case 'TIMESTAMP': return toDate(value);
+        default: return toText(value);
+    }
+}
+
+function xlsxValue(value, kind) {
+    if (value === null || value === undefined) return null;
+    switch (kind) {
+        case 'integer':
+        case 'number': {
+            // Integers beyond 2^53 would lose digits as Excel numbers
+            const number = toNumber(value);
+            return number !== null && Number.isSafeInteger(Math.trunc(number)) ? number : toText(value);
+        }
+        case 'boolean': return typeof value === 'boolean' ? value : toText(value);
+        case 'datetime': return toDate(value) ?? toText(value);
+        default: return toText(value);
+    }
+}
+
+// ── Files ──────────────────────────────────────────────────────────────────
+
+/**
+ * SHA-256 of a file, hex
+ */
+export async function fileChecksum(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Writable for csv / jsonl: the file, or a gzip stream in front of it
+ */
+function openTextOutput(filePath, gzip) {
+    const file = fs.createWriteStream(filePath);
+    const output = gzip ? zlib.createGzip() : file;
+    if (gzip) output.pipe(file);
+    return {
+        async write(text) {
+            if (!output.write(text)) await once(output, 'drain');
+        },
+        async close() {
+            output.end();
+            await finished(file);
+        },
+        destroy() {
+            output.destroy();
+            file.destroy();
+        },
+    };
+}
+
+/**
+ * Pass-through stream that counts rows of a Metabase csv or json export as it goes by.
+ * Only ASCII bytes are inspected, which never occur inside multi-byte UTF-8 sequences,
+ * so chunk boundaries do not matter.
+ */
+function rowCounter(format) {
+    let newlines = 0;
+    let objects = 0;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let last = null;
+
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            for (const byte of chunk) {
+                if (format === 'csv') {
+                    if (byte === 0x22) inString = !inString;
+                    else if (byte === 0x0a && !inString) newlines++;
+                } else if (inString) {
+                    if (escaped) escaped = false;
+                    else if (byte === 0x5c) escaped = true;
+                    else if (byte === 0x22) inString = false;
+                } else if (byte === 0x22) {
+                    inString = true;
+                } else if (byte === 0x7b || byte === 0x5b) {
+                    if (byte === 0x7b && depth === 1) objects++;
+                    depth++;
+                } else if (byte === 0x7d || byte === 0x5d) {
+                    depth--;
+                }
+            }
+            if (chunk.length > 0) last = chunk[chunk.length - 1];
+            callback(null, chunk);
+        },
+    });
+
+    // csv: lines (the last one may lack a line break) minus the header
+    stream.count = () => format === 'csv'
+        ? Math.max(newlines + (last !== null && last !== 0x0a ? 1 : 0) - 1, 0)
+        : objects;
+    return stream;
+}
+
+/**
+ * Data rows in an xlsx file (first sheet, without the header)
+ */
+async function countXlsxRows(filePath) {
+    const { default: ExcelJS } = await import('exceljs');
+    const reader = new ExcelJS.stream.xlsx.WorkbookReader(filePath, { sharedStrings: 'ignore', styles: 'ignore', hyperlinks: 'ignore', worksheets: 'emit' });
+    for await (const sheet of reader) {
+        let lastRow = 0;
+        for await (const row of sheet) {
+            lastRow = row.number;
+        }
+        return Math.max(lastRow - 1, 0);
+    }
+    return 0;
+}
+
+/**
+ * ResultExporter - Writes result sets and Metabase export downloads under `<baseDir>/results`
+ */
+export class ResultExporter {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.baseDir] - Exports directory (MCP_EXPORT_DIR, default ./exports)
+     * @param {number} [options.maxRows] - Row cap for exported queries (MCP_EXPORT_MAX_ROWS)
+     */
+    constructor(options = {}) {
+        this.baseDir = path.resolve(options.baseDir || './exports');
+        this.maxRows = options.maxRows > 0 ? options.maxRows : XLSX_MAX_ROWS;
+    }
+
+    get resultsDir() {
+        return path.join(this.baseDir, 'results');
+    }
+
+    /**
+     * Path for a new export: `<name>-<timestamp>.<ext>[.gz]`. The name is reduced to
+     * letters, digits, `-`, `_` and `.` so it cannot leave the results directory.
+     */
+    async filePath(name, extension, gzip) {
+        await fsp.mkdir(this.resultsDir, { recursive: true });
+        const safeName = String(name || 'export').replace(/[^\w.-]+/g, '_').replace(/^\.+/, '').slice(0, 100) || 'export';
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        return path.join(this.resultsDir, `${safeName}-${timestamp}.${extension}${gzip ? '.gz' : ''}`);
+    }
+
+    /**
+     * @throws {ValidationError} On an unknown format or gzip on an already-compressed format
+     */
+    checkFormat(format, gzip, formats = EXPORT_FORMATS) {
+        if (!formats.includes(format)) {
+            throw new ValidationError(`Unsupported export format: ${format}. Use one of: ${formats.join(', ')}`);
+        }
+        if (gzip && !GZIP_FORMATS.includes(format)) {
+            throw new ValidationError(`${format} files are already compressed; gzip is only available for ${GZIP_FORMATS.filter(f => formats.includes(f)).join(', ')}`);
+        }
+    }
+
+    /**
+     * Write a result set
+     * @param {object} options
+     * @param {Array<{name: string, base_type?: string}>} options.columns - Metabase cols
+     * @param {Array<Array>} options.rows
+     * @param {string} options.format - csv | jsonl | xlsx | parquet
+     * @param {boolean} [options.gzip]
+     * @param {string} [options.name] - File name prefix
+     * @param {function} [options.onProgress] - async (rowsWritten, totalRows) after each batch
+     * @param {function} [options.isCancelled] - () => boolean, checked between batches
+     * @returns {Promise<{path: string, format: string, gzip: boolean, row_count: number, bytes: number, sha256: string}|{cancelled: true, row_count: number}>}
+     */
+    async write({ columns, rows, format, gzip = false, name, onProgress, isCancelled }) {
+        this.checkFormat(format, gzip);
+        if (format === 'xlsx' && rows.length > XLSX_MAX_ROWS) {
+            throw new ValidationError(`${rows.length} rows do not fit in one xlsx sheet (max ${XLSX_MAX_ROWS}); use csv or parquet`);
+        }
+
+        const filePath = await this.filePath(name, format, gzip);
+        const names = uniqueNames(columns);
+        const progress = {
+            total: rows.length,
+            async batch(done) {
+                if (onProgress) await onProgress(done, rows.length);
+                return Boolean(isCancelled?.());
+            },
+        };
+
+        let written;
+        try {
+            switch (format) {
+                case 'csv': written = await this.writeCsv(filePath, names, rows, gzip, progress); break;
+                case 'jsonl': written = await this.writeJsonl(filePath, names, rows, gzip, progress); break;
+                case 'xlsx': written = await this.writeXlsx(filePath, columns, names, rows, progress); break;
+                case 'parquet': written = await this.writeParquet(filePath, columns, names, rows, progress); break;
+            }
+        } catch (error) {
+            await fsp.rm(filePath, { force: true });
+            throw error;
+        }
+
+        if (written < rows.length) {
+            await fsp.rm(filePath, { force: true });
+            logger.info(`Export to ${filePath} cancelled after ${written} rows`);
+            return { cancelled: true, row_count: written };
+        }
+        return this.describe(filePath, format, gzip, written);
+    }
+
+    /**
+     * Save a Metabase export download (csv, json or xlsx stream) as it arrives
+     * @param {import('stream').Readable} stream
+     * @param {object} options
+     * @param {string} options.format - csv | json | xlsx
+     * @param {boolean} [options.gzip]
+     * @param {string} [options.name]
+     */
+    async writeStream(stream, { format, gzip = false, name }) {
+        this.checkFormat(format, gzip, METABASE_EXPORT_FORMATS);
+        const filePath = await this.filePath(name, format, gzip);
+        const file = fs.createWriteStream(filePath);
+        const counter = format === 'xlsx' ? null : rowCounter(format);
+        try {
+            const stages = [stream, ...(counter ? [counter] : []), ...(gzip ? [zlib.createGzip()] : []), file];
+            await pipeline(...stages);
+        } catch (error) {
+            await fsp.rm(filePath, { force: true });
+            throw error;
+        }
+        const rowCount = counter ? counter.count() : await countXlsxRows(filePath);
+        return this.describe(filePath, format, gzip, rowCount);
+    }
+
+    async describe(filePath, format, gzip, rowCount) {
+        const { size } = await fsp.stat(filePath);
+        const sha256 = await fileChecksum(filePath);
+        logger.info(`Exported ${rowCount} rows to ${filePath} (${size} bytes)`);
+        return { path: filePath, format, gzip, row_count: rowCount, bytes: size, sha256 };
+    }
+
+    /**
+     * Write rows in batches; returns the number written (less than rows.length if cancelled)
+     */
+    async eachBatch(rows, progress, writeBatch) {
+        let done = 0;
+        while (done < rows.length) {
+            const batch = rows.slice(done, done + BATCH_ROWS);
+            await writeBatch(batch);
+            done += batch.length;
+            if (await progress.batch(done) && done < rows.length) break;
+        }
+        return done;
+    }
+
+    async writeCsv(filePath, names, rows, gzip, progress) {
+        const output = openTextOutput(filePath, gzip);
+        try {
+            await output.write(toCsvLine(names) + '\n');
+            const done = await this.eachBatch(rows, progress, (batch) =>
+                output.write(batch.map(row => toCsvLine(row) + '\n').join('')));
+            await output.close();
+            return done;
+        } catch (error) {
+            output.destroy();
+            throw error;
+        }
+    }
+
+    async writeJsonl(filePath, names, rows, gzip, progress) {
+        const output = openTextOutput(filePath, gzip);
+        try {
+            const done = await this.eachBatch(rows, progress, (batch) =>
+                output.write(batch.map(row => JSON.stringify(Object.fromEntries(names.map((n, i) => [n, row[i] ?? null]))) + '\n').join('')));
+            await output.close();
+            return done;
+        } catch (error) {
+            output.destroy();
+            throw error;
+        }
+    }
+
+    async writeXlsx(filePath, columns, names, rows, progress) {
+        const { default: ExcelJS } = await import('exceljs');
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filePath, useStyles: true });
+        const sheet = workbook.addWorksheet('Result');
+        const kinds = columns.map(columnKind);
+        sheet.columns = names.map((header, i) => ({
+            header,
+            width: Math.min(Math.max(header.length + 2, 12), 60),
+            ...(kinds[i] === 'datetime' && { style: { numFmt: 'yyyy-mm-dd hh:mm:ss' } }),
+        }));
+
+        const done = await this.eachBatch(rows, progress, async (batch) => {
+            for (const row of batch) {
+                sheet.addRow(row.map((value, i) => xlsxValue(value, kinds[i]))).commit();
+            }
+        });
+        sheet.commit();
+        await workbook.commit();
+        return done;
+    }
+
+    async writeParquet(filePath, columns, names, rows, progress) {
+        const { fileWriter, parquetWrite, parquetWriteRows, schemaFromColumnData } = await import('hyparquet-writer');
+        const types = parquetColumns(columns, names, rows);
+        const schema = schemaFromColumnData({ columnData: types.map(c => ({ ...c, data: [] })) });
+        const writer = fileWriter(filePath);
+
+        // Row groups of BATCH_ROWS; stop pulling rows once the export is cancelled
+        let done = 0;
+        let cancelled = false;
+        async function* source() {
+            for (const row of rows) {
+                if (cancelled) return;
+                yield Object.fromEntries(types.map((c, i) => [c.name, parquetValue(row[i], c.type)]));
+                done++;
+                if (done % BATCH_ROWS === 0) cancelled = await progress.batch(done);
+            }
+        }
+
+        if (rows.length === 0) {
+            // parquetWriteRows writes nothing without a row group; an empty file still needs the schema
+            parquetWrite({ writer, columnData: types.map(c => ({ name: c.name, data: [] })), schema });
+            await progress.batch(0);
+            return 0;
+        }
+
+        await parquetWriteRows({ writer, rows: source(), columns: types, schema, rowGroupSize: BATCH_ROWS * 10 });
+        if (done % BATCH_ROWS !== 0) await progress.batch(done);
+        return done;
+    }
+}
@@ -0,0 +1,957 @@
+/**
+ * SQL Classifier
+ * Tokenizes SQL (Postgres or MySQL rules) and classifies each statement as
+ * read, dml, ddl or admin. Used by the read-only gate (sql_execute, sql_submit),
+ * DirectDatabaseClient.validateDDL and MetabaseClient.isDDLOperation.
+ *
+ * Comments, string literals and quoted identifiers are tokens, not code, so
+ * `SELECT updated_at, 'delete me'` is a read. Writes are found where keyword
+ * matching misses them:
+ *   WITH d AS (DELETE ... RETURNING *) SELECT ...   dml
+ *   SELECT ... INTO new_table                       ddl (Postgres) / admin for INTO OUTFILE (MySQL)
+ *   COPY t FROM ... / COPY t TO '/file'             dml / admin (COPY ... TO STDOUT is a read)
+ *   EXPLAIN ANALYZE <statement>                     classified as the statement it runs
+ *   SELECT pg_terminate_backend(...), nextval(...)  admin / dml
+ *   SELECT ... FOR UPDATE / FOR SHARE / LOCK IN SHARE MODE   dml (row locks; `locking` is set)
+ * MySQL executable comments (`/*!50000 ...`) are read as code.
+ *
+ * Without a dialect the SQL is classified with both sets of rules and the
+ * stricter result wins. Anything the classifier does not recognise is `unknown`,
+ * which callers treat as a write.
+ *
+ * extractRelations() lists the tables a statement references (for the policy's
+ * SQL access rules) and applyRowLimit() caps the rows an ad-hoc SELECT returns.
+ */
+
+export const SqlDialect = {
+    POSTGRES: 'postgres',
+    MYSQL: 'mysql',
+};
+
+/**
+ * Statement types, least to most privileged
+ */
+export const SQL_TYPES = ['read', 'dml', 'ddl', 'admin', 'unknown'];
+
+const ENGINE_DIALECTS = {
+    postgres: SqlDialect.POSTGRES,
+    redshift: SqlDialect.POSTGRES,
+    mysql: SqlDialect.MYSQL,
+    mariadb: SqlDialect.MYSQL,
+};
+
+/**
+ * Dialect for a Metabase engine name ('postgres', 'mysql', ...)
+ * @param {string} engine
+ * @returns {string|null} null when the engine uses neither rule set
+ */
+export function dialectForEngine(engine) {
+    return ENGINE_DIALECTS[String(engine || '').toLowerCase()] || null;
+}
+
+// ── Tokenizer ──────────────────────────────────────────────────────────────
+
+const WORD_START = /[A-Za-z_\u0080-\uffff]/;
+const WORD_CHAR = /[A-Za-z0-9_$\u0080-\uffff]/;
+const NUMBER = /(?:0[xX][0-9a-fA-F]+|\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)/y;
+const DOLLAR_TAG = /\$([A-Za-z_][A-Za-z0-9_]*)?\$/y;
+const EXECUTABLE_COMMENT = /\/\*M?!\d{0,6}/y;
+
+/**
+ * Split SQL into tokens. Whitespace and comments are dropped.
+ * Token types: word, identifier (quoted), string, number, param, punct, operator, semicolon.
+ * @param {string} sql
+ * @param {string} [dialect] - SqlDialect value (default: postgres)
+ * @returns {{ tokens: Array<{type: string, value: string, upper?: string, start: number, end: number}>, complete: boolean }}
+ *   `complete` is false when a string, identifier or comment is not terminated
+ */
+export function tokenizeSQL(sql, dialect = SqlDialect.POSTGRES) {
+    const mysql = dialect === SqlDialect.MYSQL;
+    const tokens = [];
+    const length = sql.length;
+    let complete = true;
+    let inExecutableComment = false;
+    let i = 0;
+
+    const push = (type, start, end, value = sql.slice(start, end)) => {
+        const token = { type, value, start, end };
+        if (type === 'word') token.upper = value.toUpperCase();
+        tokens.push(token);
+    };
+
+    // Quoted text ending at `quote`; doubled quotes always escape, backslashes only when allowed
+    const readQuoted = (start, quote, backslashEscapes) => {
+        let j = start + 1;
+        let value = '';
+        while (j < length) {
+            const ch = sql[j];
+            if (backslashEscapes && ch === '\\' && j + 1 < length) {
+                value += sql[j + 1];
+                j += 2;
+            } else if (ch === quote && sql[j + 1] === quote) {
+                value += quote;
+                j += 2;
+            } else if (ch === quote) {
+                return { value, end: j + 1 };
+            } else {
+                value += ch;
+                j++;
+            }
+        }
+        complete = false;
+        return { value, end: length };
+    };
+
+    while (i < length) {
+        const ch = sql[i];
+        const next = sql[i + 1];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        // Line comments: -- (MySQL needs whitespace after it) and # (MySQL)
+        if ((ch === '-' && next === '-' && (!mysql || i + 2 >= length || /\s/.test(sql[i + 2]))) || (mysql && ch === '#')) {
+            while (i < length && sql[i] !== '\n') i++;
+            continue;
+        }
+
+        // Block comments. MySQL runs the contents of /*! ... */ (and MariaDB /*M! ... */)
+        if (ch === '/' && next === '*') {
+            EXECUTABLE_COMMENT.lastIndex = i;
+            if (mysql && EXECUTABLE_COMMENT.test(sql)) {
+                inExecutableComment = true;
+                i = EXECUTABLE_COMMENT.lastIndex;
+                continue;
+            }
+            let depth = 1;
+            let j = i + 2;
+            while (j < length && depth > 0) {
+                if (sql[j] === '*' && sql[j + 1] === '/') {
+                    depth--;
+                    j += 2;
+                } else if (!mysql && sql[j] === '/' && sql[j + 1] === '*') {
+                    depth++; // Postgres block comments nest
+                    j += 2;
+                } else {
+                    j++;
+                }
+            }
+            if (depth > 0) complete = false;
+            i = j;
+            continue;
+        }
+        if (inExecutableComment && ch === '*' && next === '/') {
+            inExecutableComment = false;
+            i += 2;
+            continue;
+        }
+
+        if (ch === '\'') {
+            // Postgres only honours backslash escapes in E'...' strings
+            const previous = tokens[tokens.length - 1];
+            const escapeString = !mysql && previous?.type === 'word' && previous.end === i && previous.upper === 'E';
+            if (escapeString) tokens.pop();
+            const { value, end } = readQuoted(i, '\'', mysql || escapeString);
+            push('string', escapeString ? previous.start : i, end, value);
+            i = end;
+            continue;
+        }
+
+        if (ch === '"') {
+            // Postgres: quoted identifier. MySQL (default sql_mode): string
+            const { value, end } = readQuoted(i, '"', mysql);
+            push(mysql ? 'string' : 'identifier', i, end, value);
+            i = end;
+            continue;
+        }
+
+        if (ch === '`' && mysql) {
+            const { value, end } = readQuoted(i, '`', false);
+            push('identifier', i, end, value);
+            i = end;
+            continue;
+        }
+
+        if (ch === '$' && !mysql) {
+            if (/\d/.test(next || '')) {
+                let j = i + 1;
+                while (j < length && /\d/.test(sql[j])) j++;
+                push('param', i, j);
+                i = j;
+                continue;
+            }
+            DOLLAR_TAG.lastIndex = i;
+            const tag = DOLLAR_TAG.exec(sql);
+            if (tag) {
+                const bodyStart = i + tag[0].length;
+                const close = sql.indexOf(tag[0], bodyStart);
+                const end = close === -1 ? length : close + tag[0].length;
+                if (close === -1) complete = false;
+                push('string', i, end, sql.slice(bodyStart, close === -1 ? length : close));
+                i = end;
+                continue;
+            }
+        }
+
+        if (/\d/.test(ch) || (ch === '.' && /\d/.test(next || ''))) {
+            NUMBER.lastIndex = i;
+            const match = NUMBER.exec(sql);
+            let end = NUMBER.lastIndex;
+            // MySQL identifiers may start with a digit (1st_quarter)
+            if (mysql && end < length && WORD_CHAR.test(sql[end])) {
+                while (end < length && WORD_CHAR.test(sql[end])) end++;
+                push('word', i, end);
+            } else {
+                push('number', i, end, match[0]);
+            }
+            i = end;
+            continue;
+        }
+
+        if (WORD_START.test(ch) || (mysql && ch === '$')) {
+            let j = i + 1;
+            while (j < length && WORD_CHAR.test(sql[j])) j++;
+            push('word', i, j);
+            i = j;
+            continue;
+        }
+
+        if (ch === ';') {
+            push('semicolon', i, i + 1);
+        } else if ('(),.[]'.includes(ch)) {
+            push('punct', i, i + 1);
+        } else if (ch === '?') {
+            push('param', i, i + 1);
+        } else {
+            push('operator', i, i + 1);
+        }
+        i++;
+    }
+
+    if (inExecutableComment) complete = false;
+    return { tokens, complete };
+}
+
+/**
+ * Split tokens into statements on `;`
+ * @returns {Array<Array<object>>} Non-empty token lists
+ */
+function splitStatements(tokens) {
+    const statements = [];
+    let current = [];
+    for (const token of tokens) {
+        if (token.type === 'semicolon') {
+            if (current.length > 0) statements.push(current);
+            current = [];
+        } else {
+            current.push(token);
+        }
+    }
+    if (current.length > 0) statements.push(current);
+    return statements;
+}
+
+// ── Keyword tables ─────────────────────────────────────────────────────────
+
+const READ_COMMANDS = new Set(['SELECT', 'VALUES', 'TABLE', 'SHOW', 'DESCRIBE', 'DESC', 'FETCH', 'MOVE', 'CLOSE', 'HELP']);
+const DML_COMMANDS = new Set(['INSERT', 'UPDATE', 'DELETE', 'MERGE', 'REPLACE', 'UPSERT', 'LOAD']);
+const DDL_COMMANDS = new Set(['CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'RENAME', 'COMMENT', 'REFRESH', 'REINDEX', 'CLUSTER', 'IMPORT', 'SECURITY']);
+const ADMIN_COMMANDS = new Set([
+    'GRANT', 'REVOKE', 'SET', 'RESET', 'VACUUM', 'ANALYZE', 'ANALYSE', 'OPTIMIZE', 'REPAIR', 'CHECK', 'CHECKSUM',
+    'KILL', 'FLUSH', 'LOCK', 'UNLOCK', 'BEGIN', 'START', 'COMMIT', 'END', 'ROLLBACK', 'SAVEPOINT', 'RELEASE', 'ABORT',
+    'LISTEN', 'UNLISTEN', 'NOTIFY', 'DISCARD', 'CHECKPOINT', 'CALL', 'DO', 'EXEC', 'EXECUTE', 'DEALLOCATE',
+    'USE', 'INSTALL', 'UNINSTALL', 'PURGE', 'REASSIGN', 'SHUTDOWN', 'RESTART', 'CHANGE', 'STOP', 'CACHE', 'HANDLER',
+    'XA', 'BINLOG',
+]);
+
+// Keywords that start the body of WITH, EXPLAIN or PREPARE
+const QUERY_STARTS = new Set(['SELECT', 'VALUES', 'TABLE', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'REPLACE', 'WITH', 'CREATE', 'EXECUTE', 'DECLARE']);
+
+// Data-changing statements that can hide inside parentheses (CTE bodies)
+const NESTED_DML = new Set(['INSERT', 'UPDATE', 'DELETE', 'MERGE']);
+
+// Object types (two-word types first) and the ones that make CREATE/ALTER/DROP an admin statement
+const OBJECT_TYPES = [
+    'MATERIALIZED VIEW', 'FOREIGN TABLE', 'EVENT TRIGGER', 'USER MAPPING', 'FOREIGN DATA WRAPPER', 'DEFAULT PRIVILEGES',
+    'TEXT SEARCH', 'ACCESS METHOD', 'RESOURCE GROUP', 'LOGFILE GROUP', 'SPATIAL REFERENCE SYSTEM',
+    'TABLE', 'VIEW', 'INDEX', 'SEQUENCE', 'FUNCTION', 'PROCEDURE', 'TRIGGER', 'TYPE', 'DOMAIN', 'POLICY', 'RULE',
+    'AGGREGATE', 'OPERATOR', 'COLLATION', 'CONVERSION', 'CAST', 'STATISTICS', 'EVENT', 'PUBLICATION', 'SUBSCRIPTION',
+    'SCHEMA', 'DATABASE', 'USER', 'ROLE', 'GROUP', 'EXTENSION', 'SERVER', 'TABLESPACE', 'LANGUAGE', 'TRANSFORM',
+    'SYSTEM', 'INSTANCE', 'OWNED', 'ROUTINE', 'LARGE',
+];
+const ADMIN_OBJECT_TYPES = new Set([
+    'SCHEMA', 'DATABASE', 'USER', 'ROLE', 'GROUP', 'EXTENSION', 'SERVER', 'TABLESPACE', 'LANGUAGE', 'SYSTEM',
+    'INSTANCE', 'OWNED', 'USER MAPPING', 'FOREIGN DATA WRAPPER', 'EVENT TRIGGER', 'DEFAULT PRIVILEGES',
+    'PUBLICATION', 'SUBSCRIPTION', 'RESOURCE GROUP', 'LOGFILE GROUP',
+]);
+// Words between CREATE and the object type
+const CREATE_MODIFIERS = new Set([
+    'OR', 'REPLACE', 'TEMP', 'TEMPORARY', 'GLOBAL', 'LOCAL', 'UNLOGGED', 'UNIQUE', 'RECURSIVE', 'TRUSTED',
+    'PROCEDURAL', 'CONSTRAINT', 'FULLTEXT', 'SPATIAL', 'ONLINE', 'OFFLINE', 'AGGREGATE', 'DEFINER', 'ALGORITHM',
+    'SQL', 'SECURITY', 'INVOKER', 'UNDEFINED', 'MERGE', 'TEMPTABLE', 'IF', 'NOT', 'EXISTS',
+]);
+// Words between the object type and the object name
+const NAME_PREFIXES = new Set(['IF', 'NOT', 'EXISTS', 'CONCURRENTLY', 'ONLY']);
+
+// Functions with side effects; a SELECT calling them is not a read
+const ADMIN_FUNCTIONS = new Set([
+    'PG_TERMINATE_BACKEND', 'PG_CANCEL_BACKEND', 'PG_RELOAD_CONF', 'PG_ROTATE_LOGFILE', 'PG_PROMOTE',
+    'PG_SWITCH_WAL', 'PG_CREATE_RESTORE_POINT', 'PG_READ_FILE', 'PG_READ_BINARY_FILE', 'PG_LS_DIR',
+    'PG_STAT_FILE', 'PG_FILE_WRITE', 'PG_FILE_UNLINK', 'PG_FILE_RENAME', 'LO_IMPORT', 'LO_EXPORT',
+    'SET_CONFIG', 'DBLINK', 'DBLINK_EXEC', 'DBLINK_CONNECT', 'PG_CREATE_LOGICAL_REPLICATION_SLOT',
+    'PG_DROP_REPLICATION_SLOT', 'QUERY_TO_XML', 'LOAD_FILE',
+]);
+const DML_FUNCTIONS = new Set(['NEXTVAL', 'SETVAL', 'LO_CREATE', 'LO_UNLINK', 'LO_PUT']);
+
+// ── Statement classification ───────────────────────────────────────────────
+
+const severity = (type) => SQL_TYPES.indexOf(type);
+const worse = (a, b) => (severity(b.type) > severity(a.type) ? b : a);
+
+const isWord = (token, ...words) => token?.type === 'word' && (words.length === 0 || words.includes(token.upper));
+const isPunct = (token, value) => token?.type === 'punct' && token.value === value;
+
+/**
+ * Index of the next token at the same parenthesis depth that satisfies `test`, or -1
+ */
+function findAtDepth(tokens, from, test) {
+    let depth = 0;
+    for (let i = from; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (isPunct(token, '(')) depth++;
+        else if (isPunct(token, ')')) depth--;
+        else if (depth === 0 && test(token, i)) return i;
+        if (depth < 0) return -1;
+    }
+    return -1;
+}
+
+/**
+ * Read a possibly qualified name (schema.table, `db`.`t`, "Schema"."Table") at `index`
+ * @returns {{ name: {schema: string|null, name: string}, next: number }|null}
+ */
+function readName(tokens, index) {
+    const parts = [];
+    let i = index;
+    while (tokens[i] && (tokens[i].type === 'word' || tokens[i].type === 'identifier')) {
+        parts.push(tokens[i].value);
+        if (!isPunct(tokens[i + 1], '.')) {
+            i++;
+            break;
+        }
+        i += 2;
+    }
+    if (parts.length === 0) return null;
+    return {
+        name: { schema: parts.length > 1 ? parts[parts.length - 2] : null, name: parts[parts.length - 1] },
+        next: i,
+    };
+}
+
+/**
+ * Comma-separated names (DROP TABLE a, b / TRUNCATE a, b)
+ */
+function readNameList(tokens, index) {
+    const names = [];
+    let i = index;
+    for (; ;) {
+        const read = readName(tokens, i);
+        if (!read) break;
+        names.push(read.name);
+        i = read.next;
+        if (!isPunct(tokens[i], ',')) break;
+        i++;
+    }
+    return { names, next: i };
+}
+
+/**
+ * Match an object type (longest first) at `index`
+ */
+function readObjectType(tokens, index) {
+    for (const type of OBJECT_TYPES) {
+        const words = type.split(' ');
+        if (words.every((word, k) => isWord(tokens[index + k], word))) {
+            return { objectType: type, next: index + words.length };
+        }
+    }
+    return null;
+}
+
+function skipNamePrefixes(tokens, index) {
+    let i = index;
+    while (isWord(tokens[i]) && NAME_PREFIXES.has(tokens[i].upper)) i++;
+    return i;
+}
+
+/**
+ * CREATE / ALTER / DROP / TRUNCATE / RENAME / COMMENT / REFRESH
+ */
+function classifyDDL(tokens, command) {
+    let i = 1;
+
+    if (command === 'CREATE') {
+        // Skip modifiers (OR REPLACE, TEMP, UNIQUE, DEFINER = x, ALGORITHM = y ...)
+        while (i < tokens.length && !readObjectType(tokens, i)) {
+            const token = tokens[i];
+            const assigned = tokens[i - 1]?.type === 'operator'; // DEFINER = user@host, ALGORITHM = MERGE
+            if (isWord(token) && !CREATE_MODIFIERS.has(token.upper) && !assigned) break;
+            i++;
+        }
+    } else if (command === 'TRUNCATE' || command === 'RENAME') {
+        if (isWord(tokens[i], 'TABLE', 'TABLES', 'USER')) {
+            if (isWord(tokens[i], 'USER')) return { type: 'admin', command: 'RENAME USER', objectType: 'USER', objects: [] };
+            i++;
+        }
+        i = skipNamePrefixes(tokens, i);
+        const objects = [];
+        // RENAME TABLE a TO b, c TO d - collect both sides
+        while (i < tokens.length) {
+            const { names, next } = readNameList(tokens, i);
+            objects.push(...names);
+            i = next;
+            if (isWord(tokens[i], 'TO')) i++;
+            else if (isPunct(tokens[i], ',')) i++;
+            else break;
+        }
+        return { type: 'ddl', command: `${command} TABLE`, objectType: 'TABLE', objects };
+    } else if (command === 'COMMENT' || command === 'SECURITY') {
+        const on = tokens.findIndex(t => isWord(t, 'ON'));
+        i = on === -1 ? tokens.length : on + 1;
+    } else if (command === 'REINDEX' || command === 'CLUSTER' || command === 'IMPORT') {
+        return { type: 'ddl', command, objectType: null, objects: [] };
+    }
+
+    const matched = readObjectType(tokens, i);
+    if (!matched) {
+        // ALTER/DROP/CREATE of something we do not know: still DDL
+        return { type: tokens.length > 1 ? 'ddl' : 'unknown', command, objectType: null, objects: [] };
+    }
+
+    const { objectType } = matched;
+    const qualifier = command === 'COMMENT' || command === 'SECURITY' ? `${command} ON` : command;
+    const statement = {
+        type: ADMIN_OBJECT_TYPES.has(objectType) ? 'admin' : 'ddl',
+        command: `${qualifier} ${objectType}`,
+        objectType,
+        objects: [],
+    };
+
+    i = skipNamePrefixes(tokens, matched.next);
+
+    if (objectType === 'INDEX' && isWord(tokens[i], 'ON')) {
+        // Unnamed index: CREATE INDEX ON table (...)
+        const target = readName(tokens, skipNamePrefixes(tokens, i + 1));
+        if (target) statement.target = target.name;
+        return statement;
+    }
+
+    if (command === 'DROP') {
+        statement.objects = readNameList(tokens, i).names;
+    } else {
+        const read = readName(tokens, i);
+        if (read) {
+            statement.objects = [read.name];
+            if (objectType === 'INDEX') {
+                const on = findAtDepth(tokens, read.next, t => isWord(t, 'ON'));
+                const target = on === -1 ? null : readName(tokens, skipNamePrefixes(tokens, on + 1));
+                if (target) statement.target = target.name;
+            }
+        }
+    }
+
+    return statement;
+}
+
+/**
+ * SELECT ... INTO (Postgres creates a table; MySQL writes a file or sets variables)
+ */
+function classifySelectInto(tokens, from, dialect) {
+    const into = findAtDepth(tokens, from, t => isWord(t, 'INTO'));
+    if (into === -1) return null;
+
+    const target = tokens[into + 1];
+    if (isWord(target, 'OUTFILE', 'DUMPFILE')) {
+        return { type: 'admin', command: 'SELECT', operation: `SELECT INTO ${target.upper}`, objects: [] };
+    }
+    if (dialect === SqlDialect.MYSQL || target?.type === 'operator' || target?.type === 'param') {
+        return null; // INTO @variable: no write
+    }
+
+    const i = skipNamePrefixes(tokens, into + 1);
+    let j = i;
+    while (isWord(tokens[j], 'TEMP', 'TEMPORARY', 'UNLOGGED', 'TABLE', 'LOCAL', 'GLOBAL')) j++;
+    const read = readName(tokens, j);
+    return {
+        type: 'ddl', command: 'SELECT', operation: 'SELECT INTO', objectType: 'TABLE',
+        objects: read ? [read.name] : [],
+    };
+}
+
+/**
+ * COPY (Postgres): FROM STDIN loads rows, FROM/TO a file or PROGRAM touches the server, TO STDOUT reads
+ */
+function classifyCopy(tokens) {
+    const direction = findAtDepth(tokens, 1, t => isWord(t, 'FROM', 'TO'));
+    if (direction === -1) return { type: 'unknown', command: 'COPY' };
+
+    const source = tokens[direction + 1];
+    const read = readName(tokens, 1);
+    const objects = read ? [read.name] : [];
+    if (tokens[direction].upper === 'TO') {
+        return isWord(source, 'STDOUT')
+            ? { type: 'read', command: 'COPY', operation: 'COPY TO STDOUT', objects }
+            : { type: 'admin', command: 'COPY', operation: 'COPY TO FILE', objects };
+    }
+    return isWord(source, 'STDIN')
+        ? { type: 'dml', command: 'COPY', operation: 'COPY FROM STDIN', objects }
+        : { type: 'admin', command: 'COPY', operation: 'COPY FROM FILE', objects };
+}
+
+/**
+ * Row-locking clause starting at tokens[i]: FOR UPDATE, FOR NO KEY UPDATE, FOR SHARE, FOR KEY SHARE, LOCK IN SHARE MODE
+ * @returns {string|null} The clause, for the statement's operation
+ */
+function lockingClause(tokens, i) {
+    if (isWord(tokens[i], 'LOCK') && isWord(tokens[i + 1], 'IN') && isWord(tokens[i + 2], 'SHARE') && isWord(tokens[i + 3], 'MODE')) {
+        return 'LOCK IN SHARE MODE';
+    }
+    if (!isWord(tokens[i], 'FOR')) return null;
+    if (isWord(tokens[i + 1], 'UPDATE', 'SHARE')) return `FOR ${tokens[i + 1].upper}`;
+    if (isWord(tokens[i + 1], 'NO') && isWord(tokens[i + 2], 'KEY') && isWord(tokens[i + 3], 'UPDATE')) return 'FOR NO KEY UPDATE';
+    if (isWord(tokens[i + 1], 'KEY') && isWord(tokens[i + 2], 'SHARE')) return 'FOR KEY SHARE';
+    return null;
+}
+
+/**
+ * Side effects anywhere in the statement: DML in CTE bodies, side-effecting functions, row locks
+ * @returns {object|null} The most severe finding
+ */
+function findNestedWrites(tokens) {
+    let found = null;
+    for (let i = 1; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (!isWord(token)) continue;
+        const calls = isPunct(tokens[i + 1], '(');
+        const locking = lockingClause(tokens, i);
+
+        if (isPunct(tokens[i - 1], '(') && NESTED_DML.has(token.upper) && !calls) {
+            found = worse(found || { type: 'read' }, { type: 'dml', operation: token.upper, nested: true });
+        } else if (calls && ADMIN_FUNCTIONS.has(token.upper)) {
+            found = worse(found || { type: 'read' }, { type: 'admin', operation: `${token.value}()` });
+        } else if (calls && DML_FUNCTIONS.has(token.upper)) {
+            found = worse(found || { type: 'read' }, { type: 'dml', operation: `${token.value}()` });
+        } else if (locking) {
+            found = worse(found || { type: 'read' }, { type: 'dml', operation: `SELECT ${locking}`, locking: true });
+        }
+    }
+    return found;
+}
+
+/**
+ * Classify one statement's tokens
+ */
+function classifyTokens(tokens, dialect) {
+    let start = 0;
+    while (isPunct(tokens[start], '(')) start++;
+    const first = tokens[start];
+    if (!isWord(first)) return { type: 'unknown', command: first?.value ?? '' };
+
+    const rest = tokens.slice(start);
+    let command = first.upper;
+    let statement;
+
+    if (command === 'WITH') {
+        // The main statement is the first query keyword outside the CTE bodies
+        const main = findAtDepth(rest, 1, t => isWord(t) && QUERY_STARTS.has(t.upper) && t.upper !== 'WITH');
+        if (main === -1) return { type: 'unknown', command };
+        statement = { ...classifyTokens(rest.slice(main), dialect), command: `WITH ${rest[main].upper}` };
+    } else if (command === 'EXPLAIN' || ((command === 'DESCRIBE' || command === 'DESC') && isWord(rest[1]) && QUERY_STARTS.has(rest[1].upper))) {
+        // EXPLAIN ANALYZE runs the statement
+        const body = findAtDepth(rest, 1, t => isWord(t) && QUERY_STARTS.has(t.upper));
+        const analyze = rest.slice(1, body === -1 ? rest.length : body).some(t => isWord(t, 'ANALYZE', 'ANALYSE'));
+        if (body === -1) {
+            statement = { type: analyze ? 'unknown' : 'read', command };
+        } else {
+            const inner = classifyTokens(rest.slice(body), dialect);
+            statement = analyze
+                ? { ...inner, command: `EXPLAIN ANALYZE ${inner.command}` }
+                : { type: 'read', command: `${command} ${inner.command}` };
+        }
+        return statement;
+    } else if (command === 'PREPARE') {
+        // PREPARE name AS <statement> (Postgres). MySQL's PREPARE ... FROM <string> is checked as text
+        const as = findAtDepth(rest, 1, t => isWord(t, 'AS', 'FROM'));
+        if (as !== -1 && rest[as].upper === 'AS') {
+            const inner = classifyTokens(rest.slice(as + 1), dialect);
+            return { ...inner, command: `PREPARE ${inner.command}` };
+        }
+        if (as !== -1 && rest[as + 1]?.type === 'string') {
+            const inner = classifySQL(rest[as + 1].value, { dialect });
+            return { ...inner.statements[0], type: inner.type, command: `PREPARE ${inner.statements[0]?.command ?? ''}`.trim() };
+        }
+        return { type: 'unknown', command };
+    } else if (command === 'DECLARE') {
+        // DECLARE name CURSOR FOR <query>
+        const query = findAtDepth(rest, 1, t => isWord(t, 'FOR'));
+        if (query === -1) return { type: 'unknown', command };
+        const inner = classifyTokens(rest.slice(query + 1), dialect);
+        statement = { ...inner, command: `DECLARE CURSOR ${inner.command}` };
+    } else if (command === 'COPY') {
+        statement = classifyCopy(rest);
+    } else if (READ_COMMANDS.has(command)) {
+        statement = (command === 'SELECT' && classifySelectInto(rest, 1, dialect)) || { type: 'read', command };
+    } else if (DML_COMMANDS.has(command)) {
+        // Target table: INSERT INTO t, UPDATE ONLY t, DELETE LOW_PRIORITY FROM t ...
+        let target = 1;
+        while (isWord(rest[target], 'INTO', 'FROM', 'ONLY', 'LOW_PRIORITY', 'HIGH_PRIORITY', 'DELAYED', 'IGNORE', 'QUICK')) target++;
+        const read = readName(rest, target);
+        statement = { type: 'dml', command, objects: read ? [read.name] : [] };
+    } else if (DDL_COMMANDS.has(command)) {
+        statement = classifyDDL(rest, command);
+    } else if (ADMIN_COMMANDS.has(command)) {
+        statement = { type: 'admin', command };
+    } else {
+        return { type: 'unknown', command };
+    }
+
+    // Writes hidden inside the statement (CTE bodies, side-effecting functions)
+    const nested = findNestedWrites(rest);
+    if (nested && severity(nested.type) > severity(statement.type)) {
+        statement = { ...statement, type: nested.type, operation: nested.operation, ...(nested.locking && { locking: true }) };
+    }
+    return statement;
+}
+
+function classifyWithDialect(sql, dialect) {
+    const { tokens, complete } = tokenizeSQL(sql, dialect);
+    const statements = splitStatements(tokens).map(statementTokens => {
+        const statement = classifyTokens(statementTokens, dialect);
+        return {
+            objects: [],
+            ...statement,
+            operation: statement.operation || statement.command,
+            text: sql.slice(statementTokens[0].start, statementTokens[statementTokens.length - 1].end),
+        };
+    });
+
+    let type = statements.reduce((acc, s) => (severity(s.type) > severity(acc) ? s.type : acc), 'read');
+    if (!complete) type = 'unknown'; // Unterminated string or comment: do not guess
+    return { type, dialect, complete, statements };
+}
+
+/**
+ * Classify SQL text
+ * @param {string} sql
+ * @param {object} [options]
+ * @param {string|null} [options.dialect] - SqlDialect value; when omitted both rule sets are applied and the stricter result wins
+ * @returns {{
+ *   type: 'read'|'dml'|'ddl'|'admin'|'unknown',
+ *   dialect: string,
+ *   complete: boolean,
+ *   statements: Array<{type: string, command: string, operation: string, objectType?: string, objects: Array<{schema: string|null, name: string}>, target?: object, locking?: boolean, text: string}>
+ * }} `type` is the most privileged statement type
+ */
+export function classifySQL(sql, options = {}) {
+    const text = String(sql ?? '');
+    if (options.dialect) return classifyWithDialect(text, options.dialect);
+
+    const postgres = classifyWithDialect(text, SqlDialect.POSTGRES);
+    const mysql = classifyWithDialect(text, SqlDialect.MYSQL);
+    return severity(mysql.type) > severity(postgres.type) ? mysql : postgres;
+}
+
+/**
+ * First statement that is not a plain read, for error messages
+ * @param {object} classification - From classifySQL()
+ * @returns {object|null}
+ */
+export function firstWrite(classification) {
+    if (!classification.complete) {
+        return { type: 'unknown', command: 'UNPARSEABLE', operation: 'unterminated string or comment', objects: [] };
+    }
+    return classification.statements.find(s => s.type !== 'read') || null;
+}
+
+/**
+ * Whether SQL only reads data
+ * @param {string} sql
+ * @param {object} [options] - See classifySQL()
+ * @returns {boolean}
+ */
+export function isReadOnlySQL(sql, options = {}) {
+    return classifySQL(sql, options).type === 'read';
+}
+
+// ── Referenced relations ───────────────────────────────────────────────────
+
+// Words that start a query inside parentheses (subqueries, CTE bodies)
+const SUBQUERY_STARTS = new Set(['SELECT', 'VALUES', 'TABLE', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'WITH']);
+// Functions whose arguments use FROM as syntax: EXTRACT(YEAR FROM d), SUBSTRING(s FROM 2), TRIM(x FROM s)
+const FROM_SYNTAX_FUNCTIONS = new Set(['EXTRACT', 'SUBSTRING', 'SUBSTR', 'TRIM', 'OVERLAY']);
+// Words before UPDATE / TABLE when they start a (sub)query rather than FOR UPDATE, ON UPDATE, CREATE TABLE ...
+const QUERY_PREFIXES = new Set(['EXPLAIN', 'ANALYZE', 'ANALYSE', 'VERBOSE', 'AS', 'UNION', 'EXCEPT', 'INTERSECT', 'ALL', 'DISTINCT']);
+// Words that end a FROM item instead of naming its alias
+const CLAUSE_WORDS = new Set([
+    'WHERE', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL', 'STRAIGHT_JOIN', 'ON', 'USING',
+    'GROUP', 'ORDER', 'HAVING', 'WINDOW', 'QUALIFY', 'LIMIT', 'OFFSET', 'FETCH', 'FOR', 'UNION', 'EXCEPT', 'INTERSECT',
+    'SET', 'VALUES', 'SELECT', 'DEFAULT', 'RETURNING', 'TABLESAMPLE', 'PARTITION', 'USE', 'FORCE', 'IGNORE', 'LOCK',
+    'INTO', 'WITH', 'DO', 'WHEN', 'OVERRIDING',
+]);
+// Object types whose names are relations (other DDL objects - functions, types, roles - are not)
+const RELATION_OBJECT_TYPES = new Set(['TABLE', 'VIEW', 'MATERIALIZED VIEW', 'FOREIGN TABLE', 'SEQUENCE']);
+
+const startsSubquery = (token) => isWord(token) && SUBQUERY_STARTS.has(token.upper);
+
+/**
+ * Index just past the parenthesis group that opens at `index`
+ */
+function skipGroup(tokens, index) {
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+        if (isPunct(tokens[i], '(')) depth++;
+        else if (isPunct(tokens[i], ')') && --depth === 0) return i + 1;
+    }
+    return tokens.length;
+}
+
+/**
+ * Names defined by WITH (name [(columns)] AS [NOT MATERIALIZED] (query)), lower-cased
+ */
+function cteNames(tokens) {
+    const names = new Set();
+    for (let i = 1; i < tokens.length; i++) {
+        if (!isWord(tokens[i], 'AS')) continue;
+        let j = i + 1;
+        while (isWord(tokens[j], 'NOT', 'MATERIALIZED')) j++;
+        if (!isPunct(tokens[j], '(') || !startsSubquery(tokens[j + 1])) continue;
+
+        let k = i - 1;
+        if (isPunct(tokens[k], ')')) {
+            // Column list: walk back to its opening parenthesis
+            for (let depth = 0; k >= 0; k--) {
+                if (isPunct(tokens[k], ')')) depth++;
+                else if (isPunct(tokens[k], '(') && --depth === 0) break;
+            }
+            k--;
+        }
+        if (tokens[k]?.type === 'word' || tokens[k]?.type === 'identifier') names.add(tokens[k].value.toLowerCase());
+    }
+    return names;
+}
+
+/**
+ * Table references after FROM / JOIN / INTO / UPDATE ..., including comma lists (FROM a, b)
+ * @param {object} options - { functions: whether `name(` is a table function to skip (FROM, JOIN) }
+ */
+function readRelationList(tokens, index, relations, ctes, options) {
+    let i = index;
+    for (; ;) {
+        while (isWord(tokens[i], 'ONLY', 'LATERAL', 'TEMP', 'TEMPORARY', 'UNLOGGED', 'TABLE') ||
+            (isPunct(tokens[i], '(') && !startsSubquery(tokens[i + 1]))) {
+            i++;
+        }
+        const read = readName(tokens, i);
+        if (!read || (read.next === i + 1 && isWord(tokens[i]) && CLAUSE_WORDS.has(tokens[i].upper))) break;
+        i = read.next;
+
+        if (options.functions && isPunct(tokens[i], '(')) {
+            i = skipGroup(tokens, i); // generate_series(...), unnest(...)
+        } else if (read.name.schema || !ctes.has(read.name.name.toLowerCase())) {
+            relations.push(read.name);
+        }
+
+        if (tokens[i]?.value === '*') i++; // Postgres: FROM parent * (inheritance)
+        if (isWord(tokens[i], 'AS')) i++;
+        if (tokens[i]?.type === 'identifier' || (isWord(tokens[i]) && !CLAUSE_WORDS.has(tokens[i].upper))) i++;
+        if (isPunct(tokens[i], '(') && !startsSubquery(tokens[i + 1])) i = skipGroup(tokens, i); // alias (a, b) / INSERT column list
+        if (!isPunct(tokens[i], ',')) break;
+        i++;
+    }
+}
+
+/**
+ * Relations one statement reads or writes
+ */
+function statementRelations(tokens, dialect) {
+    const relations = [];
+    const ctes = cteNames(tokens);
+    let start = 0;
+    while (isPunct(tokens[start], '(')) start++;
+    const command = tokens[start]?.upper;
+    // COPY t FROM STDIN, FETCH n FROM cursor, REVOKE ... FROM role: FROM does not name a table
+    const fromNamesTables = !['COPY', 'FETCH', 'MOVE', 'REVOKE'].includes(command);
+    const usingNamesTables = command === 'DELETE' || command === 'MERGE';
+
+    const calls = []; // true for each open parenthesis that belongs to a FROM-syntax function
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const previous = tokens[i - 1];
+        if (isPunct(token, '(')) {
+            calls.push(isWord(previous) && FROM_SYNTAX_FUNCTIONS.has(previous.upper));
+            continue;
+        }
+        if (isPunct(token, ')')) {
+            calls.pop();
+            continue;
+        }
+        if (!isWord(token)) continue;
+
+        const startsQuery = !previous || previous.type === 'punct' || (isWord(previous) && QUERY_PREFIXES.has(previous.upper));
+        switch (token.upper) {
+            case 'FROM':
+                // IS [NOT] DISTINCT FROM is a comparison
+                if (fromNamesTables && !calls[calls.length - 1] && !isWord(previous, 'DISTINCT')) {
+                    readRelationList(tokens, i + 1, relations, ctes, { functions: true });
+                }
+                break;
+            case 'JOIN':
+                readRelationList(tokens, i + 1, relations, ctes, { functions: true });
+                break;
+            case 'USING':
+                if (usingNamesTables) readRelationList(tokens, i + 1, relations, ctes, { functions: true });
+                break;
+            case 'INTO':
+                if (!isWord(tokens[i + 1], 'OUTFILE', 'DUMPFILE')) readRelationList(tokens, i + 1, relations, ctes, {});
+                break;
+            case 'UPDATE':
+            case 'TABLE':
+                if (startsQuery) readRelationList(tokens, i + 1, relations, ctes, {});
+                break;
+            default:
+                break;
+        }
+    }
+
+    // DDL and DML targets the classifier already parsed (DROP VIEW a, b / CREATE INDEX ON t / TRUNCATE t / COPY t)
+    const statement = classifyTokens(tokens, dialect);
+    if (statement.type === 'dml' || statement.command === 'COPY' || RELATION_OBJECT_TYPES.has(statement.objectType)) {
+        relations.push(...(statement.objects || []));
+    } else if (statement.objectType === 'SCHEMA') {
+        relations.push(...(statement.objects || []).map(o => ({ schema: o.name, name: null })));
+    }
+    if (statement.target) relations.push(statement.target);
+    return relations;
+}
+
+/**
+ * Tables, views and sequences a piece of SQL references, excluding CTE names,
+ * subquery aliases and table functions
+ * @param {string} sql
+ * @param {object} [options]
+ * @param {string|null} [options.dialect] - SqlDialect value; when omitted the relations found under both rule sets are returned
+ * @returns {Array<{schema: string|null, name: string|null}>} Unique relations as written (`name` is null for a whole schema, e.g. DROP SCHEMA)
+ */
+export function extractRelations(sql, options = {}) {
+    const text = String(sql ?? '');
+    const dialects = options.dialect ? [options.dialect] : [SqlDialect.POSTGRES, SqlDialect.MYSQL];
+    const unique = new Map();
+    for (const dialect of dialects) {
+        for (const statement of splitStatements(tokenizeSQL(text, dialect).tokens)) {
+            for (const relation of statementRelations(statement, dialect)) {
+                unique.set(`${relation.schema ?? ''}.${relation.name ?? ''}`.toLowerCase(), relation);
+            }
+        }
+    }
+    return [...unique.values()];
+}
+
+// ── Row limits ─────────────────────────────────────────────────────────────
+
+/**
+ * Row-limit rewrite under one dialect, or null when the SQL is not a single SELECT
+ */
+function planRowLimit(sql, maxRows, dialect) {
+    const { tokens, complete } = tokenizeSQL(sql, dialect);
+    const statements = splitStatements(tokens);
+    if (!complete || statements.length !== 1) return null;
+
+    const statement = statements[0];
+    const classified = classifyTokens(statement, dialect);
+    if (classified.type !== 'read' && !classified.locking) return null;
+    if (classified.command !== 'SELECT' && classified.command !== 'WITH SELECT') return null;
+
+    const unchanged = { sql, applied: null };
+    const replace = (token, previous) => ({
+        sql: sql.slice(0, token.start) + maxRows + sql.slice(token.end),
+        applied: 'tightened',
+        previous,
+    });
+    // A parameter or expression count cannot be compared: cap the whole query from outside
+    const from = statement[0].start;
+    const to = statement[statement.length - 1].end;
+    const wrap = (previous) => ({
+        sql: `${sql.slice(0, from)}SELECT * FROM (${sql.slice(from, to)}) AS row_limited LIMIT ${maxRows}${sql.slice(to)}`,
+        applied: 'wrapped',
+        previous,
+    });
+    // Count literal at statement[i]; null for a parameter or an expression (LIMIT $1, LIMIT ?, LIMIT 10 * 2)
+    const literal = (i) => (statement[i]?.type === 'number' && !['operator', 'param'].includes(statement[i + 1]?.type) && !isPunct(statement[i + 1], '(')
+        ? Number(statement[i].value)
+        : null);
+    const source = (i) => {
+        if (!statement[i]) return '';
+        let end = i;
+        while (statement[end + 1] && !isWord(statement[end + 1])) end++;
+        return sql.slice(statement[i].start, statement[end].end);
+    };
+
+    // Clauses of the outermost query: skip the CTE list
+    const main = isWord(statement[0], 'WITH') ? findAtDepth(statement, 1, t => isWord(t, 'SELECT')) : 0;
+    if (main === -1) return null;
+
+    const limit = findAtDepth(statement, main, t => isWord(t, 'LIMIT'));
+    if (limit !== -1) {
+        // MySQL: LIMIT offset, count
+        const at = dialect === SqlDialect.MYSQL && isPunct(statement[limit + 2], ',') ? limit + 3 : limit + 1;
+        if (isWord(statement[at], 'ALL')) return replace(statement[at], 'ALL');
+        const count = literal(at);
+        if (count === null) return wrap(source(at));
+        return count > maxRows ? replace(statement[at], count) : unchanged;
+    }
+
+    const fetch = findAtDepth(statement, main, (t, i) => isWord(t, 'FETCH') && isWord(statement[i + 1], 'FIRST', 'NEXT'));
+    if (fetch !== -1) {
+        // FETCH FIRST ROW ONLY is one row
+        if (isWord(statement[fetch + 2], 'ROW', 'ROWS')) return unchanged;
+        const count = literal(fetch + 2);
+        if (count === null) return wrap(source(fetch + 2));
+        return count > maxRows ? replace(statement[fetch + 2], count) : unchanged;
+    }
+
+    // MySQL SELECT ... INTO @var returns no rows
+    if (findAtDepth(statement, main, t => isWord(t, 'INTO')) !== -1) return unchanged;
+
+    // LIMIT goes before FOR UPDATE / FOR SHARE / LOCK IN SHARE MODE
+    const locking = findAtDepth(statement, main, (t, i) =>
+        (isWord(t, 'FOR') && isWord(statement[i + 1], 'UPDATE', 'SHARE', 'NO', 'KEY')) ||
+        (isWord(t, 'LOCK') && isWord(statement[i + 1], 'IN')));
+    const at = locking === -1 ? statement[statement.length - 1].end : statement[locking].start;
+    const text = locking === -1 ? ` LIMIT ${maxRows}` : `LIMIT ${maxRows} `;
+    return { sql: sql.slice(0, at) + text + sql.slice(at), applied: 'added' };
+}
+
+/**
+ * Cap the rows a single SELECT returns: add `LIMIT maxRows` to the outermost query,
+ * or lower an existing LIMIT / FETCH FIRST that is larger. Subqueries are not touched.
+ * A LIMIT / FETCH FIRST given as a parameter or expression cannot be compared, so the
+ * query is wrapped: `SELECT * FROM (<query>) AS row_limited LIMIT maxRows`.
+ * Anything else (several statements, writes) is returned unchanged.
+ * @param {string} sql
+ * @param {number} maxRows - 0 or less disables the cap
+ * @param {object} [options]
+ * @param {string|null} [options.dialect] - SqlDialect value; when omitted the SQL is only rewritten if both rule sets agree
+ * @returns {{ sql: string, applied: 'added'|'tightened'|'wrapped'|null, limit: number, previous?: number|string }}
+ */
+export function applyRowLimit(sql, maxRows, options = {}) {
+    const text = String(sql ?? '');
+    const limit = Math.floor(Number(maxRows));
+    if (!(limit > 0)) return { sql: text, applied: null, limit: 0 };
+
+    const dialects = options.dialect ? [options.dialect] : [SqlDialect.POSTGRES, SqlDialect.MYSQL];
+    const plans = dialects.map(dialect => planRowLimit(text, limit, dialect));
+    const agreed = plans.every(plan => plan && plan.sql === plans[0].sql);
+    return agreed ? { ...plans[0], limit } : { sql: text, applied: null, limit };
+}
@@ -6,6 +6,7 @@
  * `structuredContent` matching that schema. The `content` field
  * (text) is kept for backward compatibility with older clients.
  */
+import { AppError, normalizeError } from './errors.js';
 
 /**
  * Create an MCP tool response with both text content and structured content.
@@ -22,14 +23,24 @@ export function structuredResult(data, textFormatter) {
 
 /**
  * Create a structured error response.
- * Error responses should NOT include structuredContent per MCP spec.
- * @param {string} message - Human-readable error message
- * @returns {{ content: Array, isError: boolean }}
+ * Error responses should NOT include structuredContent per MCP spec (clients would
+ * validate it against the tool's outputSchema), so the machine-readable part goes in
+ * `_meta.error`: { code, message, retryable, status?, details? }.
+ * @param {Error|string} error - Thrown error (classified via normalizeError) or a message
+ * @param {string} [context] - Prefix for the text, e.g. "Card get error"
+ * @param {string} [hint] - Troubleshooting text appended after the error
+ * @returns {{ content: Array, isError: boolean, _meta: { error: object } }}
  */
-export function structuredError(message) {
+export function structuredError(error, context, hint) {
+    const appError = typeof error === 'string' ? new AppError(error) : normalizeError(error);
+    const prefix = context ? `${context}: ` : '';
+    const text = `❌ ${prefix}${appError.message}\nError code: ${appError.code}${appError.retryable ? ' (retryable)' : ''}` +
+        (hint ? `\n\n${hint}` : '');
+
     return {
-        content: [{ type: 'text', text: message }],
+        content: [{ type: 'text', text }],
         isError: true,
+        _meta: { error: appError.toJSON() },
     };
 }
 
@@ -0,0 +1,252 @@
+import { afterEach, describe, expect, test } from '@jest/globals';
+import net from 'net';
+import { RedisCacheStore } from '../src/utils/cache-stores.js';
+
+// ── RESP stand-in ──────────────────────────────────────────────────────────
+
+const encode = (value) => {
+    if (value === null) return '$-1\r\n';
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+};
+
+/**
+ * Read whole commands (RESP arrays of bulk strings) from the front of a buffer
+ * @returns {{ commands: Array<Array<string>>, rest: Buffer }}
+ */
+function readCommands(buffer) {
+    const commands = [];
+    let offset = 0;
+    for (; ;) {
+        const header = buffer.indexOf('\r\n', offset);
+        if (header === -1) break;
+        const count = Number(buffer.toString('utf8', offset + 1, header));
+        const args = [];
+        let position = header + 2;
+        for (let i = 0; i < count; i++) {
+            const lineEnd = buffer.indexOf('\r\n', position);
+            if (lineEnd === -1) break;
+            const length = Number(buffer.toString('utf8', position + 1, lineEnd));
+            if (buffer.length < lineEnd + 2 + length + 2) break;
+            args.push(buffer.toString('utf8', lineEnd + 2, lineEnd + 2 + length));
+            position = lineEnd + 2 + length + 2;
+        }
+        if (args.length < count) break;
+        commands.push(args);
+        offset = position;
+    }
+    return { commands, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Server that answers each command with `reply(args, socket)`: a value to encode, a raw RESP
+ * string (`{ raw }`), or undefined to stay silent
+ */
+async function startServer(reply) {
+    const server = { commands: [], connections: 0, closed: 0, sockets: new Set() };
+    server.net = net.createServer((socket) => {
+        server.connections++;
+        server.sockets.add(socket);
+        let buffer = Buffer.alloc(0);
+        socket.on('data', async (chunk) => {
+            const read = readCommands(Buffer.concat([buffer, chunk]));
+            buffer = read.rest;
+            for (const args of read.commands) {
+                server.commands.push(args);
+                const answer = await reply(args, socket);
+                if (answer === undefined || socket.destroyed) continue;
+                socket.write(answer?.raw ?? encode(answer));
+            }
+        });
+        socket.on('close', () => {
+            server.closed++;
+            server.sockets.delete(socket);
+        });
+        socket.on('error', () => {});
+    });
+    await new Promise(resolve => server.net.listen(0, '127.0.0.1', resolve));
+    server.url = `redis://127.0.0.1:${server.net.address().port}`;
+    server.close = () => new Promise((resolve) => {
+        for (const socket of server.sockets) socket.destroy();
+        server.net.close(resolve);
+    });
+    return server;
+}
+
+/**
+ * Write a reply a few bytes at a time, so the client sees it split across chunks
+ */
+async function writeInPieces(socket, text, size = 3) {
+    const bytes = Buffer.from(text);
+    for (let i = 0; i < bytes.length; i += size) {
+        socket.write(bytes.subarray(i, i + size));
+        await new Promise(resolve => setTimeout(resolve, 2));
+    }
+}
+
+const waitFor = async (check) => {
+    for (let i = 0; i < 100 && !check(); i++) await new Promise(resolve => setTimeout(resolve, 10));
+};
+
+// ── Tests ──────────────────────────────────────────────────────────────────
+
+describe('RedisCacheStore', () => {
+    let server;
+    let store;
+
+    afterEach(async () => {
+        await store?.close();
+        await server?.close();
+        store = null;
+        server = null;
+    });
+
+    test('stores entries under the prefix with a server-side expiry', async () => {
+        const data = new Map();
+        server = await startServer(([command, key, value]) => {
+            if (command === 'SET') return data.set(key, value) && { raw: '+OK\r\n' };
+            if (command === 'GET') return data.get(key) ?? null;
+            if (command === 'DEL') return data.delete(key) ? 1 : 0;
+            return { raw: `-ERR unknown command '${command}'\r\n` };
+        });
+        store = new RedisCacheStore({ url: server.url, prefix: 'test:' });
+
+        await store.set('k', { data: [1, 2] }, 1500.4);
+        expect(server.commands[0]).toEqual(['SET', 'test:k', '{"data":[1,2]}', 'PX', '1500']);
+        expect(await store.get('k')).toEqual({ data: [1, 2] });
+        expect(await store.get('missing')).toBeNull();
+        expect(await store.delete('k')).toBe(true);
+        expect(await store.delete('k')).toBe(false);
+    });
+
+    test('reads replies split across chunks', async () => {
+        const value = JSON.stringify({ data: 'café ☕ '.repeat(20) });
+        server = await startServer(async ([command], socket) => {
+            if (command === 'GET') await writeInPieces(socket, encode(value));
+            if (command === 'SCAN') await writeInPieces(socket, encode(['0', ['p:a', 'p:b']]), 2);
+            return undefined;
+        });
+        store = new RedisCacheStore({ url: server.url, prefix: 'p:' });
+
+        expect(await store.get('k')).toEqual(JSON.parse(value));
+        expect(await store.size()).toBe(2);
+        expect(server.connections).toBe(1);
+    });
+
+    test('matches pipelined replies to commands in order', async () => {
+        server = await startServer(([command, key]) => (command === 'GET' ? JSON.stringify({ key }) : undefined));
+        store = new RedisCacheStore({ url: server.url, prefix: '' });
+
+        const values = await Promise.all(['a', 'b', 'c'].map(key => store.get(key)));
+        expect(values).toEqual([{ key: 'a' }, { key: 'b' }, { key: 'c' }]);
+    });
+
+    test('an error reply rejects that command and keeps the connection', async () => {
+        server = await startServer(([command, key]) => (key?.endsWith('bad')
+            ? { raw: '-WRONGTYPE Operation against a key holding the wrong kind of value\r\n' }
+            : command === 'GET' ? null : undefined));
+        store = new RedisCacheStore({ url: server.url, prefix: '' });
+
+        await expect(store.get('bad')).rejects.toThrow('Redis: WRONGTYPE Operation against a key holding the wrong kind of value');
+        expect(await store.get('good')).toBeNull();
+        expect(server.connections).toBe(1);
+    });
+
+    test('a timeout drops the connection and the next command reconnects', async () => {
+        let silent = true;
+        server = await startServer(([command]) => (command === 'GET' && !silent ? null : undefined));
+        store = new RedisCacheStore({ url: server.url, prefix: '', timeoutMs: 100 });
+
+        await expect(store.get('slow')).rejects.toThrow('Redis command GET timed out after 100ms');
+        await waitFor(() => server.closed === 1);
+        expect(server.closed).toBe(1);
+
+        silent = false;
+        expect(await store.get('fast')).toBeNull();
+        expect(server.connections).toBe(2);
+    });
+
+    test('reconnects after the server closes the connection', async () => {
+        let drop = true;
+        server = await startServer(([command], socket) => {
+            if (drop) {
+                drop = false;
+                socket.destroy();
+                return undefined;
+            }
+            return command === 'GET' ? null : undefined;
+        });
+        store = new RedisCacheStore({ url: server.url, prefix: '' });
+
+        await expect(store.get('k')).rejects.toThrow('Redis connection closed');
+        expect(await store.get('k')).toBeNull();
+        expect(server.connections).toBe(2);
+    });
+
+    test('authenticates and selects the database before the first command', async () => {
+        server = await startServer(([command]) => (command === 'GET' ? null : { raw: '+OK\r\n' }));
+        store = new RedisCacheStore({ url: `${server.url.replace('//', '//cache:s%3Acret@')}/3`, prefix: '' });
+
+        await store.get('k');
+        expect(server.commands).toEqual([['AUTH', 'cache', 's:cret'], ['SELECT', '3'], ['GET', 'k']]);
+    });
+
+    test('a failed AUTH surfaces on the first command', async () => {
+        server = await startServer(([command]) => (command === 'AUTH'
+            ? { raw: '-WRONGPASS invalid username-password pair\r\n' }
+            : { raw: '-NOAUTH Authentication required.\r\n' }));
+        store = new RedisCacheStore({ url: server.url.replace('//', '//:nope@'), prefix: '' });
+
+        await expect(store.get('k')).rejects.toThrow('Redis: NOAUTH Authentication required.');
+        expect(server.commands).toEqual([['AUTH', 'nope'], ['GET', 'k']]);
+    });
+
+    test('deleteByPrefix pages through SCAN and deletes each key once', async () => {
+        const pages = {
+            0: ['17', ['mb:cards:1', 'mb:cards:2']],
+            17: ['42', []],
+            42: ['0', ['mb:cards:2', 'mb:cards:3']],
+        };
+        server = await startServer(([command, ...args]) => {
+            if (command === 'SCAN') return pages[args[0]];
+            if (command === 'DEL') return args.length;
+            return undefined;
+        });
+        store = new RedisCacheStore({ url: server.url, prefix: 'mb:' });
+
+        expect(await store.deleteByPrefix('cards:')).toBe(3);
+        expect(server.commands).toEqual([
+            ['SCAN', '0', 'MATCH', 'mb:cards:*', 'COUNT', '500'],
+            ['SCAN', '17', 'MATCH', 'mb:cards:*', 'COUNT', '500'],
+            ['SCAN', '42', 'MATCH', 'mb:cards:*', 'COUNT', '500'],
+            ['DEL', 'mb:cards:1', 'mb:cards:2', 'mb:cards:3'],
+        ]);
+    });
+
+    test('deleteByPrefix escapes glob characters and deletes in batches of 500', async () => {
+        const keys = Array.from({ length: 1200 }, (_, i) => `mb:a*[b]?:${i}`);
+        server = await startServer(([command, ...args]) => {
+            if (command === 'SCAN') return ['0', keys];
+            if (command === 'DEL') return args.length;
+            return undefined;
+        });
+        store = new RedisCacheStore({ url: server.url, prefix: 'mb:' });
+
+        expect(await store.deleteByPrefix('a*[b]?:')).toBe(1200);
+        expect(server.commands[0][3]).toBe('mb:a\\*\\[b\\]\\?:*');
+        expect(server.commands.filter(([command]) => command === 'DEL').map(args => args.length - 1)).toEqual([500, 500, 200]);
+    });
+
+    test('clear() only deletes keys under the prefix', async () => {
+        server = await startServer(([command, ...args]) => (command === 'SCAN' ? ['0', []] : undefined));
+        store = new RedisCacheStore({ url: server.url, prefix: 'mb-mcp:', namespace: 'prod' });
+
+        expect(await store.clear()).toBe(0);
+        expect(server.commands).toEqual([['SCAN', '0', 'MATCH', 'mb-mcp:prod:*', 'COUNT', '500']]);
+    });
+
+    test('rejects non-redis URLs', () => {
+        expect(() => new RedisCacheStore({ url: 'http://127.0.0.1:6379' })).toThrow('CACHE_REDIS_URL must start with redis:// or rediss://');
+    });
+});
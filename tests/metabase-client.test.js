@@ -0,0 +1,107 @@
+import { describe, expect, test } from '@jest/globals';
+import { MetabaseClient } from '../src/metabase/client.js';
+import { SqlError, fromHttpError } from '../src/utils/errors.js';
+
+/**
+ * MetabaseClient whose HTTP layer answers with `respond(method, url, body)`: a response body,
+ * or `{ status, data }` for an HTTP error
+ */
+function stubClient(respond) {
+    const client = new MetabaseClient({ url: 'http://metabase.test', apiKey: 'mb_test', retry: { retries: 0 } });
+    const sent = [];
+
+    client.client.defaults.adapter = async (config) => {
+        const method = config.method.toUpperCase();
+        const body = typeof config.data === 'string' ? JSON.parse(config.data) : (config.data ?? null);
+        sent.push(`${method} ${config.url}`);
+
+        const answer = await respond(method, config.url, body);
+        if (answer?.status >= 400) {
+            const error = new Error(`Request failed with status code ${answer.status}`);
+            Object.assign(error, { config, isAxiosError: true, response: { status: answer.status, data: answer.data, headers: {}, config } });
+            throw error;
+        }
+        return { data: answer, status: 200, statusText: 'OK', headers: {}, config };
+    };
+
+    return { client, sent };
+}
+
+describe('no_result_set', () => {
+    test('SqlError marks statements that produced no result set', () => {
+        expect(new SqlError('Select statement did not produce a ResultSet.').code).toBe('no_result_set');
+        expect(new SqlError('relation "orders" does not exist').code).toBe('sql_error');
+        expect(new SqlError('Select statement did not produce a ResultSet.', { code: 'query_cancelled' }).code).toBe('query_cancelled');
+    });
+
+    test('fromHttpError classifies it from the response body', () => {
+        const error = Object.assign(new Error('Request failed with status code 400'), {
+            response: { status: 400, data: { message: 'Select statement did not produce a ResultSet' } },
+        });
+        const typed = fromHttpError(error, 'POST /api/dataset');
+        expect(typed).toBeInstanceOf(SqlError);
+        expect(typed.code).toBe('no_result_set');
+    });
+});
+
+describe('executeDDLOperation', () => {
+    const failedQuery = (error) => ({ status: 'failed', error });
+
+    test('treats a missing result set from the dataset fallback as success', async () => {
+        const { client, sent } = stubClient((method, url) => (url === '/api/action/execute'
+            ? { status: 404, data: 'API endpoint does not exist.' }
+            : failedQuery('Select statement did not produce a ResultSet.')));
+
+        const result = await client.executeDDLOperation(1, 'CREATE TABLE claude_ai_t (id int)');
+        expect(result).toMatchObject({ status: 'success', warning: 'Select statement did not produce a ResultSet.' });
+        expect(sent).toEqual(['POST /api/action/execute', 'POST /api/dataset']);
+    });
+
+    test('rethrows other dataset errors', async () => {
+        const { client } = stubClient((method, url) => (url === '/api/action/execute'
+            ? { status: 404, data: 'API endpoint does not exist.' }
+            : failedQuery('relation "claude_ai_t" already exists')));
+
+        await expect(client.executeDDLOperation(1, 'CREATE TABLE claude_ai_t (id int)')).rejects.toMatchObject({
+            code: 'sql_error',
+            message: 'relation "claude_ai_t" already exists',
+        });
+    });
+});
+
+describe('native query routing', () => {
+    const completed = { status: 'completed', data: { rows: [], cols: [] } };
+
+    test.each([
+        ['CREATE TABLE claude_ai_t (id int)', 'POST /api/action/execute'],
+        ['CREATE OR REPLACE VIEW claude_ai_v AS SELECT 1', 'POST /api/action/execute'],
+        ['CREATE UNIQUE INDEX claude_ai_i ON orders (id)', 'POST /api/action/execute'],
+        ['/* note */ DROP MATERIALIZED VIEW claude_ai_m', 'POST /api/action/execute'],
+        ['ALTER TABLE orders ADD COLUMN note text', 'POST /api/dataset'],
+        ['TRUNCATE orders', 'POST /api/dataset'],
+        ["COMMENT ON TABLE orders IS 'x'", 'POST /api/dataset'],
+        ['SELECT * INTO claude_ai_copy FROM orders', 'POST /api/dataset'],
+        ['SELECT 1', 'POST /api/dataset'],
+    ])('%s -> %s', async (sql, endpoint) => {
+        const { client, sent } = stubClient(() => completed);
+        await client.executeNativeQuery(1, sql);
+        expect(sent).toEqual([endpoint]);
+    });
+
+    test.each([
+        'CREATE TABLE orders_copy (id int)',
+        'DROP VIEW revenue',
+        'SELECT * INTO orders_copy FROM orders',
+        'SELECT 1; CREATE INDEX orders_idx ON orders (id)',
+    ])('requires the claude_ai_ prefix: %s', async (sql) => {
+        const { client, sent } = stubClient(() => completed);
+        await expect(client.executeNativeQuery(1, sql)).rejects.toMatchObject({ code: 'prefix_required' });
+        expect(sent).toEqual([]);
+    });
+
+    test('enforcePrefix: false skips the prefix check', async () => {
+        const { client, sent } = stubClient(() => completed);
+        await client.executeNativeQuery(1, 'CREATE TABLE orders_copy (id int)', { enforcePrefix: false });
+        expect(sent).toEqual(['POST /api/action/execute']);
+    });
+});
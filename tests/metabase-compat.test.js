@@ -0,0 +1,271 @@
+import { describe, expect, test } from '@jest/globals';
+import fs from 'fs';
+import { MetabaseClient } from '../src/metabase/client.js';
+import { API_CHANGES, cardType, dashboardCards, parseVersion, supports } from '../src/metabase/compat.js';
+
+const FIXTURES = new URL('./fixtures/metabase/', import.meta.url);
+
+function loadFixture(release) {
+    return JSON.parse(fs.readFileSync(new URL(`${release}.json`, FIXTURES), 'utf8'));
+}
+
+/**
+ * MetabaseClient whose HTTP layer answers from a fixture's responses (`METHOD /path[?query]`)
+ * and records every request it sends
+ */
+function fixtureClient(release) {
+    const fixture = loadFixture(release);
+    const client = new MetabaseClient({ url: 'http://metabase.test', apiKey: 'mb_test', retry: { retries: 0 } });
+    const sent = [];
+
+    client.client.defaults.adapter = async (config) => {
+        const method = config.method.toUpperCase();
+        const query = decodeURIComponent(new URLSearchParams(config.params || {}).toString());
+        const body = typeof config.data === 'string' ? JSON.parse(config.data) : (config.data ?? null);
+        sent.push({ method, url: config.url, ...(query && { query }), ...(body !== null && { body }) });
+
+        const key = [`${method} ${config.url}?${query}`, `${method} ${config.url}`].find(k => k in fixture.responses);
+        if (!key) {
+            const error = new Error(`No recorded response for ${method} ${config.url}${query ? `?${query}` : ''}`);
+            error.response = { status: 404, data: { message: error.message }, headers: {}, config };
+            error.config = config;
+            throw error;
+        }
+        return { data: fixture.responses[key], status: 200, statusText: 'OK', headers: {}, config };
+    };
+
+    return { client, sent, fixture, writes: () => sent.filter(r => r.method !== 'GET') };
+}
+
+const RELEASES = ['0.46', '0.47', '0.49', '0.50', '0.54'];
+
+describe('parseVersion', () => {
+    test.each([
+        ['v0.46.6.4', { release: 46, patch: 6, enterprise: false }],
+        ['v0.47.0-RC1', { release: 47, patch: 0, enterprise: false }],
+        ['v1.50.9', { release: 50, patch: 9, enterprise: true }],
+        ['v0.54', { release: 54, patch: 0, enterprise: false }],
+        ['vUNKNOWN', { release: null, patch: null, enterprise: false }],
+        [undefined, { tag: null, release: null }],
+    ])('%s', (tag, expected) => {
+        expect(parseVersion(tag)).toMatchObject(expected);
+    });
+
+    test('unknown versions get every API change', () => {
+        for (const change of Object.keys(API_CHANGES)) {
+            expect(supports(parseVersion('vUNKNOWN'), change)).toBe(true);
+        }
+    });
+});
+
+describe.each(RELEASES)('Metabase %s', (release) => {
+    const number = Number(release.split('.')[1]);
+    const newDashboards = number >= API_CHANGES.dashcards;
+    const tab = number >= 54 ? 7 : null;
+
+    test('detects the version from /api/session/properties once', async () => {
+        const { client, sent, fixture } = fixtureClient(release);
+        const [version] = await Promise.all([client.getVersion(), client.getVersion()]);
+        expect(version).toMatchObject({ tag: fixture.version, release: number });
+        expect(sent.filter(r => r.url === '/api/session/properties')).toHaveLength(1);
+    });
+
+    test('getDashboard returns the cards in dashcards', async () => {
+        const { client } = fixtureClient(release);
+        const dashboard = await client.getDashboard(1);
+        expect(dashboard.dashcards.map(d => d.id)).toEqual([100, 101]);
+        expect(dashboardCards(dashboard)).toBe(dashboard.dashcards);
+    });
+
+    test('cards report their type', async () => {
+        const { client } = fixtureClient(release);
+        expect(cardType(await client.request('GET', '/api/card/10'))).toBe('question');
+    });
+
+    describe('dashboards', () => {
+        // The fixture dashboard's dashcards as the adapters save them (only the writable fields)
+        const saved = [
+            {
+                id: 100, card_id: 10, dashboard_tab_id: tab, action_id: null, row: 0, col: 0, size_x: 12, size_y: 6,
+                series: [], parameter_mappings: [], visualization_settings: {},
+            },
+            {
+                id: 101, card_id: 11, dashboard_tab_id: tab, action_id: null, row: 0, col: 12, size_x: 12, size_y: 6,
+                series: [{ id: 12 }], parameter_mappings: [], visualization_settings: {},
+            },
+        ];
+        const tabs = tab ? { tabs: [{ id: 7, dashboard_id: 1, name: 'Overview', position: 0 }] } : {};
+
+        test('addCardToDashboard', async () => {
+            const { client, writes } = fixtureClient(release);
+            const dashcard = await client.addCardToDashboard(1, 13, { row: 6, col: 0, sizeX: 4, sizeY: 4 });
+
+            expect(dashcard).toMatchObject({ id: 102, card_id: 13 });
+            const added = { card_id: 13, row: 6, col: 0, size_x: 4, size_y: 4, parameter_mappings: [], visualization_settings: {} };
+            expect(writes()).toEqual(newDashboards
+                ? [{ method: 'PUT', url: '/api/dashboard/1', body: { dashcards: [...saved, { ...added, id: -1, dashboard_tab_id: tab }], ...tabs } }]
+                : [{ method: 'POST', url: '/api/dashboard/1/cards', body: { cardId: 13, row: 6, col: 0, size_x: 4, size_y: 4, parameter_mappings: [], visualization_settings: {} } }]);
+        });
+
+        test('updateDashboardCards sends the whole layout', async () => {
+            const { client, writes } = fixtureClient(release);
+            await client.updateDashboardCards(1, [{ id: 101, row: 6, size_x: 24 }]);
+
+            const moved = [saved[0], { ...saved[1], row: 6, size_x: 24 }];
+            if (!newDashboards) moved.forEach(d => delete d.dashboard_tab_id);
+            expect(writes()).toEqual(newDashboards
+                ? [{ method: 'PUT', url: '/api/dashboard/1', body: { dashcards: moved, ...tabs } }]
+                : [{ method: 'PUT', url: '/api/dashboard/1/cards', body: { cards: moved } }]);
+        });
+
+        test('removeDashboardCard', async () => {
+            const { client, writes } = fixtureClient(release);
+            await client.removeDashboardCard(1, 100);
+
+            expect(writes()).toEqual(newDashboards
+                ? [{ method: 'PUT', url: '/api/dashboard/1', body: { dashcards: [saved[1]], ...tabs } }]
+                : [{ method: 'DELETE', url: '/api/dashboard/1/cards', query: 'dashcardId=100' }]);
+        });
+    });
+
+    test('createModel marks the card as a model', async () => {
+        const { client, writes } = fixtureClient(release);
+        const model = await client.createModel({ name: 'Orders model', dataset_query: { database: 1, type: 'query', query: { 'source-table': 5 } } });
+
+        expect(cardType(model)).toBe('model');
+        expect(writes()).toEqual([{
+            method: 'POST',
+            url: '/api/card',
+            body: {
+                name: 'Orders model',
+                dataset_query: { database: 1, type: 'query', query: { 'source-table': 5 } },
+                display: 'table',
+                ...(number >= API_CHANGES.cardType ? { type: 'model' } : { dataset: true }),
+            },
+        }]);
+    });
+
+    describe('metrics', () => {
+        const metricCards = number >= API_CHANGES.metricsV2;
+
+        test('getMetrics', async () => {
+            const { client, sent } = fixtureClient(release);
+            const metrics = await client.getMetrics();
+
+            expect(metrics.map(m => m.name)).toEqual(['Revenue']);
+            expect(sent.at(-1)).toEqual(metricCards
+                ? { method: 'GET', url: '/api/card', query: 'f=all' }
+                : { method: 'GET', url: '/api/metric' });
+        });
+
+        test('createMetric', async () => {
+            const { client, writes, sent } = fixtureClient(release);
+            await client.createMetric({ name: 'Order count', table_id: 5, collection_id: 2, definition: { aggregation: ['count'] } });
+
+            if (metricCards) {
+                expect(sent.map(r => `${r.method} ${r.url}`)).toContain('GET /api/table/5');
+                expect(writes()).toEqual([{
+                    method: 'POST',
+                    url: '/api/card',
+                    body: {
+                        name: 'Order count', type: 'metric', display: 'scalar', collection_id: 2,
+                        dataset_query: { database: 1, type: 'query', query: { 'source-table': 5, aggregation: [['count']] } },
+                        visualization_settings: {},
+                    },
+                }]);
+            } else {
+                expect(writes()).toEqual([{
+                    method: 'POST',
+                    url: '/api/metric',
+                    body: { name: 'Order count', table_id: 5, collection_id: 2, definition: { aggregation: ['count'] } },
+                }]);
+            }
+        });
+
+        test('updateMetric', async () => {
+            const { client, writes } = fixtureClient(release);
+            const definition = { aggregation: ['sum', ['field', 43, null]] };
+            await client.updateMetric(metricCards ? 30 : 3, { name: 'Net revenue', definition });
+
+            expect(writes()).toEqual(metricCards
+                ? [{
+                    method: 'PUT',
+                    url: '/api/card/30',
+                    body: {
+                        name: 'Net revenue',
+                        dataset_query: { database: 1, type: 'query', query: { 'source-table': 5, aggregation: [['sum', ['field', 43, null]]] } },
+                    },
+                }]
+                : [{ method: 'PUT', url: '/api/metric/3', body: { name: 'Net revenue', definition } }]);
+        });
+    });
+
+    describe('alerts', () => {
+        const notifications = number >= API_CHANGES.notifications;
+
+        test('getAlerts returns one shape', async () => {
+            const { client, sent } = fixtureClient(release);
+            const alerts = await client.getAlerts();
+
+            expect(alerts).toEqual([expect.objectContaining({
+                card_id: 10,
+                card_name: 'Orders',
+                condition: 'rows',
+                first_only: false,
+                channels: [expect.objectContaining({ channel_type: 'email', enabled: true })],
+            })]);
+            expect(sent.at(-1)).toEqual(notifications
+                ? { method: 'GET', url: '/api/notification', query: 'payload_type=notification/card' }
+                : { method: 'GET', url: '/api/alert' });
+        });
+
+        test('createAlert', async () => {
+            const { client, writes } = fixtureClient(release);
+            const channels = [{ channel_type: 'email', enabled: true, schedule_type: 'daily', schedule_hour: 9, recipients: [{ id: 1 }, { email: 'ops@example.com' }] }];
+            const alert = await client.createAlert({ card_id: 10, condition: 'goal', above_goal: true, first_only: true, channels });
+
+            expect(alert).toMatchObject({ card_id: 10, condition: 'goal', above_goal: true, first_only: true });
+            expect(writes()).toEqual(notifications
+                ? [{
+                    method: 'POST',
+                    url: '/api/notification',
+                    body: {
+                        payload_type: 'notification/card',
+                        payload: { card_id: 10, send_condition: 'goal_above', send_once: true },
+                        handlers: [{
+                            channel_type: 'channel/email',
+                            active: true,
+                            recipients: [
+                                { type: 'notification-recipient/user', user_id: 1 },
+                                { type: 'notification-recipient/raw-value', details: { value: 'ops@example.com' } },
+                            ],
+                        }],
+                        subscriptions: [{ type: 'notification-subscription/cron', cron_schedule: '0 0 9 * * ? *' }],
+                    },
+                }]
+                : [{
+                    method: 'POST',
+                    url: '/api/alert',
+                    body: { card: { id: 10 }, alert_condition: 'goal', alert_first_only: true, alert_above_goal: true, channels },
+                }]);
+        });
+    });
+
+    test('setCollectionPermission', async () => {
+        const { client, writes } = fixtureClient(release);
+        await client.setCollectionPermission(3, 2, 'read');
+
+        expect(writes()).toEqual(number >= API_CHANGES.partialCollectionGraph
+            ? [{ method: 'PUT', url: '/api/collection/graph', query: 'skip-graph=true', body: { revision: 14, groups: { 3: { 2: 'read' } } } }]
+            : [{
+                method: 'PUT',
+                url: '/api/collection/graph',
+                body: { revision: 14, groups: { 1: { root: 'write', 2: 'write' }, 3: { root: 'none', 2: 'read' } } },
+            }]);
+    });
+
+    test('getCollectionGraph', async () => {
+        const { client } = fixtureClient(release);
+        expect(await client.getCollectionGraph()).toMatchObject({ revision: 14, groups: { 3: { 2: 'none' } } });
+    });
+});
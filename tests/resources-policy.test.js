@@ -0,0 +1,134 @@
+import { describe, expect, test } from '@jest/globals';
+import { ResourceProvider } from '../src/mcp/resources.js';
+import { CompletionProvider } from '../src/mcp/completions.js';
+import { ToolPolicy } from '../src/mcp/tool-policy.js';
+import { PermissionError } from '../src/utils/errors.js';
+
+const native = (database, query) => ({ type: 'native', database, native: { query } });
+
+const databases = [{ id: 1, name: 'warehouse', engine: 'postgres' }, { id: 2, name: 'hr', engine: 'postgres' }];
+const tables = {
+    1: [
+        { id: 10, db_id: 1, name: 'orders', schema: 'public' },
+        { id: 11, db_id: 1, name: 'salaries', schema: 'payroll' },
+    ],
+    2: [{ id: 20, db_id: 2, name: 'employees', schema: 'public' }],
+};
+const cards = [
+    { id: 100, name: 'Orders', database_id: 1, collection_id: 5, dataset_query: native(1, 'SELECT * FROM orders') },
+    { id: 101, name: 'Payroll', database_id: 1, collection_id: 5, dataset_query: native(1, 'SELECT * FROM payroll.salaries') },
+    { id: 102, name: 'Staff', database_id: 2, collection_id: 5, dataset_query: native(2, 'SELECT 1') },
+    { id: 103, name: 'Secret', database_id: 1, collection_id: 9, dataset_query: native(1, 'SELECT 1') },
+];
+const dashboards = [{ id: 200, name: 'Sales', collection_id: 5 }, { id: 201, name: 'Board', collection_id: 9 }];
+
+/**
+ * Client serving the fixtures above; `/api/search` answers from cards, dashboards and collections
+ */
+const client = {
+    getDatabases: async () => databases,
+    getDatabase: async (id) => databases.find(db => db.id === id),
+    getDatabaseTables: async (id) => tables[id].map(({ db_id: _dbId, ...table }) => table),
+    getDashboards: async () => dashboards,
+    getQuestions: async () => cards,
+    getDashboard: async (id) => ({
+        ...dashboards.find(d => d.id === id),
+        dashcards: [{ id: 1, card_id: 100, card: cards[0] }, { id: 2, card_id: 101, card: cards[1] }],
+    }),
+    request: async (method, path, params) => {
+        const table = Object.values(tables).flat().find(t => path === `/api/table/${t.id}/query_metadata`);
+        if (table) return { ...table, fields: [{ id: 1, name: 'amount', base_type: 'type/Float' }] };
+
+        const card = cards.find(c => path === `/api/card/${c.id}`);
+        if (card) return card;
+
+        return [
+            ...cards.map(c => ({ model: 'card', id: c.id, name: c.name, database_id: c.database_id, collection: { id: c.collection_id } })),
+            ...dashboards.map(d => ({ model: 'dashboard', id: d.id, name: d.name, collection_id: d.collection_id })),
+            { model: 'collection', id: 5, name: 'Shared' },
+            { model: 'collection', id: 9, name: 'Private' },
+        ].filter(item => item.model === params.models);
+    },
+};
+
+const cache = { getOrSet: async (key, fetch) => ({ data: await fetch() }) };
+
+const policy = new ToolPolicy({
+    databases: { deny: [2] },
+    collections: { deny: [9] },
+    sql: { schemas: { deny: ['payroll'] } },
+});
+
+describe('resources', () => {
+    const resources = new ResourceProvider(client, cache, policy);
+
+    test('listings leave out what the policy hides', async () => {
+        const { resources: listed } = await resources.listResources();
+        expect(listed.map(r => r.uri)).toEqual([
+            'metabase://database/1',
+            'metabase://dashboard/200',
+            'metabase://card/100',
+        ]);
+    });
+
+    test('a database lists only its visible tables', async () => {
+        const { contents } = await resources.readResource('metabase://database/1');
+        expect(JSON.parse(contents[0].text).tables.map(t => t.name)).toEqual(['orders']);
+    });
+
+    test('a dashboard lists only its visible cards', async () => {
+        const { contents } = await resources.readResource('metabase://dashboard/200');
+        expect(JSON.parse(contents[0].text).cards.map(c => c.card_id)).toEqual([100]);
+    });
+
+    test.each([
+        ['metabase://database/2', 'database_denied'],
+        ['metabase://database/2/table/20', 'database_denied'],
+        ['metabase://database/1/table/11', 'schema_denied'],
+        ['metabase://card/101', 'schema_denied'],
+        ['metabase://card/102', 'database_denied'],
+        ['metabase://card/103', 'collection_denied'],
+        ['metabase://dashboard/201', 'collection_denied'],
+    ])('reading %s fails with %s', async (uri, code) => {
+        const read = resources.readResource(uri);
+        await expect(read).rejects.toBeInstanceOf(PermissionError);
+        await expect(read).rejects.toMatchObject({ code, details: { uri } });
+    });
+
+    test('a card without native SQL is blocked while table rules are set', async () => {
+        const gui = { id: 104, name: 'GUI', database_id: 1, collection_id: 5, dataset_query: { type: 'query', database: 1 } };
+        const provider = new ResourceProvider({ ...client, request: async () => gui }, cache, policy);
+        await expect(provider.readResource('metabase://card/104')).rejects.toMatchObject({ code: 'relation_unchecked' });
+
+        const open = new ResourceProvider({ ...client, request: async () => gui }, cache, new ToolPolicy({}));
+        const { contents } = await open.readResource('metabase://card/104');
+        expect(JSON.parse(contents[0].text).id).toBe(104);
+    });
+
+    test('without a policy everything is served', async () => {
+        const { resources: listed } = await new ResourceProvider(client, cache).listResources();
+        expect(listed).toHaveLength(2 + 2 + 4);
+    });
+});
+
+describe('completions', () => {
+    const completions = new CompletionProvider(client, cache, policy);
+    const complete = async (name, value = '', args = {}) => (await completions.complete({
+        ref: { type: 'ref/prompt', name: 'sql_execute' },
+        argument: { name, value },
+        context: { arguments: args },
+    })).completion.values;
+
+    test('suggest only visible databases, schemas and tables', async () => {
+        expect(await complete('database_id')).toEqual(['1']);
+        expect(await complete('schema_name')).toEqual(['public']);
+        expect(await complete('table_name')).toEqual(['orders']);
+        expect(await complete('table_name', '', { database_id: 2 })).toEqual([]);
+    });
+
+    test('suggest only cards, dashboards and collections outside hidden scopes', async () => {
+        expect((await complete('card_id')).sort()).toEqual(['100', '101']);
+        expect(await complete('dashboard_id')).toEqual(['200']);
+        expect(await complete('collection_id')).toEqual(['5']);
+    });
+});
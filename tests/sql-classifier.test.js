@@ -0,0 +1,348 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+    SqlDialect,
+    applyRowLimit,
+    classifySQL,
+    dialectForEngine,
+    extractRelations,
+    firstWrite,
+    isReadOnlySQL,
+} from '../src/utils/sql-classifier.js';
+
+const { POSTGRES, MYSQL } = SqlDialect;
+
+describe('classifySQL', () => {
+    test.each([
+        'SELECT 1',
+        'select * from orders where id = 1',
+        'SELECT updated_at, deleted_by, created_at FROM audit',
+        "SELECT 'delete from t' AS note",
+        "SELECT 'drop table users; --' FROM t",
+        'SELECT "update", "insert" FROM "drop"',
+        'SELECT 1 -- DELETE FROM t',
+        'SELECT 1 /* DROP TABLE t */',
+        'SELECT 1 /* nested /* DROP TABLE t */ still comment */',
+        'VALUES (1), (2)',
+        'TABLE orders',
+        'SHOW search_path',
+        'EXPLAIN SELECT * FROM t',
+        'EXPLAIN (FORMAT JSON) SELECT * FROM t',
+        'WITH recent AS (SELECT * FROM orders) SELECT * FROM recent',
+        'WITH RECURSIVE r(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM r WHERE n < 5) SELECT * FROM r',
+        '(SELECT 1) UNION (SELECT 2)',
+        'SELECT substring(name FROM 1 FOR 3) FROM users',
+        "SELECT 'FOR UPDATE' FROM t",
+        'SELECT 1; SELECT 2;',
+        'SELECT * FROM t INTO @x',
+        "COPY t TO STDOUT WITH CSV",
+        'SELECT $$DELETE FROM t$$',
+        'SELECT $body$ DROP TABLE t $body$',
+        'SELECT E\'it\\\'s DELETE\' FROM t',
+    ])('read: %s', (sql) => {
+        const result = classifySQL(sql);
+        expect(result.type).toBe('read');
+        expect(isReadOnlySQL(sql)).toBe(true);
+        expect(firstWrite(result)).toBeNull();
+    });
+
+    test.each([
+        ['INSERT INTO t VALUES (1)', 'dml', 'INSERT'],
+        ['UPDATE t SET a = 1', 'dml', 'UPDATE'],
+        ['DELETE FROM t', 'dml', 'DELETE'],
+        ['MERGE INTO t USING s ON t.id = s.id WHEN MATCHED THEN DELETE', 'dml', 'MERGE'],
+        ['REPLACE INTO t VALUES (1)', 'dml', 'REPLACE'],
+        ['CREATE TABLE t (id int)', 'ddl', 'CREATE TABLE'],
+        ['ALTER TABLE t ADD COLUMN b int', 'ddl', 'ALTER TABLE'],
+        ['DROP TABLE t', 'ddl', 'DROP TABLE'],
+        ['TRUNCATE t', 'ddl', 'TRUNCATE TABLE'],
+        ['CREATE DATABASE x', 'admin', 'CREATE DATABASE'],
+        ['DROP SCHEMA hr CASCADE', 'admin', 'DROP SCHEMA'],
+        ['GRANT SELECT ON t TO bob', 'admin', 'GRANT'],
+        ['VACUUM t', 'admin', 'VACUUM'],
+        ['SET search_path TO hr', 'admin', 'SET'],
+        ['BEGIN', 'admin', 'BEGIN'],
+        ['CALL refresh_all()', 'admin', 'CALL'],
+        ['LOCK TABLE t IN ACCESS EXCLUSIVE MODE', 'admin', 'LOCK'],
+    ])('%s is %s', (sql, type, command) => {
+        const result = classifySQL(sql);
+        expect(result.type).toBe(type);
+        expect(result.statements[0].command).toBe(command);
+        expect(isReadOnlySQL(sql)).toBe(false);
+    });
+
+    test.each([
+        'FROBNICATE t',
+        "SELECT 'unterminated",
+        'SELECT 1 /* unterminated comment',
+        '"unterminated identifier',
+        'EXPLAIN ANALYZE',
+    ])('unknown: %s', (sql) => {
+        expect(classifySQL(sql).type).toBe('unknown');
+        expect(isReadOnlySQL(sql)).toBe(false);
+    });
+
+    test('unterminated SQL is reported by firstWrite()', () => {
+        expect(firstWrite(classifySQL("SELECT 'oops"))).toMatchObject({ type: 'unknown', command: 'UNPARSEABLE' });
+    });
+
+    test('the most privileged statement decides the type', () => {
+        const result = classifySQL('SELECT 1; DELETE FROM t; DROP TABLE u');
+        expect(result.type).toBe('ddl');
+        expect(result.statements.map(s => s.type)).toEqual(['read', 'dml', 'ddl']);
+        expect(firstWrite(result)).toMatchObject({ type: 'dml', command: 'DELETE' });
+        expect(result.statements[1].text).toBe('DELETE FROM t');
+    });
+
+    describe('writes hidden in reads', () => {
+        test.each([
+            ['WITH d AS (DELETE FROM t RETURNING *) SELECT * FROM d', 'dml', 'DELETE'],
+            ['WITH u AS (UPDATE t SET a = 1 RETURNING id) SELECT count(*) FROM u', 'dml', 'UPDATE'],
+            ['WITH i AS (INSERT INTO t VALUES (1) RETURNING *) SELECT * FROM i', 'dml', 'INSERT'],
+            ['WITH a AS (SELECT 1), b AS (DELETE FROM t RETURNING *) SELECT * FROM a, b', 'dml', 'DELETE'],
+            ['WITH x AS (SELECT 1) DELETE FROM t WHERE id IN (SELECT * FROM x)', 'dml', 'WITH DELETE'],
+            ['WITH x AS (SELECT 1) INSERT INTO t SELECT * FROM x', 'dml', 'WITH INSERT'],
+            ['SELECT pg_terminate_backend(42)', 'admin', 'pg_terminate_backend()'],
+            ['SELECT * FROM pg_read_file(\'/etc/passwd\')', 'admin', 'pg_read_file()'],
+            ["SELECT set_config('search_path', 'hr', false)", 'admin', 'set_config()'],
+            ["SELECT nextval('seq')", 'dml', 'nextval()'],
+            ['EXPLAIN ANALYZE DELETE FROM t', 'dml', 'EXPLAIN ANALYZE DELETE'],
+            ['EXPLAIN (ANALYZE, BUFFERS) UPDATE t SET a = 1', 'dml', 'EXPLAIN ANALYZE UPDATE'],
+            ['PREPARE p AS DELETE FROM t WHERE id = $1', 'dml', 'PREPARE DELETE'],
+            ['DECLARE c CURSOR FOR SELECT * FROM t FOR UPDATE', 'dml', 'SELECT FOR UPDATE'],
+        ])('%s', (sql, type, operation) => {
+            const write = firstWrite(classifySQL(sql));
+            expect(write).toMatchObject({ type, operation });
+        });
+
+        test('EXPLAIN without ANALYZE does not run the statement', () => {
+            expect(classifySQL('EXPLAIN DELETE FROM t').type).toBe('read');
+        });
+    });
+
+    describe('SELECT INTO', () => {
+        test('creates a table in Postgres', () => {
+            const result = classifySQL('SELECT * INTO archive.old_orders FROM orders', { dialect: POSTGRES });
+            expect(result.type).toBe('ddl');
+            expect(result.statements[0]).toMatchObject({
+                operation: 'SELECT INTO',
+                objectType: 'TABLE',
+                objects: [{ schema: 'archive', name: 'old_orders' }],
+            });
+        });
+
+        test.each([
+            'SELECT * INTO TEMP TABLE scratch FROM orders',
+            'SELECT * INTO UNLOGGED scratch FROM orders',
+        ])('Postgres: %s', (sql) => {
+            expect(classifySQL(sql, { dialect: POSTGRES }).statements[0]).toMatchObject({ type: 'ddl', objects: [{ name: 'scratch' }] });
+        });
+
+        test('sets variables in MySQL', () => {
+            expect(classifySQL('SELECT count(*) INTO @n FROM orders', { dialect: MYSQL }).type).toBe('read');
+            expect(classifySQL('SELECT count(*) INTO n FROM orders', { dialect: MYSQL }).type).toBe('read');
+        });
+
+        test.each([
+            ["SELECT * FROM t INTO OUTFILE '/tmp/t.csv'", 'SELECT INTO OUTFILE'],
+            ["SELECT * INTO DUMPFILE '/tmp/t.bin' FROM t", 'SELECT INTO DUMPFILE'],
+        ])('writes a file: %s', (sql, operation) => {
+            for (const dialect of [POSTGRES, MYSQL]) {
+                expect(firstWrite(classifySQL(sql, { dialect }))).toMatchObject({ type: 'admin', operation });
+            }
+        });
+
+        test('without a dialect the stricter reading wins', () => {
+            expect(classifySQL('SELECT count(*) INTO n FROM orders').type).toBe('ddl');
+        });
+    });
+
+    describe('COPY', () => {
+        test.each([
+            ['COPY t TO STDOUT', 'read', 'COPY TO STDOUT'],
+            ["COPY (SELECT * FROM t) TO STDOUT WITH (FORMAT csv)", 'read', 'COPY TO STDOUT'],
+            ["COPY t TO '/tmp/t.csv'", 'admin', 'COPY TO FILE'],
+            ["COPY t TO PROGRAM 'gzip > /tmp/t.gz'", 'admin', 'COPY TO FILE'],
+            ['COPY t FROM STDIN', 'dml', 'COPY FROM STDIN'],
+            ["COPY t FROM '/tmp/t.csv'", 'admin', 'COPY FROM FILE'],
+            ["COPY t FROM PROGRAM 'curl http://x'", 'admin', 'COPY FROM FILE'],
+            ['COPY t', 'unknown', 'COPY'],
+        ])('%s', (sql, type, operation) => {
+            const result = classifySQL(sql, { dialect: POSTGRES });
+            expect(result.type).toBe(type);
+            expect(result.statements[0].operation).toBe(operation);
+        });
+
+        test('names the copied table', () => {
+            expect(classifySQL('COPY sales.orders FROM STDIN').statements[0].objects).toEqual([{ schema: 'sales', name: 'orders' }]);
+        });
+    });
+
+    describe('row locks', () => {
+        test.each([
+            ['SELECT * FROM t FOR UPDATE', 'SELECT FOR UPDATE'],
+            ['SELECT * FROM t WHERE id = 1 FOR UPDATE NOWAIT', 'SELECT FOR UPDATE'],
+            ['SELECT * FROM t FOR UPDATE OF t SKIP LOCKED', 'SELECT FOR UPDATE'],
+            ['SELECT * FROM t FOR NO KEY UPDATE', 'SELECT FOR NO KEY UPDATE'],
+            ['SELECT * FROM t FOR SHARE', 'SELECT FOR SHARE'],
+            ['SELECT * FROM t FOR KEY SHARE', 'SELECT FOR KEY SHARE'],
+            ['SELECT * FROM t LOCK IN SHARE MODE', 'SELECT LOCK IN SHARE MODE'],
+            ['SELECT * FROM (SELECT * FROM t FOR UPDATE) s', 'SELECT FOR UPDATE'],
+            ['WITH l AS (SELECT id FROM t FOR UPDATE) SELECT * FROM l', 'SELECT FOR UPDATE'],
+        ])('%s is not a read', (sql, operation) => {
+            const result = classifySQL(sql);
+            expect(result.type).toBe('dml');
+            expect(result.statements[0]).toMatchObject({ command: expect.stringContaining('SELECT'), operation, locking: true });
+            expect(isReadOnlySQL(sql)).toBe(false);
+        });
+
+        test('FOR in other clauses is not a lock', () => {
+            expect(classifySQL('SELECT substring(a FROM 2 FOR 3) FROM t').statements[0].locking).toBeUndefined();
+            expect(classifySQL('SELECT overlay(a PLACING b FROM 1 FOR 2) FROM t').type).toBe('read');
+        });
+    });
+
+    describe('dialects', () => {
+        test.each([
+            ['postgres', POSTGRES],
+            ['redshift', POSTGRES],
+            ['mysql', MYSQL],
+            ['mariadb', MYSQL],
+        ])('engine %s uses %s rules', (engine, dialect) => {
+            expect(dialectForEngine(engine)).toBe(dialect);
+        });
+
+        test('unknown engines get no dialect', () => {
+            expect(dialectForEngine('h2')).toBeNull();
+        });
+
+        test('MySQL executable comments are code', () => {
+            expect(classifySQL('SELECT 1 /*!50000 , (DELETE FROM t) */', { dialect: MYSQL }).type).not.toBe('read');
+            expect(classifySQL('/*! DROP TABLE t */', { dialect: MYSQL }).type).toBe('ddl');
+        });
+
+        test('MySQL # comments hide code', () => {
+            expect(classifySQL('SELECT 1 # ; DROP TABLE t', { dialect: MYSQL }).type).toBe('read');
+        });
+
+        test('Postgres reads # as an operator, so the comment trick is a write', () => {
+            expect(classifySQL('SELECT 1 # ; DROP TABLE t', { dialect: POSTGRES }).type).toBe('ddl');
+            expect(classifySQL('SELECT 1 # ; DROP TABLE t').type).toBe('ddl');
+        });
+
+        test('backslash escapes end MySQL strings differently', () => {
+            const sql = "SELECT 'a\\'; DROP TABLE t; -- '";
+            expect(classifySQL(sql, { dialect: MYSQL }).type).toBe('read');
+            expect(classifySQL(sql, { dialect: POSTGRES }).type).toBe('ddl');
+            expect(classifySQL(sql).type).toBe('ddl');
+        });
+
+        test('double quotes are identifiers in Postgres and strings in MySQL', () => {
+            expect(classifySQL('SELECT "DELETE FROM t"', { dialect: POSTGRES }).type).toBe('read');
+            expect(classifySQL('SELECT "DELETE FROM t"', { dialect: MYSQL }).type).toBe('read');
+        });
+
+        test('backticks quote MySQL identifiers', () => {
+            expect(classifySQL('SELECT `drop` FROM `delete`', { dialect: MYSQL }).type).toBe('read');
+        });
+
+        test('dollar quoting is Postgres only', () => {
+            expect(classifySQL('SELECT $$; DROP TABLE t; $$', { dialect: POSTGRES }).type).toBe('read');
+            expect(classifySQL('SELECT $$; DROP TABLE t; $$', { dialect: MYSQL }).statements.map(s => s.type)).toContain('ddl');
+        });
+
+        test('MySQL DML modifiers still find the target', () => {
+            expect(classifySQL('DELETE LOW_PRIORITY QUICK FROM logs', { dialect: MYSQL }).statements[0].objects).toEqual([{ schema: null, name: 'logs' }]);
+            expect(classifySQL('INSERT IGNORE INTO app.t VALUES (1)', { dialect: MYSQL }).statements[0].objects).toEqual([{ schema: 'app', name: 't' }]);
+        });
+    });
+});
+
+describe('extractRelations', () => {
+    test.each([
+        ['SELECT * FROM orders', [{ schema: null, name: 'orders' }]],
+        ['SELECT * FROM sales.orders o JOIN hr.people p ON p.id = o.rep_id', [{ schema: 'sales', name: 'orders' }, { schema: 'hr', name: 'people' }]],
+        ['WITH x AS (SELECT * FROM hr.salaries) SELECT * FROM x', [{ schema: 'hr', name: 'salaries' }]],
+        ['SELECT * FROM (SELECT * FROM a) sub, generate_series(1, 3)', [{ schema: null, name: 'a' }]],
+        ['SELECT * FROM t WHERE id IN (SELECT id FROM u)', [{ schema: null, name: 't' }, { schema: null, name: 'u' }]],
+        ['INSERT INTO log SELECT * FROM events', [{ schema: null, name: 'log' }, { schema: null, name: 'events' }]],
+        ['DROP SCHEMA hr', [{ schema: 'hr', name: null }]],
+    ])('%s', (sql, relations) => {
+        expect(extractRelations(sql)).toEqual(expect.arrayContaining(relations));
+        expect(extractRelations(sql)).toHaveLength(relations.length);
+    });
+
+    test('strings and comments are not tables', () => {
+        expect(extractRelations("SELECT 'FROM secrets' FROM t -- JOIN hidden")).toEqual([{ schema: null, name: 't' }]);
+    });
+});
+
+describe('applyRowLimit', () => {
+    test.each([
+        ['SELECT * FROM t', 'SELECT * FROM t LIMIT 100', 'added'],
+        ['SELECT * FROM t;', 'SELECT * FROM t LIMIT 100;', 'added'],
+        ['SELECT * FROM t -- trailing comment', 'SELECT * FROM t LIMIT 100 -- trailing comment', 'added'],
+        ['WITH x AS (SELECT * FROM t LIMIT 5000) SELECT * FROM x', 'WITH x AS (SELECT * FROM t LIMIT 5000) SELECT * FROM x LIMIT 100', 'added'],
+        ['SELECT * FROM (SELECT * FROM t LIMIT 5000) s', 'SELECT * FROM (SELECT * FROM t LIMIT 5000) s LIMIT 100', 'added'],
+        ['SELECT * FROM t FOR UPDATE', 'SELECT * FROM t LIMIT 100 FOR UPDATE', 'added'],
+        ['SELECT * FROM t LOCK IN SHARE MODE', 'SELECT * FROM t LIMIT 100 LOCK IN SHARE MODE', 'added'],
+        ['SELECT * FROM t LIMIT 5000', 'SELECT * FROM t LIMIT 100', 'tightened'],
+        ['SELECT * FROM t LIMIT ALL', 'SELECT * FROM t LIMIT 100', 'tightened'],
+        ['SELECT * FROM t LIMIT 5000 OFFSET 10', 'SELECT * FROM t LIMIT 100 OFFSET 10', 'tightened'],
+        ['SELECT * FROM t FETCH FIRST 5000 ROWS ONLY', 'SELECT * FROM t FETCH FIRST 100 ROWS ONLY', 'tightened'],
+    ])('%s', (sql, limited, applied) => {
+        expect(applyRowLimit(sql, 100)).toMatchObject({ sql: limited, applied, limit: 100 });
+    });
+
+    test('MySQL LIMIT offset, count lowers the count', () => {
+        expect(applyRowLimit('SELECT * FROM t LIMIT 10, 5000', 100, { dialect: MYSQL }))
+            .toMatchObject({ sql: 'SELECT * FROM t LIMIT 10, 100', applied: 'tightened', previous: 5000 });
+    });
+
+    test.each([
+        ['SELECT * FROM t LIMIT $1', POSTGRES, '$1'],
+        ['SELECT * FROM t LIMIT ?', MYSQL, '?'],
+        ['SELECT * FROM t LIMIT 10, ?', MYSQL, '?'],
+        ['SELECT * FROM t LIMIT 10 * 1000', POSTGRES, '10 * 1000'],
+        ['SELECT * FROM t FETCH FIRST $1 ROWS ONLY', POSTGRES, '$1'],
+    ])('wraps a non-literal limit: %s', (sql, dialect, previous) => {
+        expect(applyRowLimit(sql, 100, { dialect })).toEqual({
+            sql: `SELECT * FROM (${sql}) AS row_limited LIMIT 100`,
+            applied: 'wrapped',
+            previous,
+            limit: 100,
+        });
+    });
+
+    test('wraps a parameter limit without a dialect', () => {
+        expect(applyRowLimit('SELECT * FROM t LIMIT $1', 100)).toMatchObject({
+            sql: 'SELECT * FROM (SELECT * FROM t LIMIT $1) AS row_limited LIMIT 100',
+            applied: 'wrapped',
+        });
+    });
+
+    test('keeps comments and the semicolon outside the wrapper', () => {
+        expect(applyRowLimit('/* mcp-job:abc */ SELECT * FROM t LIMIT $1;', 100, { dialect: POSTGRES }).sql)
+            .toBe('/* mcp-job:abc */ SELECT * FROM (SELECT * FROM t LIMIT $1) AS row_limited LIMIT 100;');
+    });
+
+    test.each([
+        'SELECT * FROM t LIMIT 10',
+        'SELECT * FROM t FETCH FIRST ROW ONLY',
+        'SELECT * FROM t FETCH FIRST 10 ROWS ONLY',
+        'INSERT INTO t SELECT * FROM u',
+        'SELECT 1; SELECT 2',
+        'EXPLAIN SELECT * FROM t',
+        'SHOW tables',
+        "SELECT 'unterminated",
+    ])('leaves alone: %s', (sql) => {
+        expect(applyRowLimit(sql, 100)).toMatchObject({ sql, applied: null });
+    });
+
+    test('a limit of 0 turns the cap off', () => {
+        expect(applyRowLimit('SELECT * FROM t', 0)).toEqual({ sql: 'SELECT * FROM t', applied: null, limit: 0 });
+    });
+
+    test('MySQL SELECT INTO @var is left alone', () => {
+        expect(applyRowLimit('SELECT count(*) INTO @n FROM t', 100, { dialect: MYSQL }).applied).toBeNull();
+    });
+});
@@ -0,0 +1,179 @@
+import { afterEach, describe, expect, test } from '@jest/globals';
+import { QueryJobStore } from '../src/mcp/job-store.js';
+import { MemoryJobBackend } from '../src/mcp/job-backends.js';
+import { ToolPolicy } from '../src/mcp/tool-policy.js';
+import { SqlHandler } from '../src/mcp/handlers/sql.js';
+
+/**
+ * Backend holding jobs from before a restart
+ */
+class RestoredBackend extends MemoryJobBackend {
+    constructor(jobs) {
+        super();
+        this.jobs = jobs;
+    }
+
+    load() {
+        return { jobs: this.jobs, results: [] };
+    }
+}
+
+const pending = (id, fields) => ({
+    id, database_id: 1, sql: null, status: 'pending', priority: 'normal', sequence: 1,
+    submitted_at: Date.now(), started_at: null, completed_at: null, timeout_ms: 60000,
+    result_id: null, error: null, row_count: 0, ...fields,
+});
+
+/**
+ * SqlHandler running a job store's jobs against a client that records what it runs
+ */
+function startJobs(jobs, policyDefinition = {}, overrides = {}) {
+    const ran = [];
+    const client = {
+        getDatabases: async () => [{ id: 1, engine: 'postgres' }],
+        executeNativeQueryWithTimeout: async (databaseId, sql) => {
+            ran.push(sql);
+            return { data: { cols: [{ name: 'n' }], rows: [[1]] } };
+        },
+        executeCardQueryWithTimeout: async (cardId) => {
+            ran.push(`card ${cardId}`);
+            return { data: { cols: [{ name: 'n' }], rows: [[1]] } };
+        },
+        ...overrides,
+    };
+    const cache = { getOrSet: async (key, fetch) => ({ data: await fetch() }) };
+    const jobStore = new QueryJobStore({ backend: new RestoredBackend(jobs) });
+    const handler = new SqlHandler(client, cache, null, null, new ToolPolicy(policyDefinition), { jobStore });
+    jobStore.setExecutor(job => handler.executeJob(job));
+
+    const finished = (id) => jobStore.whenFinished(id);
+    return { ran, jobStore, handler, finished };
+}
+
+describe('queued jobs are rechecked before they run', () => {
+    const readOnly = process.env.METABASE_READ_ONLY_MODE;
+
+    afterEach(() => {
+        if (readOnly === undefined) delete process.env.METABASE_READ_ONLY_MODE;
+        else process.env.METABASE_READ_ONLY_MODE = readOnly;
+    });
+
+    test('a restored write fails once read-only mode is on', async () => {
+        process.env.METABASE_READ_ONLY_MODE = 'true';
+        const { ran, jobStore, finished } = startJobs([
+            pending('write', { sql: 'DELETE FROM orders' }),
+            pending('read', { sql: 'SELECT 1', sequence: 2 }),
+        ]);
+
+        const write = await finished('write');
+        expect(write.status).toBe('failed');
+        expect(write.error).toBe('Blocked before it started: Read-only mode is active and the query is a DELETE (dml)');
+        expect((await finished('read')).status).toBe('complete');
+        expect(ran).toEqual([expect.stringMatching(/SELECT 1$/)]);
+        jobStore.destroy();
+    });
+
+    test('a restored query fails when the policy now denies its table', async () => {
+        process.env.METABASE_READ_ONLY_MODE = 'true';
+        const { ran, jobStore, finished } = startJobs(
+            [pending('salaries', { sql: 'SELECT * FROM hr.salaries' })],
+            { sql: { tables: { deny: ['hr.salaries'] } } },
+        );
+
+        const job = await finished('salaries');
+        expect(job.status).toBe('failed');
+        expect(job.error).toMatch(/^Blocked before it started: Query references hr\.salaries, which is denied/);
+        expect(ran).toEqual([]);
+        jobStore.destroy();
+    });
+
+    test('a restored query fails when the policy now denies its database', async () => {
+        const { ran, jobStore, finished } = startJobs(
+            [pending('db', { sql: 'SELECT 1' })],
+            { databases: { deny: [1] } },
+        );
+
+        expect((await finished('db')).error).toBe('Blocked before it started: Database 1 is denied (policy)');
+        expect(ran).toEqual([]);
+        jobStore.destroy();
+    });
+
+    test('a scheduled card run fails while table rules are set', async () => {
+        const { ran, jobStore, finished } = startJobs([], { sql: { schemas: { allow: ['public'] } } });
+        const job = jobStore.create(1, null, 60, { cardId: 10, scheduleId: 'sched-1', priority: 'low' });
+
+        const done = await finished(job.id);
+        expect(done.status).toBe('failed');
+        expect(done.error).toMatch(/schedule_create with card_id cannot be checked against the schema and table rules/);
+        expect(ran).toEqual([]);
+        jobStore.destroy();
+    });
+
+    test('a scheduled card run goes ahead without policy rules', async () => {
+        process.env.METABASE_READ_ONLY_MODE = 'true';
+        const { ran, jobStore, finished } = startJobs([]);
+        const job = jobStore.create(1, null, 60, { cardId: 10, scheduleId: 'sched-1', priority: 'low' });
+
+        expect((await finished(job.id)).status).toBe('complete');
+        expect(ran).toEqual(['card 10']);
+        jobStore.destroy();
+    });
+});
+
+describe('timed-out jobs', () => {
+    const timeout = async () => {
+        throw Object.assign(new Error('Query timed out after 60000ms'), { code: 'query_timeout' });
+    };
+
+    test('a SQL job is cancelled on the database by its tag', async () => {
+        const cancels = [];
+        const { jobStore, finished } = startJobs([pending('sql', { sql: 'SELECT pg_sleep(120)' })], {}, {
+            executeNativeQueryWithTimeout: timeout,
+            cancelServerQuery: async (databaseId, tag) => {
+                cancels.push(tag);
+                return { engine: 'postgres', method: 'pg_cancel_backend', pid: 4242, cancelled: true };
+            },
+        });
+
+        const job = await finished('sql');
+        await new Promise(resolve => setImmediate(resolve));
+        expect(job.status).toBe('timeout');
+        expect(cancels).toEqual(['mcp-job:sql']);
+        expect(job.error).toBe('Query timed out after 60 seconds; cancelled on the database (pg_cancel_backend on session 4242)');
+        jobStore.destroy();
+    });
+
+    test('a card job only aborts the HTTP request', async () => {
+        const cancels = [];
+        const { jobStore, finished } = startJobs([], {}, {
+            executeCardQueryWithTimeout: timeout,
+            cancelServerQuery: async (databaseId, tag) => cancels.push(tag),
+        });
+        const created = jobStore.create(1, null, 60, { cardId: 10, scheduleId: 'sched-1' });
+
+        const job = await finished(created.id);
+        await new Promise(resolve => setImmediate(resolve));
+        expect(job.status).toBe('timeout');
+        expect(cancels).toEqual([]);
+        expect(job.error).toBe('Query timed out after 60 seconds; only the HTTP request was aborted (card queries carry no job tag to cancel on the database)');
+        jobStore.destroy();
+    });
+
+    test('sql_cancel on a running card job does not claim a database cancel', async () => {
+        const cancels = [];
+        const { jobStore, handler } = startJobs([], {}, {
+            executeCardQueryWithTimeout: (cardId, parameters, timeoutMs, signal) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(Object.assign(new Error('cancelled'), { code: 'query_cancelled' })));
+            }),
+            cancelServerQuery: async (databaseId, tag) => cancels.push(tag),
+        });
+        const created = jobStore.create(1, null, 60, { cardId: 10, scheduleId: 'sched-1' });
+        await new Promise(resolve => setImmediate(resolve));
+
+        const result = await handler.handleSQLCancel({ job_id: created.id });
+        expect(cancels).toEqual([]);
+        expect(result.structuredContent).toMatchObject({ status: 'cancelled', http_aborted: true, server_cancel: null });
+        expect(result.content[0].text).toContain('Only the HTTP request was aborted');
+        jobStore.destroy();
+    });
+});
@@ -0,0 +1,151 @@
+import { afterEach, describe, expect, test } from '@jest/globals';
+import { buildRouteMap, createToolHandler, validateRouteMap } from '../src/mcp/tool-router.js';
+import { getToolDefinitions } from '../src/mcp/tool-registry.js';
+import { compileToolValidators } from '../src/mcp/input-validation.js';
+import { ToolPolicy } from '../src/mcp/tool-policy.js';
+import { MetadataHandler } from '../src/mcp/handlers/metadata.js';
+import { DashboardDirectHandler } from '../src/mcp/handlers/dashboard_direct.js';
+import { SqlHandler } from '../src/mcp/handlers/sql.js';
+import { CardsHandler } from '../src/mcp/handlers/cards.js';
+import { CollectionsHandler } from '../src/mcp/handlers/collections.js';
+import { UsersHandler } from '../src/mcp/handlers/users.js';
+import { ActionsHandler } from '../src/mcp/handlers/actions.js';
+import { DocsHandler } from '../src/mcp/handlers/docs.js';
+import { SchemaHandler } from '../src/mcp/handlers/schema.js';
+import { AnalyticsHandler } from '../src/mcp/handlers/analytics.js';
+import { ProfilesHandler } from '../src/mcp/handlers/profiles.js';
+import { PolicyHandler } from '../src/mcp/handlers/policy.js';
+import { ApprovalsHandler } from '../src/mcp/handlers/approvals.js';
+import { PiiHandler } from '../src/mcp/handlers/pii.js';
+import { ExportHandler } from '../src/mcp/handlers/export.js';
+import { ScheduleHandler } from '../src/mcp/handlers/schedules.js';
+import { CacheHandler } from '../src/mcp/handlers/cache.js';
+import { InstancesHandler } from '../src/mcp/handlers/instances.js';
+
+/**
+ * The handler set MetabaseMCPServer.createInstance() registers; routes() needs none of the dependencies
+ */
+function createHandlers() {
+    const metadata = new MetadataHandler(null);
+    const cards = new CardsHandler(null);
+    return {
+        sql: new SqlHandler(null, null, null, null, null),
+        schema: new SchemaHandler(null, null),
+        cards,
+        dashboardDirect: new DashboardDirectHandler(null, metadata),
+        collections: new CollectionsHandler(null, cards),
+        users: new UsersHandler(null),
+        actions: new ActionsHandler(null),
+        docs: new DocsHandler(null),
+        analytics: new AnalyticsHandler(null, null, null),
+        metadata,
+        profiles: new ProfilesHandler(null),
+        policy: new PolicyHandler(null),
+        approvals: new ApprovalsHandler(null),
+        pii: new PiiHandler(null, null),
+        export: new ExportHandler(null, null),
+        schedules: new ScheduleHandler(null, null, null),
+        cache: new CacheHandler(null, null),
+        instances: new InstancesHandler(null),
+    };
+}
+
+describe('tool routes', () => {
+    const definitions = getToolDefinitions();
+
+    test('every registered tool has exactly one route and every route is registered', () => {
+        const routeMap = buildRouteMap(createHandlers());
+        expect(() => validateRouteMap(routeMap, definitions)).not.toThrow();
+        expect(Object.keys(routeMap).sort()).toEqual(definitions.map(t => t.name).sort());
+    });
+
+    test('routes are bound to their handler', async () => {
+        const handlers = createHandlers();
+        handlers.instances = new InstancesHandler({ names: [] });
+        const routeMap = buildRouteMap(handlers);
+        const result = await routeMap.mb_instances({});
+        expect(result.content[0].text).toContain('Metabase instances** (0)');
+    });
+
+    test('reports unrouted tools and unregistered routes', () => {
+        const handlers = createHandlers();
+        handlers.extra = { routes: () => ({ mb_not_a_tool: async () => ({ content: [] }) }) };
+        const routeMap = buildRouteMap(handlers);
+        delete routeMap.db_list;
+
+        expect(() => validateRouteMap(routeMap, definitions)).toThrow(
+            /registered tools without a route: db_list; routes without a registry definition: mb_not_a_tool/
+        );
+    });
+
+    test('reports tools defined twice', () => {
+        const routeMap = buildRouteMap(createHandlers());
+        const duplicate = definitions.find(t => t.name === 'db_list');
+        expect(() => validateRouteMap(routeMap, [...definitions, duplicate])).toThrow(/tools defined more than once: db_list/);
+    });
+
+    test('reports write tools that WRITE_TOOLS does not gate', () => {
+        const routeMap = buildRouteMap(createHandlers());
+        const flipped = definitions.map(t => (t.name === 'cache_clear' || t.name === 'cache_stats'
+            ? { ...t, annotations: { ...t.annotations, readOnlyHint: t.name === 'cache_clear' } }
+            : t));
+        expect(() => validateRouteMap(routeMap, flipped)).toThrow(
+            /write tools \(TOOL_METADATA\) missing from WRITE_TOOLS: cache_stats; WRITE_TOOLS entries not marked write in TOOL_METADATA: cache_clear/
+        );
+    });
+
+    test('rejects a tool routed by two handlers', () => {
+        const handlers = createHandlers();
+        handlers.copy = { routes: () => ({ db_list: async () => ({ content: [] }) }) };
+        expect(() => buildRouteMap(handlers)).toThrow("Duplicate route: 'db_list' is registered by both");
+    });
+
+    test('rejects a handler without routes()', () => {
+        expect(() => buildRouteMap({ broken: {} })).toThrow("Handler 'broken' has no routes() method");
+    });
+});
+
+describe('read-only mode', () => {
+    const definitions = getToolDefinitions();
+    const validators = compileToolValidators(definitions);
+    const readOnly = process.env.METABASE_READ_ONLY_MODE;
+
+    afterEach(() => {
+        if (readOnly === undefined) delete process.env.METABASE_READ_ONLY_MODE;
+        else process.env.METABASE_READ_ONLY_MODE = readOnly;
+    });
+
+    /**
+     * Tool handler whose routes record the calls that get through
+     */
+    function recordingHandler(policy = new ToolPolicy({}, definitions)) {
+        const calls = [];
+        const routeMap = Object.fromEntries(definitions.map(t => [t.name, async (args) => {
+            calls.push(t.name);
+            return { content: [{ type: 'text', text: 'ok' }] };
+        }]));
+        return { calls, handle: createToolHandler(routeMap, validators, policy) };
+    }
+
+    const call = (name, args) => ({ params: { name, arguments: args } });
+
+    test.each([
+        ['schedule_create', { name: 'Daily orders', card_id: 10, cron: '0 9 * * *' }],
+        ['schedule_delete', { schedule_id: 'sched-1' }],
+        ['cache_clear', {}],
+    ])('blocks %s', async (name, args) => {
+        process.env.METABASE_READ_ONLY_MODE = 'true';
+        const { calls, handle } = recordingHandler();
+
+        await expect(handle(call(name, args), {})).rejects.toThrow(`The tool '${name}' is a write operation and has been blocked`);
+        expect(calls).toEqual([]);
+    });
+
+    test('allows schedule tools when read-only mode is off', async () => {
+        process.env.METABASE_READ_ONLY_MODE = 'false';
+        const { calls, handle } = recordingHandler();
+
+        await handle(call('schedule_delete', { schedule_id: 'sched-1' }), {});
+        expect(calls).toEqual(['schedule_delete']);
+    });
+});